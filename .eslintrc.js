@@ -8,6 +8,8 @@ module.exports = {
   extends: [
     'eslint:recommended'
   ],
+  // 同梱した外部ライブラリ（pdf.js）
+  ignorePatterns: ['src/vendor/'],
   parserOptions: {
     ecmaVersion: 'latest',
     sourceType: 'module'
@@ -28,6 +30,37 @@ module.exports = {
     ErrorHandler: 'readonly',
     AggregatedFileManager: 'readonly',
     ArticleTableManager: 'readonly',
-    AggregatedMarkdownGenerator: 'readonly'
+    AggregatedMarkdownGenerator: 'readonly',
+    MarkdownGenerator: 'readonly',
+    HTMLToMarkdownConverter: 'readonly',
+    SiteAdapterRegistry: 'readonly',
+    VideoCapture: 'readonly',
+    SocialThreadCapture: 'readonly',
+    DiscussionCapture: 'readonly',
+    PdfTextExtractor: 'readonly',
+    YamlSerializer: 'readonly',
+    FrontmatterMapping: 'readonly',
+    FRONTMATTER_PROPERTIES: 'readonly',
+    ImageDownloader: 'readonly',
+    DEFAULT_IMAGE_FOLDER: 'readonly',
+    DEFAULT_IMAGE_MAX_SIZE_KB: 'readonly',
+    FilenameTemplate: 'readonly',
+    UrlPatterns: 'readonly',
+    RoutingRules: 'readonly',
+    ExtractionRules: 'readonly',
+    NoteTemplate: 'readonly',
+    NOTE_TEMPLATE_PRESETS: 'readonly',
+    DEFAULT_FILENAME_TEMPLATE: 'readonly',
+    DEFAULT_FILENAME_MAX_LENGTH: 'readonly',
+    FILENAME_TEMPLATE_PRESETS: 'readonly',
+    StorageCollection: 'readonly',
+    SettingsStore: 'readonly',
+    SaveJobQueue: 'readonly',
+    SAVE_JOB_STATES: 'readonly',
+    SaveHistory: 'readonly',
+    NoteEditor: 'readonly',
+    ArticleExtractor: 'readonly',
+    UrlCanonicalizer: 'readonly',
+    SavedUrlIndex: 'readonly'
   }
 };
\ No newline at end of file
@@ -119,6 +119,40 @@ function ok(data) { return { ok: true, ...data }; }
 function err(message) { return { ok: false, error: message }; }
 
 const MAX_TEXT_LEN = 200000; // chars safeguard (~200 KB)
+const MAX_BINARY_BASE64_LEN = 28 * 1024 * 1024; // ~20 MB of binary data
+
+/**
+ * Resolve a path for writing and make sure it stays inside the home directory.
+ * Returns null when the path is not allowed.
+ */
+async function resolveWritablePath(filePath) {
+  const home = os.homedir();
+  const resolvedPath = path.resolve(filePath);
+  const normalizedPath = path.normalize(resolvedPath);
+  
+  // Check real path (follows symlinks) to prevent symlink attacks
+  let realPath;
+  try {
+    realPath = await fsp.realpath(path.dirname(resolvedPath)).catch(() => path.dirname(resolvedPath));
+    realPath = path.join(realPath, path.basename(resolvedPath));
+  } catch (e) {
+    // Directory doesn't exist yet, use normalized path
+    realPath = normalizedPath;
+  }
+  
+  // Validate path is within home directory
+  const rel = path.relative(home, realPath);
+  if (rel.startsWith('..') || path.isAbsolute(rel)) {
+    return null;
+  }
+  
+  // Additional security check: ensure resolved path starts with home
+  if (!realPath.startsWith(home + path.sep) && realPath !== home) {
+    return null;
+  }
+  
+  return resolvedPath;
+}
 
 async function handleMessage(msg) {
   if (!msg || typeof msg !== 'object') return err('Invalid message');
@@ -188,35 +222,36 @@ async function handleMessage(msg) {
         if (typeof content !== 'string') return err('Invalid content');
         if (content.length > 10 * 1024 * 1024) return err('Content too large');
         
-        const home = os.homedir();
-        const resolvedPath = path.resolve(filePath);
-        const normalizedPath = path.normalize(resolvedPath);
+        const resolvedPath = await resolveWritablePath(filePath);
+        if (!resolvedPath) return err('File path outside home is not allowed');
         
-        // Check real path (follows symlinks) to prevent symlink attacks
-        let realPath;
-        try {
-          realPath = await fsp.realpath(path.dirname(resolvedPath)).catch(() => path.dirname(resolvedPath));
-          realPath = path.join(realPath, path.basename(resolvedPath));
-        } catch (e) {
-          // Directory doesn't exist yet, use normalized path
-          realPath = normalizedPath;
-        }
+        await fsp.mkdir(path.dirname(resolvedPath), { recursive: true });
+        await fsp.writeFile(resolvedPath, content, { encoding });
+        const stats = await fsp.stat(resolvedPath);
+        return ok({ success: true, filePath: resolvedPath, bytes: stats.size });
+      }
+      case 'writeBinaryFile': {
+        // Binary-safe write (e.g. images): content is sent as base64
+        const { filePath, data } = msg;
+        if (!filePath) return err('Missing filePath');
+        if (typeof data !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(data)) return err('Invalid data');
+        if (data.length > MAX_BINARY_BASE64_LEN) return err('Content too large');
         
-        // Validate path is within home directory
-        const rel = path.relative(home, realPath);
-        if (rel.startsWith('..') || path.isAbsolute(rel)) {
-          return err('File path outside home is not allowed');
-        }
+        const resolvedPath = await resolveWritablePath(filePath);
+        if (!resolvedPath) return err('File path outside home is not allowed');
         
-        // Additional security check: ensure resolved path starts with home
-        if (!realPath.startsWith(home + path.sep) && realPath !== home) {
-          return err('File path outside home is not allowed');
+        const buffer = Buffer.from(data, 'base64');
+        
+        // Files are named by content hash, so an existing file of the same size is the same image
+        const existing = await fsp.stat(resolvedPath).catch(() => null);
+        if (existing && existing.isFile() && existing.size === buffer.length) {
+          return ok({ success: true, filePath: resolvedPath, bytes: existing.size, skipped: true });
         }
         
         await fsp.mkdir(path.dirname(resolvedPath), { recursive: true });
-        await fsp.writeFile(resolvedPath, content, { encoding });
+        await fsp.writeFile(resolvedPath, buffer);
         const stats = await fsp.stat(resolvedPath);
-        return ok({ success: true, filePath: resolvedPath, bytes: stats.size });
+        return ok({ success: true, filePath: resolvedPath, bytes: stats.size, skipped: false });
       }
       case 'readFile': {
         const { filePath, encoding = 'utf8' } = msg;
@@ -382,6 +417,13 @@ function buildTranslatePrompt(text, src, tgt, options) {
 function buildSummaryPrompt(text, options) {
   const style = options.style || 'structured';
   const maxLength = options.maxLength || 500;
+  if (style === 'discussion') {
+    // 掲示板のコメント（投稿者・スコア付きの字下げされたツリー）から議論の論点をまとめる
+    return '以下は掲示板の投稿に付いたコメントです。字下げは返信を、括弧内の数値はスコアを表します。' +
+      '議論の要約を日本語で作成してください。出力は日本語のみで、前置きや注釈は不要です。Markdownで出力してください。\n\n' +
+      '以下の形式でまとめてください：\n\n#### 主な意見\n- [多くの支持を集めた意見]\n\n#### 対立している論点\n- [賛否が分かれた点とそれぞれの主張]\n\n#### 補足情報\n- [経験談・関連リンク・訂正など]\n' +
+      `\n要約は${maxLength}文字以内にしてください。\n\nコメント:\n` + text;
+  }
   let p = '以下の記事の要約を日本語で作成してください。出力は日本語のみで、前置きや注釈は不要です。Markdownで出力してください。\n\n';
   if (style === 'bullet') {
     p += '箇条書き形式で主要なポイントを整理してください。\n• 形式で3-5個のポイントにまとめてください。\n';
@@ -2,14 +2,31 @@
 // Chrome拡張機能のバックグラウンド処理を管理
 
 // Service Workerで必要な最小限のライブラリを読み込み
-// Note: markdown-generator.jsはContent Scriptで既に読み込まれているため除外
+// markdown-generator.jsは個別ノートの生成と、再保存時の既存ノートとのマージに使用
 try {
     importScripts(
         '../lib/native-messaging.js',
         '../utils/error-handler.js',
+        '../lib/html-to-markdown.js',
+        '../lib/yaml-serializer.js',
+        '../lib/filename-template.js',
+        '../lib/frontmatter-mapping.js',
+        '../lib/note-template.js',
+        '../lib/markdown-generator.js',
         '../lib/article-table-manager.js',
         '../lib/aggregated-markdown-generator.js',
-        '../lib/aggregated-file-manager.js'
+        '../lib/aggregated-file-manager.js',
+        '../lib/settings-store.js',
+        '../lib/storage-collection.js',
+        '../lib/save-job-queue.js',
+        '../lib/save-history.js',
+        '../lib/note-editor.js',
+        '../lib/url-canonicalizer.js',
+        '../lib/saved-url-index.js',
+        '../lib/url-patterns.js',
+        '../lib/routing-rules.js',
+        '../lib/image-downloader.js',
+        '../lib/pdf-text-extractor.js'
     );
     console.log('ReadLater for Obsidian: Libraries loaded successfully');
 } catch (error) {
@@ -18,6 +35,11 @@ try {
 
 console.log('ReadLater for Obsidian: Service Worker initialized');
 
+// 保存ジョブの永続キュー・保存履歴・保存済みURL索引
+const saveJobQueue = new SaveJobQueue();
+const saveHistory = new SaveHistory();
+const savedUrlIndex = new SavedUrlIndex();
+
 // 拡張機能インストール時の初期化
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('ReadLater for Obsidian: Extension installed/updated', details.reason);
@@ -33,6 +55,14 @@ chrome.runtime.onInstalled.addListener((details) => {
 chrome.runtime.onStartup.addListener(() => {
     console.log('ReadLater for Obsidian: Extension started');
     createContextMenu();
+    resumePendingSaveJobs();
+});
+
+// 未完了ジョブのウォッチドッグ
+chrome.alarms?.onAlarm.addListener((alarm) => {
+    if (alarm.name === SAVE_JOB_WATCHDOG_ALARM) {
+        resumePendingSaveJobs();
+    }
 });
 
 /**
@@ -49,6 +79,36 @@ function createContextMenu() {
             documentUrlPatterns: ['http://*/*', 'https://*/*']
         });
         
+        // リンク先をタブを開かずに保存
+        chrome.contextMenus.create({
+            id: 'readlater-save-link',
+            title: '🔗 リンク先をReadLaterに保存',
+            contexts: ['link'],
+            targetUrlPatterns: ['http://*/*', 'https://*/*']
+        });
+        
+        // 選択範囲内のリンク先を一括保存
+        chrome.contextMenus.create({
+            id: 'readlater-save-selection-links',
+            title: '🔗 選択範囲のリンク先をすべて保存',
+            contexts: ['selection'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+        });
+        
+        // ウィンドウ内のタブを一括保存
+        chrome.contextMenus.create({
+            id: 'readlater-save-window-tabs',
+            title: '🗂️ このウィンドウのタブをすべて保存',
+            contexts: ['page']
+        });
+        
+        // 保存履歴メニューの作成
+        chrome.contextMenus.create({
+            id: 'readlater-open-library',
+            title: '📚 ReadLater保存履歴',
+            contexts: ['page']
+        });
+        
         // 設定メニューの作成
         chrome.contextMenus.create({
             id: 'readlater-settings',
@@ -61,178 +121,1245 @@ function createContextMenu() {
 }
 
 /**
- * コンテキストメニュークリック時の処理
+ * コンテキストメニュークリック時の処理
+ */
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    console.log('ReadLater for Obsidian: Context menu clicked', info.menuItemId);
+    
+    switch (info.menuItemId) {
+        case 'readlater-save-article':
+            handleSaveArticle(info, tab);
+            break;
+        case 'readlater-save-link':
+            handleSaveLink(info);
+            break;
+        case 'readlater-save-selection-links':
+            handleSaveSelectionLinks(tab);
+            break;
+        case 'readlater-save-window-tabs':
+            handleSaveWindowTabs(tab.windowId);
+            break;
+        case 'readlater-open-library':
+            handleOpenLibrary();
+            break;
+        case 'readlater-settings':
+            handleOpenSettings();
+            break;
+        default:
+            console.warn('ReadLater for Obsidian: Unknown menu item', info.menuItemId);
+    }
+});
+
+/**
+ * キーボードショートカット（commands API）実行時の処理
+ * コンテキストメニューと同じ保存処理に合流させる
+ */
+chrome.commands?.onCommand.addListener(async (command, tab) => {
+    console.log('ReadLater for Obsidian: Command received', command);
+
+    if (command === 'open-library') {
+        handleOpenLibrary();
+        return;
+    }
+
+    try {
+        const targetTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+        if (!targetTab) {
+            console.warn('ReadLater for Obsidian: No active tab for command', command);
+            return;
+        }
+
+        switch (command) {
+            case 'save-article':
+                handleSaveArticle({}, targetTab);
+                break;
+            case 'save-selection': {
+                const selectionText = await getTabSelection(targetTab);
+                if (!selectionText) {
+                    showNotification('選択範囲がありません', '保存したいテキストを選択してからショートカットを実行してください。', 'warning');
+                    return;
+                }
+                handleSaveArticle({ selectionText }, targetTab);
+                break;
+            }
+            case 'save-aggregated':
+                handleSaveArticle({}, targetTab, { aggregatedSavingEnabled: true });
+                break;
+            default:
+                console.warn('ReadLater for Obsidian: Unknown command', command);
+        }
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Error in command handler', error);
+        showErrorNotification('ショートカット実行エラー', error, { url: tab?.url });
+    }
+});
+
+// 保存済みページのアクションバッジ（タブ切り替え・ページ遷移時に更新）
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+    chrome.tabs.get(tabId).then(updateSavedBadge).catch(() => {});
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url || changeInfo.status === 'complete') {
+        updateSavedBadge(tab);
+    }
+});
+
+/**
+ * タブのページが保存済みならアクションアイコンにバッジを表示
+ * @param {Object} tab - 対象タブ
+ */
+async function updateSavedBadge(tab) {
+    if (!tab?.id || !/^https?:/.test(tab.url || '')) return;
+
+    try {
+        const saved = await savedUrlIndex.find(tab.url);
+        await chrome.action.setBadgeText({ tabId: tab.id, text: saved ? '✓' : '' });
+        if (saved) {
+            await chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#28a745' });
+        }
+    } catch (error) {
+        // 閉じられたタブなどは無視
+        console.debug('ReadLater for Obsidian: Failed to update badge', error);
+    }
+}
+
+/**
+ * 全ウィンドウのアクティブタブのバッジを更新（保存完了時）
+ */
+async function refreshActiveTabBadges() {
+    const tabs = await chrome.tabs.query({ active: true });
+    await Promise.all(tabs.map(updateSavedBadge));
+}
+
+/**
+ * タブで選択中のテキストを取得
+ * ショートカットではコンテキストメニューのselectionTextが渡らないため、ページから直接読み取る
+ * @param {Object} tab - 対象タブ
+ * @returns {Promise<string>} 選択テキスト（未選択・取得不可の場合は空文字）
+ */
+async function getTabSelection(tab) {
+    if (!isSupportedUrl(tab.url)) return '';
+
+    try {
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => window.getSelection().toString()
+        });
+        return (result?.result || '').trim();
+    } catch (error) {
+        console.warn('ReadLater for Obsidian: Failed to read selection', error);
+        return '';
+    }
+}
+
+/**
+ * 記事保存処理の開始
+ * @param {Object} info - コンテキストメニュー情報
+ * @param {Object} tab - アクティブなタブ情報
+ * @param {Object} options - 保存時の設定上書き
+ */
+async function handleSaveArticle(info, tab, options = {}) {
+    try {
+        console.log('ReadLater for Obsidian: Starting article save process', {
+            url: tab.url,
+            title: tab.title,
+            selection: info.selectionText
+        });
+        
+        // 設定の確認
+        const settings = await getSettings();
+        if (!validateSettings(settings)) {
+            showNotification('設定エラー', '設定を確認してください。APIキーまたは保存先が未設定です。', 'error');
+            handleOpenSettings();
+            return;
+        }
+        
+        // 対象URLの確認（chrome:// や Chrome Web Storeでは動作不可）
+        if (!isSupportedUrl(tab.url)) {
+            showNotification('未対応のページ', 'このページではコンテンツ抽出が許可されていません。別のサイトでお試しください。', 'warning');
+            return;
+        }
+
+        // 進行状況通知
+        showProgressNotification('記事抽出開始', 10, 'ページから記事を抽出しています...', { tabId: tab.id });
+        
+        let articleData;
+        try {
+            articleData = await extractTabArticle(tab, info.selectionText || null);
+        } catch (error) {
+            console.error('ReadLater for Obsidian: Article extraction failed', error);
+            showErrorNotification('記事抽出エラー', error, { url: tab.url });
+            return;
+        }
+
+        console.log('ReadLater for Obsidian: Article extraction successful');
+        showProgressNotification('記事抽出完了', 30, '記事データを処理しています...', { tabId: tab.id });
+        
+        // 抽出結果を永続キューに登録してから処理する（Service Worker停止時に再開できるように）
+        const job = await saveJobQueue.enqueue(articleData, options);
+        scheduleSaveJobWatchdog();
+        await runSaveJob(job.id);
+        
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Error in handleSaveArticle', error);
+        showErrorNotification('記事保存エラー', error, { url: tab?.url });
+    }
+}
+
+/**
+ * リンク先の記事をタブを開かずに保存
+ * @param {Object} info - コンテキストメニュー情報（linkUrl）
+ * @param {Object} options - 保存時の設定上書き
+ */
+async function handleSaveLink(info, options = {}) {
+    const url = info.linkUrl;
+    try {
+        console.log('ReadLater for Obsidian: Starting linked page save process', { url });
+        
+        const settings = await getSettings();
+        if (!validateSettings(settings)) {
+            showNotification('設定エラー', '設定を確認してください。APIキーまたは保存先が未設定です。', 'error');
+            handleOpenSettings();
+            return;
+        }
+        
+        if (!/^https?:/.test(url || '')) {
+            showNotification('未対応のリンク', 'http/httpsのリンクのみ保存できます。', 'warning');
+            return;
+        }
+        
+        showProgressNotification('記事抽出開始', 10, 'リンク先のページを取得しています...');
+        
+        let articleData;
+        try {
+            articleData = await extractUrlInOffscreen(url);
+        } catch (error) {
+            console.error('ReadLater for Obsidian: Linked page extraction failed', error);
+            showErrorNotification('記事抽出エラー', error, { url });
+            return;
+        }
+        
+        showProgressNotification('記事抽出完了', 30, '記事データを処理しています...');
+        
+        const job = await saveJobQueue.enqueue(articleData, options);
+        scheduleSaveJobWatchdog();
+        await runSaveJob(job.id);
+        
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Error in handleSaveLink', error);
+        showErrorNotification('記事保存エラー', error, { url });
+    }
+}
+
+/**
+ * タブの記事を抽出（PDFはOffscreen Documentでテキストを抽出し、それ以外はContent Scriptに依頼）
+ * @param {Object} tab - 対象タブ
+ * @param {string|null} selection - 選択テキスト
+ * @returns {Promise<Object>} 抽出された記事データ
+ */
+async function extractTabArticle(tab, selection) {
+    if (await isPdfTab(tab)) {
+        console.log('ReadLater for Obsidian: Extracting PDF in offscreen document', tab.url);
+        return await extractPdfInOffscreen(tab.url);
+    }
+    
+    // Content Scriptに記事抽出を依頼（必要なら動的注入）
+    await ensureContentScript(tab.id, tab.url);
+    return await requestArticleExtraction(tab, selection);
+}
+
+/**
+ * タブがPDFを表示しているか（URLの拡張子、またはChromeのPDFビューアの文書の種類で判定）
+ * @param {Object} tab - 対象タブ
+ * @returns {Promise<boolean>} PDFの場合true
+ */
+async function isPdfTab(tab) {
+    if (PdfTextExtractor.isPdfUrl(tab.url)) return true;
+    
+    try {
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => document.contentType
+        });
+        return result?.result === 'application/pdf';
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Content Scriptに記事抽出を依頼
+ * @param {Object} tab - 対象タブ
+ * @param {string|null} selection - 選択テキスト
+ * @returns {Promise<Object>} 抽出された記事データ
+ */
+async function requestArticleExtraction(tab, selection) {
+    const { extractionRules = [], discussionCommentLimit } = await getSettings();
+    
+    return new Promise((resolve, reject) => {
+        chrome.tabs.sendMessage(tab.id, {
+            action: 'extractArticle',
+            data: {
+                url: tab.url,
+                title: tab.title,
+                selection,
+                extractionRules,
+                discussionCommentLimit
+            }
+        }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error('ReadLater for Obsidian: Failed to communicate with content script', chrome.runtime.lastError);
+                reject(new Error('ページの解析に失敗しました'));
+                return;
+            }
+            
+            if (response && response.success) {
+                resolve(response.data);
+            } else {
+                reject(new Error(response?.error || '記事の抽出に失敗しました'));
+            }
+        });
+    });
+}
+
+const OFFSCREEN_DOCUMENT_PATH = 'src/offscreen/offscreen.html';
+
+// 添付ファイルとして保存するPDFのサイズ上限
+const PDF_ATTACHMENT_MAX_BYTES = 50 * 1024 * 1024;
+
+// Offscreen Document作成中のPromise（同時作成の防止）
+let creatingOffscreenDocument = null;
+
+/**
+ * 記事抽出用のOffscreen Documentを用意
+ */
+async function ensureOffscreenDocument() {
+    const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [offscreenUrl]
+    });
+    if (contexts.length > 0) return;
+
+    if (!creatingOffscreenDocument) {
+        creatingOffscreenDocument = chrome.offscreen.createDocument({
+            url: OFFSCREEN_DOCUMENT_PATH,
+            reasons: ['DOM_PARSER'],
+            justification: 'タブを開かずにリンク先ページのHTMLを解析して記事を抽出するため'
+        }).finally(() => {
+            creatingOffscreenDocument = null;
+        });
+    }
+    await creatingOffscreenDocument;
+}
+
+/**
+ * タブを開かずにURLの記事を抽出（Offscreen Document経由）
+ * @param {string} url - 対象URL
+ * @returns {Promise<Object>} 抽出された記事データ
+ */
+async function extractUrlInOffscreen(url) {
+    await ensureOffscreenDocument();
+    const { extractionRules = [], discussionCommentLimit } = await getSettings();
+
+    const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'extractUrl',
+        data: { url, extractionRules, discussionCommentLimit }
+    });
+
+    if (!response?.success) {
+        throw new Error(response?.error || '記事の抽出に失敗しました');
+    }
+    return response.data;
+}
+
+/**
+ * PDFのテキストと文書情報を抽出（Offscreen Document経由）
+ * @param {string} url - PDFのURL
+ * @returns {Promise<Object>} 抽出された記事データ
+ */
+async function extractPdfInOffscreen(url) {
+    await ensureOffscreenDocument();
+
+    const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'extractPdf',
+        data: { url }
+    });
+
+    if (!response?.success) {
+        throw new Error(response?.error || 'PDFの抽出に失敗しました');
+    }
+    return response.data;
+}
+
+/**
+ * 掲示板の投稿のリンク先の記事を取得し、本文として差し替える
+ * 取得できない場合は投稿の内容のまま保存する
+ * @param {Object} articleData - 抽出された記事データ（discussion を含む）
+ * @param {Object} progressContext - 進捗の対象（jobId, silent）
+ * @returns {Promise<Object>} 記事データ
+ */
+async function attachLinkedArticle(articleData, progressContext = {}) {
+    const linkedUrl = articleData.discussion?.linkedUrl;
+    if (!linkedUrl || articleData.linkedArticle) return articleData;
+    
+    try {
+        showProgressNotification('リンク先取得', 50, 'リンク先の記事を取得しています...', progressContext);
+        const linked = await extractUrlInOffscreen(linkedUrl);
+        const title = linked.title || linkedUrl;
+        const header = `> 🔗 リンク先: [${title.replace(/[[\]]/g, '\\$&')}](${linkedUrl})`;
+        return {
+            ...articleData,
+            content: linked.content,
+            contentMarkdown: `${header}\n\n${linked.contentMarkdown || linked.content}`,
+            linkedArticle: {
+                url: linkedUrl,
+                title,
+                domain: linked.domain || '',
+                author: linked.metadata?.author || ''
+            }
+        };
+    } catch (error) {
+        console.warn('ReadLater for Obsidian: Failed to fetch the linked article; saving the discussion only', error);
+        return articleData;
+    }
+}
+
+// 実行中の一括保存（同時に複数の一括保存を走らせない）
+let activeBatchSave = null;
+
+/**
+ * ウィンドウ内のタブを一括保存
+ * @param {number} windowId - 対象ウィンドウID
+ * @param {Object} options - 保存時の設定上書き（既定では集約ファイルにまとめる）
+ */
+async function handleSaveWindowTabs(windowId, options = {}) {
+    try {
+        const allTabs = await chrome.tabs.query({ windowId: windowId ?? chrome.windows.WINDOW_ID_CURRENT });
+        const tabs = allTabs.filter(tab => /^https?:/.test(tab.url || ''));
+        
+        return await startBatchSave({
+            label: 'タブ',
+            items: tabs.map(tab => ({ tabId: tab.id, title: tab.title, url: tab.url })),
+            skipped: allTabs.length - tabs.length,
+            jobOptions: { aggregatedSavingEnabled: true, ...options },
+            extractItem: async (item) => {
+                const tab = await ensureTabLoaded(await chrome.tabs.get(item.tabId));
+                return await extractTabArticle(tab, null);
+            }
+        });
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Error in handleSaveWindowTabs', error);
+        showErrorNotification('一括保存エラー', error);
+        return null;
+    }
+}
+
+// 選択範囲から一度に保存するリンク数の上限
+const MAX_SELECTION_LINKS = 50;
+
+/**
+ * 選択範囲内のリンク先を個別の記事として一括保存
+ * リンク先はタブを開かずOffscreen Documentで抽出する
+ * @param {Object} tab - 選択範囲のあるタブ
+ */
+async function handleSaveSelectionLinks(tab) {
+    try {
+        if (!isSupportedUrl(tab.url)) {
+            showNotification('未対応のページ', 'このページではコンテンツ抽出が許可されていません。別のサイトでお試しください。', 'warning');
+            return null;
+        }
+        
+        await ensureContentScript(tab.id, tab.url);
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'collectSelectionLinks' });
+        const links = response?.links || [];
+        
+        return await startBatchSave({
+            label: 'リンク',
+            items: links.slice(0, MAX_SELECTION_LINKS).map(link => ({ title: link.text || link.url, url: link.url })),
+            skipped: Math.max(links.length - MAX_SELECTION_LINKS, 0),
+            extractItem: item => extractUrlInOffscreen(item.url)
+        });
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Error in handleSaveSelectionLinks', error);
+        showErrorNotification('リンク一括保存エラー', error, { url: tab?.url });
+        return null;
+    }
+}
+
+/**
+ * 一括保存の開始
+ * 集約ファイルへの追記は読み込み→書き込みのため、項目は1件ずつ順番に処理する
+ * @param {Object} params - 一括保存の内容
+ * @param {string} params.label - 通知に表示する対象名（タブ、リンクなど）
+ * @param {Array<Object>} params.items - 保存対象（title, url と抽出に必要な情報）
+ * @param {number} params.skipped - 対象外として除外した件数
+ * @param {Object} params.jobOptions - 各ジョブに付与する設定上書き
+ * @param {Function} params.extractItem - 項目から記事データを抽出する関数
+ * @returns {Promise<Object|null>} 一括保存の最終状態
+ */
+async function startBatchSave({ label, items, skipped = 0, jobOptions = {}, extractItem }) {
+    if (activeBatchSave) {
+        showNotification('一括保存中', '前回の一括保存が完了するまでお待ちください。', 'warning');
+        return null;
+    }
+    
+    const settings = applySaveOptions(await getSettings(), jobOptions);
+    if (!validateSettings(settings)) {
+        showNotification('設定エラー', '設定を確認してください。APIキーまたは保存先が未設定です。', 'error');
+        handleOpenSettings();
+        return null;
+    }
+    
+    if (items.length === 0) {
+        showNotification('一括保存', `保存できる${label}（http/https）がありません。`, 'warning');
+        return null;
+    }
+    
+    const batch = {
+        id: `batch-${Date.now()}`,
+        label,
+        total: items.length,
+        skipped,
+        aggregated: Boolean(settings.aggregatedSavingEnabled),
+        items: items.map(item => ({ ...item, status: 'pending', error: null }))
+    };
+    
+    showNotification('一括保存開始', `${items.length}件の${label}を保存します`, 'info');
+    activeBatchSave = runBatchSave(batch, { ...jobOptions, batchId: batch.id }, extractItem);
+    try {
+        return await activeBatchSave;
+    } finally {
+        activeBatchSave = null;
+    }
+}
+
+/**
+ * 一括保存の本体（項目ごとに抽出→ジョブ登録→保存）
+ * @param {Object} batch - 一括保存の状態
+ * @param {Object} jobOptions - 各ジョブに付与する設定上書き
+ * @param {Function} extractItem - 項目から記事データを抽出する関数
+ * @returns {Promise<Object>} 一括保存の最終状態
+ */
+async function runBatchSave(batch, jobOptions, extractItem) {
+    for (const item of batch.items) {
+        try {
+            updateBatchItemStatus(batch, item, 'extracting');
+            const articleData = await extractItem(item);
+            
+            const job = await saveJobQueue.enqueue(articleData, jobOptions);
+            item.jobId = job.id;
+            updateBatchItemStatus(batch, item, 'saving');
+            scheduleSaveJobWatchdog();
+            
+            const finishedJob = await runSaveJob(job.id);
+            if (finishedJob?.state === SAVE_JOB_STATES.NOTIFIED && finishedJob.saveResult?.skipped) {
+                updateBatchItemStatus(batch, item, 'skipped');
+            } else if (finishedJob?.state === SAVE_JOB_STATES.NOTIFIED) {
+                updateBatchItemStatus(batch, item, 'saved');
+            } else {
+                updateBatchItemStatus(batch, item, 'failed', finishedJob?.error || '保存に失敗しました');
+            }
+        } catch (error) {
+            console.error('ReadLater for Obsidian: Batch save failed for item', item.url, error);
+            updateBatchItemStatus(batch, item, 'failed', error.message);
+        }
+    }
+    
+    const savedCount = batch.items.filter(i => i.status === 'saved').length;
+    const failedCount = batch.items.filter(i => i.status === 'failed').length;
+    const duplicateCount = batch.items.filter(i => i.status === 'skipped').length;
+    const lines = [`保存 ${savedCount}件 / 失敗 ${failedCount}件`];
+    if (duplicateCount > 0) {
+        lines.push(`保存済みの${batch.label} ${duplicateCount}件はスキップしました`);
+    }
+    if (batch.skipped > 0) {
+        lines.push(`対象外の${batch.label} ${batch.skipped}件はスキップしました`);
+    }
+    if (batch.aggregated) {
+        lines.push('集約ファイルにまとめて保存しました');
+    }
+    
+    showNotification('一括保存完了', lines.join('\n'), failedCount > 0 ? 'warning' : 'success');
+    return batch;
+}
+
+/**
+ * 一括保存の項目ごとの状態を更新し、ポップアップへ配信
+ * @param {Object} batch - 一括保存の状態
+ * @param {Object} item - 対象項目
+ * @param {string} status - pending, extracting, saving, saved, skipped, failed
+ * @param {string|null} error - エラーメッセージ
+ */
+function updateBatchItemStatus(batch, item, status, error = null) {
+    item.status = status;
+    item.error = error;
+    
+    chrome.runtime.sendMessage({
+        action: 'batchSaveProgress',
+        data: {
+            batchId: batch.id,
+            label: batch.label,
+            total: batch.total,
+            completed: batch.items.filter(i => ['saved', 'skipped', 'failed'].includes(i.status)).length,
+            items: batch.items
+        }
+    }).catch(() => {});
+}
+
+/**
+ * 休止（discarded）中のタブを再読み込みし、読み込み完了を待つ
+ * @param {Object} tab - 対象タブ
+ * @param {number} timeoutMs - 待機時間の上限
+ * @returns {Promise<Object>} 読み込み済みのタブ
+ */
+async function ensureTabLoaded(tab, timeoutMs = 15000) {
+    if (!tab.discarded && tab.status === 'complete') {
+        return tab;
+    }
+    if (tab.discarded) {
+        await chrome.tabs.reload(tab.id);
+    }
+
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < timeoutMs) {
+        const current = await chrome.tabs.get(tab.id);
+        if (current.status === 'complete' && !current.discarded) {
+            return current;
+        }
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+    throw new Error('タブの読み込みがタイムアウトしました');
+}
+
+// 実行中の保存ジョブ（同一Service Worker内での二重実行防止）
+const activeSaveJobs = new Set();
+
+const SAVE_JOB_WATCHDOG_ALARM = 'readlater-resume-save-jobs';
+
+/**
+ * 保存ジョブを終了状態まで進める
+ * @param {string} jobId - ジョブID
+ * @returns {Promise<Object|null>} 最終状態のジョブ
+ */
+async function runSaveJob(jobId) {
+    if (activeSaveJobs.has(jobId)) {
+        console.log('ReadLater for Obsidian: Save job already running', jobId);
+        return null;
+    }
+    activeSaveJobs.add(jobId);
+    
+    let job = null;
+    let settings = {};
+    try {
+        job = await saveJobQueue.markAttempt(jobId);
+        settings = applySaveOptions(await getSettings(), job.options);
+        if (job.state === SAVE_JOB_STATES.FAILED) {
+            if (!isBatchJob(job)) {
+                showErrorNotification('記事処理エラー', new Error(job.error), { url: job.articleData?.url });
+            }
+            await recordSaveHistory(job, settings);
+            return job;
+        }
+        
+        console.log('ReadLater for Obsidian: Running save job', { id: job.id, state: job.state, attempts: job.attempts });
+        
+        while (!SaveJobQueue.isTerminal(job.state)) {
+            job = await advanceSaveJob(job, settings);
+        }
+        await recordSaveHistory(job, settings);
+        return job;
+        
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Error processing article', error);
+        const failedJob = await saveJobQueue.fail(jobId, error).catch(() => null);
+        if (!isBatchJob(failedJob || job)) {
+            showErrorNotification('記事処理エラー', error, { url: (failedJob || job)?.articleData?.url });
+        }
+        if (failedJob) {
+            await recordSaveHistory(failedJob, settings);
+        }
+        return failedJob;
+    } finally {
+        activeSaveJobs.delete(jobId);
+    }
+}
+
+/**
+ * 一括保存で登録されたジョブかどうか
+ * @param {Object|null} job - 保存ジョブ
+ * @returns {boolean} 一括保存のジョブならtrue
+ */
+function isBatchJob(job) {
+    return Boolean(job?.options?.batchId);
+}
+
+/**
+ * 保存時の設定上書き（ポップアップなどで指定）をユーザー設定に反映
+ * @param {Object} settings - ユーザー設定
+ * @param {Object} options - 上書き（summaryEnabled, aggregatedSavingEnabled, folder, tags）
+ * @returns {Object} 上書きを反映した設定
+ */
+function applySaveOptions(settings, options = {}) {
+    const { folder, tags, ...overrides } = options || {};
+    const merged = { ...settings, ...overrides };
+    
+    // 保存先サブフォルダは保存先フォルダ配下に限定
+    const subfolderPath = joinSubfolder(settings.obsidianPath, folder);
+    if (subfolderPath) {
+        merged.obsidianPath = subfolderPath;
+    }
+    
+    if (Array.isArray(tags) && tags.length > 0) {
+        merged.extraTags = tags;
+    }
+    
+    return merged;
+}
+
+/**
+ * 振り分けルールの適用（最初に一致したルールの保存先・タグ・保存方式を反映）
+ * 保存時に明示したサブフォルダ・保存方式はルールより優先する
+ * @param {Object} settings - ユーザー設定（ジョブの上書きを反映済み）
+ * @param {Object} job - 保存ジョブ
+ * @returns {Object} ルールを反映した設定
+ */
+function applyRoutingRules(settings, job) {
+    if (!Array.isArray(settings.routingRules) || settings.routingRules.length === 0) {
+        return settings;
+    }
+    
+    const rule = new RoutingRules(settings.routingRules).match(job.articleData || {});
+    if (!rule) {
+        return settings;
+    }
+    
+    console.log('ReadLater for Obsidian: Routing rule matched', { rule: rule.name, url: job.articleData?.url });
+    
+    const options = job.options || {};
+    const routed = { ...settings };
+    
+    const subfolderPath = options.folder ? null : joinSubfolder(settings.obsidianPath, rule.folder);
+    if (subfolderPath) {
+        routed.obsidianPath = subfolderPath;
+    }
+    
+    if (rule.tags.length > 0) {
+        routed.extraTags = Array.from(new Set([...(settings.extraTags || []), ...rule.tags]));
+    }
+    
+    if (rule.saveMode && options.aggregatedSavingEnabled === undefined) {
+        routed.aggregatedSavingEnabled = rule.saveMode === 'aggregated';
+    }
+    
+    if (Object.keys(rule.properties).length > 0) {
+        routed.extraProperties = { ...FrontmatterMapping.parseProperties(settings.extraProperties), ...rule.properties };
+    }
+    
+    if (rule.aggregatedFileName) {
+        routed.aggregatedFileName = rule.aggregatedFileName.endsWith('.md') ?
+            rule.aggregatedFileName : `${rule.aggregatedFileName}.md`;
+    }
+    
+    return routed;
+}
+
+/**
+ * 保存先フォルダにサブフォルダを結合
+ * @param {string} basePath - 保存先フォルダ
+ * @param {string} folder - サブフォルダ（例: Dev/Repos）
+ * @returns {string|null} 結合したパス（サブフォルダが空の場合はnull）
+ */
+function joinSubfolder(basePath, folder) {
+    const safeFolder = sanitizeRelativeFolder(folder);
+    if (!safeFolder) {
+        return null;
+    }
+    const base = (basePath || '').replace(/[\\/]+$/, '');
+    return base ? `${base}/${safeFolder}` : safeFolder;
+}
+
+/**
+ * 相対サブフォルダ名の正規化（親ディレクトリ参照や不正文字を除去）
+ * @param {string} folder - サブフォルダ（例: Dev/Repos）
+ * @returns {string} 正規化されたサブフォルダ
+ */
+function sanitizeRelativeFolder(folder) {
+    if (!folder || typeof folder !== 'string') return '';
+    return folder
+        .split(/[\\/]+/)
+        .map(segment => segment.replace(/[<>:"|?*]/g, '').trim())
+        .filter(segment => segment && segment !== '.' && segment !== '..')
+        .join('/');
+}
+
+/**
+ * 保存ジョブを次の状態へ進める
+ * 各段階の結果はストレージに保存されるため、途中で停止しても同じ段階から再開できる
+ * @param {Object} job - 保存ジョブ
+ * @param {Object} settings - ユーザー設定（ジョブの上書きを反映済み）
+ * @returns {Promise<Object>} 更新後のジョブ
+ */
+async function advanceSaveJob(job, settings) {
+    // 一括保存のジョブは個別の通知を出さず、最後にまとめて通知する
+    const silent = isBatchJob(job);
+    const progressContext = { jobId: job.id, silent };
+    
+    // 振り分けルールはAI処理でキーワード・言語が確定した後に評価する
+    if (job.state === SAVE_JOB_STATES.RENDERING || job.state === SAVE_JOB_STATES.WRITING) {
+        settings = applyRoutingRules(settings, job);
+    }
+    
+    switch (job.state) {
+        case SAVE_JOB_STATES.EXTRACTED: {
+            // 重複チェック（AI処理の前に判定して無駄な要約を避ける）
+            const duplicate = await findSavedArticle(job.articleData);
+            const policy = settings.duplicatePolicy || 'skip';
+            if (duplicate && policy === 'skip') {
+                console.log('ReadLater for Obsidian: Skipping already saved article', duplicate.canonicalUrl);
+                if (!silent) {
+                    showNotification('保存済みの記事', `「${job.articleData.title}」は既に保存されています\nファイル: ${duplicate.filePath || '不明'}`, 'info');
+                }
+                return await saveJobQueue.complete(job.id, {
+                    saveResult: { success: true, skipped: true, filePath: duplicate.filePath, aggregated: duplicate.mode === 'aggregated' }
+                });
+            }
+            
+            // 掲示板の投稿はリンク先の記事を本文として取り込む（議論はコメントとして残す）
+            const articleData = await attachLinkedArticle(job.articleData, progressContext);
+            
+            return await saveJobQueue.transition(job.id, SAVE_JOB_STATES.SUMMARIZING, {
+                articleData,
+                duplicateOf: duplicate && policy === 'update' ? duplicate : null
+            });
+        }
+            
+        case SAVE_JOB_STATES.SUMMARIZING: {
+            let articleData = job.articleData;
+            
+            // ネイティブメッセージング経由のAI処理（翻訳・要約・議論の要約）
+            if (settings.translationEnabled || settings.summaryEnabled || (settings.discussionSummaryEnabled && articleData.discussion)) {
+                try {
+                    console.log('ReadLater for Obsidian: Starting AI processing via Native Host');
+                    showProgressNotification('AI処理', 60, '翻訳・要約を生成しています...', progressContext);
+                    articleData = await processWithNativeClaude(articleData, settings, progressContext);
+                    showProgressNotification('AI処理完了', 85, 'AI機能の処理が完了しました', progressContext);
+                } catch (error) {
+                    console.warn('ReadLater for Obsidian: AI processing via Native Host failed; continue without AI', error);
+                    if (!silent) {
+                        showNotification('AI処理警告', 'AI機能の処理に失敗しました。記事は保存されます。', 'warning');
+                    }
+                }
+            }
+            
+            return await saveJobQueue.transition(job.id, SAVE_JOB_STATES.RENDERING, { articleData });
+        }
+        
+        case SAVE_JOB_STATES.RENDERING: {
+            // 保存方式の決定（集約 vs 個別）
+            showProgressNotification('保存方式確認', 85, '保存方式を確認しています...', progressContext);
+            
+            if (settings.aggregatedSavingEnabled) {
+                // 集約保存ではAggregatedFileManagerがテーブル行を生成する
+                console.log('ReadLater for Obsidian: Using aggregated saving mode');
+                return await saveJobQueue.transition(job.id, SAVE_JOB_STATES.WRITING, { markdown: null });
+            }
+            
+            // AI反映後にMarkdown生成（翻訳・要約を含める）
+            console.log('ReadLater for Obsidian: Using individual saving mode');
+            showProgressNotification('Markdown生成', 90, '記事をMarkdown形式に変換しています...', progressContext);
+            let markdown = await renderArticleMarkdown(job.articleData, settings);
+            
+            // 画像を添付ファイルフォルダに保存し、参照を書き換える（書き換え後のMarkdownをジョブに記録）
+            if (settings.downloadImages) {
+                showProgressNotification('画像保存', 92, '画像を保存しています...', progressContext);
+                markdown = await localizeArticleImages(markdown, job.articleData, settings, job.duplicateOf || null);
+            }
+            
+            // PDFは元のファイルも添付ファイルフォルダに保存し、ノートに埋め込む
+            if (settings.savePdfAttachment && job.articleData.strategy === 'pdf') {
+                showProgressNotification('PDF保存', 93, '元のPDFを保存しています...', progressContext);
+                markdown = await attachOriginalPdf(markdown, job.articleData, settings, job.duplicateOf || null);
+            }
+            return await saveJobQueue.transition(job.id, SAVE_JOB_STATES.WRITING, { markdown });
+        }
+        
+        case SAVE_JOB_STATES.WRITING: {
+            const articleData = job.articleData;
+            let saveResult = job.saveResult;
+            
+            // 書き込み済みで通知前に停止した場合は再書き込みしない
+            if (!saveResult) {
+                const duplicate = job.duplicateOf || null;
+                if (settings.aggregatedSavingEnabled) {
+                    showProgressNotification('集約保存', 90, '集約ファイルに記事を追加しています...', progressContext);
+                    // 更新ポリシーでは既存のテーブル行を置き換える
+                    const target = duplicate?.mode === 'aggregated' ? { ...articleData, replaceUrl: duplicate.url } : articleData;
+                    saveResult = await saveToAggregatedFile(target, settings);
+                } else {
+                    // ファイル保存（Native Host または Downloads API）
+                    showProgressNotification('ファイル保存', 95, 'Markdownファイルを保存しています...', progressContext);
+                    const markdown = job.markdown || await renderArticleMarkdown(articleData, settings);
+                    saveResult = await updateSavedNote(duplicate, markdown, settings) ||
+                        await saveMarkdownFile(markdown, articleData, settings);
+                }
+                await saveJobQueue.update(job.id, { saveResult });
+                await recordSavedArticle(articleData, saveResult);
+            }
+            
+            if (!silent) {
+                showSuccessNotification(articleData.title, saveResult);
+            }
+            
+            // Slack通知の送信（個別保存モードのみ）
+            // 要約が生成されていれば含める
+            if (!settings.aggregatedSavingEnabled) {
+                const summaryForSlack = articleData.summary || '';
+                await sendSlackNotification(articleData.title, articleData.url, summaryForSlack, settings);
+            }
+            
+            return await saveJobQueue.complete(job.id, { saveResult });
+        }
+        
+        default:
+            throw new Error(`不明なジョブ状態です: ${job.state}`);
+    }
+}
+
+/**
+ * 保存済みの記事を検索（正規化URLで照合）
+ * @param {Object} articleData - 記事データ（url, canonicalUrl）
+ * @returns {Promise<Object|null>} 保存済みエントリ
+ */
+async function findSavedArticle(articleData) {
+    try {
+        return await savedUrlIndex.find(articleData.url, articleData.canonicalUrl);
+    } catch (error) {
+        // 索引の不具合で保存自体を止めない
+        console.warn('ReadLater for Obsidian: Failed to look up saved URL index', error);
+        return null;
+    }
+}
+
+/**
+ * 保存済みURL索引への記録とバッジの更新
+ * @param {Object} articleData - 記事データ
+ * @param {Object} saveResult - 保存結果
  */
-chrome.contextMenus.onClicked.addListener((info, tab) => {
-    console.log('ReadLater for Obsidian: Context menu clicked', info.menuItemId);
+async function recordSavedArticle(articleData, saveResult) {
+    try {
+        await savedUrlIndex.record(articleData, saveResult);
+        await refreshActiveTabBadges();
+    } catch (error) {
+        console.warn('ReadLater for Obsidian: Failed to record saved URL', error);
+    }
+}
+
+/**
+ * 保存済みの個別ノートを更新（重複ポリシーが「更新」の場合）
+ * 既存ノートを読み込み、ユーザーが追加したセクション・フロントマターを残して本文と modified を更新する
+ * Native Host経由で書き込んだノートのみ対象。それ以外はnullを返し、新規保存に回す
+ * @param {Object|null} duplicate - 保存済みエントリ
+ * @param {string} markdown - 新しく生成したMarkdown
+ * @param {Object} settings - ユーザー設定（再保存時に値を残すプロパティの判定に使用）
+ * @returns {Promise<Object|null>} 保存結果
+ */
+async function updateSavedNote(duplicate, markdown, settings = {}) {
+    if (!duplicate || duplicate.mode !== 'individual' || !isAbsolutePath(duplicate.filePath || '')) {
+        return null;
+    }
     
-    switch (info.menuItemId) {
-        case 'readlater-save-article':
-            handleSaveArticle(info, tab);
-            break;
-        case 'readlater-settings':
-            handleOpenSettings();
-            break;
-        default:
-            console.warn('ReadLater for Obsidian: Unknown menu item', info.menuItemId);
+    let content = markdown;
+    try {
+        const existing = await readNativeFile(duplicate.filePath);
+        content = new MarkdownGenerator().mergeWithExisting(existing, markdown, new Date(),
+            FrontmatterMapping.mergeOptions(settings));
+    } catch (error) {
+        // ノートが削除・移動されている場合は同じパスに新しい内容を書き込む
+        console.warn('ReadLater for Obsidian: Failed to read saved note; rewriting it from scratch', error);
     }
-});
+    
+    try {
+        const res = await writeNativeFile(duplicate.filePath, content);
+        return {
+            success: true,
+            downloadId: null,
+            filename: res.filePath,
+            fileSize: res.bytes || content.length,
+            savedAt: new Date().toISOString(),
+            updated: true
+        };
+    } catch (error) {
+        console.warn('ReadLater for Obsidian: Failed to update saved note; saving a new copy', error);
+        return null;
+    }
+}
 
 /**
- * 記事保存処理の開始
- * @param {Object} info - コンテキストメニュー情報
- * @param {Object} tab - アクティブなタブ情報
+ * 個別保存用のMarkdown生成
+ * @param {Object} articleData - 記事データ
+ * @param {Object} settings - ユーザー設定
+ * @returns {Promise<string>} Markdownコンテンツ
  */
-async function handleSaveArticle(info, tab) {
+async function renderArticleMarkdown(articleData, settings) {
     try {
-        console.log('ReadLater for Obsidian: Starting article save process', {
-            url: tab.url,
-            title: tab.title,
-            selection: info.selectionText
-        });
-        
-        // 設定の確認
-        const settings = await getSettings();
-        if (!validateSettings(settings)) {
-            showNotification('設定エラー', '設定を確認してください。APIキーまたは保存先が未設定です。', 'error');
-            handleOpenSettings();
-            return;
-        }
-        
-        // 対象URLの確認（chrome:// や Chrome Web Storeでは動作不可）
-        if (!isSupportedUrl(tab.url)) {
-            showNotification('未対応のページ', 'このページではコンテンツ抽出が許可されていません。別のサイトでお試しください。', 'warning');
-            return;
+        if (typeof MarkdownGenerator !== 'undefined') {
+            console.log('ReadLater for Obsidian: Using MarkdownGenerator library');
+            const generator = new MarkdownGenerator();
+            const result = await generator.generateMarkdown(articleData, settings);
+            console.log('ReadLater for Obsidian: Markdown generated with library', result.filename);
+            return result.content;
         }
+        console.log('ReadLater for Obsidian: Using fallback markdown generation');
+        return generateBasicMarkdown(articleData, settings);
+    } catch (error) {
+        console.warn('ReadLater for Obsidian: Markdown generation failed, using fallback', error);
+        return generateBasicMarkdown(articleData, settings);
+    }
+}
 
-        // 進行状況通知
-        showProgressNotification('記事抽出開始', 10, 'ページから記事を抽出しています...');
+/**
+ * 記事の画像をダウンロードして保管庫に保存し、Markdown内の参照を書き換える
+ * Native Host経由で書き込むため、保存先が絶対パスの場合のみ有効
+ * @param {string} markdown - 生成したMarkdown
+ * @param {Object} articleData - 記事データ
+ * @param {Object} settings - ユーザー設定
+ * @param {Object|null} duplicate - 更新対象の保存済みノート
+ * @returns {Promise<string>} 画像の参照を書き換えたMarkdown（失敗時は元のMarkdown）
+ */
+async function localizeArticleImages(markdown, articleData, settings, duplicate) {
+    const noteFolder = getAttachmentNoteFolder(settings, duplicate);
+    
+    if (!noteFolder || !isAbsolutePath(noteFolder)) {
+        console.warn('ReadLater for Obsidian: Image download requires an absolute save path; keeping remote image links');
+        return markdown;
+    }
+    
+    try {
+        const downloader = new ImageDownloader({
+            writeFile: writeNativeBinaryFile,
+            maxBytes: (parseInt(settings.imageMaxSizeKB, 10) || DEFAULT_IMAGE_MAX_SIZE_KB) * 1024
+        });
+        const result = await downloader.localize(markdown, {
+            noteFolder,
+            imageFolder: settings.imageFolder || DEFAULT_IMAGE_FOLDER,
+            linkStyle: settings.imageLinkStyle,
+            baseUrl: articleData.url
+        });
         
-        // Content Scriptに記事抽出を依頼（必要なら動的注入）
-        await ensureContentScript(tab.id, tab.url);
+        console.log('ReadLater for Obsidian: Images saved', {
+            saved: result.images.length,
+            failed: result.errors.length
+        });
+        if (result.errors.length > 0) {
+            console.warn('ReadLater for Obsidian: Some images were not saved', result.errors);
+        }
+        return result.markdown;
+    } catch (error) {
+        // 画像の保存に失敗してもノートは元のURLのまま保存する
+        console.warn('ReadLater for Obsidian: Image download failed; keeping remote image links', error);
+        return markdown;
+    }
+}
 
-        chrome.tabs.sendMessage(tab.id, {
-            action: 'extractArticle',
-            data: {
-                url: tab.url,
-                title: tab.title,
-                selection: info.selectionText || null
-            }
-        }, async (response) => {
-            if (chrome.runtime.lastError) {
-                console.error('ReadLater for Obsidian: Failed to communicate with content script', chrome.runtime.lastError);
-                showNotification('エラー', 'ページの解析に失敗しました', 'error');
-                return;
-            }
-            
-            if (response && response.success) {
-                console.log('ReadLater for Obsidian: Article extraction successful');
-                showProgressNotification('記事抽出完了', 30, '記事データを処理しています...');
-                
-                try {
-                    await processExtractedArticle(response.data, settings);
-                } catch (error) {
-                    console.error('ReadLater for Obsidian: Error in processExtractedArticle', error);
-                    showErrorNotification('記事処理エラー', error, { url: tab.url });
-                }
-            } else {
-                console.error('ReadLater for Obsidian: Article extraction failed', response);
-                showErrorNotification('記事抽出エラー', new Error('記事の抽出に失敗しました'), { url: tab.url });
-            }
+/**
+ * 元のPDFを保管庫の添付ファイルフォルダに保存し、ノートの末尾に埋め込む
+ * Native Host経由で書き込むため、保存先が絶対パスの場合のみ有効
+ * @param {string} markdown - 生成したMarkdown
+ * @param {Object} articleData - PDFの記事データ
+ * @param {Object} settings - ユーザー設定
+ * @param {Object|null} duplicate - 更新対象の保存済みノート
+ * @returns {Promise<string>} PDFを埋め込んだMarkdown（失敗時は元のMarkdown）
+ */
+async function attachOriginalPdf(markdown, articleData, settings, duplicate) {
+    const noteFolder = getAttachmentNoteFolder(settings, duplicate);
+    
+    if (!noteFolder || !isAbsolutePath(noteFolder)) {
+        console.warn('ReadLater for Obsidian: Saving the PDF requires an absolute save path; skipping');
+        return markdown;
+    }
+    
+    try {
+        const downloader = new ImageDownloader({ writeFile: writeNativeBinaryFile, maxBytes: PDF_ATTACHMENT_MAX_BYTES });
+        const file = await downloader.saveFile(articleData.url, {
+            noteFolder,
+            imageFolder: settings.imageFolder || DEFAULT_IMAGE_FOLDER,
+            linkStyle: settings.imageLinkStyle,
+            fileName: articleData.pdf?.fileName || 'document.pdf',
+            accept: 'application/pdf',
+            // 抽出時（Offscreen Document）と同じくCookieを送り、ログインが必要なPDFも保存できるようにする
+            credentials: 'include'
         });
         
+        console.log('ReadLater for Obsidian: PDF saved', { filePath: file.filePath, bytes: file.bytes });
+        return `${markdown.trimEnd()}\n\n## 元のPDF\n\n${file.embed}\n`;
     } catch (error) {
-        console.error('ReadLater for Obsidian: Error in handleSaveArticle', error);
-        showErrorNotification('記事保存エラー', error, { url: tab?.url });
+        // PDFの保存に失敗してもノートは保存する
+        console.warn('ReadLater for Obsidian: Failed to save the PDF', error);
+        return markdown;
     }
 }
 
 /**
- * 抽出された記事データの処理
- * @param {Object} articleData - 抽出された記事データ
+ * 添付ファイルの基準にするノートのフォルダ（既存ノートを更新する場合は、そのノートのフォルダ）
  * @param {Object} settings - ユーザー設定
+ * @param {Object|null} duplicate - 更新対象の保存済みノート
+ * @returns {string} フォルダ
+ */
+function getAttachmentNoteFolder(settings, duplicate) {
+    return duplicate?.mode === 'individual' && isAbsolutePath(duplicate.filePath || '') ?
+        duplicate.filePath.replace(/[\\/][^\\/]*$/, '') :
+        settings.obsidianPath;
+}
+
+/**
+ * 保存ジョブの結果を保存履歴に記録
+ * @param {Object} job - 終了状態の保存ジョブ
+ * @param {Object} settings - ジョブ実行時の設定
  */
-async function processExtractedArticle(articleData, settings) {
+async function recordSaveHistory(job, settings) {
     try {
-        console.log('ReadLater for Obsidian: Processing extracted article', articleData);
-        
-        // ネイティブメッセージング経由のAI処理（翻訳・要約）
-        if (settings.translationEnabled || settings.summaryEnabled) {
-            try {
-                console.log('ReadLater for Obsidian: Starting AI processing via Native Host');
-                showProgressNotification('AI処理', 60, '翻訳・要約を生成しています...');
-                articleData = await processWithNativeClaude(articleData, settings);
-                showProgressNotification('AI処理完了', 85, 'AI機能の処理が完了しました');
-            } catch (error) {
-                console.warn('ReadLater for Obsidian: AI processing via Native Host failed; continue without AI', error);
-                showNotification('AI処理警告', 'AI機能の処理に失敗しました。記事は保存されます。', 'warning');
-            }
-        }
-        // 保存方式の決定（集約 vs 個別）
-        showProgressNotification('保存方式確認', 85, '保存方式を確認しています...');
-        
-        if (settings.aggregatedSavingEnabled) {
-            // 集約保存モード
-            console.log('ReadLater for Obsidian: Using aggregated saving mode');
-            showProgressNotification('集約保存', 90, '集約ファイルに記事を追加しています...');
-            const saveResult = await saveToAggregatedFile(articleData, settings);
-            showSuccessNotification(articleData.title, saveResult);
-        } else {
-            // 個別保存モード（既存の処理）
-            console.log('ReadLater for Obsidian: Using individual saving mode');
-            
-            // AI反映後にMarkdown生成（翻訳・要約を含める）
-            showProgressNotification('Markdown生成', 90, '記事をMarkdown形式に変換しています...');
-            let markdown;
-            try {
-                if (typeof MarkdownGenerator !== 'undefined') {
-                    console.log('ReadLater for Obsidian: Using MarkdownGenerator library');
-                    const generator = new MarkdownGenerator();
-                    const result = await generator.generateMarkdown(articleData, settings);
-                    markdown = result.content;
-                    console.log('ReadLater for Obsidian: Markdown generated with library', result.filename);
-                } else {
-                    console.log('ReadLater for Obsidian: Using fallback markdown generation');
-                    markdown = generateBasicMarkdown(articleData);
-                }
-            } catch (error) {
-                console.warn('ReadLater for Obsidian: Markdown generation failed, using fallback', error);
-                markdown = generateBasicMarkdown(articleData);
-            }
+        await saveHistory.upsert(SaveHistory.fromJob(job, settings));
+    } catch (error) {
+        // 履歴の記録失敗は保存処理に影響を与えない
+        console.warn('ReadLater for Obsidian: Failed to record save history', error);
+    }
+}
 
-            // ファイル保存（Downloads APIを使用）
-            showProgressNotification('ファイル保存', 95, 'Markdownファイルを保存しています...');
-            const saveResult = await saveMarkdownFile(markdown, articleData.title, settings);
-            showSuccessNotification(articleData.title, saveResult);
-            
-            // Slack通知の送信（個別保存モードのみ）
-            // 要約が生成されていれば含める
-            const summaryForSlack = articleData.summary || '';
-            await sendSlackNotification(articleData.title, articleData.url, summaryForSlack, settings);
+/**
+ * 失敗した保存ジョブを失敗した段階から再試行
+ * @param {string} historyId - 保存履歴ID
+ * @returns {Promise<Object>} 処理結果
+ */
+async function retrySaveJob(historyId) {
+    const record = await saveHistory.get(historyId);
+    if (!record) {
+        throw new Error('保存履歴が見つかりません');
+    }
+    
+    const job = record.jobId ? await saveJobQueue.get(record.jobId) : null;
+    if (!job || job.state !== SAVE_JOB_STATES.FAILED) {
+        throw new Error('再試行できる保存ジョブがありません');
+    }
+    
+    await saveJobQueue.transition(job.id, job.failedState || SAVE_JOB_STATES.EXTRACTED, {
+        attempts: 0,
+        error: null,
+        failedState: null
+    });
+    await saveHistory.update(record.id, { status: 'processing', error: null });
+    scheduleSaveJobWatchdog();
+    
+    // 処理結果は保存履歴の更新で通知されるため完了を待たない
+    runSaveJob(job.id);
+    return { success: true };
+}
+
+/**
+ * 保存済みノートのAI要約を再生成して書き換え
+ * @param {string} historyId - 保存履歴ID
+ * @returns {Promise<Object>} 更新後の履歴レコード
+ */
+async function resummarizeHistoryRecord(historyId) {
+    const record = await saveHistory.get(historyId);
+    if (!record) {
+        throw new Error('保存履歴が見つかりません');
+    }
+    if (record.mode !== 'individual' || !record.filePath || !isAbsolutePath(record.filePath)) {
+        throw new Error('AI要約の再実行は個別保存されたノートのみ対応しています');
+    }
+    
+    const noteEditor = new NoteEditor();
+    const markdown = await readNativeFile(record.filePath);
+    const content = noteEditor.getArticleContent(markdown);
+    if (!content) {
+        throw new Error('ノートから記事内容を取得できませんでした');
+    }
+    
+    const summarySettings = { ...(await getSettings()), summaryEnabled: true };
+    const result = await processWithNativeClaude({ title: record.title, url: record.url, content }, summarySettings);
+    if (!result.summary) {
+        throw new Error(result.summaryError || '要約を生成できませんでした');
+    }
+    
+    await writeNativeFile(record.filePath, noteEditor.replaceSummarySection(markdown, result.summary));
+    showNotification('AI要約更新', `「${record.title}」の要約を更新しました`, 'success');
+    
+    return await saveHistory.update(record.id, {
+        summaryStatus: SaveHistory.getSummaryStatus(result, summarySettings),
+        summaryError: result.summaryError || null,
+        resummarizedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * 保存履歴の削除（失敗したジョブも併せて破棄）
+ * @param {string} historyId - 保存履歴ID
+ * @returns {Promise<Object>} 処理結果
+ */
+async function removeHistoryRecord(historyId) {
+    const record = await saveHistory.get(historyId);
+    if (!record) {
+        return { success: true, removed: false };
+    }
+    
+    const job = record.jobId ? await saveJobQueue.get(record.jobId) : null;
+    if (job && job.state === SAVE_JOB_STATES.FAILED) {
+        await saveJobQueue.remove(job.id);
+    }
+    
+    const removed = await saveHistory.remove(record.id);
+    return { success: true, removed };
+}
+
+/**
+ * 未完了の保存ジョブを再開
+ * Service Workerの起動・復帰時とウォッチドッグアラームから呼ばれる
+ */
+async function resumePendingSaveJobs() {
+    try {
+        const pending = await saveJobQueue.getPendingJobs();
+        if (pending.length === 0) {
+            chrome.alarms?.clear(SAVE_JOB_WATCHDOG_ALARM);
+            return;
         }
         
+        console.log('ReadLater for Obsidian: Resuming pending save jobs', { count: pending.length });
+        for (const job of pending) {
+            await runSaveJob(job.id);
+        }
     } catch (error) {
-        console.error('ReadLater for Obsidian: Error processing article', error);
-        showErrorNotification('記事処理エラー', error, { url: articleData.url });
+        console.error('ReadLater for Obsidian: Failed to resume save jobs', error);
     }
 }
 
+/**
+ * 未完了ジョブがある間、定期的にService Workerを起こして再開を試みる
+ */
+function scheduleSaveJobWatchdog() {
+    chrome.alarms?.create(SAVE_JOB_WATCHDOG_ALARM, { periodInMinutes: 1 });
+}
+
 /**
  * 基本的なMarkdown生成（簡易版 - Sprint 4で詳細実装予定）
  * @param {Object} articleData - 記事データ
+ * @param {Object} settings - ユーザー設定（extraTags）
  * @returns {string} Markdownコンテンツ
  */
-function generateBasicMarkdown(articleData) {
+function generateBasicMarkdown(articleData, settings = {}) {
     const now = new Date();
     const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
+    const frontmatter = YamlSerializer.frontmatter({
+        title: articleData.title,
+        url: articleData.url,
+        date: dateStr,
+        tags: ['ReadLater', ...(settings.extraTags || [])]
+    });
     
-    return `---
-title: "${articleData.title}"
-url: "${articleData.url}"
-date: "${dateStr}"
-tags: ["ReadLater"]
----
-
+    return `${frontmatter}
 # ${articleData.title}
 
 **元記事**: [${articleData.title}](${articleData.url})  
@@ -240,7 +1367,7 @@ tags: ["ReadLater"]
 
 ## 記事内容
 
-${articleData.content || '記事内容の抽出に失敗しました'}
+${articleData.contentMarkdown || articleData.content || '記事内容の抽出に失敗しました'}
 
 ---
 *Generated by ReadLater for Obsidian*
@@ -262,24 +1389,17 @@ function isAbsolutePath(p) {
 /**
  * Markdownファイルを保存
  * @param {string} markdown - 保存するMarkdownコンテンツ
- * @param {string} title - 記事タイトル
+ * @param {Object} articleData - 記事データ（ファイル名テンプレートの展開に使用）
  * @param {Object} settings - ユーザー設定
  * @returns {Promise<Object>} 保存結果
  */
-async function saveMarkdownFile(markdown, title, settings) {
+async function saveMarkdownFile(markdown, articleData, settings) {
+    // ファイル名は設定のテンプレート（fileNameTemplate）から生成
+    const filename = FilenameTemplate.generate(articleData, settings);
+    
     // If absolute path is provided, try native host write first
     try {
         if (settings.obsidianPath && isAbsolutePath(settings.obsidianPath)) {
-            const now = new Date();
-            const dateStr = now.toISOString().split('T')[0];
-            const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-');
-            const safeTitle = title
-                .replace(/[^a-zA-Z0-9\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF\s\-_]/g, '')
-                .replace(/\s+/g, '_')
-                .trim()
-                .substring(0, 50);
-            const filename = `${dateStr}_${timeStr}_${safeTitle}.md`;
-
             if (typeof NativeClaudeBridge !== 'undefined') {
                 const bridge = new NativeClaudeBridge();
                 const status = await bridge.checkStatus();
@@ -294,22 +1414,7 @@ async function saveMarkdownFile(markdown, title, settings) {
                         contentLength: markdown.length
                     });
                     
-                    const res = await new Promise((resolveNative, rejectNative) => {
-                        chrome.runtime.sendNativeMessage('com.readlater.claude_host', {
-                            type: 'writeFile',
-                            filePath: fullPath,
-                            content: markdown,
-                            encoding: 'utf8'
-                        }, (response) => {
-                            if (chrome.runtime.lastError) {
-                                return rejectNative(new Error(chrome.runtime.lastError.message));
-                            }
-                            if (!response || response.ok === false) {
-                                return rejectNative(new Error(response?.error || 'Native host write failed'));
-                            }
-                            resolveNative(response);
-                        });
-                    });
+                    const res = await writeNativeFile(fullPath, markdown);
                     
                     console.log('ReadLater for Obsidian: Native Host write successful', {
                         filePath: res.filePath,
@@ -333,19 +1438,6 @@ async function saveMarkdownFile(markdown, title, settings) {
 
     return new Promise((resolve, reject) => {
         try {
-            const now = new Date();
-            const dateStr = now.toISOString().split('T')[0];
-            const timeStr = now.toTimeString().split(' ')[0].replace(/:/g, '-');
-            
-            // ファイル名の生成（安全な文字のみ使用、長さ制限）
-            const safeTitle = title
-                .replace(/[^a-zA-Z0-9\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF\s\-_]/g, '')
-                .replace(/\s+/g, '_')
-                .trim()
-                .substring(0, 50); // 最大50文字
-            
-            const filename = `${dateStr}_${timeStr}_${safeTitle}.md`;
-            
             // 進捗通知
             showNotification('保存中', 'Markdownファイルを保存しています...', 'info');
             
@@ -426,6 +1518,55 @@ async function saveMarkdownFile(markdown, title, settings) {
     });
 }
 
+/**
+ * Native Hostへのファイル操作メッセージ送信
+ * @param {Object} payload - 送信するメッセージ
+ * @returns {Promise<Object>} レスポンス
+ */
+function sendNativeFileMessage(payload) {
+    return new Promise((resolve, reject) => {
+        chrome.runtime.sendNativeMessage('com.readlater.claude_host', payload, (response) => {
+            if (chrome.runtime.lastError) {
+                return reject(new Error(chrome.runtime.lastError.message));
+            }
+            if (!response || response.ok === false) {
+                return reject(new Error(response?.error || `Native host ${payload.type} failed`));
+            }
+            resolve(response);
+        });
+    });
+}
+
+/**
+ * Native Host経由でファイルを書き込み
+ * @param {string} filePath - 完全パス
+ * @param {string} content - ファイル内容
+ * @returns {Promise<Object>} レスポンス（filePath, bytes）
+ */
+function writeNativeFile(filePath, content) {
+    return sendNativeFileMessage({ type: 'writeFile', filePath, content, encoding: 'utf8' });
+}
+
+/**
+ * Native Host経由でバイナリファイルを書き込み
+ * @param {string} filePath - 完全パス
+ * @param {string} data - base64でエンコードした内容
+ * @returns {Promise<Object>} レスポンス（filePath, bytes, skipped）
+ */
+function writeNativeBinaryFile(filePath, data) {
+    return sendNativeFileMessage({ type: 'writeBinaryFile', filePath, data });
+}
+
+/**
+ * Native Host経由でファイルを読み込み
+ * @param {string} filePath - 完全パス
+ * @returns {Promise<string>} ファイル内容
+ */
+async function readNativeFile(filePath) {
+    const response = await sendNativeFileMessage({ type: 'readFile', filePath, encoding: 'utf8' });
+    return response.content || '';
+}
+
 /**
  * 設定画面を開く
  */
@@ -433,26 +1574,51 @@ function handleOpenSettings() {
     chrome.runtime.openOptionsPage();
 }
 
+/**
+ * 保存履歴ページを開く
+ */
+function handleOpenLibrary() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/library/library.html') });
+}
+
 /**
  * 初期設定の設定
  */
 async function initializeDefaultSettings() {
-    const existingSettings = await chrome.storage.sync.get(['readlaterSettings']);
+    const settingsStore = new SettingsStore();
+    const existingSettings = await settingsStore.load();
     
-    if (!existingSettings.readlaterSettings) {
+    if (!existingSettings) {
         const defaultSettings = {
             obsidianPath: '',
             translationEnabled: true,
             summaryEnabled: true,
             targetLanguage: 'ja',
-            fileNaming: 'date-title',
+            fileNaming: 'date-time-title',
+            fileNameTemplate: DEFAULT_FILENAME_TEMPLATE,
+            fileNameMaxLength: DEFAULT_FILENAME_MAX_LENGTH,
+            fileNameTransliterate: false,
+            noteTemplatePreset: 'default',
+            noteTemplate: '',
+            frontmatterProperties: {},
+            frontmatterExtraProperties: {},
+            downloadImages: false,
+            imageFolder: DEFAULT_IMAGE_FOLDER,
+            imageLinkStyle: 'markdown',
+            imageMaxSizeKB: DEFAULT_IMAGE_MAX_SIZE_KB,
+            savePdfAttachment: false,
+            discussionCommentLimit: 20,
+            discussionSummaryEnabled: false,
             aggregatedSavingEnabled: false,
             aggregatedFileName: 'ReadLater_Articles.md',
+            duplicatePolicy: 'skip',
+            routingRules: [],
+            extractionRules: [],
             slackNotificationEnabled: false,
             slackWebhookUrl: ''
         };
         
-        await chrome.storage.sync.set({ readlaterSettings: defaultSettings });
+        await settingsStore.save(defaultSettings);
         console.log('ReadLater for Obsidian: Default settings initialized');
     }
 }
@@ -462,8 +1628,7 @@ async function initializeDefaultSettings() {
  * @returns {Promise<Object>} ユーザー設定
  */
 async function getSettings() {
-    const result = await chrome.storage.sync.get(['readlaterSettings']);
-    return result.readlaterSettings || {};
+    return (await new SettingsStore().load()) || {};
 }
 
 /**
@@ -539,21 +1704,9 @@ async function saveToAggregatedFile(articleData, settings) {
         showNotification('集約保存失敗', '集約保存に失敗しました。個別ファイルで保存します。', 'warning');
         
         // 個別保存のMarkdown生成
-        let markdown;
-        try {
-            if (typeof MarkdownGenerator !== 'undefined') {
-                const generator = new MarkdownGenerator();
-                const result = await generator.generateMarkdown(articleData, settings);
-                markdown = result.content;
-            } else {
-                markdown = generateBasicMarkdown(articleData);
-            }
-        } catch (markdownError) {
-            console.warn('ReadLater for Obsidian: Markdown generation failed, using fallback', markdownError);
-            markdown = generateBasicMarkdown(articleData);
-        }
+        const markdown = await renderArticleMarkdown(articleData, settings);
         
-        return await saveMarkdownFile(markdown, articleData.title, settings);
+        return await saveMarkdownFile(markdown, articleData, settings);
     }
 }
 
@@ -625,14 +1778,39 @@ function tryShowSWNotification(title, message) {
  * @param {string} stage - 処理段階
  * @param {number} progress - 進捗率 (0-100)
  * @param {string} details - 詳細情報
+ * @param {Object} context - 進捗の対象（jobId, tabId）。silentの場合は通知せず配信のみ
  */
-function showProgressNotification(stage, progress, details = '') {
+function showProgressNotification(stage, progress, details = '', context = {}) {
+    const { silent = false, ...target } = context;
     const progressBar = '█'.repeat(Math.floor(progress / 10)) + '░'.repeat(10 - Math.floor(progress / 10));
     const message = `${stage}\n${progressBar} ${progress}%\n${details}`;
     
-    showNotification('処理中', message, 'info', {
-        requireInteraction: false
-    });
+    if (!silent) {
+        showNotification('処理中', message, 'info', {
+            requireInteraction: false
+        });
+    }
+    
+    broadcastSaveProgress({ stage, progress, details, ...target });
+}
+
+/**
+ * 進捗をポップアップなどの拡張機能ページへ配信し、ジョブにも記録
+ * @param {Object} progressInfo - 進捗情報（stage, progress, details, jobId, tabId）
+ */
+function broadcastSaveProgress(progressInfo) {
+    const { jobId = null, tabId = null, ...progress } = progressInfo;
+    const updatedAt = new Date().toISOString();
+    
+    // 受信側（ポップアップ）が開いていない場合のエラーは無視
+    chrome.runtime.sendMessage({
+        action: 'saveProgress',
+        data: { jobId, tabId, ...progress, updatedAt }
+    }).catch(() => {});
+    
+    if (jobId) {
+        saveJobQueue.update(jobId, { progress: { ...progress, updatedAt } }).catch(() => {});
+    }
 }
 
 /**
@@ -641,9 +1819,10 @@ function showProgressNotification(stage, progress, details = '') {
  * @param {Object} result - 保存結果
  */
 function showSuccessNotification(title, result) {
-    const message = `記事「${title}」を保存しました\nファイル: ${result.filename}\nサイズ: ${formatFileSize(result.fileSize)}`;
+    const verb = result.updated ? '更新' : '保存';
+    const message = `記事「${title}」を${verb}しました\nファイル: ${result.filename}\nサイズ: ${formatFileSize(result.fileSize)}`;
     
-    showNotification('保存完了', message, 'success', {
+    showNotification(`${verb}完了`, message, 'success', {
         requireInteraction: false
     });
 }
@@ -887,9 +2066,25 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     
     switch (request.action) {
         case 'saveArticle':
-            handleSaveArticle(request.data, sender.tab);
+            // ポップアップからの場合は送信元タブがないため、指定されたタブを対象にする
+            return respondAsync(resolveRequestTab(request.data, sender).then(tab => {
+                handleSaveArticle(request.data || {}, tab, request.data?.options || {});
+                return { success: true };
+            }), sendResponse);
+            
+        case 'saveWindowTabs':
+            // 完了まで待たずに開始を通知（進捗は batchSaveProgress で配信）
+            if (activeBatchSave) {
+                sendResponse({ success: false, error: '一括保存を実行中です' });
+                break;
+            }
+            handleSaveWindowTabs(request.data?.windowId, request.data?.options || {});
+            sendResponse({ success: true });
             break;
             
+        case 'getSaveJobs':
+            return respondAsync(getSaveJobSummaries().then(jobs => ({ success: true, jobs })), sendResponse);
+            
         case 'openSettings':
             handleOpenSettings();
             break;
@@ -901,11 +2096,100 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             });
             return true; // 非同期レスポンスのため
             
+        case 'openLibrary':
+            handleOpenLibrary();
+            break;
+            
+        case 'getSaveHistory':
+            return respondAsync(saveHistory.list().then(records => ({ success: true, records })), sendResponse);
+            
+        case 'retrySaveJob':
+            return respondAsync(retrySaveJob(request.data?.historyId), sendResponse);
+            
+        case 'resummarizeHistoryRecord':
+            return respondAsync(
+                resummarizeHistoryRecord(request.data?.historyId).then(record => ({ success: true, record })),
+                sendResponse
+            );
+            
+        case 'removeHistoryRecord':
+            return respondAsync(removeHistoryRecord(request.data?.historyId), sendResponse);
+            
+        case 'testExtractionRule':
+            return respondAsync(testExtractionRuleOnTab(request.data?.rule), sendResponse);
+            
         default:
             console.warn('ReadLater for Obsidian: Unknown action', request.action);
     }
 });
 
+/**
+ * メッセージの対象タブを取得
+ * @param {Object} data - メッセージデータ（tabId）
+ * @param {Object} sender - 送信元情報
+ * @returns {Promise<Object>} タブ
+ */
+async function resolveRequestTab(data, sender) {
+    if (sender?.tab) return sender.tab;
+    if (data?.tabId) return await chrome.tabs.get(data.tabId);
+    throw new Error('保存対象のタブが指定されていません');
+}
+
+/**
+ * 抽出ルールを直近に表示していたWebページのタブで試す（設定画面の「現在のタブで試す」）
+ * @param {Object} rule - 抽出ルール
+ * @returns {Promise<Object>} { success, result }（抽出結果のプレビュー）
+ */
+async function testExtractionRuleOnTab(rule) {
+    const tabs = await chrome.tabs.query({});
+    // 設定画面自身のタブを除き、最後に表示していたhttp(s)のタブを対象にする
+    const tab = tabs
+        .filter(candidate => isSupportedUrl(candidate.url))
+        .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0) || Number(b.active) - Number(a.active))[0];
+    if (!tab) {
+        throw new Error('抽出を試すWebページのタブがありません');
+    }
+    
+    await ensureContentScript(tab.id, tab.url);
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'testExtractionRule', data: { rule } });
+    if (!response?.success) {
+        throw new Error(response?.error || '抽出に失敗しました');
+    }
+    return { success: true, result: response.data };
+}
+
+/**
+ * ポップアップ表示用の保存ジョブ一覧（本文などの大きなデータを除外）
+ * @returns {Promise<Array<Object>>} ジョブ概要の配列（新しい順）
+ */
+async function getSaveJobSummaries() {
+    const jobs = await saveJobQueue.list();
+    return jobs.reverse().map(job => ({
+        id: job.id,
+        state: job.state,
+        title: job.articleData?.title || '',
+        url: job.articleData?.url || '',
+        progress: job.progress || null,
+        error: job.error || null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt
+    }));
+}
+
+/**
+ * 非同期処理の結果をメッセージ送信元に返す
+ * @param {Promise<Object>} promise - 処理結果
+ * @param {Function} sendResponse - レスポンス関数
+ * @returns {boolean} 非同期レスポンスのためtrue
+ */
+function respondAsync(promise, sendResponse) {
+    promise.then(sendResponse).catch(error => {
+        console.error('ReadLater for Obsidian: Message handling failed', error);
+        sendResponse({ success: false, error: error.message });
+    });
+    return true;
+}
+
 /**
  * 対象URLがコンテンツスクリプト注入を許可しているか
  */
@@ -936,11 +2220,11 @@ async function ensureContentScript(tabId, url) {
         if (ping) return; // 既に注入済み
     } catch {}
 
-    // scripting.executeScript で注入
+    // scripting.executeScript で注入（manifest の content_scripts と同じファイルを同じ順で）
     try {
         await chrome.scripting.executeScript({
             target: { tabId },
-            files: ['src/lib/article-extractor.js', 'src/lib/markdown-generator.js', 'src/content/content-script.js']
+            files: chrome.runtime.getManifest().content_scripts.flatMap(script => script.js || [])
         });
         console.log('ReadLater for Obsidian: Content scripts injected');
     } catch (e) {
@@ -952,9 +2236,10 @@ async function ensureContentScript(tabId, url) {
  * AI処理（Native Messaging使用）
  * @param {Object} articleData
  * @param {Object} settings
+ * @param {Object} progressContext - 進捗の対象（jobId, silent）
  * @returns {Promise<Object>}
  */
-async function processWithNativeClaude(articleData, settings) {
+async function processWithNativeClaude(articleData, settings, progressContext = {}) {
     if (typeof NativeClaudeBridge === 'undefined') throw new Error('Native bridge not available');
 
     const bridge = new NativeClaudeBridge();
@@ -1009,7 +2294,7 @@ async function processWithNativeClaude(articleData, settings) {
                     console.log(`ReadLater for Obsidian: Summarizing chunk ${i}/${chunks.length}`, {
                         chunkLength: ch.length
                     });
-                    showProgressNotification('AI要約', Math.min(75 + Math.floor((i / chunks.length) * 10), 85), `部分要約 ${i}/${chunks.length}`);
+                    showProgressNotification('AI要約', Math.min(75 + Math.floor((i / chunks.length) * 10), 85), `部分要約 ${i}/${chunks.length}`, progressContext);
                     
                     const part = await bridge.summarize(ch, { style: 'bullet', maxLength: 280, timeoutMs: 180000 });
                     console.log(`ReadLater for Obsidian: Chunk ${i} summarized`, {
@@ -1096,6 +2381,22 @@ async function processWithNativeClaude(articleData, settings) {
         }
     }
 
+    // 掲示板の議論の要約（記事の要約とは別に、コメントの主な論点をまとめる）
+    if (settings.discussionSummaryEnabled && articleData.discussion?.text) {
+        try {
+            showProgressNotification('AI要約', 85, 'ディスカッションの論点をまとめています...', progressContext);
+            const discussion = await bridge.summarize(articleData.discussion.text.slice(0, 12000), {
+                style: 'discussion',
+                maxLength: settings.summaryLength || 500,
+                timeoutMs: 90000
+            });
+            result.discussionSummary = discussion.summary || discussion.data || '';
+        } catch (e) {
+            console.warn('ReadLater for Obsidian: Discussion summary via native host failed', e);
+            result.discussionSummaryError = e.message;
+        }
+    }
+
     return result;
 }
 
@@ -1161,3 +2462,6 @@ function generateLocalSummaryFromText(text, lang = 'ja', maxLen = 500) {
     const bullets = summaryBody.split(/\n/).map(line => `- ${line}`).join('\n');
     return `${title}\n\n${bullets}`;
 }
+
+// Service Worker復帰時（停止後の再起動）にも未完了ジョブを再開
+resumePendingSaveJobs();
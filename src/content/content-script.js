@@ -33,6 +33,15 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         
         // 非同期レスポンスのため true を返す
         return true;
+    } else if (request.action === 'testExtractionRule') {
+        testExtractionRule(request.data?.rule)
+            .then(result => sendResponse({ success: true, data: result }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+        
+        return true;
+    } else if (request.action === 'collectSelectionLinks') {
+        sendResponse({ success: true, links: collectSelectionLinks() });
+        return;
     } else if (request.action === 'ping') {
         sendResponse({ ok: true });
         return; 
@@ -53,6 +62,7 @@ async function handleExtractArticle(data) {
             return {
                 url: data.url || window.location.href,
                 title: data.title || extractTitle(),
+                canonicalUrl: extractCanonicalUrl(),
                 domain: window.location.hostname,
                 content: data.selection.trim(),
                 metadata: extractMetadata(),
@@ -77,6 +87,83 @@ async function handleExtractArticle(data) {
     }
 }
 
+/**
+ * 設定画面からの抽出ルールの試行
+ * ルールのドメイン・URL条件に一致するかを報告したうえで、一致しなくてもこのページに適用した結果を返す
+ * @param {Object} rule - 抽出ルール
+ * @returns {Promise<Object>} 抽出結果のプレビュー
+ */
+async function testExtractionRule(rule) {
+    if (!articleExtractor || typeof ExtractionRules === 'undefined') {
+        throw new Error('抽出ライブラリが読み込まれていません');
+    }
+    
+    const normalized = ExtractionRules.normalizeRule(rule);
+    const matched = ExtractionRules.matches(normalized, window.location.href);
+    const result = await articleExtractor.extractArticle({
+        extractionRules: [{ ...normalized, domain: '*', urlPattern: '' }],
+        followPagination: false
+    });
+    
+    return {
+        url: window.location.href,
+        matched,
+        title: result.title,
+        author: result.metadata?.author || '',
+        publishDate: result.metadata?.publishDate || '',
+        strategy: result.strategy,
+        contentLength: (result.content || '').length,
+        excerpt: (result.contentMarkdown || result.content || '').slice(0, 1000)
+    };
+}
+
+/**
+ * 選択範囲に含まれるリンクの収集
+ * ページ内リンク（同一ページのアンカー）とhttp(s)以外は除外する
+ * @returns {Array<Object>} リンク一覧（url, text）
+ */
+function collectSelectionLinks() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) {
+        return [];
+    }
+    
+    const currentUrl = window.location.href.split('#')[0];
+    const seen = new Set();
+    const links = [];
+    
+    for (let i = 0; i < selection.rangeCount; i++) {
+        const range = selection.getRangeAt(i);
+        const root = range.commonAncestorContainer;
+        const container = root.nodeType === Node.ELEMENT_NODE ? root : root.parentElement;
+        if (!container) continue;
+        
+        const anchors = [container.closest('a[href]'), ...container.querySelectorAll('a[href]')];
+        for (const anchor of anchors) {
+            if (!anchor || !range.intersectsNode(anchor)) continue;
+            
+            let url;
+            try {
+                url = new URL(anchor.href, window.location.href);
+            } catch (e) {
+                continue;
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') continue;
+            
+            url.hash = '';
+            if (url.href === currentUrl || seen.has(url.href)) continue;
+            seen.add(url.href);
+            
+            links.push({
+                url: url.href,
+                text: (anchor.textContent || '').trim().slice(0, 200)
+            });
+        }
+    }
+    
+    return links;
+}
+
 /**
  * フォールバック記事抽出
  * @param {Object} data - 抽出対象データ
@@ -86,6 +173,7 @@ async function extractArticleFallback(data) {
     const basicInfo = {
         url: data.url || window.location.href,
         title: data.title || extractTitle(),
+        canonicalUrl: extractCanonicalUrl(),
         domain: window.location.hostname,
         timestamp: new Date().toISOString()
     };
@@ -133,6 +221,20 @@ function extractTitle() {
     return 'Untitled Article';
 }
 
+/**
+ * 正規URL（link[rel=canonical] または og:url）の抽出
+ * @returns {string|null} 正規URL
+ */
+function extractCanonicalUrl() {
+    const link = document.querySelector('link[rel="canonical"][href]');
+    if (link && link.href) {
+        return link.href;
+    }
+    
+    const ogUrl = document.querySelector('meta[property="og:url"]');
+    return ogUrl && ogUrl.content ? ogUrl.content.trim() : null;
+}
+
 /**
  * メインコンテンツの自動抽出
  * @returns {Promise<string>} 抽出されたコンテンツ
@@ -296,6 +296,14 @@ class AggregatedFileManager {
             // テーブルに新しい行を追加
             const newTableRow = `| ${escapedTitle} | ${articleData.url} | ${escapedSummary} | ${date} |`;
             
+            // 再保存（重複時の更新）の場合は既存の行を置き換える
+            if (articleData.replaceUrl) {
+                const replaced = this.replaceTableRow(existingContent, articleData.replaceUrl, newTableRow);
+                if (replaced !== null) {
+                    return replaced;
+                }
+            }
+            
             let updatedContent = existingContent;
 
             // テーブルの更新
@@ -341,6 +349,29 @@ class AggregatedFileManager {
         }
     }
 
+    /**
+     * URLが一致するテーブル行を置き換え
+     * @param {string} content - ファイル内容
+     * @param {string} url - 置き換え対象の記事URL
+     * @param {string} newRow - 新しいテーブル行
+     * @returns {string|null} 置き換え後の内容（該当行がない場合はnull）
+     */
+    replaceTableRow(content, url, newRow) {
+        const lines = content.split('\n');
+        const index = lines.findIndex(line => {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('|') || !trimmed.endsWith('|')) return false;
+            const columns = trimmed.split('|').map(col => col.trim()).slice(1, -1);
+            return columns.length >= 4 && columns[1] === url;
+        });
+        
+        if (index < 0) {
+            return null;
+        }
+        lines[index] = newRow;
+        return lines.join('\n');
+    }
+
     /**
      * 有効な集約ファイル形式かチェック
      * @param {string} content - ファイル内容
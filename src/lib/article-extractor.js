@@ -1,12 +1,49 @@
 // ReadLater for Obsidian - Article Extractor Library
 // 高度な記事抽出とDOM解析を担当
 
+// 複数ページの記事で取得する最大ページ数（1ページ目を含む）
+const MAX_ARTICLE_PAGES = 10;
+
+const PAGE_FETCH_TIMEOUT_MS = 15000;
+
+// ページ番号を表すクエリパラメータ（WordPress の ?p= は記事IDのため含めない）
+const PAGE_QUERY_PARAMS = ['page', 'pg', 'paged'];
+
+// ページ送りのナビゲーション
+const PAGINATION_CONTAINER_SELECTOR = [
+    '.pagination', '.pager', '.page-numbers', '.page-links', '.pages',
+    '[class*="paginat"]', '[class*="pager"]', 'nav[aria-label*="page"]', 'nav[aria-label*="Page"]', 'nav[aria-label*="ページ"]'
+].join(', ');
+
+const NEXT_PAGE_LABEL_PATTERN = /^(次へ|次のページ|次ページ|next(\s*page)?|›|»|→|>)/i;
+
 /**
  * 記事抽出の主要クラス
  * 複数の抽出戦略を統合し、最適な結果を返す
  */
 class ArticleExtractor {
-    constructor() {
+    /**
+     * @param {Object} options - 抽出対象
+     * @param {Document} options.document - 解析するドキュメント（既定は現在のページ）
+     * @param {string} options.url - ドキュメントのURL（DOMParserで生成したドキュメントでは必須）
+     * @param {SiteAdapterRegistry} options.siteAdapters - サイトアダプタ（既定は組み込みのアダプタ）
+     * @param {Array<Object>} options.extractionRules - ユーザー定義の抽出ルール（ExtractionRules の形式）
+     * @param {Function} options.fetch - 2ページ目以降の取得に使う fetch（既定はグローバルの fetch）
+     * @param {number} options.maxPages - 複数ページの記事で取得する最大ページ数
+     * @param {number} options.discussionCommentLimit - 掲示板の投稿で取り込むトップレベルのコメント数
+     */
+    constructor(options = {}) {
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.url = options.url || this.document?.location?.href || '';
+        this.htmlToMarkdown = options.htmlToMarkdown || new (typeof HTMLToMarkdownConverter !== 'undefined' ?
+            HTMLToMarkdownConverter : require('./html-to-markdown.js').HTMLToMarkdownConverter)();
+        this.siteAdapters = options.siteAdapters || (typeof SiteAdapterRegistry !== 'undefined' ?
+            SiteAdapterRegistry : require('./site-adapters.js').SiteAdapterRegistry).createDefault();
+        this.extractionRules = options.extractionRules || [];
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null);
+        this.maxPages = options.maxPages || MAX_ARTICLE_PAGES;
+        this.discussionCommentLimit = options.discussionCommentLimit;
+        
         this.strategies = [
             new StructuredDataExtractor(),
             new SemanticHTMLExtractor(),
@@ -25,21 +62,64 @@ class ArticleExtractor {
     /**
      * メイン抽出メソッド
      * @param {Object} options - 抽出オプション
+     * @param {Array<Object>} options.extractionRules - 抽出ルール（指定時はコンストラクタの指定より優先）
+     * @param {boolean} options.followPagination - false の場合は2ページ目以降を取得しない
+     * @param {number} options.discussionCommentLimit - 掲示板の投稿で取り込むトップレベルのコメント数
      * @returns {Promise<Object>} 抽出結果
      */
     async extractArticle(options = {}) {
         try {
             console.log('ArticleExtractor: Starting extraction process');
             
+            // ユーザー定義の抽出ルール → サイトアダプタ → 汎用の抽出戦略の順に優先する
+            const rule = this.matchExtractionRule(options.extractionRules || this.extractionRules);
+            const rules = rule ? this.extractionRulesClass() : null;
+            const doc = rule ? rules.prepareDocument(rule, this.document) : this.document;
+            const custom = rule ? rules.apply(rule, doc) : null;
+            
+            if (options.discussionCommentLimit) {
+                this.discussionCommentLimit = options.discussionCommentLimit;
+            }
+            const site = custom?.element ? null : await this.extractWithSiteAdapter(doc);
+            let content;
+            if (custom?.element) {
+                content = this.buildElementContent(custom.element, 'user-rule');
+            } else if (site) {
+                content = this.buildElementContent(site.element, `site:${site.site}`);
+            } else {
+                content = await this.extractContentResult(doc);
+            }
+            
+            const title = custom?.title || site?.title;
+            const articleTitle = title ? this.cleanTitle(title) : await this.extractTitle();
+            
+            // 複数ページに分かれた記事は、同じ抽出方式で2ページ目以降を取得して連結する
+            // （掲示板のコメントのページ送りは記事の続きではないため対象外）
+            if (options.followPagination !== false && content.content && !site?.discussion) {
+                const pages = await this.extractFollowingPages(content.strategy, rule);
+                if (pages.length > 0) {
+                    content = this.stitchPages([content, ...pages], articleTitle);
+                }
+            }
             const results = {
-                title: await this.extractTitle(),
-                content: await this.extractContent(),
-                metadata: await this.extractMetadata(),
-                url: window.location.href,
-                domain: window.location.hostname,
+                title: articleTitle,
+                content: content.content,
+                contentMarkdown: content.markdown,
+                metadata: {
+                    ...await this.extractMetadata(),
+                    ...this.normalizeSiteMetadata(site?.metadata),
+                    ...this.normalizeSiteMetadata({ author: custom?.author, publishDate: custom?.date })
+                },
+                extractionRule: rule ? (rule.name || rule.domain) : null,
+                url: this.url,
+                canonicalUrl: this.extractCanonicalUrl(),
+                domain: this.getDomain(),
                 extractedAt: new Date().toISOString(),
-                strategy: null,
-                confidence: 0
+                site: site ? site.site : null,
+                strategy: content.strategy,
+                confidence: content.confidence,
+                pageCount: content.pageCount || 1,
+                discussion: site?.discussion ? this.buildDiscussion(site.discussion) : null
             };
             
             console.log('ArticleExtractor: Extraction completed', {
@@ -69,11 +149,11 @@ class ArticleExtractor {
             // 3. Twitter Cardから
             () => this.getMetaContent('name', 'twitter:title'),
             // 4. 通常のtitleタグから
-            () => document.title,
+            () => this.document.title,
             // 5. 主要見出しから
             () => this.extractFromHeadings(),
             // 6. article要素のdata属性から
-            () => document.querySelector('article')?.getAttribute('data-title')
+            () => this.document.querySelector('article')?.getAttribute('data-title')
         ];
         
         for (const extractor of titleCandidates) {
@@ -96,12 +176,26 @@ class ArticleExtractor {
      * @returns {Promise<string>} 抽出されたコンテンツ
      */
     async extractContent() {
+        return (await this.extractContentResult()).content;
+    }
+    
+    /**
+     * コンテンツ抽出（本文のMarkdownと抽出方式を含む）
+     * 本文の要素を特定できた戦略では、要素の構造（表・リスト・コードなど）を保ったMarkdownも返す
+     * @param {Document} doc - ドキュメント
+     * @param {Object} options - strategy: 指定した抽出方式の結果だけを使う, baseUrl: リンクを解決するURL
+     * @returns {Promise<Object>} { content, markdown, strategy, confidence }
+     */
+    async extractContentResult(doc = this.document, options = {}) {
         let bestResult = { content: '', confidence: 0, strategy: 'fallback' };
         
         // 各戦略を試行し、最も信頼度の高い結果を選択
         for (const strategy of this.strategies) {
             try {
-                const result = await strategy.extract();
+                const result = await strategy.extract(doc);
+                if (options.strategy && result.strategy !== options.strategy) {
+                    continue;
+                }
                 if (result.confidence > bestResult.confidence) {
                     bestResult = result;
                 }
@@ -118,18 +212,382 @@ class ArticleExtractor {
         content = this.postProcessContent(content);
 
         // うまく抽出できなかった場合のフォールバック（段落集約）
-        if (!content || content.length < 200) {
+        if ((!content || content.length < 200) && (!options.strategy || options.strategy === 'paragraphs')) {
             try {
-                const aggregated = this.aggregateParagraphs();
+                const aggregated = this.aggregateParagraphs(doc);
                 if (aggregated && aggregated.length > content.length) {
-                    return aggregated;
+                    return { content: aggregated, markdown: '', strategy: 'paragraphs', confidence: 0.2 };
                 }
             } catch (e) {
                 console.debug('Paragraph aggregation failed', e);
             }
         }
 
-        return content;
+        return {
+            content,
+            markdown: content ? this.convertElementToMarkdown(bestResult.element, options.baseUrl) : '',
+            strategy: bestResult.strategy,
+            confidence: bestResult.confidence
+        };
+    }
+    
+    /**
+     * サイトアダプタによる抽出
+     * @returns {Promise<Object|null>} アダプタの結果（対象外・失敗時は null）
+     */
+    async extractWithSiteAdapter(doc = this.document, url = this.url) {
+        if (!this.siteAdapters) return null;
+        try {
+            return await this.siteAdapters.extract(doc, url, {
+                fetch: this.fetch,
+                discussionCommentLimit: this.discussionCommentLimit
+            });
+        } catch (error) {
+            console.debug('Site adapter failed, falling back to generic strategies', error);
+            return null;
+        }
+    }
+    
+    /**
+     * 抽出ルール・サイトアダプタで特定した本文の要素からコンテンツを生成
+     * @param {Element} element - 本文の要素
+     * @param {string} strategy - 抽出方式
+     * @param {string} baseUrl - リンクを解決するURL（既定はページのURL）
+     * @returns {Object} { content, markdown, strategy, confidence }
+     */
+    buildElementContent(element, strategy, baseUrl = this.url) {
+        return {
+            content: this.postProcessContent(getElementText(element)),
+            markdown: this.convertElementToMarkdown(element, baseUrl),
+            strategy,
+            confidence: 1
+        };
+    }
+    
+    /**
+     * 掲示板のアダプタが返した議論（コメントのツリーはMarkdownの入れ子のリストに変換）
+     * @param {Object} discussion - アダプタの discussion
+     * @returns {Object} { platform, url, linkedUrl, commentCount, shownCount, markdown, text }
+     */
+    buildDiscussion(discussion) {
+        const { element, ...rest } = discussion;
+        return {
+            ...rest,
+            markdown: element ? this.convertElementToMarkdown(element, discussion.url || this.url) : ''
+        };
+    }
+    
+    /**
+     * URLに一致する抽出ルール
+     * @param {Array<Object>} rules - 抽出ルール
+     * @returns {Object|null} 正規化済みのルール
+     */
+    matchExtractionRule(rules) {
+        if (!Array.isArray(rules) || rules.length === 0) return null;
+        const ExtractionRulesClass = this.extractionRulesClass();
+        return new ExtractionRulesClass(rules).match(this.url);
+    }
+    
+    extractionRulesClass() {
+        return typeof ExtractionRules !== 'undefined' ? ExtractionRules : require('./extraction-rules.js').ExtractionRules;
+    }
+    
+    /**
+     * 2ページ目以降の取得と抽出
+     * 次のページへのリンク（rel="next"・ページ送りのナビゲーション・?page=N など）を辿り、
+     * 1ページ目と同じ抽出方式で本文を取り出す。取得・抽出に失敗したページで打ち切る
+     * @param {string} strategy - 1ページ目の抽出方式
+     * @param {Object|null} rule - 1ページ目に適用した抽出ルール
+     * @returns {Promise<Array<Object>>} 2ページ目以降のコンテンツ（{ content, markdown, url }）
+     */
+    async extractFollowingPages(strategy, rule) {
+        const pages = [];
+        const start = ArticleExtractor.parsePageLocation(this.url);
+        if (!start || !this.fetch) return pages;
+        
+        let doc = this.document;
+        let pageUrl = this.url;
+        const visited = new Set([this.url.split('#')[0]]);
+        while (pages.length + 1 < this.maxPages) {
+            const expectedPage = start.page + pages.length + 1;
+            const nextUrl = this.findNextPageUrl(doc, pageUrl, start, expectedPage);
+            if (!nextUrl) break;
+            
+            try {
+                const page = await this.fetchPage(nextUrl);
+                // 存在しないページから1ページ目などへリダイレクトされた場合は打ち切る
+                if (visited.has(page.url.split('#')[0])) break;
+                visited.add(nextUrl);
+                visited.add(page.url.split('#')[0]);
+                
+                const content = await this.extractPageContent(page.document, page.url, strategy, rule);
+                if (!content.content) break;
+                
+                pages.push({ ...content, url: page.url });
+                doc = page.document;
+                pageUrl = page.url;
+            } catch (error) {
+                console.debug(`ArticleExtractor: Failed to extract page ${expectedPage}`, error);
+                break;
+            }
+        }
+        
+        return pages;
+    }
+    
+    /**
+     * 次のページのURL
+     * 候補のリンクのうち、1ページ目のURLにページ番号を付けたURLだけを採用する（「次の記事」へのリンクは辿らない）
+     * @param {Document} doc - 現在のページ
+     * @param {string} pageUrl - 現在のページのURL
+     * @param {Object} start - 1ページ目のURLの解析結果（parsePageLocation）
+     * @param {number} expectedPage - 次のページ番号
+     * @returns {string|null} 次のページのURL
+     */
+    findNextPageUrl(doc, pageUrl, start, expectedPage) {
+        const labelOf = element => (element.textContent || element.getAttribute('aria-label') || element.getAttribute('title') || '').trim();
+        const candidates = [
+            ...doc.querySelectorAll('link[rel~="next"][href], a[rel~="next"][href]'),
+            ...Array.from(doc.querySelectorAll('a[href]')).filter(anchor => {
+                const label = labelOf(anchor);
+                return label === String(expectedPage) ||
+                    (NEXT_PAGE_LABEL_PATTERN.test(label) && Boolean(anchor.closest(PAGINATION_CONTAINER_SELECTOR)));
+            })
+        ];
+        
+        for (const candidate of candidates) {
+            let url;
+            try {
+                url = new URL(candidate.getAttribute('href'), pageUrl);
+            } catch (e) {
+                continue;
+            }
+            url.hash = '';
+            if (ArticleExtractor.isPageOf(url.href, start, expectedPage)) {
+                return url.href;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * 2ページ目以降のページを取得
+     * @param {string} url - ページのURL
+     * @returns {Promise<Object>} { document, url }（リダイレクト後のURL）
+     */
+    async fetchPage(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), PAGE_FETCH_TIMEOUT_MS) : null;
+        
+        try {
+            const response = await this.fetch(url, { credentials: 'include', signal: controller?.signal });
+            if (!response.ok) {
+                throw new Error(`ページの取得に失敗しました (HTTP ${response.status})`);
+            }
+            
+            const contentType = response.headers?.get?.('content-type') || '';
+            if (contentType && !/html|xml/i.test(contentType)) {
+                throw new Error(`HTML以外のコンテンツです: ${contentType}`);
+            }
+            
+            const html = await response.text();
+            return { document: new DOMParser().parseFromString(html, 'text/html'), url: response.url || url };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * 1ページ目と同じ抽出方式で本文を抽出
+     * @param {Document} doc - ページ
+     * @param {string} url - ページのURL
+     * @param {string} strategy - 抽出方式
+     * @param {Object|null} rule - 抽出ルール
+     * @returns {Promise<Object>} { content, markdown, strategy, confidence }
+     */
+    async extractPageContent(doc, url, strategy, rule) {
+        const rules = rule ? this.extractionRulesClass() : null;
+        const prepared = rule ? rules.prepareDocument(rule, doc) : doc;
+        
+        if (strategy === 'user-rule') {
+            const element = rules.apply(rule, prepared).element;
+            return element ? this.buildElementContent(element, strategy, url) : { content: '', markdown: '' };
+        }
+        if (strategy.startsWith('site:')) {
+            const site = await this.extractWithSiteAdapter(prepared, url);
+            return site ? this.buildElementContent(site.element, strategy, url) : { content: '', markdown: '' };
+        }
+        return this.extractContentResult(prepared, { strategy, baseUrl: url });
+    }
+    
+    /**
+     * 各ページのコンテンツをページ順に連結
+     * 2ページ目以降で繰り返される記事タイトル・1ページ目の先頭の見出しは除き、脚注のラベルはページごとに区別する
+     * @param {Array<Object>} pages - 各ページのコンテンツ（先頭が1ページ目）
+     * @param {string} title - 記事タイトル
+     * @returns {Object} 連結したコンテンツ（1ページ目の抽出方式・信頼度を引き継ぐ）
+     */
+    stitchPages(pages, title = '') {
+        const first = pages[0].markdown || pages[0].content || '';
+        const leadingHeading = this.findHeadings(first)[0];
+        const repeatedHeadings = new Set([headingKey(title), leadingHeading && headingKey(leadingHeading.text)].filter(Boolean));
+        
+        const markdown = pages
+            .map((page, index) => index === 0 ?
+                (page.markdown || page.content || '').trim() :
+                this.cleanFollowingPageMarkdown(page.markdown || page.content, index, repeatedHeadings))
+            .filter(Boolean)
+            .join('\n\n');
+        
+        return {
+            ...pages[0],
+            content: pages.map(page => page.content).filter(Boolean).join('\n\n'),
+            markdown: pages[0].markdown ? markdown : '',
+            pageCount: pages.length
+        };
+    }
+    
+    /**
+     * Markdownの見出し（コードブロック内は対象外）
+     * @param {string} markdown - Markdown
+     * @returns {Array<Object>} { line（行番号）, text }
+     */
+    findHeadings(markdown) {
+        let inCodeBlock = false;
+        const headings = [];
+        (markdown || '').split('\n').forEach((line, index) => {
+            if (/^\s*```/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+                return;
+            }
+            const heading = !inCodeBlock && line.match(/^#{1,6}\s+(.+?)\s*#*$/);
+            if (heading) headings.push({ line: index, text: heading[1] });
+        });
+        return headings;
+    }
+    
+    /**
+     * 2ページ目以降のMarkdownから繰り返しの見出しを除き、脚注のラベルをページごとに区別する
+     * @param {string} markdown - ページのMarkdown
+     * @param {number} index - ページの位置（1が2ページ目）
+     * @param {Set<string>} repeatedHeadings - 除く見出し（headingKey で正規化済み）
+     * @returns {string} Markdown
+     */
+    cleanFollowingPageMarkdown(markdown, index, repeatedHeadings) {
+        const removed = new Set(this.findHeadings(markdown)
+            .filter(heading => repeatedHeadings.has(headingKey(heading.text)))
+            .map(heading => heading.line));
+        let inCodeBlock = false;
+        const lines = [];
+        (markdown || '').split('\n').forEach((line, lineIndex) => {
+            if (/^\s*```/.test(line)) {
+                inCodeBlock = !inCodeBlock;
+            }
+            if (removed.has(lineIndex)) return;
+            lines.push(inCodeBlock ? line : line.replace(/\[\^([^\]\s]+)\]/g, `[^p${index + 1}-$1]`));
+        });
+        return lines
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+    
+    /**
+     * ページのURLをページ番号とそれ以外に分解
+     * ページ番号は ?page=N・/page/N を解釈し、なければ1ページ目とみなす
+     * @param {string} url - URL
+     * @returns {Object|null} { origin, path, extension, query, page }
+     */
+    static parsePageLocation(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return null;
+        }
+        if (!/^https?:$/.test(parsed.protocol)) return null;
+        
+        let page = 1;
+        for (const param of PAGE_QUERY_PARAMS) {
+            const value = parsed.searchParams.get(param);
+            if (value !== null && /^\d+$/.test(value)) {
+                page = Number(value);
+                parsed.searchParams.delete(param);
+            }
+        }
+        parsed.searchParams.sort();
+        
+        let path = parsed.pathname.replace(/\/+$/, '');
+        const explicit = path.match(/\/page\/(\d+)$/i);
+        if (explicit) {
+            page = Number(explicit[1]);
+            path = path.slice(0, -explicit[0].length);
+        }
+        const extension = (path.match(/\.[a-z0-9]+$/i) || [''])[0];
+        
+        return {
+            origin: parsed.origin,
+            path: path.slice(0, path.length - extension.length),
+            extension,
+            query: parsed.searchParams.toString(),
+            page
+        };
+    }
+    
+    /**
+     * URLが1ページ目と同じ記事の指定ページかどうか
+     * ?page=N・/page/N のほか、1ページ目のパスの末尾に /N・-N・_N を付けた形式を認める
+     * @param {string} url - 候補のURL
+     * @param {Object} start - 1ページ目のURLの解析結果
+     * @param {number} page - ページ番号
+     * @returns {boolean} 指定ページの場合true
+     */
+    static isPageOf(url, start, page) {
+        const candidate = ArticleExtractor.parsePageLocation(url);
+        if (!candidate || candidate.origin !== start.origin || candidate.query !== start.query ||
+            candidate.extension !== start.extension) {
+            return false;
+        }
+        if (candidate.page === page) {
+            return candidate.path === start.path;
+        }
+        return candidate.page === 1 && [`/${page}`, `-${page}`, `_${page}`].some(suffix => candidate.path === start.path + suffix);
+    }
+    
+    /**
+     * サイトアダプタのメタデータの正規化（空の値を除き、日付をISO形式にする）
+     * @param {Object} metadata - アダプタのメタデータ
+     * @returns {Object} 正規化されたメタデータ
+     */
+    normalizeSiteMetadata(metadata) {
+        const normalized = {};
+        for (const [key, value] of Object.entries(metadata || {})) {
+            if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+                continue;
+            }
+            if (/Date$/.test(key)) {
+                if (this.isValidDate(value)) normalized[key] = new Date(value).toISOString();
+                continue;
+            }
+            normalized[key] = value;
+        }
+        return normalized;
+    }
+    
+    /**
+     * 本文の要素をMarkdownに変換（相対リンクはページのURLで解決）
+     * @param {Element} element - 本文の要素
+     * @param {string} baseUrl - リンクを解決するURL（既定はページのURL）
+     * @returns {string} Markdown（変換できない場合は空文字列）
+     */
+    convertElementToMarkdown(element, baseUrl = this.url) {
+        if (!element) return '';
+        try {
+            return this.htmlToMarkdown.toMarkdown(element, { baseUrl });
+        } catch (error) {
+            console.debug('Markdown conversion failed', error);
+            return '';
+        }
     }
     
     /**
@@ -155,8 +613,22 @@ class ArticleExtractor {
     
     // ヘルパーメソッド群
     
+    extractCanonicalUrl() {
+        const link = this.document.querySelector('link[rel="canonical"][href]');
+        const href = link?.href || this.getMetaContent('property', 'og:url');
+        return href ? href.trim() : null;
+    }
+    
+    getDomain() {
+        try {
+            return new URL(this.url).hostname;
+        } catch (e) {
+            return '';
+        }
+    }
+    
     extractFromJsonLd(property) {
-        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+        const scripts = this.document.querySelectorAll('script[type="application/ld+json"]');
         for (const script of scripts) {
             try {
                 const data = JSON.parse(script.textContent);
@@ -170,12 +642,12 @@ class ArticleExtractor {
     }
     
     getMetaContent(attribute, value) {
-        const element = document.querySelector(`meta[${attribute}="${value}"]`);
+        const element = this.document.querySelector(`meta[${attribute}="${value}"]`);
         return element?.content?.trim() || null;
     }
     
     extractFromHeadings() {
-        const headings = document.querySelectorAll('h1, h2');
+        const headings = this.document.querySelectorAll('h1, h2');
         for (const heading of headings) {
             const text = heading.textContent?.trim();
             if (text && text.length > 5 && text.length < 150) {
@@ -203,8 +675,8 @@ class ArticleExtractor {
             () => this.extractFromJsonLd('author'),
             () => this.getMetaContent('name', 'author'),
             () => this.getMetaContent('property', 'article:author'),
-            () => document.querySelector('[rel="author"]')?.textContent,
-            () => document.querySelector('.author, .byline, .writer')?.textContent
+            () => this.document.querySelector('[rel="author"]')?.textContent,
+            () => this.document.querySelector('.author, .byline, .writer')?.textContent
         ];
         
         for (const extractor of authorCandidates) {
@@ -226,8 +698,8 @@ class ArticleExtractor {
             () => this.extractFromJsonLd('datePublished'),
             () => this.getMetaContent('property', 'article:published_time'),
             () => this.getMetaContent('name', 'date'),
-            () => document.querySelector('time[datetime]')?.getAttribute('datetime'),
-            () => document.querySelector('[itemprop="datePublished"]')?.getAttribute('datetime')
+            () => this.document.querySelector('time[datetime]')?.getAttribute('datetime'),
+            () => this.document.querySelector('[itemprop="datePublished"]')?.getAttribute('datetime')
         ];
         
         for (const extractor of dateCandidates) {
@@ -271,7 +743,7 @@ class ArticleExtractor {
             () => this.extractFromJsonLd('dateModified'),
             () => this.getMetaContent('property', 'article:modified_time'),
             () => this.getMetaContent('property', 'og:updated_time'),
-            () => document.querySelector('time[itemprop="dateModified"][datetime]')?.getAttribute('datetime'),
+            () => this.document.querySelector('time[itemprop="dateModified"][datetime]')?.getAttribute('datetime'),
         ];
 
         for (const extractor of dateCandidates) {
@@ -306,17 +778,31 @@ class ArticleExtractor {
         return [];
     }
 
+    /**
+     * 相対URLをページのURLで解決（解決できない場合はそのまま）
+     * @param {string} value - URL
+     * @returns {string} 絶対URL
+     */
+    resolveUrl(value) {
+        try {
+            return new URL(value, this.url).href;
+        } catch (e) {
+            return value;
+        }
+    }
+
     async extractImages() {
         const urls = new Set();
         // og:image
         const og = this.getMetaContent('property', 'og:image');
-        if (og) urls.add(og);
+        if (og) urls.add(this.resolveUrl(og));
         // prominent images inside article/main
-        const containers = document.querySelectorAll('article, main, .entry-content, .post-content');
+        const containers = this.document.querySelectorAll('article, main, .entry-content, .post-content');
         containers.forEach(c => {
             c.querySelectorAll('img[src]').forEach(img => {
                 const src = img.getAttribute('src');
-                if (src && src.length > 4) urls.add(src);
+                // data: URIはプレースホルダーのことが多いため除外
+                if (src && src.length > 4 && !src.startsWith('data:')) urls.add(this.resolveUrl(src));
             });
         });
         return Array.from(urls).slice(0, 10);
@@ -324,7 +810,7 @@ class ArticleExtractor {
 
     async extractLinks() {
         const links = [];
-        const containers = document.querySelectorAll('article, main, .entry-content, .post-content, .content');
+        const containers = this.document.querySelectorAll('article, main, .entry-content, .post-content, .content');
         const seen = new Set();
         containers.forEach(c => {
             c.querySelectorAll('a[href]').forEach(a => {
@@ -355,14 +841,14 @@ class ArticleExtractor {
         // Often overlaps with keywords; try to infer from DOM
         const tagSelectors = ['.tags a', '.post-tags a', 'a[rel="tag"]'];
         for (const sel of tagSelectors) {
-            const arr = Array.from(document.querySelectorAll(sel)).map(a => a.textContent?.trim()).filter(Boolean);
+            const arr = Array.from(this.document.querySelectorAll(sel)).map(a => a.textContent?.trim()).filter(Boolean);
             if (arr.length) return arr.slice(0, 20);
         }
         return [];
     }
     
     async extractLanguage() {
-        return document.documentElement.lang || 
+        return this.document.documentElement.lang || 
                this.getMetaContent('property', 'og:locale') ||
                this.detectLanguageFromContent() ||
                'unknown';
@@ -370,7 +856,7 @@ class ArticleExtractor {
     
     detectLanguageFromContent() {
         // 簡易的な言語検出（日本語、英語、中国語、韓国語）
-        const sampleText = document.body.textContent.slice(0, 1000);
+        const sampleText = this.document.body.textContent.slice(0, 1000);
         
         if (/[\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF]/.test(sampleText)) {
             if (/[\u3040-\u309F\u30A0-\u30FF]/.test(sampleText)) {
@@ -387,14 +873,14 @@ class ArticleExtractor {
     }
     
     async estimateReadingTime() {
-        const text = document.body.textContent;
+        const text = this.document.body.textContent;
         const wordsPerMinute = 200; // 平均読書速度
         const wordCount = text.split(/\s+/).length;
         return Math.ceil(wordCount / wordsPerMinute);
     }
     
     async countWords() {
-        const text = document.body.textContent;
+        const text = this.document.body.textContent;
         return text.split(/\s+/).filter(word => word.length > 0).length;
     }
     
@@ -427,8 +913,8 @@ class ArticleExtractor {
     /**
      * ページ全体から段落を集約（最終フォールバック）
      */
-    aggregateParagraphs() {
-        const container = document.querySelector('article, main, .entry-content, .post-content, #content, .content') || document.body;
+    aggregateParagraphs(doc = this.document) {
+        const container = doc.querySelector('article, main, .entry-content, .post-content, #content, .content') || doc.body;
         const texts = [];
         const seen = new Set();
         const nodes = container.querySelectorAll('p, li');
@@ -449,12 +935,34 @@ class ArticleExtractor {
     }
 }
 
+/**
+ * 見出しの比較用のキー（空白の違い・大文字小文字を無視）
+ */
+function headingKey(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * 要素のテキスト
+ * 数式のTeXは Markdown への変換で使うため本文の要素に script[type="math/tex"] として残し、テキストからは除く
+ * @param {Element} element - 不要要素を除去した要素
+ * @returns {string} テキスト
+ */
+function getElementText(element) {
+    if (!element.querySelector('script')) {
+        return element.textContent || '';
+    }
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('script').forEach(el => el.remove());
+    return clone.textContent || '';
+}
+
 /**
  * 構造化データ抽出戦略
  */
 class StructuredDataExtractor {
-    async extract() {
-        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+    async extract(doc = document) {
+        const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
         
         for (const script of scripts) {
             try {
@@ -482,7 +990,7 @@ class StructuredDataExtractor {
  * セマンティックHTML抽出戦略
  */
 class SemanticHTMLExtractor {
-    async extract() {
+    async extract(doc = document) {
         const candidates = [
             { selector: 'article', weight: 0.8 },
             { selector: '[role="main"]', weight: 0.7 },
@@ -491,12 +999,14 @@ class SemanticHTMLExtractor {
         ];
         
         for (const candidate of candidates) {
-            const element = document.querySelector(candidate.selector);
+            const element = doc.querySelector(candidate.selector);
             if (element) {
-                const content = this.extractTextFromElement(element);
+                const clone = this.cleanElement(element);
+                const content = getElementText(clone);
                 if (content.length > 200) {
                     return {
                         content: content,
+                        element: clone,
                         confidence: candidate.weight,
                         strategy: 'semantic-html'
                     };
@@ -508,11 +1018,18 @@ class SemanticHTMLExtractor {
     }
     
     extractTextFromElement(element) {
+        return getElementText(this.cleanElement(element));
+    }
+    
+    /**
+     * 不要要素を除去した要素の複製
+     */
+    cleanElement(element) {
         const clone = element.cloneNode(true);
         
         // 不要要素の除去
         const removeSelectors = [
-            'script', 'style', 'nav', 'header', 'footer', 'aside',
+            'script:not([type^="math/tex"])', 'style', 'nav', 'header', 'footer', 'aside',
             '.advertisement', '.ad', '.social-share', '.comments',
             '.related-posts', '.sidebar'
         ];
@@ -521,7 +1038,7 @@ class SemanticHTMLExtractor {
             clone.querySelectorAll(selector).forEach(el => el.remove());
         });
         
-        return clone.textContent || '';
+        return clone;
     }
 }
 
@@ -529,9 +1046,9 @@ class SemanticHTMLExtractor {
  * Readability風抽出戦略
  */
 class ReadabilityExtractor {
-    async extract() {
+    async extract(doc = document) {
         const candidates = [];
-        const allElements = document.querySelectorAll('div, section, article, main');
+        const allElements = doc.querySelectorAll('div, section, article, main');
         
         for (const element of allElements) {
             const score = this.calculateReadabilityScore(element);
@@ -544,10 +1061,11 @@ class ReadabilityExtractor {
         
         if (candidates.length > 0) {
             const best = candidates[0];
-            const content = this.extractTextFromElement(best.element);
+            const clone = this.cleanElement(best.element);
             
             return {
-                content: content,
+                content: getElementText(clone),
+                element: clone,
                 confidence: Math.min(best.score / 100, 0.8),
                 strategy: 'readability'
             };
@@ -584,11 +1102,15 @@ class ReadabilityExtractor {
     }
     
     extractTextFromElement(element) {
+        return getElementText(this.cleanElement(element));
+    }
+    
+    cleanElement(element) {
         // SemanticHTMLExtractorと同じロジック
         const clone = element.cloneNode(true);
         
         const removeSelectors = [
-            'script', 'style', 'nav', 'header', 'footer', 'aside',
+            'script:not([type^="math/tex"])', 'style', 'nav', 'header', 'footer', 'aside',
             '.advertisement', '.ad', '.social-share', '.comments'
         ];
         
@@ -596,7 +1118,7 @@ class ReadabilityExtractor {
             clone.querySelectorAll(selector).forEach(el => el.remove());
         });
         
-        return clone.textContent || '';
+        return clone;
     }
 }
 
@@ -604,12 +1126,12 @@ class ReadabilityExtractor {
  * ヒューリスティック抽出戦略（フォールバック）
  */
 class HeuristicExtractor {
-    async extract() {
-        const bodyClone = document.body.cloneNode(true);
+    async extract(doc = document) {
+        const bodyClone = doc.body.cloneNode(true);
         
         // 不要要素の大量除去
         const removeSelectors = [
-            'script', 'style', 'nav', 'header', 'footer', 'aside',
+            'script:not([type^="math/tex"])', 'style', 'nav', 'header', 'footer', 'aside',
             '.navigation', '.menu', '.sidebar', '.comments', 
             '.advertisement', '.ad', '.ads', '.social', '.share',
             '.related', '.recommended', '[role="banner"]',
@@ -620,10 +1142,11 @@ class HeuristicExtractor {
             bodyClone.querySelectorAll(selector).forEach(el => el.remove());
         });
         
-        const content = bodyClone.textContent || '';
+        const content = getElementText(bodyClone);
         
         return {
             content: content,
+            element: bodyClone,
             confidence: 0.3,
             strategy: 'heuristic'
         };
@@ -0,0 +1,387 @@
+// ReadLater for Obsidian - Discussion Capture
+// 掲示板の投稿ページ（Hacker News・Reddit）から投稿と上位のコメントをツリーのまま取り込む
+
+// 既定で取り込むトップレベルのコメント数
+const DEFAULT_DISCUSSION_COMMENT_LIMIT = 20;
+
+// 返信を含めて取り込むコメントの上限と、返信を辿る深さ（トップレベルが1）
+const MAX_DISCUSSION_COMMENTS = 300;
+const MAX_DISCUSSION_DEPTH = 6;
+
+const DISCUSSION_API_TIMEOUT_MS = 15000;
+
+/**
+ * 掲示板の議論の取り込みクラス
+ *
+ * 議論の形式:
+ * {
+ *   platform: 'hackernews' | 'reddit', community（r/xxx など）,
+ *   title, url（議論のページ）, linkedUrl（リンク先の記事。テキスト投稿では空）,
+ *   author, score, date, commentCount（サイトが表示する総コメント数）,
+ *   body（投稿本文の要素。なければ null）, media: [{ url, alt }],
+ *   comments: [{ author, score, date, url, body, replies: [...] }]（上限・深さで刈り込み済み）
+ * }
+ */
+class DiscussionCapture {
+    /**
+     * @param {Object} options
+     * @param {Function} options.fetch - RedditのAPIの取得に使う fetch（既定はグローバルの fetch）
+     * @param {number} options.commentLimit - 取り込むトップレベルのコメント数
+     */
+    constructor(options = {}) {
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null);
+        this.commentLimit = Math.max(1, parseInt(options.commentLimit, 10) || DEFAULT_DISCUSSION_COMMENT_LIMIT);
+    }
+
+    /**
+     * Hacker Newsの投稿ページ（item?id=N）の取り込み（ページのDOMから取得）
+     * @param {Document} doc - ドキュメント
+     * @param {string} url - ページのURL
+     * @returns {Object|null} 議論（投稿ページでない場合は null）
+     */
+    captureHackerNews(doc, url) {
+        let id = '';
+        try {
+            const parsed = new URL(url);
+            id = parsed.pathname === '/item' ? parsed.searchParams.get('id') || '' : '';
+        } catch (e) {
+            return null;
+        }
+        const item = doc.querySelector('.fatitem');
+        if (!/^\d+$/.test(id) || !item) return null;
+
+        const titleLink = item.querySelector('.titleline > a');
+        const title = DiscussionCapture.textOf(titleLink);
+        // コメントのページ（タイトルのない投稿）は議論として扱わない
+        if (!title) return null;
+
+        const href = DiscussionCapture.resolveUrl(titleLink.getAttribute('href'), url);
+        const commentsLink = Array.from(item.querySelectorAll('.subline a, .subtext a'))
+            .map(link => DiscussionCapture.textOf(link))
+            .find(text => /\d+\s*comments?/i.test(text));
+
+        // コメントは深さ（td.ind の indent 属性、古い形式ではスペーサー画像の幅）つきの平らな行で並んでいる
+        const rows = Array.from(doc.querySelectorAll('tr.athing.comtr')).map(row => {
+            const indentCell = row.querySelector('td.ind');
+            const indent = indentCell?.hasAttribute('indent') ?
+                parseInt(indentCell.getAttribute('indent'), 10) :
+                Math.round((parseInt(indentCell?.querySelector('img')?.getAttribute('width'), 10) || 0) / 40);
+            const text = row.querySelector('.commtext');
+            const body = text ? text.cloneNode(true) : null;
+            body?.querySelectorAll('.reply').forEach(element => element.remove());
+            return {
+                depth: Number.isNaN(indent) ? 0 : indent,
+                comment: {
+                    author: DiscussionCapture.textOf(row.querySelector('.hnuser')),
+                    score: undefined,
+                    date: DiscussionCapture.parseHackerNewsDate(row.querySelector('.age')?.getAttribute('title')),
+                    url: DiscussionCapture.resolveUrl(row.querySelector('.age a')?.getAttribute('href'), url),
+                    body,
+                    replies: []
+                }
+            };
+        });
+
+        return {
+            platform: 'hackernews',
+            community: 'Hacker News',
+            title,
+            url,
+            // Ask HN など、タイトルが投稿自身を指す場合はリンク先なし
+            linkedUrl: /^https?:/.test(href) && !DiscussionCapture.isSameItem(href, id) ? href : '',
+            author: DiscussionCapture.textOf(item.querySelector('.hnuser')),
+            score: DiscussionCapture.toNumber(DiscussionCapture.textOf(item.querySelector('.score'))),
+            date: DiscussionCapture.parseHackerNewsDate(item.querySelector('.age')?.getAttribute('title')),
+            commentCount: DiscussionCapture.toNumber(commentsLink) ?? rows.length,
+            body: item.querySelector('.toptext')?.textContent.trim() ? item.querySelector('.toptext').cloneNode(true) : null,
+            media: [],
+            comments: this.limitComments(DiscussionCapture.buildTree(rows))
+        };
+    }
+
+    /**
+     * Redditの投稿ページ（/r/xxx/comments/id/...）の取り込み（ページのURLに .json を付けたAPIから取得）
+     * @param {Document} doc - ドキュメント
+     * @param {string} url - ページのURL
+     * @returns {Promise<Object|null>} 議論
+     */
+    async captureReddit(doc, url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return null;
+        }
+        const postId = (parsed.pathname.match(/\/comments\/([a-z0-9]+)/i) || [])[1] ||
+            (parsed.hostname === 'redd.it' ? parsed.pathname.split('/')[1] : '');
+        if (!postId || !this.fetch) return null;
+
+        // コンテンツスクリプトから同一オリジンで取得できるよう、表示中のサブドメイン（old. など）を使う
+        const origin = parsed.hostname === 'redd.it' ? 'https://www.reddit.com' : parsed.origin;
+        const data = await this.fetchJson(`${origin}/comments/${postId}.json?sort=top&limit=500&raw_json=1`);
+        const post = data?.[0]?.data?.children?.[0]?.data;
+        if (!post?.title) return null;
+
+        const permalink = post.permalink ? `https://www.reddit.com${post.permalink}` : url;
+        const linked = post.url_overridden_by_dest || post.url || '';
+        const media = [];
+        if (post.post_hint === 'image' && linked) {
+            media.push({ url: linked, alt: post.title });
+        }
+        (post.gallery_data?.items || []).forEach(item => {
+            const source = post.media_metadata?.[item.media_id]?.s;
+            const imageUrl = source?.u || source?.gif;
+            if (imageUrl) media.push({ url: imageUrl, alt: item.caption || '' });
+        });
+
+        const toComment = child => {
+            if (child?.kind !== 't1' || !child.data) return null;
+            const comment = child.data;
+            return {
+                author: comment.author || '',
+                score: comment.score_hidden ? undefined : DiscussionCapture.toNumber(comment.score),
+                date: comment.created_utc ? new Date(comment.created_utc * 1000).toISOString() : '',
+                url: comment.permalink ? `https://www.reddit.com${comment.permalink}` : '',
+                body: comment.body_html ? DiscussionCapture.parseHtml(doc, comment.body_html) : null,
+                replies: (comment.replies?.data?.children || []).map(toComment).filter(Boolean)
+            };
+        };
+
+        return {
+            platform: 'reddit',
+            community: post.subreddit_name_prefixed || '',
+            title: post.title,
+            url: permalink,
+            linkedUrl: !post.is_self && media.length === 0 && !post.is_video && DiscussionCapture.isArticleUrl(linked) ? linked : '',
+            author: post.author || '',
+            score: DiscussionCapture.toNumber(post.score),
+            date: post.created_utc ? new Date(post.created_utc * 1000).toISOString() : '',
+            commentCount: DiscussionCapture.toNumber(post.num_comments),
+            body: post.selftext_html ? DiscussionCapture.parseHtml(doc, post.selftext_html) : null,
+            media,
+            // 固定（stickied）されたモデレーターのコメントは議論に含めない
+            comments: this.limitComments((data?.[1]?.data?.children || [])
+                .filter(child => !child?.data?.stickied)
+                .map(toComment)
+                .filter(Boolean))
+        };
+    }
+
+    async fetchJson(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), DISCUSSION_API_TIMEOUT_MS) : null;
+        try {
+            const response = await this.fetch(url, { credentials: 'include', signal: controller?.signal, headers: { Accept: 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`コメントの取得に失敗しました (HTTP ${response.status})`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * コメントの刈り込み（上位のトップレベルのコメントと、その返信を深さ・総数の上限まで）
+     * @param {Array<Object>} comments - コメントのツリー
+     * @returns {Array<Object>} 刈り込んだツリー
+     */
+    limitComments(comments) {
+        let remaining = MAX_DISCUSSION_COMMENTS;
+        const prune = (list, depth) => {
+            const result = [];
+            for (const comment of list) {
+                if (remaining <= 0) break;
+                remaining--;
+                result.push({
+                    ...comment,
+                    replies: depth < MAX_DISCUSSION_DEPTH ? prune(comment.replies || [], depth + 1) : []
+                });
+            }
+            return result;
+        };
+        return prune(comments.slice(0, this.commentLimit), 1);
+    }
+
+    /**
+     * 深さつきの平らなコメントの並びをツリーにする
+     * @param {Array<Object>} rows - [{ depth, comment }]（表示順）
+     * @returns {Array<Object>} トップレベルのコメント
+     */
+    static buildTree(rows) {
+        const roots = [];
+        const stack = [];
+        for (const { depth, comment } of rows) {
+            const level = Math.min(depth, stack.length);
+            const parent = level > 0 ? stack[level - 1] : null;
+            (parent ? parent.replies : roots).push(comment);
+            stack.length = level;
+            stack.push(comment);
+        }
+        return roots;
+    }
+
+    /**
+     * 投稿部分の要素（リンク先・本文・画像）
+     * @param {Document} doc - 要素の作成に使うドキュメント
+     * @param {Object} discussion - 議論
+     * @returns {Element} 投稿の要素
+     */
+    static buildPost(doc, discussion) {
+        const container = doc.createElement('div');
+        if (discussion.linkedUrl) {
+            const paragraph = doc.createElement('p');
+            paragraph.appendChild(doc.createTextNode('🔗 リンク先: '));
+            paragraph.appendChild(DiscussionCapture.link(doc, discussion.linkedUrl, discussion.linkedUrl));
+            container.appendChild(paragraph);
+        }
+        if (discussion.body) {
+            container.appendChild(discussion.body.cloneNode(true));
+        }
+        discussion.media.forEach(item => {
+            const paragraph = doc.createElement('p');
+            const img = doc.createElement('img');
+            img.setAttribute('src', item.url);
+            img.setAttribute('alt', item.alt);
+            paragraph.appendChild(img);
+            container.appendChild(paragraph);
+        });
+        return container;
+    }
+
+    /**
+     * コメントのツリーを入れ子のリストにする（各項目の先頭に投稿者・スコア・日時）
+     * @param {Document} doc - 要素の作成に使うドキュメント
+     * @param {Array<Object>} comments - コメントのツリー
+     * @returns {Element} リストの要素
+     */
+    static buildComments(doc, comments) {
+        const list = doc.createElement('ul');
+        for (const comment of comments) {
+            const item = doc.createElement('li');
+            const byline = doc.createElement('p');
+            const author = doc.createElement('strong');
+            author.textContent = comment.author || '[deleted]';
+            byline.appendChild(author);
+            if (comment.score !== undefined) {
+                byline.appendChild(doc.createTextNode(` · ${comment.score} points`));
+            }
+            if (comment.date) {
+                byline.appendChild(doc.createTextNode(' · '));
+                byline.appendChild(DiscussionCapture.link(doc, comment.url, comment.date.split('T')[0]));
+            }
+            item.appendChild(byline);
+
+            if (comment.body) {
+                item.appendChild(comment.body.cloneNode(true));
+            } else {
+                const deleted = doc.createElement('p');
+                deleted.appendChild(doc.createElement('em')).textContent = '（削除されたコメント）';
+                item.appendChild(deleted);
+            }
+            if (comment.replies.length > 0) {
+                item.appendChild(DiscussionCapture.buildComments(doc, comment.replies));
+            }
+            list.appendChild(item);
+        }
+        return list;
+    }
+
+    /**
+     * 要約用のテキスト（投稿者とスコアを先頭に付け、返信は字下げする）
+     * @param {Array<Object>} comments - コメントのツリー
+     * @returns {string} テキスト
+     */
+    static toText(comments, depth = 0) {
+        return comments.map(comment => {
+            const score = comment.score !== undefined ? ` (${comment.score} points)` : '';
+            const text = (comment.body?.textContent || '[deleted]').replace(/\s+/g, ' ').trim();
+            const line = `${'  '.repeat(depth)}- ${comment.author || '[deleted]'}${score}: ${text}`;
+            return [line, DiscussionCapture.toText(comment.replies, depth + 1)].filter(Boolean).join('\n');
+        }).join('\n');
+    }
+
+    static countComments(comments) {
+        return comments.reduce((total, comment) => total + 1 + DiscussionCapture.countComments(comment.replies), 0);
+    }
+
+    static link(doc, href, text) {
+        if (!href) return doc.createTextNode(text);
+        const a = doc.createElement('a');
+        a.setAttribute('href', href);
+        a.textContent = text;
+        return a;
+    }
+
+    /**
+     * HTML文字列を要素に変換（スクリプトを実行しない DOMParser を使う）
+     */
+    static parseHtml(doc, html) {
+        const container = doc.createElement('div');
+        const parsed = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+        Array.from(parsed.body.childNodes).forEach(node => container.appendChild(doc.importNode(node, true)));
+        return container;
+    }
+
+    /**
+     * HNの日時（title="2024-03-01T10:00:00 1709287200" のUTC）をISO形式に変換
+     */
+    static parseHackerNewsDate(value) {
+        const [iso, unix] = String(value || '').trim().split(/\s+/);
+        if (/^\d+$/.test(unix || '')) {
+            return new Date(parseInt(unix, 10) * 1000).toISOString();
+        }
+        const date = new Date(/(Z|[+-]\d\d:?\d\d)$/.test(iso) ? iso : `${iso}Z`);
+        return iso && !Number.isNaN(date.getTime()) ? date.toISOString() : '';
+    }
+
+    static isSameItem(href, id) {
+        try {
+            const parsed = new URL(href);
+            return parsed.hostname === 'news.ycombinator.com' && parsed.searchParams.get('id') === id;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 記事として取得するリンク先か（Reddit内・画像・動画のホストは除く）
+     */
+    static isArticleUrl(url) {
+        try {
+            const { protocol, hostname, pathname } = new URL(url);
+            return /^https?:$/.test(protocol) &&
+                !/(^|\.)(reddit\.com|redd\.it|imgur\.com|gfycat\.com|redgifs\.com)$/.test(hostname) &&
+                !/\.(png|jpe?g|gif|webp|mp4|webm)$/i.test(pathname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    static resolveUrl(href, baseUrl) {
+        if (!href) return '';
+        try {
+            return new URL(href, baseUrl).href;
+        } catch (e) {
+            return href;
+        }
+    }
+
+    static toNumber(value) {
+        const number = parseInt(String(value ?? '').replace(/,/g, ''), 10);
+        return Number.isNaN(number) ? undefined : number;
+    }
+
+    static textOf(element) {
+        return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DiscussionCapture, DEFAULT_DISCUSSION_COMMENT_LIMIT };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.DiscussionCapture = DiscussionCapture;
+    g.DEFAULT_DISCUSSION_COMMENT_LIMIT = DEFAULT_DISCUSSION_COMMENT_LIMIT;
+}
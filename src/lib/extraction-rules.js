@@ -0,0 +1,239 @@
+// ReadLater for Obsidian - Extraction Rules
+// ドメインごとのユーザー定義の抽出ルール（CSSセレクタで本文・除外要素・タイトル・著者・日付を指定）
+
+/**
+ * 抽出ルールの評価クラス
+ * ルールは上から順に評価し、ページのURLに最初に一致したものを適用する。
+ * 本文のセレクタを指定したルールはサイトアダプタ・汎用の抽出戦略より優先し、
+ * 指定しない場合は除外要素を取り除いたページに汎用の抽出戦略を適用する
+ *
+ * ルールの形式:
+ * {
+ *   name, enabled,
+ *   domain: 'example.com, *.example.org', urlPattern: '/blog/',
+ *   contentSelector: 'main .post-body',
+ *   removeSelectors: '.share, .related'（カンマ区切りまたは1行に1つ）,
+ *   titleSelector, authorSelector, dateSelector
+ * }
+ */
+class ExtractionRules {
+    constructor(rules = []) {
+        this.rules = (Array.isArray(rules) ? rules : [])
+            .map(rule => ExtractionRules.normalizeRule(rule))
+            .filter(rule => rule.enabled && rule.domain && ExtractionRules.hasSelectors(rule));
+    }
+
+    /**
+     * URLに一致する最初のルールを取得
+     * @param {string} url - ページのURL
+     * @returns {Object|null} 一致したルール
+     */
+    match(url) {
+        return this.rules.find(rule => ExtractionRules.matches(rule, url)) || null;
+    }
+
+    /**
+     * ルールの正規化
+     * @param {Object} rule - ルール
+     * @returns {Object} 正規化されたルール
+     */
+    static normalizeRule(rule = {}) {
+        const text = value => (typeof value === 'string' ? value.trim() : '');
+        return {
+            name: text(rule.name),
+            enabled: rule.enabled !== false,
+            domain: text(rule.domain),
+            urlPattern: text(rule.urlPattern),
+            contentSelector: text(rule.contentSelector),
+            removeSelectors: ExtractionRules.parseSelectors(rule.removeSelectors),
+            titleSelector: text(rule.titleSelector),
+            authorSelector: text(rule.authorSelector),
+            dateSelector: text(rule.dateSelector)
+        };
+    }
+
+    /**
+     * ルールの検証
+     * @param {Object} rule - ルール
+     * @returns {Array<string>} エラーメッセージの配列（問題なければ空）
+     */
+    static validateRule(rule) {
+        const normalized = ExtractionRules.normalizeRule(rule);
+        const label = normalized.name || '名前なしの抽出ルール';
+        const errors = [];
+
+        if (!normalized.domain) {
+            errors.push(`${label}: ドメインを指定してください`);
+        }
+        if (!ExtractionRules.hasSelectors(normalized)) {
+            errors.push(`${label}: セレクタを1つ以上指定してください`);
+        }
+        if (normalized.urlPattern) {
+            try {
+                new RegExp(normalized.urlPattern);
+            } catch (e) {
+                errors.push(`${label}: URLの正規表現が不正です (${e.message})`);
+            }
+        }
+
+        const selectors = [
+            ['本文', normalized.contentSelector],
+            ['タイトル', normalized.titleSelector],
+            ['著者', normalized.authorSelector],
+            ['日付', normalized.dateSelector],
+            ...normalized.removeSelectors.map(selector => ['除外', selector])
+        ];
+        for (const [name, selector] of selectors) {
+            if (selector && !ExtractionRules.isValidSelector(selector)) {
+                errors.push(`${label}: ${name}のセレクタ「${selector}」が不正です`);
+            }
+        }
+
+        return errors;
+    }
+
+    static hasSelectors(rule) {
+        return Boolean(rule.contentSelector || rule.removeSelectors.length > 0 ||
+            rule.titleSelector || rule.authorSelector || rule.dateSelector);
+    }
+
+    /**
+     * ルールがURLに一致するかどうか（ドメインの照合は振り分けルールと同じ）
+     * @param {Object} rule - 正規化済みのルール
+     * @param {string} url - ページのURL
+     * @returns {boolean} 一致する場合true
+     */
+    static matches(rule, url) {
+        const urlPatterns = typeof UrlPatterns !== 'undefined' ? UrlPatterns : require('./url-patterns.js').UrlPatterns;
+
+        if (!urlPatterns.matchesDomain(rule.domain, urlPatterns.getHostname(url))) {
+            return false;
+        }
+        return !rule.urlPattern || urlPatterns.matchesUrl(rule.urlPattern, url);
+    }
+
+    /**
+     * ルールを適用したドキュメントの複製（除外要素を取り除く。元のドキュメントは変更しない）
+     * @param {Object} rule - 正規化済みのルール
+     * @param {Document} doc - ドキュメント
+     * @returns {Document} 除外要素を取り除いたドキュメント（除外要素がなければ元のドキュメント）
+     */
+    static prepareDocument(rule, doc) {
+        if (rule.removeSelectors.length === 0) {
+            return doc;
+        }
+        const clone = doc.cloneNode(true);
+        ExtractionRules.removeElements(clone, rule.removeSelectors);
+        return clone;
+    }
+
+    /**
+     * ルールのセレクタで本文・タイトル・著者・日付を取得
+     * @param {Object} rule - 正規化済みのルール
+     * @param {Document} doc - ドキュメント（prepareDocument 済み）
+     * @returns {Object} { element, title, author, date }（見つからない項目は空）
+     */
+    static apply(rule, doc) {
+        const result = { element: null, title: '', author: '', date: '' };
+
+        if (rule.contentSelector) {
+            // 複数の要素に一致した場合は順に連結する
+            const matches = ExtractionRules.querySelectorAll(doc, rule.contentSelector)
+                .filter((element, index, all) => !all.some(other => other !== element && other.contains(element)));
+            if (matches.length > 0) {
+                const container = doc.createElement('div');
+                matches.forEach(element => container.appendChild(element.cloneNode(true)));
+                ExtractionRules.removeElements(container, rule.removeSelectors);
+                if ((container.textContent || '').trim()) {
+                    result.element = container;
+                }
+            }
+        }
+
+        result.title = ExtractionRules.textOf(ExtractionRules.querySelector(doc, rule.titleSelector));
+        result.author = ExtractionRules.textOf(ExtractionRules.querySelector(doc, rule.authorSelector));
+
+        const dateElement = ExtractionRules.querySelector(doc, rule.dateSelector);
+        if (dateElement) {
+            result.date = dateElement.getAttribute('datetime') || dateElement.getAttribute('content') ||
+                ExtractionRules.textOf(dateElement);
+        }
+
+        return result;
+    }
+
+    static removeElements(root, selectors) {
+        for (const selector of selectors) {
+            ExtractionRules.querySelectorAll(root, selector).forEach(element => element.remove());
+        }
+    }
+
+    static querySelector(root, selector) {
+        if (!selector) return null;
+        try {
+            return root.querySelector(selector);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static querySelectorAll(root, selector) {
+        if (!selector) return [];
+        try {
+            return Array.from(root.querySelectorAll(selector));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    static isValidSelector(selector) {
+        if (typeof document === 'undefined') {
+            return true;
+        }
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    static textOf(element) {
+        return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * 除外セレクタのリストに変換（1行に1つ、または1行内のカンマ区切り）
+     * セレクタ内のカンマ（:is(a, b) など）は括弧の中では区切らない
+     * @param {string|Array} value - セレクタ
+     * @returns {Array<string>} セレクタの配列
+     */
+    static parseSelectors(value) {
+        const lines = Array.isArray(value) ? value : String(value || '').split(/\r?\n/);
+        const selectors = [];
+        for (const line of lines) {
+            let depth = 0;
+            let current = '';
+            for (const char of String(line)) {
+                if (char === '(' || char === '[') depth++;
+                if (char === ')' || char === ']') depth = Math.max(0, depth - 1);
+                if (char === ',' && depth === 0) {
+                    selectors.push(current);
+                    current = '';
+                } else {
+                    current += char;
+                }
+            }
+            selectors.push(current);
+        }
+        return selectors.map(selector => selector.trim()).filter(Boolean);
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExtractionRules };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.ExtractionRules = ExtractionRules;
+}
@@ -0,0 +1,251 @@
+// ReadLater for Obsidian - Filename Template
+// {{date:YYYY-MM-DD}} などのプレースホルダーを使った個別ノートのファイル名生成
+
+// 既定のテンプレート（従来の「日付_時刻_タイトル」形式）
+const DEFAULT_FILENAME_TEMPLATE = '{{date:YYYY-MM-DD}}_{{time}}_{{title}}';
+
+// 既定のファイル名の最大文字数（拡張子を除く）
+const DEFAULT_FILENAME_MAX_LENGTH = 100;
+
+// 設定画面で選択できるテンプレートのプリセット（キーは従来の fileNaming の値と互換）
+const FILENAME_TEMPLATE_PRESETS = {
+    'date-time-title': DEFAULT_FILENAME_TEMPLATE,
+    'date-title': '{{date:YYYY-MM-DD}}_{{title}}',
+    'title-date': '{{title}}_{{date:YYYY-MM-DD}}',
+    'title-only': '{{title}}',
+    'id-slug': '{{id}}_{{slug}}'
+};
+
+// ファイル名に使えない文字（Obsidianのリンクを壊す #^[]| も含む）
+// eslint-disable-next-line no-control-regex
+const INVALID_FILENAME_CHARS = /[\\/:*?"<>|#^[\]\u0000-\u001F\u007F]/g;
+
+// ひらがな→ローマ字（カタカナはひらがなに変換してから使用）
+const KANA_ROMAJI = {
+    'きゃ': 'kya', 'きゅ': 'kyu', 'きょ': 'kyo', 'しゃ': 'sha', 'しゅ': 'shu', 'しょ': 'sho',
+    'ちゃ': 'cha', 'ちゅ': 'chu', 'ちょ': 'cho', 'にゃ': 'nya', 'にゅ': 'nyu', 'にょ': 'nyo',
+    'ひゃ': 'hya', 'ひゅ': 'hyu', 'ひょ': 'hyo', 'みゃ': 'mya', 'みゅ': 'myu', 'みょ': 'myo',
+    'りゃ': 'rya', 'りゅ': 'ryu', 'りょ': 'ryo', 'ぎゃ': 'gya', 'ぎゅ': 'gyu', 'ぎょ': 'gyo',
+    'じゃ': 'ja', 'じゅ': 'ju', 'じょ': 'jo', 'びゃ': 'bya', 'びゅ': 'byu', 'びょ': 'byo',
+    'ぴゃ': 'pya', 'ぴゅ': 'pyu', 'ぴょ': 'pyo', 'ふぁ': 'fa', 'ふぃ': 'fi', 'ふぇ': 'fe', 'ふぉ': 'fo',
+    'てぃ': 'ti', 'でぃ': 'di', 'うぃ': 'wi', 'うぇ': 'we', 'ゔぁ': 'va',
+    'あ': 'a', 'い': 'i', 'う': 'u', 'え': 'e', 'お': 'o',
+    'か': 'ka', 'き': 'ki', 'く': 'ku', 'け': 'ke', 'こ': 'ko',
+    'さ': 'sa', 'し': 'shi', 'す': 'su', 'せ': 'se', 'そ': 'so',
+    'た': 'ta', 'ち': 'chi', 'つ': 'tsu', 'て': 'te', 'と': 'to',
+    'な': 'na', 'に': 'ni', 'ぬ': 'nu', 'ね': 'ne', 'の': 'no',
+    'は': 'ha', 'ひ': 'hi', 'ふ': 'fu', 'へ': 'he', 'ほ': 'ho',
+    'ま': 'ma', 'み': 'mi', 'む': 'mu', 'め': 'me', 'も': 'mo',
+    'や': 'ya', 'ゆ': 'yu', 'よ': 'yo',
+    'ら': 'ra', 'り': 'ri', 'る': 'ru', 'れ': 're', 'ろ': 'ro',
+    'わ': 'wa', 'ゐ': 'i', 'ゑ': 'e', 'を': 'o', 'ん': 'n',
+    'が': 'ga', 'ぎ': 'gi', 'ぐ': 'gu', 'げ': 'ge', 'ご': 'go',
+    'ざ': 'za', 'じ': 'ji', 'ず': 'zu', 'ぜ': 'ze', 'ぞ': 'zo',
+    'だ': 'da', 'ぢ': 'ji', 'づ': 'zu', 'で': 'de', 'ど': 'do',
+    'ば': 'ba', 'び': 'bi', 'ぶ': 'bu', 'べ': 'be', 'ぼ': 'bo',
+    'ぱ': 'pa', 'ぴ': 'pi', 'ぷ': 'pu', 'ぺ': 'pe', 'ぽ': 'po', 'ゔ': 'vu',
+    'ぁ': 'a', 'ぃ': 'i', 'ぅ': 'u', 'ぇ': 'e', 'ぉ': 'o', 'ゃ': 'ya', 'ゅ': 'yu', 'ょ': 'yo', 'ゎ': 'wa'
+};
+
+/**
+ * ファイル名テンプレートクラス
+ * 対応プレースホルダー: {{date}}, {{date:FORMAT}}, {{time}}, {{time:FORMAT}}, {{title}},
+ * {{domain}}, {{author}}, {{slug}}, {{id}}
+ * FORMAT のトークン: YYYY, YY, MM, DD, HH, mm, ss
+ */
+class FilenameTemplate {
+    /**
+     * 設定からテンプレートを決定
+     * fileNameTemplate が未設定の場合は従来の fileNaming（既定値以外）をプリセットとして使う
+     * @param {Object} settings - ユーザー設定
+     * @returns {string} テンプレート
+     */
+    static resolveTemplate(settings = {}) {
+        const template = String(settings.fileNameTemplate || '').trim();
+        if (template) {
+            return template;
+        }
+        if (settings.fileNaming && settings.fileNaming !== 'date-title' && FILENAME_TEMPLATE_PRESETS[settings.fileNaming]) {
+            return FILENAME_TEMPLATE_PRESETS[settings.fileNaming];
+        }
+        return DEFAULT_FILENAME_TEMPLATE;
+    }
+
+    /**
+     * 設定に従ってファイル名（拡張子 .md 付き）を生成
+     * @param {Object} articleData - 記事データ
+     * @param {Object} settings - ユーザー設定（fileNameTemplate, fileNameMaxLength, fileNameTransliterate）
+     * @param {Date} now - 保存日時
+     * @returns {string} ファイル名
+     */
+    static generate(articleData, settings = {}, now = new Date()) {
+        const name = FilenameTemplate.render(FilenameTemplate.resolveTemplate(settings), articleData, {
+            now,
+            maxLength: settings.fileNameMaxLength,
+            transliterate: settings.fileNameTransliterate === true
+        });
+        return `${name}.md`;
+    }
+
+    /**
+     * テンプレートの展開（拡張子なし）
+     * @param {string} template - テンプレート
+     * @param {Object} articleData - 記事データ
+     * @param {Object} options - { now, maxLength, transliterate }
+     * @returns {string} ファイル名
+     */
+    static render(template, articleData = {}, options = {}) {
+        const now = options.now || new Date();
+        const maxLength = Number(options.maxLength) > 0 ? Number(options.maxLength) : DEFAULT_FILENAME_MAX_LENGTH;
+        const transliterate = options.transliterate === true;
+        const text = value => {
+            const sanitized = FilenameTemplate.sanitize(value);
+            return transliterate ? FilenameTemplate.transliterate(sanitized) : sanitized;
+        };
+
+        const id = FilenameTemplate.formatDate(now, 'YYYYMMDDHHmmss');
+        const values = {
+            date: format => FilenameTemplate.formatDate(now, format || 'YYYY-MM-DD'),
+            time: format => FilenameTemplate.formatDate(now, format || 'HH-mm-ss'),
+            title: () => text(articleData.title || 'Untitled Article').replace(/\s+/g, '_'),
+            domain: () => FilenameTemplate.getDomain(articleData),
+            author: () => text(articleData.author || articleData.metadata?.author || '').replace(/\s+/g, '_'),
+            slug: () => FilenameTemplate.slugify(articleData.title),
+            id: () => id
+        };
+
+        const rendered = String(template || DEFAULT_FILENAME_TEMPLATE).replace(
+            /\{\{\s*(\w+)(?::([^}]*))?\s*\}\}/g,
+            (match, name, format) => {
+                const resolve = values[name.toLowerCase()];
+                return resolve ? resolve(format && format.trim()) : '';
+            }
+        );
+
+        // 空のプレースホルダーで残った区切り文字を整理し、長さを制限
+        const cleaned = FilenameTemplate.sanitize(rendered)
+            .replace(/([_\-\s.])\1+/g, '$1')
+            .replace(/^[_\-\s.]+|[_\-\s.]+$/g, '');
+        const truncated = Array.from(cleaned).slice(0, maxLength).join('')
+            .replace(/[_\-\s.]+$/, '');
+
+        return truncated || id;
+    }
+
+    /**
+     * 日付のフォーマット
+     * @param {Date} date - 日時
+     * @param {string} format - フォーマット（YYYY, YY, MM, DD, HH, mm, ss）
+     * @returns {string} フォーマット済みの文字列
+     */
+    static formatDate(date, format) {
+        const pad = value => String(value).padStart(2, '0');
+        const tokens = {
+            YYYY: String(date.getFullYear()),
+            YY: String(date.getFullYear()).slice(-2),
+            MM: pad(date.getMonth() + 1),
+            DD: pad(date.getDate()),
+            HH: pad(date.getHours()),
+            mm: pad(date.getMinutes()),
+            ss: pad(date.getSeconds())
+        };
+        return format.replace(/YYYY|YY|MM|DD|HH|mm|ss/g, token => tokens[token]);
+    }
+
+    /**
+     * ファイル名に使えない文字の除去と空白の正規化
+     * @param {string} value - 対象文字列
+     * @returns {string} 安全な文字列
+     */
+    static sanitize(value) {
+        return String(value || '')
+            .replace(INVALID_FILENAME_CHARS, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * ASCII文字への変換（アクセント記号の除去・かなのローマ字化）
+     * 変換できない文字（漢字など）は除去する
+     * @param {string} value - 対象文字列
+     * @returns {string} ASCII文字列
+     */
+    static transliterate(value) {
+        const hiragana = String(value || '')
+            .normalize('NFKC')
+            .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+
+        let result = '';
+        for (let i = 0; i < hiragana.length; i++) {
+            const ch = hiragana[i];
+            const pair = hiragana.slice(i, i + 2);
+            if (KANA_ROMAJI[pair]) {
+                result += KANA_ROMAJI[pair];
+                i++;
+            } else if (ch === 'っ' || ch === 'ッ') {
+                // 促音は次の子音を重ねる
+                const next = KANA_ROMAJI[hiragana.slice(i + 1, i + 3)] || KANA_ROMAJI[hiragana[i + 1]] || '';
+                result += next.charAt(0);
+            } else if (ch === 'ー') {
+                // 長音は直前の母音を重ねる
+                const vowel = result.match(/[aeiou]$/);
+                result += vowel ? vowel[0] : '';
+            } else if (KANA_ROMAJI[ch]) {
+                result += KANA_ROMAJI[ch];
+            } else {
+                result += ch;
+            }
+        }
+
+        return result
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\x20-\x7E]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * URL向けのスラッグ生成（小文字ASCII・ハイフン区切り）
+     * @param {string} value - 対象文字列
+     * @returns {string} スラッグ
+     */
+    static slugify(value) {
+        return FilenameTemplate.transliterate(value)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * 記事データからドメインを取得（www. は除く）
+     * @param {Object} articleData - 記事データ
+     * @returns {string} ドメイン
+     */
+    static getDomain(articleData) {
+        if (articleData.domain) {
+            return FilenameTemplate.sanitize(articleData.domain.replace(/^www\./, ''));
+        }
+        try {
+            return new URL(articleData.url).hostname.replace(/^www\./, '');
+        } catch (e) {
+            return '';
+        }
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FilenameTemplate,
+        DEFAULT_FILENAME_TEMPLATE,
+        DEFAULT_FILENAME_MAX_LENGTH,
+        FILENAME_TEMPLATE_PRESETS
+    };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.FilenameTemplate = FilenameTemplate;
+    g.DEFAULT_FILENAME_TEMPLATE = DEFAULT_FILENAME_TEMPLATE;
+    g.DEFAULT_FILENAME_MAX_LENGTH = DEFAULT_FILENAME_MAX_LENGTH;
+    g.FILENAME_TEMPLATE_PRESETS = FILENAME_TEMPLATE_PRESETS;
+}
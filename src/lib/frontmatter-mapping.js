@@ -0,0 +1,296 @@
+// ReadLater for Obsidian - Frontmatter Mapping
+// フロントマターに出力するプロパティの選択・名前の変更・日付の書式と、固定値のプロパティの追加
+
+// 生成されるプロパティ（設定画面に表示する順）。type: 'date' のものは書式を指定できる
+const FRONTMATTER_PROPERTIES = [
+    { key: 'title', label: 'タイトル' },
+    { key: 'originalTitle', label: '原題' },
+    { key: 'url', label: 'URL' },
+    { key: 'domain', label: 'ドメイン' },
+    { key: 'date', label: '保存日', type: 'date' },
+    { key: 'time', label: '保存時刻' },
+    { key: 'created', label: '作成日時', type: 'date' },
+    { key: 'tags', label: 'タグ' },
+    { key: 'type', label: '種別' },
+    { key: 'source', label: '取得元' },
+    { key: 'author', label: '著者' },
+    { key: 'readingTime', label: '読了時間（分）' },
+    { key: 'language', label: '言語' },
+    { key: 'detectedLanguage', label: '検出した言語' },
+    { key: 'extractedAt', label: '抽出日時', type: 'date' },
+    { key: 'strategy', label: '抽出方式' },
+    { key: 'site', label: 'サイト（サイトアダプタ）' },
+    { key: 'aliases', label: 'エイリアス' },
+    { key: 'cssclass', label: 'CSSクラス' },
+    { key: 'publish', label: '公開' },
+    { key: 'aiSummary', label: 'AI要約の有無' },
+    { key: 'summaryWordCount', label: '要約の文字数' },
+    { key: 'summaryDate', label: '要約日', type: 'date' },
+    { key: 'aiKeywords', label: 'AIキーワード' },
+    { key: 'wordCount', label: '単語数' },
+    { key: 'charCount', label: '文字数' },
+    { key: 'publishDate', label: '公開日', type: 'date' },
+    { key: 'description', label: '説明' },
+    { key: 'keywords', label: 'キーワード（ページのメタデータ）' }
+];
+
+/**
+ * フロントマターのプロパティ設定クラス
+ *
+ * 設定の形式:
+ * - frontmatterProperties: { url: { name: 'source' }, created: { format: 'YYYY-MM-DDTHH:mm' }, cssclass: { enabled: false } }
+ * - frontmatterExtraProperties: { status: 'unread', type: 'literature-note' } （固定値のプロパティ）
+ * - extraProperties: 振り分けルールで追加されるプロパティ（固定値より優先）
+ *
+ * 固定値のプロパティは「名前: 値」の1行1プロパティのテキストでも指定できる。
+ * 値は true/false・数値・[a, b]（リスト）を型付きで扱い、"..." で囲むと文字列になる
+ */
+class FrontmatterMapping {
+    /**
+     * 生成したプロパティに設定を適用
+     * @param {Object} frontmatter - 生成したプロパティ
+     * @param {Object} settings - ユーザー設定
+     * @param {Object} options - { formatDate }
+     * @returns {Object} 出力するプロパティ
+     */
+    static apply(frontmatter, settings = {}, options = {}) {
+        const mapping = FrontmatterMapping.normalizeMapping(settings.frontmatterProperties);
+        const formatDate = options.formatDate ||
+            (typeof FilenameTemplate !== 'undefined' ? FilenameTemplate : require('./filename-template.js').FilenameTemplate).formatDate;
+        const result = {};
+
+        for (const [key, value] of Object.entries(frontmatter || {})) {
+            const entry = mapping[key] || {};
+            if (entry.enabled === false) continue;
+
+            const name = entry.name || key;
+            // 名前を変えたプロパティは、同じ名前の既定のプロパティより優先する（例: url → source）
+            if (Object.prototype.hasOwnProperty.call(result, name) && !entry.name) continue;
+
+            result[name] = entry.format ? FrontmatterMapping.formatValue(value, entry.format, formatDate) : value;
+        }
+
+        const extra = {
+            ...FrontmatterMapping.parseProperties(settings.frontmatterExtraProperties),
+            ...FrontmatterMapping.parseProperties(settings.extraProperties)
+        };
+        return { ...result, ...extra };
+    }
+
+    /**
+     * 再保存時に既存ノートの値を残すプロパティ
+     * 作成日時と固定値のプロパティ（status など、ユーザーが書き換える想定のもの）が対象
+     * @param {Object} settings - ユーザー設定
+     * @returns {Object} { createdKey, preserveKeys }
+     */
+    static mergeOptions(settings = {}) {
+        const mapping = FrontmatterMapping.normalizeMapping(settings.frontmatterProperties);
+        const createdKey = (mapping.created && mapping.created.name) || 'created';
+        return {
+            createdKey,
+            preserveKeys: [
+                createdKey,
+                ...Object.keys(FrontmatterMapping.parseProperties(settings.frontmatterExtraProperties)),
+                ...Object.keys(FrontmatterMapping.parseProperties(settings.extraProperties))
+            ]
+        };
+    }
+
+    /**
+     * プロパティ設定の正規化（既知のプロパティのみ、既定値との差分だけを残す）
+     * @param {Object} mapping - プロパティ設定
+     * @returns {Object} 正規化された設定
+     */
+    static normalizeMapping(mapping) {
+        const normalized = {};
+        if (!mapping || typeof mapping !== 'object') {
+            return normalized;
+        }
+
+        for (const { key, type } of FRONTMATTER_PROPERTIES) {
+            const entry = mapping[key];
+            if (!entry || typeof entry !== 'object') continue;
+
+            const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+            const format = type === 'date' && typeof entry.format === 'string' ? entry.format.trim() : '';
+            const value = {};
+            if (entry.enabled === false) value.enabled = false;
+            if (name && name !== key) value.name = name;
+            if (format) value.format = format;
+
+            if (Object.keys(value).length > 0) {
+                normalized[key] = value;
+            }
+        }
+        return normalized;
+    }
+
+    /**
+     * プロパティ設定の検証
+     * @param {Object} mapping - プロパティ設定
+     * @returns {Array<string>} エラーメッセージの配列（問題なければ空）
+     */
+    static validateMapping(mapping) {
+        const normalized = FrontmatterMapping.normalizeMapping(mapping);
+        const errors = [];
+        const renamed = new Map();
+
+        for (const [key, entry] of Object.entries(normalized)) {
+            if (!entry.name || entry.enabled === false) continue;
+            if (!FrontmatterMapping.isValidName(entry.name)) {
+                errors.push(`プロパティ名「${entry.name}」は使用できません`);
+            } else if (renamed.has(entry.name)) {
+                errors.push(`プロパティ名「${entry.name}」が ${renamed.get(entry.name)} と ${key} で重複しています`);
+            }
+            renamed.set(entry.name, key);
+        }
+        return errors;
+    }
+
+    /**
+     * 固定値のプロパティの変換（テキストはオブジェクトに変換）
+     * @param {Object|string} value - プロパティ（オブジェクトまたは「名前: 値」のテキスト）
+     * @returns {Object} プロパティ
+     */
+    static parseProperties(value) {
+        if (!value) {
+            return {};
+        }
+        if (typeof value === 'object' && !Array.isArray(value)) {
+            return { ...value };
+        }
+
+        const properties = {};
+        String(value).split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            const separator = trimmed.indexOf(':');
+            if (!trimmed || trimmed.startsWith('#') || separator <= 0) return;
+
+            const name = trimmed.slice(0, separator).trim();
+            if (FrontmatterMapping.isValidName(name)) {
+                properties[name] = FrontmatterMapping.parseValue(trimmed.slice(separator + 1));
+            }
+        });
+        return properties;
+    }
+
+    /**
+     * 固定値のプロパティのテキストの検証
+     * @param {Object|string} value - プロパティ
+     * @returns {Array<string>} エラーメッセージの配列（問題なければ空）
+     */
+    static validateProperties(value) {
+        if (!value || typeof value !== 'string') {
+            return [];
+        }
+
+        const errors = [];
+        value.split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const separator = trimmed.indexOf(':');
+            if (separator <= 0) {
+                errors.push(`${index + 1}行目: 「名前: 値」の形式で入力してください`);
+            } else if (!FrontmatterMapping.isValidName(trimmed.slice(0, separator).trim())) {
+                errors.push(`${index + 1}行目: プロパティ名「${trimmed.slice(0, separator).trim()}」は使用できません`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * 固定値のプロパティをテキストに変換（設定画面の入力欄用）
+     * @param {Object|string} properties - プロパティ
+     * @returns {string} 「名前: 値」の1行1プロパティのテキスト
+     */
+    static formatProperties(properties) {
+        if (typeof properties === 'string') {
+            return properties;
+        }
+        return Object.entries(properties || {})
+            .map(([name, value]) => `${name}: ${FrontmatterMapping.formatPropertyValue(value)}`)
+            .join('\n');
+    }
+
+    /**
+     * 値のテキストを型付きの値に変換
+     * @param {string} text - 値のテキスト
+     * @returns {*} 真偽値・数値・リスト・文字列
+     */
+    static parseValue(text) {
+        const value = String(text).trim();
+
+        if (/^".*"$/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value.slice(1, -1);
+            }
+        }
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
+        if (/^-?\d+(\.\d+)?$/.test(value)) {
+            return Number(value);
+        }
+        if (value.startsWith('[') && value.endsWith(']')) {
+            const inner = value.slice(1, -1).trim();
+            return inner ? (inner.match(/"(?:[^"\\]|\\.)*"|[^,\s][^,]*/g) || [])
+                .map(item => FrontmatterMapping.parseValue(item))
+                .filter(item => item !== '') : [];
+        }
+        return value;
+    }
+
+    static formatPropertyValue(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => FrontmatterMapping.formatPropertyValue(item)).join(', ')}]`;
+        }
+        if (typeof value === 'string') {
+            // 別の型として読まれる文字列は引用する
+            return FrontmatterMapping.parseValue(value) === value && !/[,[\]]/.test(value) ? value : JSON.stringify(value);
+        }
+        return String(value);
+    }
+
+    /**
+     * 日付の値を書式に従って変換（日付として解釈できない値はそのまま）
+     * @param {*} value - 値
+     * @param {string} format - 書式（例: YYYY-MM-DDTHH:mm）
+     * @param {Function} formatDate - 書式変換関数
+     * @returns {*} 変換後の値
+     */
+    static formatValue(value, format, formatDate) {
+        const date = FrontmatterMapping.parseDate(value);
+        return date ? formatDate(date, format) : value;
+    }
+
+    static parseDate(value) {
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? null : value;
+        }
+        if (typeof value !== 'string' || !value.trim()) {
+            return null;
+        }
+        // 日付のみの値はローカル時刻の0時として扱う
+        const dateOnly = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const date = dateOnly ?
+            new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])) :
+            new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    static isValidName(name) {
+        return typeof name === 'string' && /^[^\s:#\-[\]{},"'][^:\n]*$/.test(name) && name === name.trim();
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FrontmatterMapping, FRONTMATTER_PROPERTIES };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.FrontmatterMapping = FrontmatterMapping;
+    g.FRONTMATTER_PROPERTIES = FRONTMATTER_PROPERTIES;
+}
@@ -0,0 +1,751 @@
+// ReadLater for Obsidian - HTML to Markdown Converter
+// 記事本文のHTMLをGFM（GitHub Flavored Markdown）に変換
+
+// 出力しない要素
+const SKIPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'svg', 'canvas',
+    'button', 'form', 'select', 'textarea', 'head', 'link', 'meta'
+]);
+
+// 段落として前後を空行で区切る要素
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav',
+    'address', 'center', 'details', 'fieldset', 'hgroup'
+]);
+
+// 脚注の定義をまとめた要素（.footnotes、Wikipediaの参考文献など）
+const FOOTNOTE_CONTAINER_SELECTOR = '.footnotes, .footnote-list, [role="doc-endnotes"], ol.references, .reflist, .references';
+// 脚注の定義から本文に戻るリンク
+const FOOTNOTE_BACKLINK_SELECTOR = '.footnote-backref, .footnote-return, [role="doc-backlink"], .mw-cite-backlink, a[href^="#fnref"], a[href^="#cite_ref"]';
+// 脚注の定義によく使われるID（fn1, fn:1, footnote-1, cite_note-1 など）
+const FOOTNOTE_ID_PATTERN = /^(?:fn|footnote|cite[_-]note|endnote|note)[\w:.-]*$/i;
+
+// MathML の記号・ギリシャ文字に対応するTeXのコマンド
+const MATH_SYMBOLS = {
+    'α': '\\alpha', 'β': '\\beta', 'γ': '\\gamma', 'δ': '\\delta', 'ε': '\\epsilon', 'ϵ': '\\epsilon',
+    'ζ': '\\zeta', 'η': '\\eta', 'θ': '\\theta', 'ι': '\\iota', 'κ': '\\kappa', 'λ': '\\lambda',
+    'μ': '\\mu', 'ν': '\\nu', 'ξ': '\\xi', 'π': '\\pi', 'ρ': '\\rho', 'σ': '\\sigma', 'τ': '\\tau',
+    'υ': '\\upsilon', 'φ': '\\phi', 'ϕ': '\\phi', 'χ': '\\chi', 'ψ': '\\psi', 'ω': '\\omega',
+    'Γ': '\\Gamma', 'Δ': '\\Delta', 'Θ': '\\Theta', 'Λ': '\\Lambda', 'Ξ': '\\Xi', 'Π': '\\Pi',
+    'Σ': '\\Sigma', 'Φ': '\\Phi', 'Ψ': '\\Psi', 'Ω': '\\Omega',
+    '∑': '\\sum', '∏': '\\prod', '∫': '\\int', '∮': '\\oint', '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla',
+    '≤': '\\le', '≥': '\\ge', '≠': '\\ne', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim', '∝': '\\propto',
+    '×': '\\times', '·': '\\cdot', '⋅': '\\cdot', '÷': '\\div', '±': '\\pm', '∓': '\\mp', '−': '-',
+    '→': '\\to', '←': '\\leftarrow', '⇒': '\\Rightarrow', '⇔': '\\Leftrightarrow', '↦': '\\mapsto',
+    '∈': '\\in', '∉': '\\notin', '⊂': '\\subset', '⊆': '\\subseteq', '∪': '\\cup', '∩': '\\cap',
+    '∅': '\\emptyset', '∀': '\\forall', '∃': '\\exists', '¬': '\\neg', '∧': '\\land', '∨': '\\lor',
+    '…': '\\ldots', '⋯': '\\cdots', '′': "'", '\u2061': '', '\u2062': '', '\u2063': ''
+};
+
+// MathML の上付きの記号に対応するアクセント
+const MATH_ACCENTS = { '¯': '\\overline', '‾': '\\overline', '^': '\\hat', 'ˆ': '\\hat', '~': '\\tilde', '˜': '\\tilde', '→': '\\vec', '⃗': '\\vec', '˙': '\\dot' };
+
+// コードブロックのプレースホルダー（整形処理からコードを保護する）
+const CODE_PLACEHOLDER_PATTERN = /^(.*?)\uE000(\d+)\uE000/gm;
+
+/**
+ * HTML→Markdown変換クラス
+ * - 見出し・段落・強調・打ち消し線・上付き/下付き・リンク・画像・引用・水平線
+ * - 入れ子のリスト（チェックボックス・開始番号を含む）、定義リスト
+ * - GFMの表、figure/figcaption、言語指定付きのコードブロック
+ * - 相対URLのリンク・画像は baseUrl で絶対URLに解決する
+ * - 脚注（sup > a[href^="#fn"]、.footnotes、Wikipediaの参考文献）は [^1] 形式にし、定義を末尾にまとめる
+ * - 数式（MathJaxの script[type="math/tex"]、KaTeXのTeXの注釈、MathML）は $...$ / $$...$$ にする
+ */
+class HTMLToMarkdownConverter {
+    /**
+     * @param {Object} options - { baseUrl }
+     */
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || '';
+        this.converters = new Map([
+            ['h1', this.convertHeading.bind(this, 1)],
+            ['h2', this.convertHeading.bind(this, 2)],
+            ['h3', this.convertHeading.bind(this, 3)],
+            ['h4', this.convertHeading.bind(this, 4)],
+            ['h5', this.convertHeading.bind(this, 5)],
+            ['h6', this.convertHeading.bind(this, 6)],
+            ['strong', this.convertWrapped.bind(this, '**', '**')],
+            ['b', this.convertWrapped.bind(this, '**', '**')],
+            ['em', this.convertWrapped.bind(this, '*', '*')],
+            ['i', this.convertWrapped.bind(this, '*', '*')],
+            ['cite', this.convertWrapped.bind(this, '*', '*')],
+            ['del', this.convertWrapped.bind(this, '~~', '~~')],
+            ['s', this.convertWrapped.bind(this, '~~', '~~')],
+            ['strike', this.convertWrapped.bind(this, '~~', '~~')],
+            ['mark', this.convertWrapped.bind(this, '==', '==')],
+            ['sup', this.convertWrapped.bind(this, '<sup>', '</sup>')],
+            ['sub', this.convertWrapped.bind(this, '<sub>', '</sub>')],
+            ['kbd', this.convertWrapped.bind(this, '<kbd>', '</kbd>')],
+            ['a', this.convertLink.bind(this)],
+            ['img', this.convertImage.bind(this)],
+            ['ul', this.convertList.bind(this)],
+            ['ol', this.convertList.bind(this)],
+            ['li', this.convertListItemFallback.bind(this)],
+            ['dl', this.convertDefinitionList.bind(this)],
+            ['blockquote', this.convertBlockquote.bind(this)],
+            ['code', this.convertInlineCode.bind(this)],
+            ['pre', this.convertCodeBlock.bind(this)],
+            ['table', this.convertTable.bind(this)],
+            ['figure', this.convertFigure.bind(this)],
+            ['figcaption', this.convertCaption.bind(this)],
+            ['summary', this.convertSummary.bind(this)],
+            ['input', this.convertInput.bind(this)],
+            ['hr', () => '\n\n---\n\n'],
+            ['br', this.convertLineBreak.bind(this)]
+        ]);
+    }
+
+    /**
+     * HTMLをMarkdownに変換
+     * @param {string|Element} html - HTML文字列または要素
+     * @param {Object} options - { baseUrl }（相対URLの解決に使用）
+     * @returns {Promise<string>} Markdown文字列
+     */
+    async convert(html, options = {}) {
+        try {
+            let element;
+
+            if (typeof html === 'string') {
+                const parser = new DOMParser();
+                const doc = parser.parseFromString(html, 'text/html');
+                element = doc.body;
+            } else if (html && html.nodeType === 1) {
+                element = html;
+            } else {
+                throw new Error('Invalid HTML input');
+            }
+
+            return this.toMarkdown(element, options);
+
+        } catch (error) {
+            console.error('HTMLToMarkdownConverter: Conversion failed', error);
+            // フォールバック: プレーンテキストとして返す
+            const text = typeof html === 'string' ?
+                new DOMParser().parseFromString(html, 'text/html').body.textContent :
+                html?.textContent;
+            return text || '';
+        }
+    }
+
+    /**
+     * 要素をMarkdownに変換（同期版）
+     * @param {Element} element - 変換する要素
+     * @param {Object} options - { baseUrl }
+     * @returns {string} Markdown文字列
+     */
+    toMarkdown(element, options = {}) {
+        const context = {
+            baseUrl: options.baseUrl || this.baseUrl,
+            codeBlocks: [],
+            inTable: false,
+            footnotes: this.collectFootnotes(element)
+        };
+
+        const markdown = this.finalizeBlock(this.convertChildren(element, context));
+        const footnotes = this.convertFootnoteDefinitions(context);
+        return this.restoreCodeBlocks(footnotes ? `${markdown}\n\n${footnotes}` : markdown, context);
+    }
+
+    /**
+     * DOM要素をMarkdownに変換
+     * @param {Element} element - DOM要素
+     * @param {Object} context - 変換中の状態
+     * @returns {string} Markdown文字列
+     */
+    convertElement(element, context) {
+        if (!element) return '';
+
+        // 数式は表示用の要素（script・aria-hidden など）より先に判定する
+        const math = this.convertMath(element, context);
+        if (math !== null) {
+            return math;
+        }
+
+        const tagName = element.tagName?.toLowerCase();
+        if (SKIPPED_TAGS.has(tagName) || element.hidden || element.getAttribute?.('aria-hidden') === 'true') {
+            return '';
+        }
+
+        // 脚注の定義は末尾にまとめて出力する
+        if (context.footnotes.containers.has(element)) {
+            return '';
+        }
+        const footnote = this.convertFootnoteReference(element, context);
+        if (footnote !== null) {
+            return footnote;
+        }
+
+        const converter = this.converters.get(tagName);
+        if (converter) {
+            return converter(element, context);
+        }
+
+        if (BLOCK_TAGS.has(tagName)) {
+            return this.convertBlock(element, context);
+        }
+
+        // その他のインライン要素は子要素のみ
+        return this.convertChildren(element, context);
+    }
+
+    /**
+     * 子要素を再帰的に変換
+     * @param {Element} element - 親要素
+     * @param {Object} context - 変換中の状態
+     * @returns {string} 変換された文字列
+     */
+    convertChildren(element, context) {
+        let result = '';
+
+        for (const child of element.childNodes) {
+            if (child.nodeType === 3) {
+                // HTMLと同様に連続する空白は1つにまとめる（$ は数式の区切りと解釈されないようにする）
+                result += child.textContent.replace(/\s+/g, ' ').replace(/\$/g, '\\$');
+            } else if (child.nodeType === 1) {
+                result += this.convertElement(child, context);
+            }
+        }
+
+        return result;
+    }
+
+    // 個別要素の変換メソッド
+
+    convertBlock(element, context) {
+        // div などはリストや表を含むため、行頭のインデントを残して整える
+        const children = this.convertChildren(element, context);
+        const text = element.tagName.toLowerCase() === 'p' ? this.tidyInline(children) : this.finalizeBlock(children);
+        return text ? `\n\n${text}\n\n` : '';
+    }
+
+    convertHeading(level, element, context) {
+        const text = this.convertChildren(element, context).replace(/\s+/g, ' ').trim();
+        return text ? `\n\n${'#'.repeat(level)} ${text}\n\n` : '';
+    }
+
+    convertWrapped(open, close, element, context) {
+        const text = this.convertChildren(element, context);
+        if (!text.trim()) return text;
+
+        // 前後の空白は記号の外に出す（**text ** は強調にならないため）
+        const leading = text.match(/^\s*/)[0];
+        const trailing = text.match(/\s*$/)[0];
+        return `${leading}${open}${text.trim()}${close}${trailing}`;
+    }
+
+    convertLink(element, context) {
+        const text = this.convertChildren(element, context).replace(/\s+/g, ' ').trim();
+        const href = (element.getAttribute('href') || '').trim();
+
+        if (!href || href.startsWith('#') || /^javascript:/i.test(href)) {
+            return text; // 内部リンクはテキストのみ
+        }
+        if (!text) return '';
+
+        return `[${text}](${this.formatUrl(this.resolveUrl(href, context))})`;
+    }
+
+    convertImage(element, context) {
+        const alt = (element.getAttribute('alt') || '').replace(/\s+/g, ' ').replace(/[[\]]/g, '').trim();
+        // 遅延読み込みの画像は data-src などに実際のURLがある
+        const candidates = [
+            element.getAttribute('src'),
+            element.getAttribute('data-src'),
+            element.getAttribute('data-original'),
+            (element.getAttribute('srcset') || '').split(',')[0].trim().split(/\s+/)[0]
+        ];
+        const src = candidates.find(value => value && !value.startsWith('data:'));
+
+        if (!src) return '';
+
+        return `![${alt}](${this.formatUrl(this.resolveUrl(src, context))})`;
+    }
+
+    convertList(element, context) {
+        const ordered = element.tagName.toLowerCase() === 'ol';
+        let index = parseInt(element.getAttribute('start'), 10);
+        if (Number.isNaN(index)) index = 1;
+
+        const items = Array.from(element.children).filter(child => child.tagName.toLowerCase() === 'li');
+        const lines = items.map(item => {
+            const marker = ordered ? `${index++}.` : '-';
+            const content = this.finalizeBlock(this.convertChildren(item, context))
+                .replace(/\n{2,}/g, '\n')
+                .replace(/^\[([ x])\]\s+/, '[$1] ');
+            const indent = ' '.repeat(marker.length + 1);
+            return `${marker} ${content.split('\n').join(`\n${indent}`)}`.trimEnd();
+        });
+
+        return lines.length > 0 ? `\n\n${lines.join('\n')}\n\n` : '';
+    }
+
+    convertListItemFallback(element, context) {
+        // ul/ol の外にある li
+        const text = this.finalizeBlock(this.convertChildren(element, context));
+        return text ? `\n- ${text}\n` : '';
+    }
+
+    convertInput(element) {
+        if ((element.getAttribute('type') || '').toLowerCase() !== 'checkbox') {
+            return '';
+        }
+        return element.hasAttribute('checked') ? '[x] ' : '[ ] ';
+    }
+
+    convertDefinitionList(element, context) {
+        const lines = [];
+        for (const child of element.children) {
+            const tag = child.tagName.toLowerCase();
+            const text = this.finalizeBlock(this.convertChildren(child, context)).replace(/\n+/g, ' ');
+            if (!text) continue;
+            if (tag === 'dt') {
+                lines.push(`**${text}**`);
+            } else if (tag === 'dd') {
+                lines.push(`: ${text}`);
+            }
+        }
+        return lines.length > 0 ? `\n\n${lines.join('\n')}\n\n` : '';
+    }
+
+    convertBlockquote(element, context) {
+        const text = this.finalizeBlock(this.convertChildren(element, context));
+        if (!text) return '';
+        return `\n\n${text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+    }
+
+    convertInlineCode(element) {
+        const text = element.textContent || '';
+        if (!text) return '';
+
+        // 本文中のバッククォートより長い区切りを使う
+        const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const padding = longest > 0 ? ' ' : '';
+        return `${fence}${padding}${text}${padding}${fence}`;
+    }
+
+    convertCodeBlock(element, context) {
+        const code = element.querySelector('code') || element;
+        const text = (code.textContent || '').replace(/\n$/, '');
+        const language = this.detectLanguage(code) || this.detectLanguage(element);
+
+        const longest = Math.max(0, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longest + 1));
+
+        // 整形処理でコードの空白・空行が崩れないよう、最後に戻す
+        context.codeBlocks.push(`${fence}${language}\n${text}\n${fence}`);
+        return `\n\n\uE000${context.codeBlocks.length - 1}\uE000\n\n`;
+    }
+
+    convertTable(element, context) {
+        const rows = Array.from(element.querySelectorAll('tr'))
+            .filter(row => row.closest('table') === element);
+        if (rows.length === 0) return '';
+
+        const tableContext = { ...context, inTable: true };
+        const matrix = rows.map(row => {
+            const cells = [];
+            for (const cell of row.children) {
+                const tag = cell.tagName.toLowerCase();
+                if (tag !== 'td' && tag !== 'th') continue;
+                cells.push(this.formatTableCell(this.convertChildren(cell, tableContext)));
+                // 結合セルは空のセルで埋める
+                const colspan = Math.min(parseInt(cell.getAttribute('colspan'), 10) || 1, 20);
+                for (let i = 1; i < colspan; i++) cells.push('');
+            }
+            return cells;
+        }).filter(cells => cells.length > 0);
+        if (matrix.length === 0) return '';
+
+        const columns = Math.max(...matrix.map(cells => cells.length));
+        const pad = cells => [...cells, ...Array(columns - cells.length).fill('')];
+        const formatRow = cells => `| ${pad(cells).join(' | ')} |`;
+
+        // GFMの表には見出し行が必要なため、1行目を見出しとして扱う
+        const headerCells = Array.from(rows[0].children).filter(cell => /^t[hd]$/i.test(cell.tagName));
+        const alignments = pad(headerCells.map(cell => this.detectAlignment(cell))).map(align => align || '---');
+
+        const lines = [
+            formatRow(matrix[0]),
+            `| ${alignments.join(' | ')} |`,
+            ...matrix.slice(1).map(formatRow)
+        ];
+
+        const caption = element.querySelector('caption');
+        const captionText = caption ? this.tidyInline(this.convertChildren(caption, context)) : '';
+        return `\n\n${lines.join('\n')}${captionText ? `\n\n*${captionText}*` : ''}\n\n`;
+    }
+
+    convertFigure(element, context) {
+        let body = '';
+        let caption = '';
+        for (const child of element.childNodes) {
+            if (child.nodeType === 1 && child.tagName.toLowerCase() === 'figcaption') {
+                caption = this.tidyInline(this.convertChildren(child, context));
+            } else if (child.nodeType === 1) {
+                body += this.convertElement(child, context);
+            }
+        }
+
+        const parts = [this.finalizeBlock(body), caption ? `*${caption}*` : ''].filter(Boolean);
+        return parts.length > 0 ? `\n\n${parts.join('\n')}\n\n` : '';
+    }
+
+    convertCaption(element, context) {
+        const text = this.tidyInline(this.convertChildren(element, context));
+        return text ? `\n\n*${text}*\n\n` : '';
+    }
+
+    convertSummary(element, context) {
+        const text = this.tidyInline(this.convertChildren(element, context));
+        return text ? `\n\n**${text}**\n\n` : '';
+    }
+
+    convertLineBreak(element, context) {
+        return context.inTable ? '<br>' : '\n';
+    }
+
+    // 数式
+
+    /**
+     * 数式の要素を $...$ / $$...$$ に変換（数式でなければ null）
+     * - MathJax v2: script[type="math/tex"]（表示用の .MathJax 要素は除く）
+     * - MathJax v3: mjx-container（支援技術向けのMathMLから変換）
+     * - KaTeX: .katex（annotation[encoding="application/x-tex"] のTeX）
+     * - MathML: math（TeXの注釈があれば優先）
+     */
+    convertMath(element, context) {
+        const tagName = element.tagName?.toLowerCase();
+
+        if (tagName === 'script') {
+            const type = element.getAttribute('type') || '';
+            if (!/^math\/tex/i.test(type)) return null;
+            return this.formatMath(element.textContent, /mode\s*=\s*display/i.test(type), context);
+        }
+
+        if (tagName === 'math') {
+            return this.formatMath(this.getMathTex(element), this.isDisplayMath(element), context);
+        }
+
+        if (tagName === 'mjx-container' || element.classList?.contains('katex')) {
+            const math = element.querySelector('math');
+            const annotation = element.querySelector('annotation[encoding="application/x-tex"]');
+            const tex = math ? this.getMathTex(math) : (annotation?.textContent || '');
+            return this.formatMath(tex, this.isDisplayMath(math || element), context);
+        }
+
+        // MathJax v2 の表示用の要素（TeXは後に続く script にある）
+        const classes = Array.from(element.classList || []);
+        if (classes.some(name => /^MathJax(?:_\w+)?$|^MJX_Assistive_MathML$/.test(name))) {
+            return '';
+        }
+
+        return null;
+    }
+
+    getMathTex(math) {
+        const annotation = math.querySelector('annotation[encoding="application/x-tex"]');
+        return annotation ? annotation.textContent : this.convertMathML(math);
+    }
+
+    isDisplayMath(element) {
+        return element.getAttribute('display') === 'block' ||
+            Boolean(element.closest('.katex-display, mjx-container[display="true"], mjx-container[display="block"]'));
+    }
+
+    formatMath(tex, display, context) {
+        const source = String(tex || '').trim();
+        if (!source) return '';
+
+        if (display) {
+            // 数式ブロックはコードブロックと同様に整形処理から保護する
+            context.codeBlocks.push(`$$\n${source}\n$$`);
+            return `\n\n\uE000${context.codeBlocks.length - 1}\uE000\n\n`;
+        }
+        return `$${source.replace(/\s+/g, ' ')}$`;
+    }
+
+    /**
+     * MathMLをTeXに変換（よく使われる要素のみ）
+     * @param {Element} node - MathMLの要素
+     * @returns {string} TeX
+     */
+    convertMathML(node) {
+        const children = Array.from(node.children || []);
+        const arg = index => (children[index] ? this.convertMathML(children[index]) : '');
+        const all = () => children.map(child => this.convertMathML(child)).join(' ');
+        const tagName = node.tagName.toLowerCase();
+
+        switch (tagName) {
+            case 'annotation':
+            case 'annotation-xml':
+                return '';
+            case 'semantics':
+                return arg(0);
+            case 'mi':
+            case 'mn':
+            case 'mo':
+                return this.convertMathText(node.textContent);
+            case 'mtext':
+                return node.textContent.trim() ? `\\text{${node.textContent}}` : '';
+            case 'mspace':
+                return '\\,';
+            case 'msup':
+                return `{${arg(0)}}^{${arg(1)}}`;
+            case 'msub':
+                return `{${arg(0)}}_{${arg(1)}}`;
+            case 'msubsup':
+            case 'munderover':
+                return `{${arg(0)}}_{${arg(1)}}^{${arg(2)}}`;
+            case 'mfrac':
+                return `\\frac{${arg(0)}}{${arg(1)}}`;
+            case 'msqrt':
+                return `\\sqrt{${all()}}`;
+            case 'mroot':
+                return `\\sqrt[${arg(1)}]{${arg(0)}}`;
+            case 'mover': {
+                const accent = MATH_ACCENTS[(children[1]?.textContent || '').trim()];
+                return accent ? `${accent}{${arg(0)}}` : `\\overset{${arg(1)}}{${arg(0)}}`;
+            }
+            case 'munder':
+                return `\\underset{${arg(1)}}{${arg(0)}}`;
+            case 'mfenced': {
+                const open = node.getAttribute('open') ?? '(';
+                const close = node.getAttribute('close') ?? ')';
+                return `\\left${open || '.'} ${children.map(child => this.convertMathML(child)).join(', ')} \\right${close || '.'}`;
+            }
+            case 'mtable':
+                return `\\begin{matrix} ${children.map(row => Array.from(row.children)
+                    .map(cell => this.convertMathML(cell)).join(' & ')).join(' \\\\ ')} \\end{matrix}`;
+            default:
+                return all();
+        }
+    }
+
+    convertMathText(text) {
+        return Array.from(String(text).trim())
+            .map(char => (MATH_SYMBOLS[char] !== undefined ? `${MATH_SYMBOLS[char]} ` : char))
+            .join('')
+            .trim();
+    }
+
+    // 脚注
+
+    /**
+     * 脚注の参照と定義の収集
+     * @param {Element} root - 変換する要素
+     * @returns {Object} { definitions: Map<id, Element>, labels: Map<id, label>, containers: Set<Element> }
+     */
+    collectFootnotes(root) {
+        const state = { definitions: new Map(), labels: new Map(), containers: new Set() };
+        if (!root.querySelectorAll) return state;
+
+        const elementsById = new Map();
+        root.querySelectorAll('[id]').forEach(el => {
+            if (!elementsById.has(el.id)) elementsById.set(el.id, el);
+        });
+
+        for (const link of root.querySelectorAll('a[href^="#"]')) {
+            if (link.closest(FOOTNOTE_BACKLINK_SELECTOR) || !this.isFootnoteLink(link)) continue;
+
+            const id = this.getLinkTarget(link);
+            if (!id || state.definitions.has(id)) continue;
+
+            // 本文の要素の外（抽出時に除かれた部分）にある定義も元のドキュメントから探す
+            const target = elementsById.get(id) || root.ownerDocument?.getElementById(id);
+            const definition = this.findFootnoteDefinition(target, link);
+            if (definition) {
+                state.definitions.set(id, definition);
+            }
+        }
+
+        // 参照されている定義を含む要素は本文から除き、参照のない定義も末尾に残す
+        for (const definition of Array.from(state.definitions.values())) {
+            const container = definition.closest(FOOTNOTE_CONTAINER_SELECTOR);
+            if (!container || !root.contains(container) || state.containers.has(container)) continue;
+
+            state.containers.add(container);
+            container.querySelectorAll('li[id]').forEach(item => {
+                if (!state.definitions.has(item.id)) state.definitions.set(item.id, item);
+            });
+        }
+
+        return state;
+    }
+
+    isFootnoteLink(link) {
+        const text = (link.textContent || '').replace(/\s+/g, '');
+        if (!/^[[(]?[\w*†‡§]{1,6}[\])]?$/.test(text)) return false;
+
+        return Boolean(link.closest('sup')) ||
+            link.matches('.footnote-ref, [role="doc-noteref"], [rel="footnote"]') ||
+            /^\[.+\]$/.test(text);
+    }
+
+    getLinkTarget(link) {
+        try {
+            return decodeURIComponent(link.getAttribute('href').slice(1));
+        } catch (e) {
+            return link.getAttribute('href').slice(1);
+        }
+    }
+
+    findFootnoteDefinition(target, link) {
+        if (!target || target.contains(link)) return null;
+
+        // 定義の中のアンカー（<a name>など）を指している場合は項目全体を使う
+        const definition = /^(li|p|div|aside|section|dd)$/i.test(target.tagName) ?
+            target : (target.closest('li') || target.parentElement);
+        if (!definition || definition.contains(link)) return null;
+
+        const isFootnote = definition.closest(FOOTNOTE_CONTAINER_SELECTOR) ||
+            FOOTNOTE_ID_PATTERN.test(target.id) ||
+            /^doc-(?:foot|end)note$/.test(definition.getAttribute('role') || '');
+        return isFootnote ? definition : null;
+    }
+
+    /**
+     * 脚注の参照を [^1] に変換（脚注でなければ null）
+     */
+    convertFootnoteReference(element, context) {
+        const { definitions } = context.footnotes;
+        if (definitions.size === 0) return null;
+
+        const tagName = element.tagName.toLowerCase();
+        const isReference = link => link.tagName.toLowerCase() === 'a' &&
+            definitions.has(this.getLinkTarget(link)) && this.isFootnoteLink(link);
+
+        if (tagName === 'a') {
+            return isReference(element) ? this.getFootnoteLabel(this.getLinkTarget(element), context) : null;
+        }
+        if (tagName !== 'sup') return null;
+
+        // <sup>[1][2]</sup> のように複数の参照をまとめた要素も扱う
+        const links = Array.from(element.querySelectorAll('a[href^="#"]'));
+        if (links.length === 0 || !links.every(isReference)) return null;
+
+        const rest = links.reduce((text, link) => text.replace(link.textContent, ''), element.textContent);
+        if (/[^\s,、]/.test(rest)) return null;
+
+        return links.map(link => this.getFootnoteLabel(this.getLinkTarget(link), context)).join('');
+    }
+
+    getFootnoteLabel(id, context) {
+        const { labels } = context.footnotes;
+        if (!labels.has(id)) {
+            labels.set(id, String(labels.size + 1));
+        }
+        return `[^${labels.get(id)}]`;
+    }
+
+    /**
+     * 脚注の定義を参照順に変換（参照されていない定義はその後に続ける）
+     */
+    convertFootnoteDefinitions(context) {
+        const { definitions, labels } = context.footnotes;
+        if (definitions.size === 0) return '';
+
+        const lines = [];
+        const written = new Set();
+        const write = id => {
+            written.add(id);
+            const clone = definitions.get(id).cloneNode(true);
+            clone.querySelectorAll(FOOTNOTE_BACKLINK_SELECTOR).forEach(el => el.remove());
+
+            const text = this.finalizeBlock(this.convertChildren(clone, context))
+                .replace(/^\^\s*/, '');
+            if (!text) return;
+            // 2段落目以降はインデントして同じ脚注に含める
+            const body = text.split('\n').map((line, index) => (index === 0 || !line ? line : `    ${line}`)).join('\n');
+            lines.push(`${this.getFootnoteLabel(id, context)}: ${body}`);
+        };
+
+        // 定義の中の参照でラベルが増える場合があるため、Mapへの追加分も順に処理する
+        for (const id of labels.keys()) {
+            if (!written.has(id) && definitions.has(id)) write(id);
+        }
+        for (const id of definitions.keys()) {
+            if (!written.has(id) && !labels.has(id)) write(id);
+        }
+
+        return lines.join('\n');
+    }
+
+    // 内部ヘルパー
+
+    formatTableCell(text) {
+        return text
+            .replace(/\uE000(\d+)\uE000/g, '')
+            .replace(/\s*\n\s*/g, ' ')
+            .replace(/\s+/g, ' ')
+            .replace(/\|/g, '\\|')
+            .trim();
+    }
+
+    detectAlignment(cell) {
+        const align = (cell.getAttribute('align') || cell.style?.textAlign || '').toLowerCase();
+        if (align === 'center') return ':---:';
+        if (align === 'right') return '---:';
+        if (align === 'left') return ':---';
+        return '';
+    }
+
+    detectLanguage(element) {
+        const className = element.getAttribute('class') || '';
+        const match = className.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/i);
+        if (match) return match[1].toLowerCase();
+
+        const attribute = element.getAttribute('data-lang') || element.getAttribute('data-language') || '';
+        return /^[\w+#.-]+$/.test(attribute) ? attribute.toLowerCase() : '';
+    }
+
+    resolveUrl(value, context) {
+        if (!context.baseUrl) return value;
+        try {
+            return new URL(value, context.baseUrl).href;
+        } catch (e) {
+            return value;
+        }
+    }
+
+    formatUrl(url) {
+        // 空白や括弧を含むURLはMarkdownのリンクとして解釈できるようにエンコードする
+        return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+    }
+
+    /**
+     * インライン要素の並びを1つの段落として整える（改行前後の空白を除去）
+     */
+    tidyInline(text) {
+        return text.replace(/[ \t]*\n[ \t]*/g, '\n').trim();
+    }
+
+    /**
+     * ブロック要素の並びを整える（連続する空行をまとめ、前後の空白を除去）
+     */
+    finalizeBlock(text) {
+        return text
+            .replace(/[ \t]+\n/g, '\n')
+            // 段落の先頭の空白は除く（リストのインデントは段落の途中の行にあるため残る）
+            .replace(/\n\n[ \t]+(?=\S)/g, '\n\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    restoreCodeBlocks(text, context) {
+        // コードブロックを戻す（リストや引用の中ではインデント・引用符を各行に付ける）
+        return text.replace(CODE_PLACEHOLDER_PATTERN, (match, prefix, index) => {
+            const continuation = prefix.replace(/[^>\s]/g, ' ');
+            return prefix + context.codeBlocks[Number(index)].split('\n').join(`\n${continuation}`);
+        });
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HTMLToMarkdownConverter };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.HTMLToMarkdownConverter = HTMLToMarkdownConverter;
+}
@@ -0,0 +1,292 @@
+// ReadLater for Obsidian - Image Downloader
+// ノート内の画像をダウンロードして保管庫の添付ファイルフォルダに保存し、参照を書き換える
+
+// 既定の設定
+const DEFAULT_IMAGE_FOLDER = 'attachments';
+const DEFAULT_IMAGE_MAX_SIZE_KB = 5120;
+const DEFAULT_IMAGE_MAX_COUNT = 30;
+const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+// Content-Type に対応する拡張子
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'image/svg+xml': 'svg',
+    'image/avif': 'avif',
+    'image/bmp': 'bmp'
+};
+
+// Markdownの画像参照: ![alt](url) / ![alt](<url>) / ![alt](url "title")
+const MARKDOWN_IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*(<[^>]+>|[^)\s]+)(\s+"[^"]*")?\s*\)/g;
+
+/**
+ * 画像のダウンロードと参照の書き換えを行うクラス
+ * - 同じ内容の画像は内容のハッシュから決まる同じファイル名で保存する（重複排除）
+ * - サイズ上限を超える画像・取得に失敗した画像は元のURLのまま残す
+ */
+class ImageDownloader {
+    /**
+     * @param {Object} options - { writeFile, fetch, digest, maxBytes, maxCount, timeoutMs }
+     *   writeFile(filePath, base64) はバイナリを書き込み、{ filePath, bytes } を返す
+     */
+    constructor(options = {}) {
+        this.writeFile = options.writeFile;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        this.digest = options.digest || ImageDownloader.sha256;
+        this.maxBytes = options.maxBytes || DEFAULT_IMAGE_MAX_SIZE_KB * 1024;
+        this.maxCount = options.maxCount || DEFAULT_IMAGE_MAX_COUNT;
+        this.timeoutMs = options.timeoutMs || IMAGE_FETCH_TIMEOUT_MS;
+    }
+
+    /**
+     * Markdown内の画像を保存し、参照を保存先に書き換える
+     * @param {string} markdown - Markdown
+     * @param {Object} options - { noteFolder, imageFolder, linkStyle: 'markdown'|'wikilink', baseUrl }
+     * @returns {Promise<Object>} { markdown, images: [{ url, fileName, filePath, bytes }], errors: [{ url, error }] }
+     */
+    async localize(markdown, options = {}) {
+        if (typeof this.writeFile !== 'function') {
+            throw new Error('画像の書き込み先が指定されていません');
+        }
+
+        const folder = ImageDownloader.resolveFolder(options.noteFolder, options.imageFolder);
+        const urls = ImageDownloader.collectImageUrls(markdown, options.baseUrl).slice(0, this.maxCount);
+        const saved = new Map();
+        const byHash = new Map();
+        const images = [];
+        const errors = [];
+
+        // メモリ使用量を抑えるため1枚ずつ処理する
+        for (const url of urls) {
+            try {
+                const { data, contentType } = await this.downloadImage(url);
+                const hash = await this.digest(data);
+                if (byHash.has(hash)) {
+                    saved.set(url, byHash.get(hash));
+                    continue;
+                }
+
+                const fileName = `${hash.slice(0, 16)}.${ImageDownloader.getExtension(contentType, url)}`;
+                const res = await this.writeFile(`${folder}/${fileName}`, ImageDownloader.toBase64(data));
+                const image = { url, fileName, filePath: res?.filePath || `${folder}/${fileName}`, bytes: data.byteLength };
+
+                byHash.set(hash, image);
+                saved.set(url, image);
+                images.push(image);
+            } catch (error) {
+                errors.push({ url, error: error.message });
+            }
+        }
+
+        const rewritten = markdown.replace(MARKDOWN_IMAGE_PATTERN, (match, alt, target) => {
+            const image = saved.get(ImageDownloader.resolveUrl(target, options.baseUrl));
+            return image ? ImageDownloader.formatEmbed(image.fileName, alt, options) : match;
+        });
+
+        return { markdown: rewritten, images, errors };
+    }
+
+    /**
+     * 1つのファイル（PDFなど）を添付ファイルフォルダに保存
+     * 同名の別ファイルを上書きしないよう、元のファイル名に内容のハッシュを付ける
+     * @param {string} url - ファイルのURL
+     * @param {Object} options - { noteFolder, imageFolder, linkStyle, fileName, accept: 受け付けるContent-Typeの接頭辞,
+     *   credentials: Cookieを送るか（fetchのcredentials、既定は 'omit'） }
+     * @returns {Promise<Object>} { url, fileName, filePath, bytes, embed: ノートに埋め込むリンク }
+     */
+    async saveFile(url, options = {}) {
+        if (typeof this.writeFile !== 'function') {
+            throw new Error('ファイルの書き込み先が指定されていません');
+        }
+
+        const { data } = await this.downloadImage(url, options.accept, options.credentials);
+        const hash = await this.digest(data);
+        const name = String(options.fileName || 'file')
+            .replace(/[\\/:*?"<>|#^[\]]/g, '_')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const extension = (name.match(/\.[a-z0-9]{1,5}$/i) || [''])[0];
+        const fileName = `${name.slice(0, name.length - extension.length).slice(0, 80) || 'file'}-${hash.slice(0, 8)}${extension}`;
+
+        const folder = ImageDownloader.resolveFolder(options.noteFolder, options.imageFolder);
+        const res = await this.writeFile(`${folder}/${fileName}`, ImageDownloader.toBase64(data));
+        return {
+            url,
+            fileName,
+            filePath: res?.filePath || `${folder}/${fileName}`,
+            bytes: data.byteLength,
+            embed: ImageDownloader.formatEmbed(fileName, '', options)
+        };
+    }
+
+    /**
+     * 画像のダウンロード（サイズ上限・タイムアウトあり）
+     * @param {string} url - 画像のURL
+     * @param {string} accept - 受け付けるContent-Typeの接頭辞（既定は画像）
+     * @param {string} credentials - fetchのcredentials（既定はCookieを送らない）
+     * @returns {Promise<Object>} { data: Uint8Array, contentType }
+     */
+    async downloadImage(url, accept = 'image/', credentials = 'omit') {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+        try {
+            const response = await this.fetch(url, { signal: controller?.signal, credentials });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+            if (contentType && !contentType.startsWith(accept)) {
+                throw new Error(accept === 'image/' ? `画像ではありません (${contentType})` : `対応していない形式です (${contentType})`);
+            }
+
+            const length = parseInt(response.headers.get('content-length'), 10);
+            if (length > this.maxBytes) {
+                throw new Error(`サイズが上限を超えています (${length} bytes)`);
+            }
+
+            const data = new Uint8Array(await response.arrayBuffer());
+            if (data.byteLength > this.maxBytes) {
+                throw new Error(`サイズが上限を超えています (${data.byteLength} bytes)`);
+            }
+            if (data.byteLength === 0) {
+                throw new Error(accept === 'image/' ? '画像が空です' : 'ファイルが空です');
+            }
+
+            return { data, contentType };
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Markdown内の画像のURLを収集（http(s)のみ、相対URLは記事のURLで解決）
+     * @param {string} markdown - Markdown
+     * @param {string} baseUrl - 記事のURL
+     * @returns {Array<string>} 重複のないURLの配列
+     */
+    static collectImageUrls(markdown, baseUrl) {
+        const urls = new Set();
+        for (const match of String(markdown || '').matchAll(MARKDOWN_IMAGE_PATTERN)) {
+            const url = ImageDownloader.resolveUrl(match[2], baseUrl);
+            if (url) urls.add(url);
+        }
+        return Array.from(urls);
+    }
+
+    static resolveUrl(target, baseUrl) {
+        const raw = String(target || '').replace(/^<|>$/g, '').trim();
+        try {
+            const url = new URL(raw, baseUrl || undefined);
+            return /^https?:$/.test(url.protocol) ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * 画像の保存先フォルダ（相対パスはノートのフォルダからの相対）
+     * @param {string} noteFolder - ノートを保存するフォルダ
+     * @param {string} imageFolder - 添付ファイルフォルダの設定
+     * @returns {string} 保存先フォルダ
+     */
+    static resolveFolder(noteFolder, imageFolder) {
+        const folder = ImageDownloader.normalizePath(imageFolder || DEFAULT_IMAGE_FOLDER);
+        if (ImageDownloader.isAbsolute(folder)) {
+            return folder;
+        }
+        const base = ImageDownloader.normalizePath(noteFolder || '');
+        return base ? `${base}/${folder}` : folder;
+    }
+
+    /**
+     * ノートから画像へのリンクのパス
+     * @param {string} noteFolder - ノートを保存するフォルダ
+     * @param {string} imageFolder - 添付ファイルフォルダの設定
+     * @param {string} fileName - 画像のファイル名
+     * @returns {string} 相対パス
+     */
+    static linkPath(noteFolder, imageFolder, fileName) {
+        const folder = ImageDownloader.normalizePath(imageFolder || DEFAULT_IMAGE_FOLDER);
+        if (!ImageDownloader.isAbsolute(folder)) {
+            return `${folder}/${fileName}`;
+        }
+        return ImageDownloader.relativePath(ImageDownloader.normalizePath(noteFolder || ''), `${folder}/${fileName}`);
+    }
+
+    /**
+     * 保存したファイルをノートに埋め込むリンク
+     * @param {string} fileName - 保存したファイル名
+     * @param {string} alt - 代替テキスト
+     * @param {Object} options - { noteFolder, imageFolder, linkStyle }
+     * @returns {string} ![[...]] または ![alt](...)
+     */
+    static formatEmbed(fileName, alt, options = {}) {
+        if (options.linkStyle === 'wikilink') {
+            return `![[${fileName}]]`;
+        }
+        const link = ImageDownloader.linkPath(options.noteFolder, options.imageFolder, fileName);
+        return `![${alt}](${/\s/.test(link) ? `<${link}>` : link})`;
+    }
+
+    static relativePath(from, to) {
+        const fromParts = from.split('/').filter(Boolean);
+        const toParts = to.split('/').filter(Boolean);
+        let common = 0;
+        while (common < fromParts.length && common < toParts.length - 1 && fromParts[common] === toParts[common]) {
+            common++;
+        }
+        return [...fromParts.slice(common).map(() => '..'), ...toParts.slice(common)].join('/');
+    }
+
+    static normalizePath(value) {
+        return String(value || '').trim().replace(/\\/g, '/').replace(/\/+$/, '');
+    }
+
+    static isAbsolute(value) {
+        return /^([a-zA-Z]:\/|\/)/.test(value);
+    }
+
+    static getExtension(contentType, url) {
+        if (IMAGE_EXTENSIONS[contentType]) {
+            return IMAGE_EXTENSIONS[contentType];
+        }
+        try {
+            const match = new URL(url).pathname.match(/\.([a-z0-9]{2,5})$/i);
+            if (match) {
+                const ext = match[1].toLowerCase();
+                return ext === 'jpeg' ? 'jpg' : ext;
+            }
+        } catch (e) {
+            // URLから判定できない場合は既定の拡張子
+        }
+        return 'img';
+    }
+
+    static toBase64(data) {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < data.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, data.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
+    static async sha256(data) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ImageDownloader, DEFAULT_IMAGE_FOLDER, DEFAULT_IMAGE_MAX_SIZE_KB };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.ImageDownloader = ImageDownloader;
+    g.DEFAULT_IMAGE_FOLDER = DEFAULT_IMAGE_FOLDER;
+    g.DEFAULT_IMAGE_MAX_SIZE_KB = DEFAULT_IMAGE_MAX_SIZE_KB;
+}
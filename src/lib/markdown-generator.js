@@ -14,7 +14,16 @@ class MarkdownGenerator {
             ...options
         };
         
-        this.htmlToMarkdown = new HTMLToMarkdownConverter();
+        this.htmlToMarkdown = this.options.htmlToMarkdown || new (typeof HTMLToMarkdownConverter !== 'undefined' ?
+            HTMLToMarkdownConverter : require('./html-to-markdown.js').HTMLToMarkdownConverter)();
+        this.filenameTemplate = this.options.filenameTemplate ||
+            (typeof FilenameTemplate !== 'undefined' ? FilenameTemplate : require('./filename-template.js').FilenameTemplate);
+        this.yaml = this.options.yamlSerializer ||
+            (typeof YamlSerializer !== 'undefined' ? YamlSerializer : require('./yaml-serializer.js').YamlSerializer);
+        this.frontmatterMapping = this.options.frontmatterMapping ||
+            (typeof FrontmatterMapping !== 'undefined' ? FrontmatterMapping : require('./frontmatter-mapping.js').FrontmatterMapping);
+        this.noteTemplate = this.options.noteTemplate ||
+            (typeof NoteTemplate !== 'undefined' ? NoteTemplate : require('./note-template.js').NoteTemplate);
     }
     
     /**
@@ -31,7 +40,7 @@ class MarkdownGenerator {
             const filename = this.generateFilename(articleData, userSettings);
             
             // フロントマターの生成
-            const frontmatter = this.generateFrontmatter(articleData);
+            const frontmatter = this.generateFrontmatter(articleData, userSettings);
             
             // コンテンツのMarkdown変換
             const markdownContent = await this.convertContentToMarkdown(articleData);
@@ -44,7 +53,8 @@ class MarkdownGenerator {
                 frontmatter,
                 articleData,
                 markdownContent,
-                summarySection
+                summarySection,
+                userSettings
             });
             
             console.log('MarkdownGenerator: Markdown generation completed', {
@@ -71,52 +81,29 @@ class MarkdownGenerator {
      * @param {Object} userSettings - ユーザー設定
      * @returns {string} ファイル名
      */
-    generateFilename(articleData, userSettings) {
-        const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const safeTitle = this.sanitizeFilename(articleData.title);
-        
-        const namingStyle = userSettings.fileNaming || 'date-title';
-        
-        switch (namingStyle) {
-            case 'title-date':
-                return `${safeTitle}_${date}.md`;
-            case 'title-only':
-                return `${safeTitle}.md`;
-            case 'date-title':
-            default:
-                return `${date}_${safeTitle}.md`;
-        }
-    }
-    
-    /**
-     * ファイル名に安全な文字列を生成
-     * @param {string} title - タイトル
-     * @returns {string} 安全なファイル名
-     */
-    sanitizeFilename(title) {
-        return title
-            .replace(/[^a-zA-Z0-9\u3040-\u309F\u30A0-\u30FF\u4E00-\u9FAF\s]/g, '') // 英数字、ひらがな、カタカナ、漢字、スペースのみ
-            .replace(/\s+/g, '_') // スペースをアンダースコアに
-            .slice(0, 50) // 最大50文字
-            .trim();
+    generateFilename(articleData, userSettings = {}) {
+        // テンプレート（fileNameTemplate）・最大文字数・ASCII変換の設定に従う
+        return this.filenameTemplate.generate(articleData, userSettings);
     }
     
     /**
      * フロントマター生成
      * @param {Object} articleData - 記事データ
+     * @param {Object} userSettings - ユーザー設定（extraTags）
      * @returns {string} フロントマター
      */
-    generateFrontmatter(articleData) {
+    generateFrontmatter(articleData, userSettings = {}) {
         const metadata = articleData.metadata || {};
         const date = new Date().toISOString().split('T')[0];
         
         const now = new Date();
         const time = now.toTimeString().split(' ')[0];
+        const readingTime = parseInt(metadata.readingTime, 10);
         
         const frontmatter = {
             // 基本情報
-            title: this.escapeYamlString(articleData.translatedTitle || articleData.title),
-            originalTitle: articleData.translatedTitle ? this.escapeYamlString(articleData.title) : undefined,
+            title: articleData.translatedTitle || articleData.title,
+            originalTitle: articleData.translatedTitle ? articleData.title : undefined,
             url: articleData.url,
             domain: articleData.domain,
             
@@ -132,11 +119,12 @@ class MarkdownGenerator {
             
             // 記事メタデータ
             author: metadata.author || 'Unknown',
-            readingTime: metadata.readingTime || 'Unknown',
+            readingTime: Number.isFinite(readingTime) ? readingTime : undefined,
             language: metadata.language || 'unknown',
             detectedLanguage: articleData.detectedLanguage || 'unknown',
             extractedAt: articleData.extractedAt,
             strategy: articleData.strategy || 'unknown',
+            site: articleData.site || undefined,
             
             // Obsidian用の追加フィールド
             aliases: generateAliases(articleData),
@@ -144,6 +132,11 @@ class MarkdownGenerator {
             publish: false
         };
         
+        // 保存時に指定された追加タグ
+        if (Array.isArray(userSettings.extraTags) && userSettings.extraTags.length > 0) {
+            frontmatter.tags = [...frontmatter.tags, ...userSettings.extraTags];
+        }
+        
         // Translation functionality removed - no translation processing
         
         if (articleData.summary) {
@@ -169,38 +162,20 @@ class MarkdownGenerator {
         }
         
         if (metadata.description) {
-            frontmatter.description = this.escapeYamlString(metadata.description);
+            frontmatter.description = metadata.description;
         }
         
         if (metadata.keywords) {
             frontmatter.keywords = metadata.keywords;
         }
         
-        // YAML形式で出力
-        let yaml = '---\n';
-        for (const [key, value] of Object.entries(frontmatter)) {
-            if (Array.isArray(value)) {
-                yaml += `${key}:\n`;
-                value.forEach(item => {
-                    yaml += `  - "${this.escapeYamlString(item)}"\n`;
-                });
-            } else {
-                yaml += `${key}: "${value}"\n`;
-            }
-        }
-        yaml += '---\n';
+        // ユーザー設定のプロパティ名・書式・固定値を適用
+        const properties = this.frontmatterMapping.apply(frontmatter, userSettings, {
+            formatDate: this.filenameTemplate.formatDate
+        });
         
-        return yaml;
-    }
-    
-    /**
-     * YAML文字列のエスケープ
-     * @param {string} str - エスケープする文字列
-     * @returns {string} エスケープされた文字列
-     */
-    escapeYamlString(str) {
-        if (typeof str !== 'string') return str;
-        return str.replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        // YAML形式で出力（真偽値・数値・日付の型を保持し、未定義の値は省略）
+        return this.yaml.frontmatter(properties);
     }
     
     /**
@@ -213,13 +188,18 @@ class MarkdownGenerator {
             return 'コンテンツが取得できませんでした。';
         }
         
+        // 抽出時に本文のHTMLから変換済みのMarkdownを優先
+        if (typeof articleData.contentMarkdown === 'string' && articleData.contentMarkdown.trim()) {
+            return articleData.contentMarkdown.trim();
+        }
+        
         // プレーンテキストの場合はそのまま使用
         if (typeof articleData.content === 'string') {
             return this.formatPlainTextAsMarkdown(articleData.content);
         }
         
         // HTMLの場合はMarkdownに変換
-        return await this.htmlToMarkdown.convert(articleData.content);
+        return await this.htmlToMarkdown.convert(articleData.content, { baseUrl: articleData.url });
     }
     
     /**
@@ -274,36 +254,96 @@ class MarkdownGenerator {
         return section;
     }
     
+    /**
+     * ディスカッションセクション生成（Hacker News・Reddit の投稿のコメント）
+     * @param {Object} articleData - 記事データ
+     * @returns {string} ディスカッションセクション（議論がない場合は空）
+     */
+    generateDiscussionSection(articleData) {
+        const discussion = articleData.discussion;
+        if (!discussion?.markdown) return '';
+        
+        const platform = DISCUSSION_PLATFORM_NAMES[discussion.platform] || discussion.platform || '掲示板';
+        const counts = discussion.commentCount > discussion.shownCount ?
+            `${discussion.commentCount}件中 上位${discussion.shownCount}件のコメント` :
+            `${discussion.shownCount}件のコメント`;
+        let section = `## 💬 ディスカッション\n\n**🗨️ ${platform}**: [元の投稿](${discussion.url || articleData.url}) (${counts})\n`;
+        
+        if (articleData.discussionSummary) {
+            section += `\n### 議論の要約\n\n${articleData.discussionSummary}\n`;
+        } else if (articleData.discussionSummaryError) {
+            section += `\n*⚠️ 議論の要約の生成に失敗しました: ${articleData.discussionSummaryError}*\n`;
+        }
+        
+        section += `\n### コメント\n\n${discussion.markdown}\n`;
+        return section;
+    }
+    
     /**
      * 完全なMarkdownの組み立て
+     * 設定のノートテンプレート（noteTemplatePreset / noteTemplate）を展開する
      * @param {Object} components - 各コンポーネント
      * @returns {string} 完全なMarkdown
      */
-    assembleFullMarkdown({ frontmatter, articleData, markdownContent, summarySection }) {
-        const sections = [];
-        
-        // フロントマター
-        sections.push(frontmatter);
-        
-        // タイトル
-        sections.push(`# ${articleData.title}\n`);
-        
-        // 記事情報
-        sections.push(this.generateArticleInfo(articleData));
-        
-        // 要約セクション
-        if (summarySection) {
-            sections.push(summarySection);
-        }
-        
-        // メインコンテンツ（翻訳機能削除により、元のコンテンツのみ表示）
-        sections.push('## 📄 記事内容\n');
-        sections.push(markdownContent);
-        
-        // フッター
-        sections.push(this.generateFooter(articleData));
+    assembleFullMarkdown({ frontmatter, articleData, markdownContent, summarySection, userSettings = {} }) {
+        const now = new Date();
+        const template = new this.noteTemplate(this.noteTemplate.resolveTemplate(userSettings), { now });
         
-        return sections.join('\n');
+        return template.render(this.buildTemplateContext({
+            frontmatter,
+            articleData,
+            markdownContent,
+            summarySection,
+            userSettings,
+            now
+        }));
+    }
+    
+    /**
+     * ノートテンプレートで使用できる変数の生成
+     * @param {Object} components - 各コンポーネント
+     * @returns {Object} テンプレート変数
+     */
+    buildTemplateContext({ frontmatter, articleData, markdownContent, summarySection, userSettings = {}, now = new Date() }) {
+        const metadata = articleData.metadata || {};
+        const keywords = Array.isArray(articleData.keywords) ? articleData.keywords : [];
+        const extraTags = Array.isArray(userSettings.extraTags) ? userSettings.extraTags : [];
+        const content = typeof articleData.content === 'string' ? articleData.content : '';
+        const known = value => (value && value !== 'Unknown' ? value : '');
+        
+        return {
+            title: articleData.title || 'Untitled Article',
+            translatedTitle: articleData.translatedTitle || '',
+            url: articleData.url || '',
+            domain: articleData.domain || '',
+            author: known(metadata.author),
+            publishDate: known(metadata.publishDate),
+            description: metadata.description || '',
+            language: articleData.detectedLanguage || metadata.language || '',
+            readingTime: known(metadata.readingTime),
+            wordCount: content ? content.split(/\s+/).length : 0,
+            strategy: articleData.strategy || 'unknown',
+            site: articleData.site || '',
+            summary: articleData.summary && !articleData.summarySkipped ? articleData.summary : '',
+            summaryError: articleData.summaryError || '',
+            discussion: articleData.discussion?.markdown || '',
+            discussionSummary: articleData.discussionSummary || '',
+            excerpt: content.length > 200 ? `${content.slice(0, 200).trim()}...` : content.trim(),
+            keywords,
+            tags: Array.from(new Set(['ReadLater', 'article', ...extraTags, ...keywords.slice(0, 3)])),
+            images: Array.isArray(metadata.images) ? metadata.images : [],
+            content: markdownContent,
+            metadata,
+            date: now.toISOString().split('T')[0],
+            time: now.toTimeString().split(' ')[0],
+            created: now.toISOString(),
+            // 従来のレイアウトの各部分
+            frontmatter,
+            articleInfo: this.generateArticleInfo(articleData),
+            summarySection: summarySection || '',
+            discussionSection: this.generateDiscussionSection(articleData),
+            footer: this.generateFooter(articleData)
+        };
     }
     
     /**
@@ -349,194 +389,296 @@ class MarkdownGenerator {
         
         return `\n---\n\n*📱 Generated by ReadLater for Obsidian*\n*🕒 ${timestamp}*\n*🎯 Strategy: ${articleData.strategy || 'unknown'}*`;
     }
-}
-
-/**
- * HTML→Markdown変換クラス
- */
-class HTMLToMarkdownConverter {
-    constructor() {
-        this.converters = new Map([
-            ['h1', this.convertHeading.bind(this, 1)],
-            ['h2', this.convertHeading.bind(this, 2)],
-            ['h3', this.convertHeading.bind(this, 3)],
-            ['h4', this.convertHeading.bind(this, 4)],
-            ['h5', this.convertHeading.bind(this, 5)],
-            ['h6', this.convertHeading.bind(this, 6)],
-            ['p', this.convertParagraph.bind(this)],
-            ['strong', this.convertStrong.bind(this)],
-            ['b', this.convertStrong.bind(this)],
-            ['em', this.convertEmphasis.bind(this)],
-            ['i', this.convertEmphasis.bind(this)],
-            ['a', this.convertLink.bind(this)],
-            ['img', this.convertImage.bind(this)],
-            ['ul', this.convertUnorderedList.bind(this)],
-            ['ol', this.convertOrderedList.bind(this)],
-            ['li', this.convertListItem.bind(this)],
-            ['blockquote', this.convertBlockquote.bind(this)],
-            ['code', this.convertInlineCode.bind(this)],
-            ['pre', this.convertCodeBlock.bind(this)],
-            ['br', this.convertLineBreak.bind(this)]
-        ]);
-    }
     
     /**
-     * HTMLをMarkdownに変換
-     * @param {string|Element} html - HTML文字列または要素
-     * @returns {Promise<string>} Markdown文字列
+     * 既存ノートに新しく生成したMarkdownをマージ（再保存時の上書き更新用）
+     * 生成側が管理するフロントマターのキーと要約・記事本文セクションを更新し、
+     * ユーザーが追加したキー・セクション・タグは残す。created は維持し modified を更新する
+     * @param {string} existingMarkdown - 既存ノート
+     * @param {string} generatedMarkdown - 新しく生成したMarkdown
+     * @param {Date} now - 更新日時
+     * @param {Object} options - { createdKey, preserveKeys }（既存の値を残すキー。FrontmatterMapping.mergeOptions 参照）
+     * @returns {string} マージ後のMarkdown
      */
-    async convert(html) {
-        try {
-            let element;
-            
-            if (typeof html === 'string') {
-                const parser = new DOMParser();
-                const doc = parser.parseFromString(html, 'text/html');
-                element = doc.body;
-            } else if (html instanceof Element) {
-                element = html;
-            } else {
-                throw new Error('Invalid HTML input');
-            }
-            
-            return this.convertElement(element);
-            
-        } catch (error) {
-            console.error('HTMLToMarkdownConverter: Conversion failed', error);
-            // フォールバック: プレーンテキストとして返す
-            const text = typeof html === 'string' ? 
-                new DOMParser().parseFromString(html, 'text/html').body.textContent :
-                html.textContent;
-            return text || '';
+    mergeWithExisting(existingMarkdown, generatedMarkdown, now = new Date(), options = {}) {
+        if (!existingMarkdown || !existingMarkdown.trim()) {
+            return generatedMarkdown;
         }
+        
+        const existing = this.splitNote(existingMarkdown);
+        const generated = this.splitNote(generatedMarkdown);
+        
+        const frontmatter = this.mergeFrontmatter(existing.frontmatter, generated.frontmatter, now, options);
+        const body = this.mergeBody(existing.body, generated.body);
+        
+        return frontmatter + body;
     }
     
     /**
-     * DOM要素をMarkdownに変換
-     * @param {Element} element - DOM要素
-     * @returns {string} Markdown文字列
+     * フロントマターのマージ
+     * @param {string} existingFrontmatter - 既存のフロントマター（区切り線を含む）
+     * @param {string} generatedFrontmatter - 生成したフロントマター（区切り線を含む）
+     * @param {Date} now - 更新日時
+     * @param {Object} options - { createdKey, preserveKeys }
+     * @returns {string} マージ後のフロントマター
      */
-    convertElement(element) {
-        if (!element) return '';
+    mergeFrontmatter(existingFrontmatter, generatedFrontmatter, now, options = {}) {
+        const createdKey = options.createdKey || 'created';
+        const preserveKeys = new Set([createdKey, ...(options.preserveKeys || [])]);
+        const existingBlocks = this.parseFrontmatterBlocks(existingFrontmatter);
+        const generatedBlocks = this.parseFrontmatterBlocks(generatedFrontmatter);
+        const existingByKey = new Map(existingBlocks.map(block => [block.key, block]));
+        const generatedKeys = new Set(generatedBlocks.map(block => block.key));
+        
+        const lines = [];
+        for (const block of generatedBlocks) {
+            const previous = existingByKey.get(block.key);
+            if (preserveKeys.has(block.key) && previous) {
+                lines.push(...previous.lines);
+            } else if (MERGED_LIST_KEYS.includes(block.key) && previous) {
+                const values = Array.from(new Set([
+                    ...this.parseListValues(block),
+                    ...this.parseListValues(previous)
+                ]));
+                lines.push(`${block.keyText}:`, ...values.map(value => `  - ${this.yaml.formatScalar(value)}`));
+            } else {
+                lines.push(...block.lines);
+            }
+            
+            if (block.key === createdKey) {
+                lines.push(`modified: ${this.yaml.formatScalar(now.toISOString())}`);
+            }
+        }
         
-        const tagName = element.tagName?.toLowerCase();
-        const converter = this.converters.get(tagName);
+        if (!generatedKeys.has(createdKey)) {
+            lines.push(`modified: ${this.yaml.formatScalar(now.toISOString())}`);
+        }
         
-        if (converter) {
-            return converter(element);
+        // ユーザーが追加したキーは元の順序のまま残す
+        for (const block of existingBlocks) {
+            if (block.key === 'modified' || generatedKeys.has(block.key) || GENERATED_FRONTMATTER_KEYS.includes(block.key)) {
+                continue;
+            }
+            lines.push(...block.lines);
         }
         
-        // デフォルト: 子要素を再帰的に処理
-        return this.convertChildren(element);
+        return `---\n${lines.join('\n')}\n---\n`;
     }
     
     /**
-     * 子要素を再帰的に変換
-     * @param {Element} element - 親要素
-     * @returns {string} 変換された文字列
+     * 本文のマージ
+     * 見出し（タイトル・記事情報）と管理セクションは生成側を使い、
+     * ユーザーのセクションは記事本文の前後どちらにあったかを保って配置する
+     * @param {string} existingBody - 既存の本文
+     * @param {string} generatedBody - 生成した本文
+     * @returns {string} マージ後の本文
      */
-    convertChildren(element) {
-        let result = '';
-        
-        for (const child of element.childNodes) {
-            if (child.nodeType === Node.TEXT_NODE) {
-                result += child.textContent;
-            } else if (child.nodeType === Node.ELEMENT_NODE) {
-                result += this.convertElement(child);
+    mergeBody(existingBody, generatedBody) {
+        const existing = this.splitSections(existingBody);
+        const generated = this.splitSections(generatedBody);
+        
+        // ノートテンプレートで出力される見出しも生成側のセクションとして扱う
+        const generatedHeadings = new Set(generated.sections.map(section => section.heading));
+        const contentIndex = existing.sections.findIndex(section => CONTENT_SECTION_PATTERN.test(section.heading));
+        const userBefore = [];
+        const userAfter = [];
+        existing.sections.forEach((section, index) => {
+            if (GENERATED_SECTION_PATTERN.test(section.heading) || generatedHeadings.has(section.heading)) return;
+            if (contentIndex >= 0 && index < contentIndex) {
+                userBefore.push(section);
+            } else {
+                userAfter.push(section);
             }
-        }
+        });
         
-        return result;
-    }
-    
-    // 個別要素の変換メソッド
-    
-    convertHeading(level, element) {
-        const text = this.convertChildren(element).trim();
-        return '#'.repeat(level) + ' ' + text + '\n\n';
+        const generatedContent = generated.sections.filter(section => CONTENT_SECTION_PATTERN.test(section.heading));
+        const generatedOthers = generated.sections.filter(section => !CONTENT_SECTION_PATTERN.test(section.heading));
+        
+        const ordered = [...generatedOthers, ...userBefore, ...generatedContent, ...userAfter];
+        const parts = [
+            generated.preamble,
+            this.extractUserPreamble(existing.preamble, generated.preamble),
+            ...ordered.map(section => section.text)
+        ]
+            .map(part => part.replace(/\s+$/, ''))
+            .filter(Boolean);
+        
+        return parts.join('\n\n') + '\n' + generated.footer;
     }
     
-    convertParagraph(element) {
-        const text = this.convertChildren(element).trim();
-        return text ? text + '\n\n' : '';
+    /**
+     * 既存の本文の冒頭（最初の見出しより前）からユーザーが書き加えた部分を取り出す
+     * タイトル・記事情報の行と、生成した冒頭と同じ行は除く
+     * @param {string} existingPreamble - 既存の本文の冒頭
+     * @param {string} generatedPreamble - 生成した本文の冒頭
+     * @returns {string} ユーザーが書き加えた部分
+     */
+    extractUserPreamble(existingPreamble, generatedPreamble) {
+        const lineKey = line => (line.match(/^\*\*[^*]+\*\*:/) || [line])[0].trim();
+        const generatedKeys = new Set(generatedPreamble.split('\n').map(lineKey).filter(Boolean));
+        
+        return existingPreamble
+            .split('\n')
+            .filter(line => !/^# /.test(line) && !ARTICLE_INFO_PATTERN.test(line) && !generatedKeys.has(lineKey(line)))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
     }
     
-    convertStrong(element) {
-        const text = this.convertChildren(element);
-        return `**${text}**`;
+    /**
+     * フロントマターと本文の分離
+     * @param {string} markdown - ノート全体
+     * @returns {Object} { frontmatter, body }
+     */
+    splitNote(markdown) {
+        const match = (markdown || '').match(/^---\n[\s\S]*?\n---\n/);
+        if (!match) {
+            return { frontmatter: '', body: markdown || '' };
+        }
+        return { frontmatter: match[0], body: markdown.slice(match[0].length) };
     }
     
-    convertEmphasis(element) {
-        const text = this.convertChildren(element);
-        return `*${text}*`;
+    /**
+     * フロントマターをトップレベルのキー単位に分割
+     * @param {string} frontmatter - フロントマター（区切り線を含む）
+     * @returns {Array<Object>} { key, keyText: 書かれたままのキー, value: 同じ行の値, lines } の配列
+     */
+    parseFrontmatterBlocks(frontmatter) {
+        const inner = (frontmatter || '').replace(/^---\n/, '').replace(/\n?---\n?$/, '');
+        const blocks = [];
+        for (const line of inner.split('\n')) {
+            const parsed = this.parseFrontmatterKey(line);
+            if (parsed) {
+                blocks.push({ ...parsed, lines: [line] });
+            } else if (blocks.length > 0 && line.trim()) {
+                blocks[blocks.length - 1].lines.push(line);
+            }
+        }
+        return blocks;
     }
     
-    convertLink(element) {
-        const text = this.convertChildren(element);
-        const href = element.getAttribute('href') || '';
+    /**
+     * トップレベルのキーの行の解析（日本語・空白を含むキー、引用符で囲んだキーにも対応）
+     * インデントされた行・リストの要素・コメントはキーの行とみなさない
+     * @param {string} line - フロントマターの1行
+     * @returns {Object|null} { key: 引用符を外したキー, keyText, value }
+     */
+    parseFrontmatterKey(line) {
+        if (/^(\s|#|-(\s|$))/.test(line)) {
+            return null;
+        }
         
-        if (!href || href.startsWith('#')) {
-            return text; // 内部リンクはテキストのみ
+        const match = line.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*')\s*:(?:\s|$)/) ||
+            line.match(/^([^"'\s].*?)\s*:(?:\s|$)/);
+        if (!match) {
+            return null;
         }
         
-        return `[${text}](${href})`;
+        const keyText = match[1];
+        let key = keyText;
+        if (keyText.startsWith('"')) {
+            try {
+                key = JSON.parse(keyText);
+            } catch (e) {
+                key = keyText.slice(1, -1);
+            }
+        } else if (keyText.startsWith("'")) {
+            key = keyText.slice(1, -1).replace(/''/g, "'");
+        }
+        return { key, keyText, value: line.slice(match[0].length) };
     }
     
-    convertImage(element) {
-        const alt = element.getAttribute('alt') || '';
-        const src = element.getAttribute('src') || '';
+    /**
+     * リスト型のフロントマター値の取得（ブロック形式・インライン形式の両方に対応）
+     * @param {Object} block - { key, lines }
+     * @returns {Array<string>} 値の配列
+     */
+    parseListValues(block) {
+        const unquote = value => {
+            const text = value.trim();
+            if (/^".*"$/.test(text)) {
+                try {
+                    return JSON.parse(text);
+                } catch (e) {
+                    return text.slice(1, -1);
+                }
+            }
+            return text.replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+        };
         
-        if (!src) return '';
+        const inline = block.value.trim();
+        if (inline.startsWith('[') && inline.endsWith(']')) {
+            return inline.slice(1, -1).split(',').map(unquote).filter(Boolean);
+        }
         
-        // Phase 1では画像のMarkdown記法のみ
-        // Phase 2で画像ダウンロード機能を実装予定
-        return `![${alt}](${src})`;
-    }
-    
-    convertUnorderedList(element) {
-        const items = this.convertChildren(element);
-        return items + '\n';
-    }
-    
-    convertOrderedList(element) {
-        const items = this.convertChildren(element);
-        return items + '\n';
+        return block.lines.slice(1)
+            .map(line => line.match(/^\s*-\s+(.*)$/))
+            .filter(Boolean)
+            .map(match => unquote(match[1]))
+            .filter(Boolean);
     }
     
-    convertListItem(element) {
-        const text = this.convertChildren(element).trim();
-        const parent = element.parentElement;
-        
-        if (parent && parent.tagName.toLowerCase() === 'ol') {
-            // 番号付きリスト
-            const index = Array.from(parent.children).indexOf(element) + 1;
-            return `${index}. ${text}\n`;
-        } else {
-            // 箇条書き
-            return `- ${text}\n`;
+    /**
+     * 本文を見出し前の部分・レベル2セクション・フッターに分割
+     * @param {string} body - 本文
+     * @returns {Object} { preamble, sections, footer }
+     */
+    splitSections(body) {
+        let text = body || '';
+        let footer = '';
+        const footerMatch = text.match(FOOTER_PATTERN);
+        if (footerMatch) {
+            footer = footerMatch[0];
+            text = text.slice(0, footerMatch.index);
         }
-    }
-    
-    convertBlockquote(element) {
-        const text = this.convertChildren(element).trim();
-        return text.split('\n').map(line => `> ${line}`).join('\n') + '\n\n';
-    }
-    
-    convertInlineCode(element) {
-        const text = element.textContent || '';
-        return `\`${text}\``;
-    }
-    
-    convertCodeBlock(element) {
-        const text = element.textContent || '';
-        return `\`\`\`\n${text}\n\`\`\`\n\n`;
-    }
-    
-    convertLineBreak(element) {
-        return '\n';
+        
+        const sections = [];
+        let preamble = '';
+        let current = null;
+        for (const line of text.split('\n')) {
+            if (/^## /.test(line)) {
+                current = { heading: line.trim(), lines: [line] };
+                sections.push(current);
+            } else if (current) {
+                current.lines.push(line);
+            } else {
+                preamble += `${line}\n`;
+            }
+        }
+        
+        return {
+            preamble,
+            sections: sections.map(section => ({ heading: section.heading, text: section.lines.join('\n') })),
+            footer
+        };
     }
 }
 
+// generateFrontmatter が出力する可能性のあるキー（既存ノートとのマージ時に生成側の値で置き換える）
+const GENERATED_FRONTMATTER_KEYS = [
+    'title', 'originalTitle', 'url', 'domain', 'date', 'time', 'created', 'tags', 'type', 'source',
+    'author', 'readingTime', 'language', 'detectedLanguage', 'extractedAt', 'strategy', 'site',
+    'aliases', 'cssclass', 'publish', 'aiSummary', 'summaryWordCount', 'summaryDate', 'aiKeywords',
+    'wordCount', 'charCount', 'publishDate', 'description', 'keywords'
+];
+
+// ユーザーの編集を残すため、既存の値と生成した値を合わせるリスト型のキー
+const MERGED_LIST_KEYS = ['tags', 'aliases'];
+
+// 生成側が管理するセクション見出し（要約・記事本文・ディスカッション）
+const GENERATED_SECTION_PATTERN = /^## (?:(?:📄 )?(?:AI要約|記事概要|要約|記事内容)|💬 ディスカッション)[ \t]*$/;
+const CONTENT_SECTION_PATTERN = /^## (?:📄 )?記事内容[ \t]*$/;
+const FOOTER_PATTERN = /\n---\n\n?\*(?:📱 )?Generated by ReadLater for Obsidian\*[\s\S]*$/;
+
+// generateArticleInfo が出力する記事情報の行（出力する項目が変わっても既存の行は生成側として扱う）
+const ARTICLE_INFO_PATTERN = /^\*\*\S+ (?:元記事|ドメイン|保存日|著者|公開日|読了時間|言語)\*\*: /;
+
+// ディスカッションセクションに表示する掲示板の名前
+const DISCUSSION_PLATFORM_NAMES = {
+    hackernews: 'Hacker News',
+    reddit: 'Reddit'
+};
+
 /**
  * エイリアス生成（Obsidian用）
  * @param {Object} articleData - 記事データ
@@ -566,9 +708,8 @@ function generateAliases(articleData) {
 
 // モジュールのエクスポート
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { MarkdownGenerator, HTMLToMarkdownConverter };
+    module.exports = { MarkdownGenerator, HTMLToMarkdownConverter: require('./html-to-markdown.js').HTMLToMarkdownConverter };
 } else {
     const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
     g.MarkdownGenerator = MarkdownGenerator;
-    g.HTMLToMarkdownConverter = HTMLToMarkdownConverter;
 }
@@ -0,0 +1,82 @@
+// ReadLater for Obsidian - Note Editor
+// 保存済みMarkdownノートのセクション単位の読み取り・書き換えを担当
+
+/**
+ * 保存済みノートの編集クラス
+ */
+class NoteEditor {
+    constructor() {
+        this.summaryHeadingPattern = /^## (?:📄 )?(?:AI要約|記事概要|要約)[ \t]*$/m;
+        this.contentHeadingPattern = /^## (?:📄 )?記事内容[ \t]*$/m;
+        this.footerPattern = /\n---\n\n?\*(?:📱 )?Generated by ReadLater for Obsidian\*/;
+    }
+
+    /**
+     * フロントマターと本文の分離
+     * @param {string} markdown - ノート全体
+     * @returns {Object} { frontmatter, body }
+     */
+    splitFrontmatter(markdown) {
+        const match = (markdown || '').match(/^---\n[\s\S]*?\n---\n/);
+        if (!match) {
+            return { frontmatter: '', body: markdown || '' };
+        }
+        return {
+            frontmatter: match[0],
+            body: markdown.slice(match[0].length)
+        };
+    }
+
+    /**
+     * 記事本文セクションの取得
+     * @param {string} markdown - ノート全体
+     * @returns {string} 記事本文（見つからない場合は空文字列）
+     */
+    getArticleContent(markdown) {
+        const { body } = this.splitFrontmatter(markdown);
+        const headingMatch = body.match(this.contentHeadingPattern);
+        if (!headingMatch) return '';
+
+        let content = body.slice(headingMatch.index + headingMatch[0].length);
+        const footerMatch = content.match(this.footerPattern);
+        if (footerMatch) {
+            content = content.slice(0, footerMatch.index);
+        }
+        return content.trim();
+    }
+
+    /**
+     * 要約セクションの置き換え（存在しない場合は記事本文の前に挿入）
+     * @param {string} markdown - ノート全体
+     * @param {string} summary - 新しい要約（Markdown）
+     * @returns {string} 更新後のノート
+     */
+    replaceSummarySection(markdown, summary) {
+        const { frontmatter, body } = this.splitFrontmatter(markdown);
+        const section = `## 📄 AI要約\n\n${(summary || '').trim()}\n\n`;
+
+        const summaryMatch = body.match(this.summaryHeadingPattern);
+        if (summaryMatch) {
+            const start = summaryMatch.index;
+            const rest = body.slice(start + summaryMatch[0].length);
+            const nextHeading = rest.match(/^## /m);
+            const end = nextHeading ? start + summaryMatch[0].length + nextHeading.index : body.length;
+            return frontmatter + body.slice(0, start) + section + body.slice(end);
+        }
+
+        const contentMatch = body.match(this.contentHeadingPattern);
+        if (contentMatch) {
+            return frontmatter + body.slice(0, contentMatch.index) + section + body.slice(contentMatch.index);
+        }
+
+        return frontmatter + body.replace(/\n*$/, '\n\n') + section;
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteEditor };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.NoteEditor = NoteEditor;
+}
@@ -0,0 +1,326 @@
+// ReadLater for Obsidian - Note Template
+// ユーザーが編集できるノートのテンプレート（Handlebars風の構文）を展開
+
+// 共通のフロントマター（プリセット用）
+const PRESET_FRONTMATTER = `---
+title: {{yaml title}}
+url: {{yaml url}}
+created: {{yaml created}}
+tags:
+{{#each tags}}
+  - {{yaml this}}
+{{/each}}
+---
+`;
+
+// 組み込みのテンプレート
+const NOTE_TEMPLATE_PRESETS = {
+    // 従来のレイアウト（フロントマター・記事情報・要約・本文・フッター）
+    default: `{{frontmatter}}
+# {{title}}
+
+{{articleInfo}}
+{{summarySection}}
+## 📄 記事内容
+
+{{content}}
+{{#if discussionSection}}
+
+{{discussionSection}}
+{{/if}}
+{{footer}}`,
+
+    // タイトルと本文のみ
+    minimal: `${PRESET_FRONTMATTER}
+# {{title}}
+
+{{content}}
+`,
+
+    // 要約とキーワードのみ（本文なし）
+    summary: `${PRESET_FRONTMATTER}
+# {{title}}
+
+> [!info] [{{domain}}]({{url}}){{#if author}} / {{author}}{{/if}}
+
+## 📄 AI要約
+
+{{#if summary}}
+{{summary}}
+{{else}}
+{{excerpt}}
+{{/if}}
+{{#if keywords}}
+
+**キーワード**: {{join keywords ", "}}
+{{/if}}
+`,
+
+    // 英語の見出し
+    english: `${PRESET_FRONTMATTER}
+# {{title}}
+
+- **Source**: [{{domain}}]({{url}})
+{{#if author}}
+- **Author**: {{author}}
+{{/if}}
+- **Saved**: {{date}}
+
+{{#if summary}}
+## Summary
+
+{{summary}}
+
+{{/if}}
+## Content
+
+{{content}}
+{{#if images}}
+
+## Images
+
+{{#each images}}
+![]({{this}})
+{{/each}}
+{{/if}}
+`
+};
+
+/**
+ * ノートテンプレートクラス
+ * 対応構文:
+ * - {{title}}, {{metadata.author}}, {{this}}, {{@index}} - 変数（配列はカンマ区切りで展開）
+ * - {{date:YYYY-MM-DD}}, {{time:HH:mm}} - 保存日時の書式指定
+ * - {{yaml title}}, {{join keywords ", "}} - ヘルパー
+ * - {{#if x}}…{{else}}…{{/if}}, {{#unless x}}…{{/unless}}, {{#each list}}…{{else}}…{{/each}}
+ * ブロックのタグだけの行は、その行ごと出力から除かれる
+ */
+class NoteTemplate {
+    /**
+     * @param {string} template - テンプレート
+     * @param {Object} options - { now, formatDate, yamlSerializer }
+     */
+    constructor(template, options = {}) {
+        this.template = String(template || '');
+        this.now = options.now || new Date();
+        this.formatDate = options.formatDate ||
+            (typeof FilenameTemplate !== 'undefined' ? FilenameTemplate : require('./filename-template.js').FilenameTemplate).formatDate;
+        this.yaml = options.yamlSerializer ||
+            (typeof YamlSerializer !== 'undefined' ? YamlSerializer : require('./yaml-serializer.js').YamlSerializer);
+        this.nodes = NoteTemplate.parse(this.template);
+    }
+
+    /**
+     * 設定から使用するテンプレートを決定
+     * @param {Object} settings - ユーザー設定（noteTemplate, noteTemplatePreset）
+     * @returns {string} テンプレート
+     */
+    static resolveTemplate(settings = {}) {
+        const custom = typeof settings.noteTemplate === 'string' ? settings.noteTemplate : '';
+        if (settings.noteTemplatePreset === 'custom' && custom.trim()) {
+            return custom;
+        }
+        return NOTE_TEMPLATE_PRESETS[settings.noteTemplatePreset] || NOTE_TEMPLATE_PRESETS.default;
+    }
+
+    /**
+     * テンプレートの展開
+     * @param {Object} context - 変数
+     * @returns {string} 展開結果
+     */
+    render(context = {}) {
+        return this.renderNodes(this.nodes, [context], {});
+    }
+
+    /**
+     * テンプレートの構文チェック
+     * @param {string} template - テンプレート
+     * @returns {string|null} エラーメッセージ（問題なければnull）
+     */
+    static validate(template) {
+        try {
+            NoteTemplate.parse(template);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * テンプレートを構文木に変換
+     * @param {string} template - テンプレート
+     * @returns {Array<Object>} ノードの配列
+     */
+    static parse(template) {
+        // ブロックのタグだけの行は改行ごと取り除く
+        const source = String(template || '')
+            .replace(/^[ \t]*(\{\{\s*(?:[#/][^}]*|else\s*)\}\})[ \t]*\r?\n/gm, '$1');
+
+        const root = { children: [] };
+        const stack = [root];
+        const current = () => stack[stack.length - 1];
+        // {{else}} 以降は inverse に追加する
+        const append = node => {
+            const block = current();
+            (block.inverse || block.children).push(node);
+        };
+        const pattern = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            if (match.index > lastIndex) {
+                append({ type: 'text', value: source.slice(lastIndex, match.index) });
+            }
+            lastIndex = pattern.lastIndex;
+
+            const tag = match[1];
+            if (tag.startsWith('#')) {
+                const [name, ...args] = NoteTemplate.splitArgs(tag.slice(1));
+                if (!['if', 'unless', 'each'].includes(name) || args.length !== 1) {
+                    throw new Error(`不明なブロックです: {{${tag}}}`);
+                }
+                const block = { type: 'block', name, arg: args[0], children: [], inverse: null };
+                append(block);
+                stack.push(block);
+            } else if (tag === 'else') {
+                const block = current();
+                if (block === root || block.inverse) {
+                    throw new Error('{{else}} の位置が不正です');
+                }
+                block.inverse = [];
+            } else if (tag.startsWith('/')) {
+                const name = tag.slice(1).trim();
+                if (current() === root || current().name !== name) {
+                    throw new Error(`対応しない終了タグです: {{/${name}}}`);
+                }
+                stack.pop();
+            } else {
+                append({ type: 'expr', tag });
+            }
+        }
+
+        if (lastIndex < source.length) {
+            append({ type: 'text', value: source.slice(lastIndex) });
+        }
+        if (stack.length > 1) {
+            throw new Error(`閉じられていないブロックがあります: {{#${current().name}}}`);
+        }
+
+        return root.children;
+    }
+
+    /**
+     * 引数の分割（"..." で囲んだ文字列は1つの引数）
+     * @param {string} text - タグの中身
+     * @returns {Array<string>} 引数の配列
+     */
+    static splitArgs(text) {
+        return (String(text).match(/"(?:[^"\\]|\\.)*"|'[^']*'|\S+/g) || []);
+    }
+
+    // 内部ヘルパー
+
+    renderNodes(nodes, scopes, data) {
+        return nodes.map(node => {
+            if (node.type === 'text') {
+                return node.value;
+            }
+            if (node.type === 'expr') {
+                return this.stringify(this.evaluateExpression(node.tag, scopes, data));
+            }
+            return this.renderBlock(node, scopes, data);
+        }).join('');
+    }
+
+    renderBlock(block, scopes, data) {
+        const value = this.lookup(block.arg, scopes, data);
+        const inverse = block.inverse || [];
+
+        if (block.name === 'each') {
+            const items = Array.isArray(value) ? value : [];
+            if (items.length === 0) {
+                return this.renderNodes(inverse, scopes, data);
+            }
+            return items.map((item, index) => this.renderNodes(block.children, [...scopes, item], {
+                index,
+                first: index === 0,
+                last: index === items.length - 1
+            })).join('');
+        }
+
+        const truthy = NoteTemplate.isTruthy(value);
+        const show = block.name === 'if' ? truthy : !truthy;
+        return this.renderNodes(show ? block.children : inverse, scopes, data);
+    }
+
+    evaluateExpression(tag, scopes, data) {
+        // {{date:FORMAT}} / {{time:FORMAT}} は保存日時の書式指定
+        const formatMatch = tag.match(/^(date|time):(.+)$/);
+        if (formatMatch) {
+            return this.formatDate(this.now, formatMatch[2].trim());
+        }
+
+        const [name, ...args] = NoteTemplate.splitArgs(tag);
+        const values = args.map(arg => this.resolveArg(arg, scopes, data));
+
+        switch (name) {
+            case 'yaml':
+                return this.yaml.formatInline(values[0]);
+            case 'join':
+                return (Array.isArray(values[0]) ? values[0] : []).map(item => this.stringify(item))
+                    .join(values.length > 1 ? String(values[1]) : ', ');
+            default:
+                return this.lookup(name, scopes, data);
+        }
+    }
+
+    resolveArg(arg, scopes, data) {
+        if (/^(".*"|'.*')$/.test(arg)) {
+            return arg.slice(1, -1).replace(/\\"/g, '"').replace(/\\n/g, '\n');
+        }
+        return this.lookup(arg, scopes, data);
+    }
+
+    lookup(path, scopes, data) {
+        if (path.startsWith('@')) {
+            return data[path.slice(1)];
+        }
+        if (path === 'this' || path === '.') {
+            return scopes[scopes.length - 1];
+        }
+
+        const [head, ...rest] = path.replace(/^this\./, '').split('.');
+        // 内側のスコープ（#each の要素）から順に探す
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const scope = scopes[i];
+            if (scope && typeof scope === 'object' && head in scope) {
+                return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+            }
+        }
+        return undefined;
+    }
+
+    stringify(value) {
+        if (value == null) return '';
+        if (Array.isArray(value)) return value.map(item => this.stringify(item)).join(', ');
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    static isTruthy(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return Boolean(value);
+    }
+
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NoteTemplate, NOTE_TEMPLATE_PRESETS };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.NoteTemplate = NoteTemplate;
+    g.NOTE_TEMPLATE_PRESETS = NOTE_TEMPLATE_PRESETS;
+}
@@ -0,0 +1,219 @@
+// ReadLater for Obsidian - PDF Text Extractor
+// PDFファイルからページごとのテキストと文書情報（タイトル・著者など）を取り出す（同梱の pdf.js を使用）
+
+// 抽出するページ数の上限
+const DEFAULT_PDF_MAX_PAGES = 500;
+
+// 同梱した pdf.js の拡張機能内のパス（npm run vendor:pdfjs で node_modules/pdfjs-dist からコピーする）
+const PDFJS_VENDOR_PATH = 'src/vendor/pdfjs';
+
+
+/**
+ * PDFのテキスト抽出クラス
+ * - 解析は pdf.js に任せ、ページごとのテキストを行単位にまとめる
+ * - 日本語などの定義済みCMapを使うフォントは同梱の CMap で Unicode に変換する
+ * - パスワードで保護されたPDF・画像だけのPDF（スキャン）からはテキストを取り出せない
+ */
+class PdfTextExtractor {
+    /**
+     * @param {Object} options - { pdfjsLib, cMapUrl, maxPages }
+     *   pdfjsLib は pdf.js のモジュール（既定は同梱の pdf.js を読み込む）
+     */
+    constructor(options = {}) {
+        this.pdfjsLib = options.pdfjsLib || null;
+        this.cMapUrl = options.cMapUrl || null;
+        this.maxPages = options.maxPages || DEFAULT_PDF_MAX_PAGES;
+    }
+
+    /**
+     * PDFからテキストと文書情報を抽出
+     * @param {ArrayBuffer|Uint8Array} data - PDFファイルの内容
+     * @returns {Promise<Object>} { text, pages: Array<string>, pageCount, metadata: { title, author, subject, keywords, creator, producer, creationDate, modDate } }
+     */
+    async extract(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        if (!PdfTextExtractor.isPdf(bytes)) {
+            throw new Error('PDFファイルではありません');
+        }
+
+        const pdfjsLib = this.pdfjsLib || await PdfTextExtractor.loadPdfjs();
+        const loadingTask = pdfjsLib.getDocument({
+            // pdf.js はデータをWorkerに移して元の配列を空にするため、複製を渡す
+            data: bytes.slice(),
+            cMapUrl: this.cMapUrl || PdfTextExtractor.getVendorUrl('cmaps/'),
+            cMapPacked: true,
+            // テキストだけを取り出すため、描画用のフォントは読み込まない（標準フォントの字幅は pdf.js に内蔵）
+            disableFontFace: true,
+            verbosity: pdfjsLib.VerbosityLevel?.ERRORS ?? 0
+        });
+
+        let doc;
+        try {
+            doc = await loadingTask.promise;
+        } catch (error) {
+            await loadingTask.destroy();
+            if (error?.name === 'PasswordException') {
+                throw new Error('暗号化（パスワードで保護）されたPDFからはテキストを抽出できません');
+            }
+            throw new Error(`PDFを読み込めませんでした（${error?.message || error}）`);
+        }
+
+        try {
+            const pages = [];
+            for (let pageNumber = 1; pageNumber <= Math.min(doc.numPages, this.maxPages); pageNumber++) {
+                try {
+                    const page = await doc.getPage(pageNumber);
+                    const textContent = await page.getTextContent();
+                    pages.push(PdfTextExtractor.joinTextItems(textContent.items));
+                    page.cleanup();
+                } catch (error) {
+                    console.debug('PdfTextExtractor: Failed to extract a page', error);
+                    pages.push('');
+                }
+            }
+
+            const { info } = await doc.getMetadata().catch(() => ({ info: {} }));
+            return {
+                text: pages.filter(Boolean).join('\n\n'),
+                pages,
+                pageCount: doc.numPages,
+                metadata: PdfTextExtractor.toMetadata(info || {})
+            };
+        } finally {
+            await loadingTask.destroy();
+        }
+    }
+
+    /**
+     * pdf.js のテキスト片をページのテキストにまとめる（行末の印がある位置で改行する）
+     * @param {Array<Object>} items - getTextContent() の items
+     * @returns {string} 行ごとに改行したテキスト
+     */
+    static joinTextItems(items) {
+        let text = '';
+        for (const item of items || []) {
+            // マーク付きコンテンツの区切りなど、文字列を持たない要素は飛ばす
+            if (typeof item.str !== 'string') continue;
+            text += item.str;
+            if (item.hasEOL) text += '\n';
+        }
+
+        return text
+            .split('\n')
+            .map(line => line.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    /**
+     * 文書情報辞書（Info）を記事のメタデータに変換
+     * @param {Object} info - getMetadata() の info
+     * @returns {Object} メタデータ
+     */
+    static toMetadata(info) {
+        const text = key => typeof info[key] === 'string' ? info[key].replace(/\s+/g, ' ').trim() : '';
+
+        return {
+            title: text('Title'),
+            author: text('Author'),
+            subject: text('Subject'),
+            keywords: text('Keywords'),
+            creator: text('Creator'),
+            producer: text('Producer'),
+            creationDate: PdfTextExtractor.parseDate(text('CreationDate')),
+            modDate: PdfTextExtractor.parseDate(text('ModDate'))
+        };
+    }
+
+    /**
+     * PDFの日付（D:YYYYMMDDHHmmSSOHH'mm'）をISO形式に変換
+     * @returns {string} ISO形式の日時（解釈できない場合は空文字列）
+     */
+    static parseDate(value) {
+        const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(value || '');
+        if (!match) return '';
+
+        const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, tzHour = '00', tzMinute = '00'] = match;
+        const zone = !sign || /z/i.test(sign) ? 'Z' : `${sign}${tzHour}:${tzMinute}`;
+        const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+        return isNaN(date.getTime()) ? '' : date.toISOString();
+    }
+
+    /**
+     * 行の折り返しを段落にまとめたMarkdown（ページの区切りは段落の区切りとする）
+     * @param {Array<string>} pages - ページごとのテキスト
+     * @returns {string} Markdown
+     */
+    static toMarkdown(pages) {
+        const paragraphs = [];
+        for (const page of pages) {
+            let current = '';
+            for (const rawLine of page.split('\n')) {
+                const line = rawLine.trim();
+                if (!line) {
+                    if (current) paragraphs.push(current);
+                    current = '';
+                    continue;
+                }
+                if (/^([•・●▪■◦\-*]|\d+[.)])\s/.test(line) && current) {
+                    paragraphs.push(current);
+                    current = '';
+                }
+                if (!current) {
+                    current = line;
+                } else if (/[A-Za-z]-$/.test(current) && /^[a-z]/.test(line)) {
+                    // ハイフネーションで分割された単語をつなげる
+                    current = current.slice(0, -1) + line;
+                } else if (/[\u3000-\u30ff\u3400-\u9fff\uff00-\uffef]$/.test(current) && /^[\u3000-\u30ff\u3400-\u9fff\uff00-\uffef]/.test(line)) {
+                    current += line;
+                } else {
+                    current += ` ${line}`;
+                }
+                if (/[.!?。！？:：]$/.test(line) && line.length < 80) {
+                    paragraphs.push(current);
+                    current = '';
+                }
+            }
+            if (current) paragraphs.push(current);
+        }
+        return paragraphs.map(paragraph => paragraph.replace(/([\\`*_[\]#<>|$])/g, '\\$1')).join('\n\n');
+    }
+
+    static isPdf(bytes) {
+        const head = String.fromCharCode.apply(null, bytes.subarray(0, 1024));
+        return head.includes('%PDF-');
+    }
+
+    /**
+     * URLがPDFファイルを指しているか（拡張子で判定）
+     */
+    static isPdfUrl(url) {
+        try {
+            return /\.pdf$/i.test(new URL(url).pathname);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * 同梱の pdf.js の読み込み（ESモジュールのため動的 import で読み込む）
+     * @returns {Promise<Object>} pdf.js のモジュール
+     */
+    static async loadPdfjs() {
+        const pdfjsLib = await import(PdfTextExtractor.getVendorUrl('pdf.min.mjs'));
+        pdfjsLib.GlobalWorkerOptions.workerSrc = PdfTextExtractor.getVendorUrl('pdf.worker.min.mjs');
+        return pdfjsLib;
+    }
+
+    static getVendorUrl(path) {
+        return chrome.runtime.getURL(`${PDFJS_VENDOR_PATH}/${path}`);
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PdfTextExtractor };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.PdfTextExtractor = PdfTextExtractor;
+}
@@ -0,0 +1,159 @@
+// ReadLater for Obsidian - Routing Rules
+// ドメイン・URL・カテゴリ・キーワード・言語に応じて保存先フォルダ・タグ・保存方式を振り分ける
+
+// ルールで指定できる保存方式（空文字は設定どおり）
+const ROUTING_SAVE_MODES = ['', 'individual', 'aggregated'];
+
+/**
+ * 振り分けルールの評価クラス
+ * ルールは上から順に評価し、最初に一致したものを適用する。
+ * 1つのルール内で指定した条件はすべて満たす必要がある（AND）
+ *
+ * ルールの形式:
+ * {
+ *   name, enabled,
+ *   domain: 'github.com, *.example.com', urlPattern: '^https://arxiv\\.org/abs/',
+ *   category, keywords: ['AI'], language: 'en',
+ *   folder: 'Dev/Repos', tags: ['dev'], saveMode: 'aggregated', aggregatedFileName: 'Papers.md',
+ *   properties: { status: 'unread' }（フロントマターに追加するプロパティ。「名前: 値」のテキストも可）
+ * }
+ */
+class RoutingRules {
+    constructor(rules = []) {
+        this.rules = (Array.isArray(rules) ? rules : [])
+            .map(rule => RoutingRules.normalizeRule(rule))
+            .filter(rule => rule.enabled && RoutingRules.hasConditions(rule));
+    }
+
+    /**
+     * 記事に一致する最初のルールを取得
+     * @param {Object} articleData - 記事データ（url, domain, metadata, keywords, detectedLanguage）
+     * @returns {Object|null} 一致したルール
+     */
+    match(articleData = {}) {
+        return this.rules.find(rule => RoutingRules.matches(rule, articleData)) || null;
+    }
+
+    /**
+     * ルールの正規化（文字列のリストを配列に変換し、不正な値を除去）
+     * @param {Object} rule - ルール
+     * @returns {Object} 正規化されたルール
+     */
+    static normalizeRule(rule = {}) {
+        const text = value => (typeof value === 'string' ? value.trim() : '');
+        return {
+            name: text(rule.name),
+            enabled: rule.enabled !== false,
+            domain: text(rule.domain),
+            urlPattern: text(rule.urlPattern),
+            category: text(rule.category),
+            keywords: RoutingRules.urlPatterns().parseList(rule.keywords),
+            language: text(rule.language).toLowerCase(),
+            folder: text(rule.folder),
+            tags: RoutingRules.urlPatterns().parseList(rule.tags).map(tag => tag.replace(/^#/, '').replace(/\s+/g, '-')),
+            saveMode: ROUTING_SAVE_MODES.includes(rule.saveMode) ? rule.saveMode : '',
+            aggregatedFileName: text(rule.aggregatedFileName),
+            properties: RoutingRules.frontmatterMapping().parseProperties(rule.properties)
+        };
+    }
+
+    /**
+     * ルールの検証
+     * @param {Object} rule - ルール
+     * @returns {Array<string>} エラーメッセージの配列（問題なければ空）
+     */
+    static validateRule(rule) {
+        const normalized = RoutingRules.normalizeRule(rule);
+        const label = normalized.name || '名前なしのルール';
+        const errors = [];
+
+        if (!RoutingRules.hasConditions(normalized)) {
+            errors.push(`${label}: 条件を1つ以上指定してください`);
+        }
+        if (normalized.urlPattern) {
+            try {
+                new RegExp(normalized.urlPattern);
+            } catch (e) {
+                errors.push(`${label}: URLの正規表現が不正です (${e.message})`);
+            }
+        }
+        if (!normalized.folder && normalized.tags.length === 0 && !normalized.saveMode && !normalized.aggregatedFileName &&
+            Object.keys(normalized.properties).length === 0) {
+            errors.push(`${label}: 保存先フォルダ・タグ・保存方式・追加プロパティのいずれかを指定してください`);
+        }
+        if (/(^|[\\/])\.\.([\\/]|$)/.test(normalized.folder)) {
+            errors.push(`${label}: 保存先フォルダに .. は使用できません`);
+        }
+        if (/[\\/]/.test(normalized.aggregatedFileName)) {
+            errors.push(`${label}: 集約ファイル名に/や\\は使用できません`);
+        }
+        RoutingRules.frontmatterMapping().validateProperties(rule && rule.properties)
+            .forEach(message => errors.push(`${label}: 追加プロパティ ${message}`));
+
+        return errors;
+    }
+
+    static frontmatterMapping() {
+        return typeof FrontmatterMapping !== 'undefined' ? FrontmatterMapping : require('./frontmatter-mapping.js').FrontmatterMapping;
+    }
+
+    static urlPatterns() {
+        return typeof UrlPatterns !== 'undefined' ? UrlPatterns : require('./url-patterns.js').UrlPatterns;
+    }
+
+    static hasConditions(rule) {
+        return Boolean(rule.domain || rule.urlPattern || rule.category || rule.keywords.length > 0 || rule.language);
+    }
+
+    /**
+     * ルールの全条件を満たすかどうか
+     * @param {Object} rule - 正規化済みのルール
+     * @param {Object} articleData - 記事データ
+     * @returns {boolean} 一致する場合true
+     */
+    static matches(rule, articleData) {
+        const metadata = articleData.metadata || {};
+
+        if (rule.domain && !RoutingRules.urlPatterns().matchesDomain(rule.domain, RoutingRules.getHostname(articleData))) {
+            return false;
+        }
+        if (rule.urlPattern && !RoutingRules.urlPatterns().matchesUrl(rule.urlPattern, articleData.url)) {
+            return false;
+        }
+        if (rule.category) {
+            const category = String(metadata.category || '').toLowerCase();
+            const expected = RoutingRules.urlPatterns().parseList(rule.category).map(value => value.toLowerCase());
+            if (!category || !expected.some(value => category.includes(value))) {
+                return false;
+            }
+        }
+        if (rule.keywords.length > 0) {
+            const keywords = (Array.isArray(articleData.keywords) ? articleData.keywords : [])
+                .map(keyword => String(keyword).toLowerCase());
+            if (!rule.keywords.some(keyword => keywords.includes(keyword.toLowerCase()))) {
+                return false;
+            }
+        }
+        if (rule.language) {
+            const language = String(articleData.detectedLanguage || metadata.language || '').toLowerCase();
+            if (!RoutingRules.urlPatterns().parseList(rule.language).some(value => language === value || language.startsWith(`${value}-`))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    static getHostname(articleData) {
+        return RoutingRules.urlPatterns().getHostname(articleData.url) || articleData.domain || '';
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoutingRules, ROUTING_SAVE_MODES };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.RoutingRules = RoutingRules;
+    g.ROUTING_SAVE_MODES = ROUTING_SAVE_MODES;
+}
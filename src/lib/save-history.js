@@ -0,0 +1,181 @@
+// ReadLater for Obsidian - Save History
+// 保存した記事の履歴（監査用）をchrome.storage.localで管理
+
+const SAVE_HISTORY_STORAGE_KEY = 'readlaterSaveHistory';
+
+/**
+ * 保存履歴の管理クラス
+ */
+class SaveHistory {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: SAVE_HISTORY_STORAGE_KEY,
+            maxRecords: 500,
+            ...options
+        };
+
+        this.storage = this.options.storage || chrome.storage.local;
+
+        this.collection = new (typeof StorageCollection !== 'undefined' ?
+            StorageCollection : require('./storage-collection.js').StorageCollection)({
+            storage: this.storage,
+            storageKey: this.options.storageKey
+        });
+    }
+
+    /**
+     * 保存ジョブから履歴レコードを生成
+     * @param {Object} job - 保存ジョブ（SaveJobQueue）
+     * @param {Object} settings - ジョブ実行時の設定
+     * @returns {Object} 履歴レコード（idなし）
+     */
+    static fromJob(job, settings = {}) {
+        const articleData = job.articleData || {};
+        const saveResult = job.saveResult || null;
+
+        // 集約保存が失敗して個別保存にフォールバックした場合は保存結果を優先
+        let mode = settings.aggregatedSavingEnabled ? 'aggregated' : 'individual';
+        if (saveResult) {
+            mode = saveResult.aggregated ? 'aggregated' : 'individual';
+        }
+
+        return {
+            jobId: job.id,
+            title: articleData.title || 'Untitled Article',
+            url: articleData.url || '',
+            savedAt: job.updatedAt || new Date().toISOString(),
+            mode,
+            filePath: saveResult ? (saveResult.filePath || saveResult.filename || null) : null,
+            status: SaveHistory.getStatus(job),
+            error: job.error || null,
+            summaryStatus: SaveHistory.getSummaryStatus(articleData, settings),
+            summaryError: articleData.summaryError || null
+        };
+    }
+
+    /**
+     * 保存状態を判定
+     * @param {Object} job - 保存ジョブ
+     * @returns {string} saved | skipped（保存済みのため重複スキップ） | failed
+     */
+    static getStatus(job) {
+        if (job.state === 'failed') return 'failed';
+        return job.saveResult?.skipped ? 'skipped' : 'saved';
+    }
+
+    /**
+     * 要約の状態を判定
+     * @param {Object} articleData - 記事データ
+     * @param {Object} settings - ユーザー設定
+     * @returns {string} generated | local | failed | disabled | none
+     */
+    static getSummaryStatus(articleData = {}, settings = {}) {
+        if (!settings.summaryEnabled) return 'disabled';
+        if (articleData.summaryError) {
+            // AI要約失敗時はローカル要約にフォールバックしている場合がある
+            return articleData.summary ? 'local' : 'failed';
+        }
+        return articleData.summary ? 'generated' : 'none';
+    }
+
+    /**
+     * 履歴レコードの追加・更新（同じジョブのレコードがあれば置き換え）
+     * @param {Object} entry - 履歴レコード
+     * @returns {Promise<Object>} 保存されたレコード
+     */
+    async upsert(entry) {
+        let saved = null;
+        await this.collection.mutate(records => {
+            const index = entry.jobId ? records.findIndex(r => r.jobId === entry.jobId) : -1;
+            if (index >= 0) {
+                saved = { ...records[index], ...entry };
+                records.splice(index, 1);
+            } else {
+                saved = { id: this.generateId(entry.url), ...entry };
+            }
+            records.unshift(saved);
+            records.splice(this.options.maxRecords);
+        });
+        return saved;
+    }
+
+    /**
+     * 全レコードを新しい順で取得
+     * @returns {Promise<Array<Object>>} 履歴レコード配列
+     */
+    async list() {
+        return await this.collection.load();
+    }
+
+    /**
+     * レコードの取得
+     * @param {string} id - レコードID
+     * @returns {Promise<Object|null>} 履歴レコード
+     */
+    async get(id) {
+        const records = await this.collection.load();
+        return records.find(r => r.id === id) || null;
+    }
+
+    /**
+     * レコードの部分更新
+     * @param {string} id - レコードID
+     * @param {Object} patch - 更新するフィールド
+     * @returns {Promise<Object>} 更新後のレコード
+     */
+    async update(id, patch = {}) {
+        let updated = null;
+        await this.collection.mutate(records => {
+            const index = records.findIndex(r => r.id === id);
+            if (index < 0) {
+                throw new Error(`保存履歴が見つかりません: ${id}`);
+            }
+            updated = { ...records[index], ...patch };
+            records[index] = updated;
+        });
+        return updated;
+    }
+
+    /**
+     * レコードの削除
+     * @param {string} id - レコードID
+     * @returns {Promise<boolean>} 削除した場合true
+     */
+    async remove(id) {
+        let removed = false;
+        await this.collection.mutate(records => {
+            const index = records.findIndex(r => r.id === id);
+            if (index >= 0) {
+                records.splice(index, 1);
+                removed = true;
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * レコードIDの生成
+     * @param {string} url - 記事URL
+     * @returns {string} レコードID
+     */
+    generateId(url = '') {
+        const combined = `${url}${Date.now()}${Math.random()}`;
+
+        let hash = 0;
+        for (let i = 0; i < combined.length; i++) {
+            hash = ((hash << 5) - hash) + combined.charCodeAt(i);
+            hash = hash & hash; // 32bit変換
+        }
+
+        return `history-${Date.now().toString(36)}-${Math.abs(hash).toString(16)}`;
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveHistory, SAVE_HISTORY_STORAGE_KEY };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.SaveHistory = SaveHistory;
+    g.SAVE_HISTORY_STORAGE_KEY = SAVE_HISTORY_STORAGE_KEY;
+}
@@ -0,0 +1,270 @@
+// ReadLater for Obsidian - Save Job Queue
+// 記事保存ジョブをchrome.storage.localに永続化し、Service Worker再起動後も再開できるようにする
+
+/**
+ * 保存ジョブの状態
+ * extracted → summarizing → rendering → writing → notified の順に遷移する
+ */
+const SAVE_JOB_STATES = Object.freeze({
+    EXTRACTED: 'extracted',
+    SUMMARIZING: 'summarizing',
+    RENDERING: 'rendering',
+    WRITING: 'writing',
+    NOTIFIED: 'notified',
+    FAILED: 'failed'
+});
+
+const SAVE_JOB_STORAGE_KEY = 'readlaterSaveJobs';
+
+/**
+ * 永続化された保存ジョブキュー
+ */
+class SaveJobQueue {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: SAVE_JOB_STORAGE_KEY,
+            maxAttempts: 3,
+            keepFinishedJobs: 20,
+            keepFailedJobs: 20,
+            ...options
+        };
+
+        this.storage = this.options.storage || chrome.storage.local;
+
+        this.collection = new (typeof StorageCollection !== 'undefined' ?
+            StorageCollection : require('./storage-collection.js').StorageCollection)({
+            storage: this.storage,
+            storageKey: this.options.storageKey,
+            createEmpty: () => ({})
+        });
+    }
+
+    /**
+     * 終了状態（これ以上処理しない状態）かどうか
+     * @param {string} state - ジョブ状態
+     * @returns {boolean} 終了状態の場合true
+     */
+    static isTerminal(state) {
+        return state === SAVE_JOB_STATES.NOTIFIED || state === SAVE_JOB_STATES.FAILED;
+    }
+
+    /**
+     * 抽出済み記事をジョブとして登録
+     * @param {Object} articleData - 抽出された記事データ
+     * @param {Object} options - 保存時の設定上書き
+     * @returns {Promise<Object>} 登録されたジョブ
+     */
+    async enqueue(articleData, options = {}) {
+        if (!articleData || !articleData.url) {
+            throw new Error('validation error: 記事データが不完全です');
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id: this.generateId(articleData.url),
+            state: SAVE_JOB_STATES.EXTRACTED,
+            articleData,
+            options,
+            markdown: null,
+            saveResult: null,
+            attempts: 0,
+            error: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.collection.mutate(jobs => {
+            jobs[job.id] = job;
+        });
+
+        console.log('SaveJobQueue: Job enqueued', { id: job.id, url: articleData.url });
+        return job;
+    }
+
+    /**
+     * ジョブの取得
+     * @param {string} id - ジョブID
+     * @returns {Promise<Object|null>} ジョブ
+     */
+    async get(id) {
+        const jobs = await this.collection.load();
+        return jobs[id] || null;
+    }
+
+    /**
+     * 全ジョブを作成日時順で取得
+     * @returns {Promise<Array<Object>>} ジョブ配列
+     */
+    async list() {
+        const jobs = await this.collection.load();
+        return Object.values(jobs).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * 未完了（再開が必要）のジョブを取得
+     * @returns {Promise<Array<Object>>} 未完了ジョブ配列
+     */
+    async getPendingJobs() {
+        const jobs = await this.list();
+        return jobs.filter(job => !SaveJobQueue.isTerminal(job.state));
+    }
+
+    /**
+     * ジョブの状態遷移
+     * @param {string} id - ジョブID
+     * @param {string} state - 遷移先の状態
+     * @param {Object} patch - 同時に更新するフィールド
+     * @returns {Promise<Object>} 更新後のジョブ
+     */
+    async transition(id, state, patch = {}) {
+        if (!Object.values(SAVE_JOB_STATES).includes(state)) {
+            throw new Error(`validation error: 不明なジョブ状態です: ${state}`);
+        }
+        return await this.update(id, { ...patch, state });
+    }
+
+    /**
+     * ジョブのフィールド更新
+     * @param {string} id - ジョブID
+     * @param {Object} patch - 更新するフィールド
+     * @returns {Promise<Object>} 更新後のジョブ
+     */
+    async update(id, patch = {}) {
+        let updated = null;
+        await this.collection.mutate(jobs => {
+            if (!jobs[id]) {
+                throw new Error(`保存ジョブが見つかりません: ${id}`);
+            }
+            updated = { ...jobs[id], ...patch, updatedAt: new Date().toISOString() };
+            jobs[id] = updated;
+        });
+        return updated;
+    }
+
+    /**
+     * 処理開始を記録（試行回数を加算）
+     * 最大試行回数を超えた場合は失敗状態にする
+     * @param {string} id - ジョブID
+     * @returns {Promise<Object>} 更新後のジョブ
+     */
+    async markAttempt(id) {
+        const job = await this.get(id);
+        if (!job) {
+            throw new Error(`保存ジョブが見つかりません: ${id}`);
+        }
+
+        const attempts = (job.attempts || 0) + 1;
+        if (attempts > this.options.maxAttempts) {
+            return await this.fail(id, new Error(`最大試行回数（${this.options.maxAttempts}回）を超えました`));
+        }
+        return await this.update(id, { attempts });
+    }
+
+    /**
+     * ジョブを失敗状態にし、古い失敗ジョブを整理
+     * 再試行のため記事データは残し、書き込み段階で作り直せるMarkdownは破棄する
+     * @param {string} id - ジョブID
+     * @param {Error} error - 失敗理由
+     * @returns {Promise<Object>} 更新後のジョブ
+     */
+    async fail(id, error) {
+        const current = await this.get(id);
+        const job = await this.transition(id, SAVE_JOB_STATES.FAILED, {
+            error: error?.message || String(error),
+            failedState: current?.state || null,
+            markdown: null
+        });
+        await this.prune();
+        return job;
+    }
+
+    /**
+     * ジョブを完了状態にし、古い完了ジョブを整理
+     * @param {string} id - ジョブID
+     * @param {Object} patch - 同時に更新するフィールド
+     * @returns {Promise<Object>} 更新後のジョブ
+     */
+    async complete(id, patch = {}) {
+        const current = await this.get(id);
+        if (!current) {
+            throw new Error(`保存ジョブが見つかりません: ${id}`);
+        }
+
+        // 完了後は本文やMarkdownを保持する必要がないため破棄してストレージを節約
+        const job = await this.transition(id, SAVE_JOB_STATES.NOTIFIED, {
+            ...patch,
+            markdown: null,
+            articleData: { ...current.articleData, content: '', contentMarkdown: '' }
+        });
+        await this.prune();
+        return job;
+    }
+
+    /**
+     * ジョブの削除
+     * @param {string} id - ジョブID
+     * @returns {Promise<boolean>} 削除した場合true
+     */
+    async remove(id) {
+        let removed = false;
+        await this.collection.mutate(jobs => {
+            if (jobs[id]) {
+                delete jobs[id];
+                removed = true;
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * 完了済み・失敗ジョブをそれぞれの保持上限まで削減（新しいものから残す）
+     * @returns {Promise<number>} 削除件数
+     */
+    async prune() {
+        let removedCount = 0;
+        await this.collection.mutate(jobs => {
+            const limits = {
+                [SAVE_JOB_STATES.NOTIFIED]: this.options.keepFinishedJobs,
+                [SAVE_JOB_STATES.FAILED]: this.options.keepFailedJobs
+            };
+
+            for (const [state, limit] of Object.entries(limits)) {
+                Object.values(jobs)
+                    .filter(job => job.state === state)
+                    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+                    .slice(limit)
+                    .forEach(job => {
+                        delete jobs[job.id];
+                        removedCount++;
+                    });
+            }
+        });
+        return removedCount;
+    }
+
+    /**
+     * ジョブIDの生成（URL+時刻ハッシュ）
+     * @param {string} url - 記事URL
+     * @returns {string} ジョブID
+     */
+    generateId(url) {
+        const combined = `${url}${Date.now()}${Math.random()}`;
+
+        let hash = 0;
+        for (let i = 0; i < combined.length; i++) {
+            hash = ((hash << 5) - hash) + combined.charCodeAt(i);
+            hash = hash & hash; // 32bit変換
+        }
+
+        return `job-${Date.now().toString(36)}-${Math.abs(hash).toString(16)}`;
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SaveJobQueue, SAVE_JOB_STATES };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.SaveJobQueue = SaveJobQueue;
+    g.SAVE_JOB_STATES = SAVE_JOB_STATES;
+}
@@ -0,0 +1,128 @@
+// ReadLater for Obsidian - Saved URL Index
+// 保存済み記事のURL索引（重複保存の判定用）をchrome.storage.localで管理
+
+const SAVED_URL_INDEX_STORAGE_KEY = 'readlaterSavedUrls';
+
+/**
+ * 保存済みURL索引の管理クラス
+ * 正規化URL（UrlCanonicalizer）をキーに、保存先のノート情報を記録する
+ */
+class SavedUrlIndex {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: SAVED_URL_INDEX_STORAGE_KEY,
+            maxEntries: 5000,
+            ...options
+        };
+
+        this.storage = this.options.storage || chrome.storage.local;
+        this.canonicalizer = this.options.canonicalizer ||
+            (typeof UrlCanonicalizer !== 'undefined' ? UrlCanonicalizer : null);
+
+        if (!this.canonicalizer) {
+            throw new Error('UrlCanonicalizer is not available');
+        }
+
+        this.collection = new (typeof StorageCollection !== 'undefined' ?
+            StorageCollection : require('./storage-collection.js').StorageCollection)({
+            storage: this.storage,
+            storageKey: this.options.storageKey,
+            createEmpty: () => ({})
+        });
+    }
+
+    /**
+     * 保存済みエントリの検索
+     * @param {string} url - ページのURL
+     * @param {string|null} canonicalUrl - link[rel=canonical] のURL
+     * @returns {Promise<Object|null>} 保存済みエントリ
+     */
+    async find(url, canonicalUrl = null) {
+        const entries = await this.collection.load();
+        for (const key of this.canonicalizer.getKeys(url, canonicalUrl)) {
+            if (entries[key]) {
+                return { key, ...entries[key] };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 保存結果の記録（既存エントリがあれば更新し、初回保存日時は維持）
+     * @param {Object} articleData - 記事データ（url, canonicalUrl, title）
+     * @param {Object} saveResult - 保存結果（filePath/filename, aggregated）
+     * @returns {Promise<Object>} 記録されたエントリ
+     */
+    async record(articleData, saveResult = {}) {
+        const keys = this.canonicalizer.getKeys(articleData.url, articleData.canonicalUrl);
+        if (keys.length === 0) {
+            throw new Error(`validation error: URLを正規化できません: ${articleData.url}`);
+        }
+
+        const now = new Date().toISOString();
+        let recorded = null;
+        await this.collection.mutate(entries => {
+            const existing = keys.map(key => entries[key]).find(Boolean);
+            recorded = {
+                url: articleData.url,
+                canonicalUrl: keys[0],
+                title: articleData.title || 'Untitled Article',
+                filePath: saveResult.filePath || saveResult.filename || existing?.filePath || null,
+                mode: saveResult.aggregated ? 'aggregated' : 'individual',
+                savedAt: existing?.savedAt || now,
+                updatedAt: now
+            };
+            keys.forEach(key => {
+                entries[key] = recorded;
+            });
+            this._prune(entries);
+        });
+        return recorded;
+    }
+
+    /**
+     * エントリの削除
+     * @param {string} url - ページのURL
+     * @param {string|null} canonicalUrl - link[rel=canonical] のURL
+     * @returns {Promise<boolean>} 削除した場合true
+     */
+    async remove(url, canonicalUrl = null) {
+        let removed = false;
+        await this.collection.mutate(entries => {
+            const target = this.canonicalizer.getKeys(url, canonicalUrl)
+                .map(key => entries[key])
+                .find(Boolean);
+            if (!target) return;
+
+            // 同じエントリを指す別名キーもまとめて削除
+            Object.keys(entries).forEach(key => {
+                if (entries[key].canonicalUrl === target.canonicalUrl) {
+                    delete entries[key];
+                    removed = true;
+                }
+            });
+        });
+        return removed;
+    }
+
+    // 内部ヘルパー
+
+    _prune(entries) {
+        const keys = Object.keys(entries);
+        if (keys.length <= this.options.maxEntries) return;
+
+        keys
+            .sort((a, b) => String(entries[a].updatedAt).localeCompare(String(entries[b].updatedAt)))
+            .slice(0, keys.length - this.options.maxEntries)
+            .forEach(key => delete entries[key]);
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SavedUrlIndex, SAVED_URL_INDEX_STORAGE_KEY };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.SavedUrlIndex = SavedUrlIndex;
+    g.SAVED_URL_INDEX_STORAGE_KEY = SAVED_URL_INDEX_STORAGE_KEY;
+}
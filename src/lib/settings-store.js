@@ -0,0 +1,89 @@
+// ReadLater for Obsidian - Settings Store
+// ユーザー設定の読み書き（chrome.storage.sync の1項目と、サイズの大きい設定を置く chrome.storage.local）
+
+const SETTINGS_STORAGE_KEY = 'readlaterSettings';
+const LOCAL_SETTINGS_STORAGE_KEY = 'readlaterLocalSettings';
+
+// ユーザーが自由に書く、件数・長さに上限のない設定
+// （chrome.storage.sync は1項目8KBまでのため、端末ごとの chrome.storage.local に置く）
+const LOCAL_SETTING_KEYS = [
+    'routingRules',
+    'extractionRules',
+    'noteTemplate',
+    'frontmatterProperties',
+    'frontmatterExtraProperties'
+];
+
+/**
+ * ユーザー設定の読み書き
+ */
+class SettingsStore {
+    /**
+     * @param {Object} options
+     * @param {Object} options.sync - 同期する設定の保存先（既定は chrome.storage.sync）
+     * @param {Object} options.local - サイズの大きい設定の保存先（既定は chrome.storage.local）
+     */
+    constructor(options = {}) {
+        this.sync = options.sync || chrome.storage.sync;
+        this.local = options.local || chrome.storage.local;
+    }
+
+    /**
+     * 設定の取得（保存されていない場合は null）
+     * 以前のバージョンで同期ストレージに保存した設定もそのまま読み込む
+     * @returns {Promise<Object|null>} ユーザー設定
+     */
+    async load() {
+        const [syncResult, localResult] = await Promise.all([
+            this.sync.get([SETTINGS_STORAGE_KEY]),
+            this.local.get([LOCAL_SETTINGS_STORAGE_KEY])
+        ]);
+        const synced = syncResult?.[SETTINGS_STORAGE_KEY];
+        const local = localResult?.[LOCAL_SETTINGS_STORAGE_KEY];
+        if (!synced && !local) return null;
+        return { ...(synced || {}), ...(local || {}) };
+    }
+
+    /**
+     * 設定の保存
+     * @param {Object} settings - ユーザー設定
+     * @returns {Promise<void>}
+     */
+    async save(settings) {
+        const { synced, local } = SettingsStore.split(settings);
+        try {
+            await this.local.set({ [LOCAL_SETTINGS_STORAGE_KEY]: local });
+            await this.sync.set({ [SETTINGS_STORAGE_KEY]: synced });
+        } catch (error) {
+            if (/QUOTA_BYTES/.test(error?.message || '')) {
+                throw new Error(`設定のサイズがブラウザの保存容量の上限を超えています（${error.message}）`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 設定を同期する部分と端末に置く部分に分ける
+     * @param {Object} settings - ユーザー設定
+     * @returns {Object} { synced, local }
+     */
+    static split(settings = {}) {
+        const synced = {};
+        const local = {};
+        for (const [key, value] of Object.entries(settings)) {
+            (LOCAL_SETTING_KEYS.includes(key) ? local : synced)[key] = value;
+        }
+        return { synced, local };
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SettingsStore, SETTINGS_STORAGE_KEY, LOCAL_SETTINGS_STORAGE_KEY, LOCAL_SETTING_KEYS };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.SettingsStore = SettingsStore;
+    g.SETTINGS_STORAGE_KEY = SETTINGS_STORAGE_KEY;
+    g.LOCAL_SETTINGS_STORAGE_KEY = LOCAL_SETTINGS_STORAGE_KEY;
+    g.LOCAL_SETTING_KEYS = LOCAL_SETTING_KEYS;
+}
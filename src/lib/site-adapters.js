@@ -0,0 +1,683 @@
+// ReadLater for Obsidian - Site Adapters
+// サイトごとの本文・メタデータ抽出（汎用の抽出戦略より優先して使用）
+
+/**
+ * サイトアダプタの登録と選択を行うクラス
+ *
+ * アダプタの形式:
+ * {
+ *   id: 'github',                  // 識別子（抽出結果の site / strategy に使用）
+ *   name: 'GitHub',                // 表示名
+ *   hosts: ['github.com'],         // 対象のホスト名（*.example.com でサブドメインも対象）
+ *   detect(doc, url),              // 任意: ホスト名以外で対象かを判定（独自ドメインのMediumなど）
+ *   extract(doc, url, context)     // { element, title, metadata } を返す。対象外のページでは null
+ * }
+ *
+ * context は { fetch, discussionCommentLimit }（fetch は字幕など、ページ以外のリソースの取得に使う）
+ *
+ * 掲示板のアダプタは discussion（{ platform, url, linkedUrl, commentCount, shownCount, element, text }）も返し、
+ * コメントのツリーは本文とは別に変換される
+ *
+ * element は抽出した本文を組み立てた要素（元のドキュメントは変更しない）で、
+ * HTMLToMarkdownConverter でMarkdownに変換される
+ */
+class SiteAdapterRegistry {
+    /**
+     * @param {Array<Object>} adapters - 登録するアダプタ
+     */
+    constructor(adapters = []) {
+        this.adapters = [];
+        adapters.forEach(adapter => this.register(adapter));
+    }
+
+    /**
+     * 組み込みのアダプタを登録したレジストリ
+     * @returns {SiteAdapterRegistry}
+     */
+    static createDefault() {
+        return new SiteAdapterRegistry(BUILT_IN_SITE_ADAPTERS);
+    }
+
+    /**
+     * アダプタの登録（同じIDのアダプタは置き換える）
+     * @param {Object} adapter - アダプタ
+     * @returns {SiteAdapterRegistry} チェーン用
+     */
+    register(adapter) {
+        if (!adapter || typeof adapter.id !== 'string' || !adapter.id) {
+            throw new Error('サイトアダプタにはIDが必要です');
+        }
+        if (typeof adapter.extract !== 'function') {
+            throw new Error(`サイトアダプタ ${adapter.id} に extract がありません`);
+        }
+        if (!Array.isArray(adapter.hosts) && typeof adapter.detect !== 'function') {
+            throw new Error(`サイトアダプタ ${adapter.id} に hosts または detect が必要です`);
+        }
+
+        // 後から登録したアダプタを優先する（組み込みのアダプタを上書きできるように）
+        this.unregister(adapter.id);
+        this.adapters.unshift(adapter);
+        return this;
+    }
+
+    /**
+     * アダプタの登録解除
+     * @param {string} id - アダプタのID
+     * @returns {boolean} 解除した場合true
+     */
+    unregister(id) {
+        const index = this.adapters.findIndex(adapter => adapter.id === id);
+        if (index === -1) return false;
+        this.adapters.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * ページに対応するアダプタ
+     * @param {string} url - ページのURL
+     * @param {Document} doc - ドキュメント
+     * @returns {Object|null} アダプタ
+     */
+    find(url, doc) {
+        let hostname = '';
+        try {
+            hostname = new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            // URLがない場合はdetectのみで判定
+        }
+
+        return this.adapters.find(adapter => {
+            if (hostname && (adapter.hosts || []).some(pattern => SiteAdapterRegistry.matchesHost(hostname, pattern))) {
+                return true;
+            }
+            try {
+                return typeof adapter.detect === 'function' && Boolean(adapter.detect(doc, url));
+            } catch (e) {
+                return false;
+            }
+        }) || null;
+    }
+
+    /**
+     * アダプタによる抽出
+     * @param {Document} doc - ドキュメント
+     * @param {string} url - ページのURL
+     * @param {Object} context - アダプタに渡す { fetch }
+     * @returns {Promise<Object|null>} { element, title, metadata, site, siteName }（対象外・抽出できない場合は null）
+     */
+    async extract(doc, url, context = {}) {
+        const adapter = this.find(url, doc);
+        if (!adapter) return null;
+
+        const result = await adapter.extract(doc, url, context);
+        if (!result || !result.element || !(result.element.textContent || '').trim()) {
+            return null;
+        }
+
+        return {
+            ...result,
+            metadata: result.metadata || {},
+            site: adapter.id,
+            siteName: adapter.name || adapter.id
+        };
+    }
+
+    /**
+     * ホスト名の照合（example.com はサブドメインを含まず、*.example.com は example.com とサブドメインが対象）
+     */
+    static matchesHost(hostname, pattern) {
+        const normalized = String(pattern || '').toLowerCase().trim();
+        if (normalized.startsWith('*.')) {
+            const base = normalized.slice(2);
+            return hostname === base || hostname.endsWith(`.${base}`);
+        }
+        return hostname === normalized || hostname === `www.${normalized}`;
+    }
+}
+
+// アダプタ用のヘルパー
+
+function textOf(element) {
+    return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+function uniqueTexts(elements, limit = 20) {
+    const texts = Array.from(elements || []).map(el => textOf(el).replace(/^#/, '')).filter(Boolean);
+    return Array.from(new Set(texts)).slice(0, limit);
+}
+
+/**
+ * 要素の複製から不要な要素を除く
+ */
+function cleanClone(element, removeSelectors = []) {
+    const clone = element.cloneNode(true);
+    const selectors = ['script:not([type^="math/tex"])', 'style', 'button', ...removeSelectors];
+    clone.querySelectorAll(selectors.join(', ')).forEach(el => el.remove());
+    return clone;
+}
+
+/**
+ * 見出しと本文を順に並べた要素の組み立て
+ * @param {Document} doc - ドキュメント
+ * @param {Array<Object>} sections - [{ heading, level, element }]
+ * @returns {Element} 組み立てた要素
+ */
+function buildContent(doc, sections) {
+    const container = doc.createElement('div');
+    for (const { heading, level = 2, element } of sections) {
+        if (!element) continue;
+        if (heading) {
+            const h = doc.createElement(`h${level}`);
+            h.textContent = heading;
+            container.appendChild(h);
+        }
+        container.appendChild(element);
+    }
+    return container;
+}
+
+/**
+ * コードブロックの言語を pre > code の class="language-x" に揃える
+ */
+function tagCodeLanguage(root, getLanguage) {
+    root.querySelectorAll('pre').forEach(pre => {
+        const language = getLanguage(pre);
+        if (!language) return;
+        let code = pre.querySelector('code');
+        if (!code) {
+            code = pre.ownerDocument.createElement('code');
+            code.textContent = pre.textContent;
+            pre.textContent = '';
+            pre.appendChild(code);
+        }
+        code.classList.add(`language-${language.toLowerCase()}`);
+    });
+}
+
+function firstMatch(doc, selectors) {
+    for (const selector of selectors) {
+        const element = doc.querySelector(selector);
+        if (element && textOf(element)) return element;
+    }
+    return null;
+}
+
+function pathParts(url) {
+    try {
+        return new URL(url).pathname.split('/').filter(Boolean);
+    } catch (e) {
+        return [];
+    }
+}
+
+function videoCaptureClass() {
+    return typeof VideoCapture !== 'undefined' ? VideoCapture : require('./video-capture.js').VideoCapture;
+}
+
+/**
+ * 動画の情報からアダプタの抽出結果を組み立てる
+ * @param {Document} doc - ドキュメント
+ * @param {Object|null} video - VideoCapture で取得した動画の情報
+ * @returns {Object|null} { element, title, metadata }
+ */
+function buildVideoResult(doc, video) {
+    if (!video) return null;
+    const VideoCaptureClass = videoCaptureClass();
+
+    return {
+        element: VideoCaptureClass.buildContent(doc, video),
+        title: video.title,
+        metadata: {
+            author: video.author,
+            publishDate: video.publishDate,
+            description: (video.description || '').split('\n')[0].slice(0, 300),
+            keywords: video.keywords,
+            category: 'video',
+            videoId: video.id,
+            duration: video.durationSeconds ? VideoCaptureClass.formatTimestamp(video.durationSeconds) : '',
+            chapterCount: video.chapters.length,
+            transcriptLanguage: video.transcriptLanguage,
+            hasTranscript: video.transcript.length > 0
+        }
+    };
+}
+
+function socialThreadCaptureClass() {
+    return typeof SocialThreadCapture !== 'undefined' ? SocialThreadCapture : require('./social-threads.js').SocialThreadCapture;
+}
+
+/**
+ * SNSのスレッドからアダプタの抽出結果を組み立てる
+ * @param {Document} doc - ドキュメント
+ * @param {Object|null} thread - SocialThreadCapture で取得したスレッド
+ * @returns {Object|null} { element, title, metadata }
+ */
+function buildThreadResult(doc, thread) {
+    if (!thread || thread.posts.length === 0) return null;
+    const { author, posts } = thread;
+
+    // タイトルは投稿者と最初の投稿の書き出し
+    const excerpt = textOf(posts[0].body);
+    const title = [
+        `${author.name}${author.handle && author.handle !== `@${author.name}` ? ` (${author.handle})` : ''}`,
+        excerpt.length > 60 ? `${excerpt.slice(0, 60)}…` : excerpt
+    ].filter(Boolean).join(': ');
+
+    return {
+        element: socialThreadCaptureClass().buildContent(doc, thread),
+        title,
+        metadata: {
+            author: author.name,
+            handle: author.handle,
+            publishDate: posts[0].date,
+            modifiedDate: posts[posts.length - 1].date,
+            description: excerpt.slice(0, 300),
+            keywords: uniqueTexts(posts.flatMap(post => Array.from(post.body?.querySelectorAll('a') || []))
+                .filter(link => /^#\S/.test(textOf(link)))),
+            category: posts.length > 1 ? 'thread' : 'post',
+            platform: thread.platform,
+            postCount: posts.length
+        }
+    };
+}
+
+function discussionCaptureClass() {
+    return typeof DiscussionCapture !== 'undefined' ? DiscussionCapture : require('./discussion-capture.js').DiscussionCapture;
+}
+
+/**
+ * 掲示板の議論からアダプタの抽出結果を組み立てる
+ * @param {Document} doc - ドキュメント
+ * @param {Object|null} discussion - DiscussionCapture で取得した議論
+ * @returns {Object|null} { element, title, metadata, discussion }
+ */
+function buildDiscussionResult(doc, discussion) {
+    if (!discussion) return null;
+    const DiscussionCaptureClass = discussionCaptureClass();
+
+    // 変換は要素の子から行われるため、リストを包んで入れ子の字下げを保つ
+    const comments = doc.createElement('div');
+    comments.appendChild(DiscussionCaptureClass.buildComments(doc, discussion.comments));
+
+    return {
+        // 本文は投稿（リンク先の記事は保存時に取得して差し替える）
+        element: DiscussionCaptureClass.buildPost(doc, discussion),
+        title: discussion.title,
+        metadata: {
+            author: discussion.author,
+            publishDate: discussion.date,
+            description: textOf(discussion.body).slice(0, 300),
+            category: 'discussion',
+            platform: discussion.platform,
+            community: discussion.community,
+            score: discussion.score,
+            commentCount: discussion.commentCount,
+            linkedUrl: discussion.linkedUrl
+        },
+        discussion: {
+            platform: discussion.platform,
+            url: discussion.url,
+            linkedUrl: discussion.linkedUrl,
+            commentCount: discussion.commentCount,
+            shownCount: DiscussionCaptureClass.countComments(discussion.comments),
+            element: comments,
+            text: DiscussionCaptureClass.toText(discussion.comments)
+        }
+    };
+}
+
+// 組み込みのアダプタ
+
+const GITHUB_ADAPTER = {
+    id: 'github',
+    name: 'GitHub',
+    hosts: ['github.com'],
+    extract(doc, url) {
+        const [owner, repo, kind, number] = pathParts(url);
+        if (!owner || !repo) return null;
+        const repository = `${owner}/${repo}`;
+
+        // Issue・プルリクエストのスレッド
+        if ((kind === 'issues' || kind === 'pull') && /^\d+$/.test(number || '')) {
+            const comments = Array.from(doc.querySelectorAll('.timeline-comment, [data-testid="comment-viewer-outer-box"]'))
+                .map(comment => {
+                    const body = comment.querySelector('.comment-body, [data-testid="markdown-body"]');
+                    if (!body) return null;
+                    return {
+                        author: textOf(comment.querySelector('.author, [data-testid="avatar-link"]')),
+                        date: comment.querySelector('relative-time[datetime]')?.getAttribute('datetime') || '',
+                        element: cleanClone(body)
+                    };
+                })
+                .filter(Boolean);
+            if (comments.length === 0) return null;
+
+            const title = textOf(doc.querySelector('.js-issue-title, [data-testid="issue-title"]'));
+            return {
+                element: buildContent(doc, comments.map(comment => ({
+                    heading: [comment.author || 'unknown', comment.date.split('T')[0]].filter(Boolean).join(' - '),
+                    level: 3,
+                    element: comment.element
+                }))),
+                title: title ? `${title} · ${repository}#${number}` : '',
+                metadata: {
+                    author: comments[0].author,
+                    publishDate: comments[0].date,
+                    keywords: uniqueTexts(doc.querySelectorAll('.IssueLabel, .js-issue-labels a, [data-testid="issue-labels"] a')),
+                    category: kind === 'pull' ? 'pull-request' : 'issue',
+                    repository,
+                    number: Number(number),
+                    state: textOf(doc.querySelector('.State, [data-testid="header-state"]')).toLowerCase(),
+                    commentCount: comments.length
+                }
+            };
+        }
+
+        // リポジトリのREADME・Markdownファイル
+        const readme = firstMatch(doc, ['#readme article.markdown-body', 'article.markdown-body', '.markdown-body']);
+        if (!readme) return null;
+
+        const body = cleanClone(readme, ['.anchor', 'a.heading-link svg']);
+        return {
+            element: body,
+            title: kind ? '' : repository,
+            metadata: {
+                author: owner,
+                description: textOf(doc.querySelector('.f4.my-3, [itemprop="about"]')),
+                keywords: uniqueTexts(doc.querySelectorAll('a.topic-tag')),
+                category: 'repository',
+                repository
+            }
+        };
+    }
+};
+
+const STACK_OVERFLOW_ADAPTER = {
+    id: 'stackoverflow',
+    name: 'Stack Overflow',
+    hosts: ['stackoverflow.com', '*.stackexchange.com', 'superuser.com', 'serverfault.com', 'askubuntu.com', 'mathoverflow.net'],
+    extract(doc, url) {
+        if (pathParts(url)[0] !== 'questions') return null;
+
+        const question = doc.querySelector('#question');
+        const questionBody = question?.querySelector('.s-prose, .js-post-body, .post-text');
+        if (!questionBody) return null;
+
+        // 採用された回答がなければ最も評価の高い回答（先頭の回答）
+        const accepted = doc.querySelector('.answer.accepted-answer, .answer.js-accepted-answer, .answer[itemprop="acceptedAnswer"]');
+        const answer = accepted || doc.querySelector('.answer');
+        const answerBody = answer?.querySelector('.s-prose, .js-post-body, .post-text');
+        const score = element => {
+            const vote = element?.querySelector('[itemprop="upvoteCount"], .js-vote-count');
+            const value = parseInt(vote?.getAttribute('data-value') ?? vote?.textContent, 10);
+            return Number.isNaN(value) ? undefined : value;
+        };
+        const authorOf = element => textOf(element?.querySelector('.post-signature.owner .user-details a, .user-details [itemprop="name"], .user-details a'));
+
+        return {
+            element: buildContent(doc, [
+                { heading: '質問', element: cleanClone(questionBody) },
+                answerBody && {
+                    heading: accepted ? `採用された回答（${authorOf(answer) || 'unknown'}）` : `評価の高い回答（${authorOf(answer) || 'unknown'}）`,
+                    element: cleanClone(answerBody)
+                }
+            ].filter(Boolean)),
+            title: textOf(doc.querySelector('#question-header h1')),
+            metadata: {
+                author: authorOf(question),
+                publishDate: question.querySelector('time[itemprop="dateCreated"]')?.getAttribute('datetime') ||
+                    doc.querySelector('time[itemprop="dateCreated"]')?.getAttribute('datetime') || '',
+                keywords: uniqueTexts(question.querySelectorAll('.post-tag')),
+                category: 'question',
+                score: score(question),
+                answered: Boolean(accepted),
+                answerScore: score(answer)
+            }
+        };
+    }
+};
+
+const QIITA_ADAPTER = {
+    id: 'qiita',
+    name: 'Qiita',
+    hosts: ['qiita.com'],
+    extract(doc) {
+        const article = firstMatch(doc, ['.it-MdContent', '#personal-public-article-body .mdContent-inner', 'section[itemprop="articleBody"]']);
+        if (!article) return null;
+
+        const body = cleanClone(article, ['.code-lang']);
+        // Qiitaのコードブロックは外側の .code-frame[data-lang] に言語がある
+        tagCodeLanguage(body, pre => pre.closest('[data-lang]')?.getAttribute('data-lang').split(':')[0]);
+
+        return {
+            element: body,
+            title: textOf(doc.querySelector('h1')),
+            metadata: {
+                keywords: uniqueTexts(doc.querySelectorAll('a[href^="/tags/"]')),
+                category: 'article'
+            }
+        };
+    }
+};
+
+const ZENN_ADAPTER = {
+    id: 'zenn',
+    name: 'Zenn',
+    hosts: ['zenn.dev'],
+    extract(doc, url) {
+        const article = firstMatch(doc, ['.znc', '[class*="BodyContent"]']);
+        if (!article) return null;
+
+        const body = cleanClone(article, ['.code-block-filename-container', '.zenn-embedded-loading']);
+        return {
+            element: body,
+            title: textOf(doc.querySelector('h1')),
+            metadata: {
+                keywords: uniqueTexts(doc.querySelectorAll('a[href^="/topics/"]')),
+                category: pathParts(url)[1] === 'scraps' ? 'scrap' : 'article'
+            }
+        };
+    }
+};
+
+const NOTE_ADAPTER = {
+    id: 'note',
+    name: 'note',
+    hosts: ['note.com'],
+    extract(doc) {
+        const article = firstMatch(doc, ['.note-common-styles__textnote-body', '[data-name="body"]', '.p-article__content']);
+        if (!article) return null;
+
+        return {
+            element: cleanClone(article),
+            title: textOf(doc.querySelector('.o-noteContentHeader__title, h1')),
+            metadata: {
+                author: textOf(doc.querySelector('.o-noteContentHeader__name, .o-noteContentText__name')),
+                keywords: uniqueTexts(doc.querySelectorAll('a[href^="/hashtag/"]')),
+                category: 'article'
+            }
+        };
+    }
+};
+
+const MEDIUM_ADAPTER = {
+    id: 'medium',
+    name: 'Medium',
+    hosts: ['medium.com', '*.medium.com'],
+    // 独自ドメインのMediumのパブリケーション
+    detect(doc) {
+        return doc?.querySelector('meta[property="al:android:app_name"][content="Medium"]') !== null;
+    },
+    extract(doc) {
+        const article = doc.querySelector('article');
+        if (!article) return null;
+
+        const body = cleanClone(article.querySelector('section') || article, [
+            'h1', '[data-testid="storyTitle"]', '[data-testid="authorPhoto"]', '[data-testid="authorName"]',
+            '[data-testid="storyPublishDate"]', '[data-testid="headerClapButton"]', '.speechify-ignore'
+        ]);
+        return {
+            element: body,
+            title: textOf(doc.querySelector('[data-testid="storyTitle"], article h1')),
+            metadata: {
+                author: textOf(doc.querySelector('[data-testid="authorName"]')),
+                keywords: uniqueTexts(doc.querySelectorAll('a[href*="/tag/"]')),
+                category: 'article'
+            }
+        };
+    }
+};
+
+const DEV_TO_ADAPTER = {
+    id: 'devto',
+    name: 'DEV Community',
+    hosts: ['dev.to'],
+    extract(doc) {
+        const article = doc.querySelector('#article-body');
+        if (!article) return null;
+
+        const body = cleanClone(article, ['.highlight__panel']);
+        // <pre class="highlight javascript"> の形式で言語が指定されている
+        tagCodeLanguage(body, pre => Array.from(pre.classList).find(name => name !== 'highlight' && !name.startsWith('js-')));
+
+        return {
+            element: body,
+            title: textOf(doc.querySelector('#main-title h1, h1')),
+            metadata: {
+                author: textOf(doc.querySelector('.crayons-article__subheader a, [data-testid="article-author"]')),
+                publishDate: doc.querySelector('.crayons-article__header time[datetime], time[datetime]')?.getAttribute('datetime') || '',
+                keywords: uniqueTexts(doc.querySelectorAll('.crayons-tag, a[href^="/t/"]')),
+                category: 'article'
+            }
+        };
+    }
+};
+
+const WIKIPEDIA_ADAPTER = {
+    id: 'wikipedia',
+    name: 'Wikipedia',
+    hosts: ['*.wikipedia.org'],
+    extract(doc) {
+        const content = doc.querySelector('#mw-content-text .mw-parser-output');
+        if (!content) return null;
+
+        const body = cleanClone(content, [
+            '.mw-editsection', '.navbox', '.vertical-navbox', '.sidebar', '.metadata', '.ambox', '.mbox-small',
+            '.hatnote', '.shortdescription', '#toc', '.toc', '.noprint', '.mw-empty-elt', '#coordinates',
+            '.mw-jump-link', 'link'
+        ]);
+        return {
+            element: body,
+            title: textOf(doc.querySelector('#firstHeading')),
+            metadata: {
+                author: 'Wikipedia',
+                keywords: uniqueTexts(doc.querySelectorAll('#mw-normal-catlinks li a'), 10),
+                category: 'encyclopedia'
+            }
+        };
+    }
+};
+
+const YOUTUBE_ADAPTER = {
+    id: 'youtube',
+    name: 'YouTube',
+    hosts: ['youtube.com', 'm.youtube.com', 'youtu.be'],
+    async extract(doc, url, context = {}) {
+        const capture = new (videoCaptureClass())({ fetch: context.fetch });
+        return buildVideoResult(doc, await capture.captureYouTube(doc, url));
+    }
+};
+
+const X_ADAPTER = {
+    id: 'x',
+    name: 'X',
+    hosts: ['x.com', 'twitter.com', 'mobile.twitter.com', 'mobile.x.com'],
+    extract(doc, url) {
+        return buildThreadResult(doc, new (socialThreadCaptureClass())().captureX(doc, url));
+    }
+};
+
+// Mastodonは任意のドメインで運用されるため、投稿ページのURLとWebアプリのルート要素で判定する
+const MASTODON_ADAPTER = {
+    id: 'mastodon',
+    name: 'Mastodon',
+    detect(doc, url) {
+        return Boolean(socialThreadCaptureClass().getMastodonStatusId(url)) &&
+            doc?.querySelector('#mastodon, script#initial-state') !== null;
+    },
+    async extract(doc, url, context = {}) {
+        const capture = new (socialThreadCaptureClass())({ fetch: context.fetch });
+        return buildThreadResult(doc, await capture.captureMastodon(doc, url));
+    }
+};
+
+const BLUESKY_ADAPTER = {
+    id: 'bluesky',
+    name: 'Bluesky',
+    hosts: ['bsky.app'],
+    async extract(doc, url, context = {}) {
+        const capture = new (socialThreadCaptureClass())({ fetch: context.fetch });
+        return buildThreadResult(doc, await capture.captureBluesky(doc, url));
+    }
+};
+
+const HACKER_NEWS_ADAPTER = {
+    id: 'hackernews',
+    name: 'Hacker News',
+    hosts: ['news.ycombinator.com'],
+    extract(doc, url, context = {}) {
+        const capture = new (discussionCaptureClass())({ commentLimit: context.discussionCommentLimit });
+        return buildDiscussionResult(doc, capture.captureHackerNews(doc, url));
+    }
+};
+
+const REDDIT_ADAPTER = {
+    id: 'reddit',
+    name: 'Reddit',
+    hosts: ['reddit.com', '*.reddit.com', 'redd.it'],
+    async extract(doc, url, context = {}) {
+        const capture = new (discussionCaptureClass())({ fetch: context.fetch, commentLimit: context.discussionCommentLimit });
+        return buildDiscussionResult(doc, await capture.captureReddit(doc, url));
+    }
+};
+
+// JSON-LDの VideoObject を主な内容とする動画ページ（カンファレンスの講演動画など）
+const VIDEO_OBJECT_ADAPTER = {
+    id: 'video',
+    name: '動画',
+    detect(doc) {
+        return videoCaptureClass().findVideoObject(doc) !== null;
+    },
+    extract(doc, url, context = {}) {
+        const capture = new (videoCaptureClass())({ fetch: context.fetch });
+        return buildVideoResult(doc, capture.captureVideoObject(doc, url));
+    }
+};
+
+// 後ろのアダプタほど優先される（ホスト名を指定しない VIDEO_OBJECT_ADAPTER・MASTODON_ADAPTER は低くする）
+const BUILT_IN_SITE_ADAPTERS = [
+    VIDEO_OBJECT_ADAPTER,
+    MASTODON_ADAPTER,
+    GITHUB_ADAPTER,
+    STACK_OVERFLOW_ADAPTER,
+    QIITA_ADAPTER,
+    ZENN_ADAPTER,
+    NOTE_ADAPTER,
+    MEDIUM_ADAPTER,
+    DEV_TO_ADAPTER,
+    WIKIPEDIA_ADAPTER,
+    YOUTUBE_ADAPTER,
+    X_ADAPTER,
+    BLUESKY_ADAPTER,
+    HACKER_NEWS_ADAPTER,
+    REDDIT_ADAPTER
+];
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SiteAdapterRegistry, BUILT_IN_SITE_ADAPTERS };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.SiteAdapterRegistry = SiteAdapterRegistry;
+    g.BUILT_IN_SITE_ADAPTERS = BUILT_IN_SITE_ADAPTERS;
+}
@@ -0,0 +1,536 @@
+// ReadLater for Obsidian - Social Threads
+// SNSの投稿ページ（X/Twitter・Mastodon・Bluesky）から、投稿者が続けて投稿したスレッドを1つの記事にまとめる
+
+const SOCIAL_API_TIMEOUT_MS = 15000;
+
+// スレッドとしてまとめる最大の投稿数
+const MAX_THREAD_POSTS = 100;
+
+/**
+ * SNSのスレッドの取り込みクラス
+ * 開いている投稿を起点に、同じ投稿者が自分の投稿に返信して続けた投稿を前後に辿り、投稿順に並べる。
+ * 他のユーザーの返信が挟まった時点でスレッドは終わりとみなす
+ *
+ * スレッドの形式:
+ * {
+ *   platform: 'x' | 'mastodon' | 'bluesky',
+ *   author: { name, handle, url },
+ *   posts: [{ id, url, date, body（本文の要素）, media: [{ type: 'image'|'video'|'link', url, alt }], quote }],
+ *   focusIndex（開いている投稿の位置）
+ * }
+ * quote は引用された投稿（{ author, url, date, body, media }）
+ */
+class SocialThreadCapture {
+    /**
+     * @param {Object} options
+     * @param {Function} options.fetch - Mastodon・BlueskyのAPIの取得に使う fetch（既定はグローバルの fetch）
+     */
+    constructor(options = {}) {
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null);
+    }
+
+    /**
+     * X/Twitterの投稿ページ（表示中のタイムラインのDOMから取得）
+     * @param {Document} doc - ドキュメント
+     * @param {string} url - ページのURL
+     * @returns {Object|null} スレッド（投稿ページでない・投稿が表示されていない場合は null）
+     */
+    captureX(doc, url) {
+        const statusId = SocialThreadCapture.matchPath(url, /^\/[^/]+\/status\/(\d+)/);
+        if (!statusId) return null;
+
+        const posts = Array.from(doc.querySelectorAll('article[data-testid="tweet"]'))
+            .map(article => SocialThreadCapture.readXPost(article, url))
+            .filter(Boolean);
+        const focusIndex = posts.findIndex(post => post.id === statusId);
+        if (focusIndex === -1) return null;
+
+        // 開いている投稿を含む、同じ投稿者の連続した投稿
+        const handle = posts[focusIndex].author.handle.toLowerCase();
+        let start = focusIndex;
+        let end = focusIndex;
+        while (start > 0 && posts[start - 1].author.handle.toLowerCase() === handle) start--;
+        while (end + 1 < posts.length && posts[end + 1].author.handle.toLowerCase() === handle) end++;
+
+        return {
+            platform: 'x',
+            author: posts[focusIndex].author,
+            posts: posts.slice(start, end + 1).slice(0, MAX_THREAD_POSTS),
+            focusIndex: focusIndex - start
+        };
+    }
+
+    /**
+     * Mastodonの投稿ページ（サーバーの公開APIから取得）
+     * @param {Document} doc - ドキュメント
+     * @param {string} url - ページのURL（/@user/123 または /users/user/statuses/123）
+     * @returns {Promise<Object|null>} スレッド
+     */
+    async captureMastodon(doc, url) {
+        const statusId = SocialThreadCapture.getMastodonStatusId(url);
+        if (!statusId || !this.fetch) return null;
+
+        const origin = new URL(url).origin;
+        const [status, context] = await Promise.all([
+            this.fetchJson(`${origin}/api/v1/statuses/${statusId}`),
+            this.fetchJson(`${origin}/api/v1/statuses/${statusId}/context`)
+        ]);
+        const focus = status?.reblog || status;
+        if (!focus?.account) return null;
+
+        // 祖先は古い順、子孫は深さ優先の順に並んでいる
+        const authorId = focus.account.id;
+        const ancestors = [];
+        let first = focus;
+        for (const ancestor of (context?.ancestors || []).slice().reverse()) {
+            if (ancestor.id !== first.in_reply_to_id || ancestor.account?.id !== authorId) break;
+            ancestors.unshift(ancestor);
+            first = ancestor;
+        }
+        const descendants = [];
+        let last = focus;
+        for (const descendant of context?.descendants || []) {
+            if (descendant.in_reply_to_id === last.id && descendant.account?.id === authorId) {
+                descendants.push(descendant);
+                last = descendant;
+            }
+        }
+
+        return {
+            platform: 'mastodon',
+            author: SocialThreadCapture.mastodonAuthor(focus.account, origin),
+            posts: [...ancestors, focus, ...descendants].slice(0, MAX_THREAD_POSTS)
+                .map(item => SocialThreadCapture.readMastodonPost(doc, item, origin)),
+            focusIndex: ancestors.length
+        };
+    }
+
+    /**
+     * Blueskyの投稿ページ（AppViewの公開APIから取得）
+     * @param {Document} doc - ドキュメント
+     * @param {string} url - ページのURL（/profile/handle/post/rkey）
+     * @returns {Promise<Object|null>} スレッド
+     */
+    async captureBluesky(doc, url) {
+        const match = (() => {
+            try {
+                return new URL(url).pathname.match(/^\/profile\/([^/]+)\/post\/([^/?#]+)/);
+            } catch (e) {
+                return null;
+            }
+        })();
+        if (!match || !this.fetch) return null;
+
+        const uri = `at://${decodeURIComponent(match[1])}/app.bsky.feed.post/${match[2]}`;
+        const data = await this.fetchJson(`https://public.api.bsky.app/xrpc/app.bsky.feed.getPostThread?uri=${encodeURIComponent(uri)}&depth=${MAX_THREAD_POSTS}&parentHeight=${MAX_THREAD_POSTS}`);
+        const focus = data?.thread;
+        if (!focus?.post?.author) return null;
+
+        const authorDid = focus.post.author.did;
+        const ancestors = [];
+        for (let node = focus.parent; node?.post?.author?.did === authorDid; node = node.parent) {
+            ancestors.unshift(node.post);
+        }
+        // 子孫は投稿者自身の返信のうち最も早いものを辿る
+        const descendants = [];
+        for (let node = focus; node;) {
+            node = (node.replies || [])
+                .filter(reply => reply?.post?.author?.did === authorDid)
+                .sort((a, b) => String(a.post.record?.createdAt).localeCompare(String(b.post.record?.createdAt)))[0];
+            if (node) descendants.push(node.post);
+        }
+
+        return {
+            platform: 'bluesky',
+            author: SocialThreadCapture.blueskyAuthor(focus.post.author),
+            posts: [...ancestors, focus.post, ...descendants].slice(0, MAX_THREAD_POSTS)
+                .map(post => SocialThreadCapture.readBlueskyPost(doc, post)),
+            focusIndex: ancestors.length
+        };
+    }
+
+    async fetchJson(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), SOCIAL_API_TIMEOUT_MS) : null;
+        try {
+            const response = await this.fetch(url, { credentials: 'omit', signal: controller?.signal, headers: { Accept: 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`投稿の取得に失敗しました (HTTP ${response.status})`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * X/Twitterの投稿（article[data-testid="tweet"]）の読み取り
+     * 引用された投稿は投稿の中に入れ子で表示されるため、本文・画像は引用の外側のものだけを使う
+     */
+    static readXPost(article, pageUrl) {
+        const names = Array.from(article.querySelectorAll('[data-testid="User-Name"]'));
+        if (names.length === 0) return null;
+        const quoteRoot = names[1] ? (names[1].closest('div[role="link"]') || names[1].parentElement) : null;
+        const own = element => element && !(quoteRoot && quoteRoot.contains(element));
+        const inQuote = element => element && quoteRoot && quoteRoot.contains(element);
+
+        const readPart = belongs => {
+            const name = names.find(belongs);
+            const time = Array.from(article.querySelectorAll('time[datetime]')).find(belongs);
+            const link = time?.closest('a[href*="/status/"]') ||
+                Array.from(article.querySelectorAll('a[href*="/status/"]')).find(belongs);
+            const postUrl = SocialThreadCapture.resolveUrl(link?.getAttribute('href'), pageUrl).replace(/\/(photo|video|analytics)\/.*$/, '');
+            const text = Array.from(article.querySelectorAll('[data-testid="tweetText"]')).find(belongs);
+            const media = [
+                ...Array.from(article.querySelectorAll('[data-testid="tweetPhoto"] img')).filter(belongs)
+                    .map(img => ({ type: 'image', url: SocialThreadCapture.largeXImage(img.getAttribute('src')), alt: img.getAttribute('alt') || '' })),
+                ...Array.from(article.querySelectorAll('[data-testid="videoPlayer"], [data-testid="videoComponent"]')).filter(belongs)
+                    .slice(0, 1).map(() => ({ type: 'video', url: postUrl, alt: '' }))
+            ].filter(item => item.url);
+
+            return {
+                id: SocialThreadCapture.matchPath(postUrl, /\/status\/(\d+)/),
+                url: postUrl,
+                date: time?.getAttribute('datetime') || '',
+                author: SocialThreadCapture.xAuthor(name, pageUrl),
+                body: text ? SocialThreadCapture.cleanXText(text) : null,
+                media
+            };
+        };
+
+        const post = readPart(own);
+        if (!post.id) return null;
+        if (quoteRoot) {
+            const quote = readPart(inQuote);
+            if (quote.body || quote.media.length > 0) {
+                post.quote = quote;
+            }
+        }
+        return post;
+    }
+
+    static xAuthor(nameElement, pageUrl) {
+        // 表示名・@ハンドル・日時はそれぞれ別の要素に入っている
+        const texts = Array.from(nameElement?.querySelectorAll('*') || []).map(element => SocialThreadCapture.textOf(element));
+        const handle = (texts.find(text => /^@\w{1,15}$/.test(text)) || '').slice(1);
+        return {
+            name: texts.find(text => text && !text.includes('@')) || handle,
+            handle: handle ? `@${handle}` : '',
+            url: handle ? SocialThreadCapture.resolveUrl(`/${handle}`, pageUrl) : ''
+        };
+    }
+
+    /**
+     * 投稿本文の複製（絵文字の画像は代替テキストに置き換える）
+     */
+    static cleanXText(element) {
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll('img[alt]').forEach(img => img.replaceWith(img.ownerDocument.createTextNode(img.getAttribute('alt'))));
+        return clone;
+    }
+
+    static largeXImage(src) {
+        if (!src) return '';
+        try {
+            const url = new URL(src);
+            if (url.hostname === 'pbs.twimg.com' && url.searchParams.has('name')) {
+                url.searchParams.set('name', 'large');
+            }
+            return url.href;
+        } catch (e) {
+            return src;
+        }
+    }
+
+    static readMastodonPost(doc, status, origin) {
+        const quoted = status.quote?.quoted_status || status.quote?.status;
+        return {
+            id: status.id,
+            url: status.url || status.uri || '',
+            date: status.created_at || '',
+            author: SocialThreadCapture.mastodonAuthor(status.account || {}, origin),
+            body: SocialThreadCapture.parseHtml(doc, [
+                status.spoiler_text ? `<p><strong>CW: ${SocialThreadCapture.escapeHtml(status.spoiler_text)}</strong></p>` : '',
+                status.content || ''
+            ].join('')),
+            media: (status.media_attachments || []).map(attachment => ({
+                type: attachment.type === 'image' ? 'image' : 'video',
+                url: attachment.url || attachment.remote_url || '',
+                alt: attachment.description || ''
+            })).filter(item => item.url),
+            quote: quoted ? SocialThreadCapture.readMastodonPost(doc, quoted, origin) : undefined
+        };
+    }
+
+    static mastodonAuthor(account, origin) {
+        let acct = account.acct || account.username || '';
+        if (acct && !acct.includes('@')) {
+            acct = `${acct}@${new URL(origin).hostname}`;
+        }
+        return {
+            name: account.display_name || account.username || '',
+            handle: acct ? `@${acct}` : '',
+            url: account.url || ''
+        };
+    }
+
+    static readBlueskyPost(doc, post) {
+        const author = SocialThreadCapture.blueskyAuthor(post.author || {});
+        const record = post.record || post.value || {};
+        const embed = post.embed || (post.embeds || [])[0];
+        const media = [];
+        let quote;
+
+        const readEmbed = view => {
+            const type = view?.$type || '';
+            if (type.startsWith('app.bsky.embed.images')) {
+                (view.images || []).forEach(image => media.push({ type: 'image', url: image.fullsize || image.thumb, alt: image.alt || '' }));
+            } else if (type.startsWith('app.bsky.embed.video')) {
+                media.push({ type: 'video', url: SocialThreadCapture.blueskyPostUrl(post), alt: view.alt || '' });
+            } else if (type.startsWith('app.bsky.embed.external')) {
+                media.push({ type: 'link', url: view.external?.uri, alt: view.external?.title || view.external?.uri });
+            } else if (type.startsWith('app.bsky.embed.recordWithMedia')) {
+                readEmbed(view.media);
+                readEmbed(view.record);
+            } else if (type.startsWith('app.bsky.embed.record')) {
+                const quoted = view.record?.record || view.record;
+                if (quoted?.author && (quoted.value || quoted.record)) {
+                    quote = SocialThreadCapture.readBlueskyPost(doc, quoted);
+                }
+            }
+        };
+        readEmbed(embed);
+
+        return {
+            id: post.uri || '',
+            url: SocialThreadCapture.blueskyPostUrl(post),
+            date: record.createdAt || post.indexedAt || '',
+            author,
+            body: SocialThreadCapture.blueskyText(doc, record.text || '', record.facets || []),
+            media: media.filter(item => item.url),
+            quote
+        };
+    }
+
+    static blueskyAuthor(author) {
+        return {
+            name: author.displayName || author.handle || '',
+            handle: author.handle ? `@${author.handle}` : '',
+            url: author.handle ? `https://bsky.app/profile/${author.handle}` : ''
+        };
+    }
+
+    static blueskyPostUrl(post) {
+        const rkey = String(post.uri || '').split('/').pop();
+        const actor = post.author?.handle || post.author?.did || '';
+        return actor && rkey ? `https://bsky.app/profile/${actor}/post/${rkey}` : '';
+    }
+
+    /**
+     * Blueskyの本文をファセット（リンク・メンション・ハッシュタグ）付きの要素に変換
+     * ファセットの範囲はUTF-8のバイト位置で指定される
+     * @param {Document} doc - ドキュメント
+     * @param {string} text - 本文
+     * @param {Array<Object>} facets - ファセット
+     * @returns {Element} 本文の要素
+     */
+    static blueskyText(doc, text, facets) {
+        const chars = Array.from(text);
+        const offsets = [0];
+        chars.forEach(char => {
+            const code = char.codePointAt(0);
+            offsets.push(offsets[offsets.length - 1] + (code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4));
+        });
+        const charIndex = byte => {
+            const index = offsets.indexOf(byte);
+            return index === -1 ? null : index;
+        };
+
+        const container = doc.createElement('div');
+        let paragraph = doc.createElement('p');
+        container.appendChild(paragraph);
+        const appendText = value => {
+            value.split('\n').forEach((line, index) => {
+                // 空行で段落を分け、単独の改行は <br> にする
+                if (index > 0 && paragraph.hasChildNodes()) {
+                    if (line === '') {
+                        paragraph = doc.createElement('p');
+                        container.appendChild(paragraph);
+                    } else {
+                        paragraph.appendChild(doc.createElement('br'));
+                    }
+                }
+                if (line) paragraph.appendChild(doc.createTextNode(line));
+            });
+        };
+
+        let position = 0;
+        const sorted = facets
+            .map(facet => ({ facet, start: charIndex(facet.index?.byteStart), end: charIndex(facet.index?.byteEnd) }))
+            .filter(item => item.start !== null && item.end !== null && item.end > item.start)
+            .sort((a, b) => a.start - b.start);
+        for (const { facet, start, end } of sorted) {
+            if (start < position) continue;
+            appendText(chars.slice(position, start).join(''));
+            const feature = (facet.features || [])[0] || {};
+            const label = chars.slice(start, end).join('');
+            const href = feature.uri || (feature.did ? `https://bsky.app/profile/${feature.did}` : '') ||
+                (feature.tag ? `https://bsky.app/hashtag/${encodeURIComponent(feature.tag)}` : '');
+            if (href) {
+                const a = doc.createElement('a');
+                a.setAttribute('href', href);
+                a.textContent = label;
+                paragraph.appendChild(a);
+            } else {
+                appendText(label);
+            }
+            position = end;
+        }
+        appendText(chars.slice(position).join(''));
+
+        if (!paragraph.hasChildNodes()) paragraph.remove();
+        return container;
+    }
+
+    /**
+     * スレッドから本文の要素を組み立てる
+     * @param {Document} doc - 要素の作成に使うドキュメント
+     * @param {Object} thread - スレッド
+     * @returns {Element} 本文の要素
+     */
+    static buildContent(doc, thread) {
+        const container = doc.createElement('div');
+        const total = thread.posts.length;
+
+        thread.posts.forEach((post, index) => {
+            if (total > 1) {
+                const heading = doc.createElement('h3');
+                heading.textContent = `${index + 1}/${total}`;
+                container.appendChild(heading);
+            }
+            SocialThreadCapture.appendPost(doc, container, post, thread.author);
+            if (post.quote) {
+                const blockquote = doc.createElement('blockquote');
+                SocialThreadCapture.appendPost(doc, blockquote, post.quote, null);
+                container.appendChild(blockquote);
+            }
+        });
+
+        return container;
+    }
+
+    /**
+     * 投稿の本文・メディア・投稿者と日時の行を追加
+     * @param {Document} doc - ドキュメント
+     * @param {Element} parent - 追加先
+     * @param {Object} post - 投稿
+     * @param {Object|null} threadAuthor - スレッドの投稿者（同じ投稿者の場合は名前を省く）
+     */
+    static appendPost(doc, parent, post, threadAuthor) {
+        const byline = doc.createElement('p');
+        if (!threadAuthor || post.author?.handle !== threadAuthor.handle) {
+            const name = doc.createElement('strong');
+            name.textContent = post.author?.name || post.author?.handle || '';
+            byline.appendChild(name);
+            if (post.author?.handle) {
+                byline.appendChild(doc.createTextNode(' '));
+                byline.appendChild(SocialThreadCapture.link(doc, post.author.url, post.author.handle));
+            }
+            byline.appendChild(doc.createTextNode(' · '));
+        }
+        byline.appendChild(SocialThreadCapture.link(doc, post.url, SocialThreadCapture.formatDate(post.date) || post.url));
+
+        if (post.body) {
+            // 段落を含まない本文（Xの投稿）は1つの段落にする
+            const body = post.body.querySelector('p') ? post.body : (() => {
+                const paragraph = doc.createElement('p');
+                paragraph.appendChild(post.body);
+                return paragraph;
+            })();
+            parent.appendChild(body);
+        }
+
+        for (const item of post.media || []) {
+            const paragraph = doc.createElement('p');
+            if (item.type === 'image') {
+                const img = doc.createElement('img');
+                img.setAttribute('src', item.url);
+                img.setAttribute('alt', item.alt);
+                paragraph.appendChild(img);
+            } else {
+                paragraph.appendChild(SocialThreadCapture.link(doc, item.url, item.type === 'video' ? `🎞 動画${item.alt ? `: ${item.alt}` : ''}` : `🔗 ${item.alt || item.url}`));
+            }
+            parent.appendChild(paragraph);
+        }
+
+        parent.appendChild(byline);
+    }
+
+    static link(doc, href, text) {
+        if (!href) return doc.createTextNode(text);
+        const a = doc.createElement('a');
+        a.setAttribute('href', href);
+        a.textContent = text;
+        return a;
+    }
+
+    /**
+     * HTML文字列を要素に変換（スクリプトを実行しない DOMParser を使う）
+     */
+    static parseHtml(doc, html) {
+        const container = doc.createElement('div');
+        const parsed = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+        Array.from(parsed.body.childNodes).forEach(node => container.appendChild(doc.importNode(node, true)));
+        // Mastodonの本文中の非表示部分（URLの省略された部分など）は表示用のため外す
+        container.querySelectorAll('.invisible').forEach(element => element.remove());
+        container.querySelectorAll('.ellipsis').forEach(element => element.appendChild(doc.createTextNode('…')));
+        container.querySelectorAll('.quote-inline').forEach(element => element.remove());
+        return container;
+    }
+
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+    }
+
+    static formatDate(value) {
+        const date = new Date(value);
+        if (!value || Number.isNaN(date.getTime())) return '';
+        return date.toLocaleString('ja-JP', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Mastodonの投稿ページのURLから投稿IDを取得
+     */
+    static getMastodonStatusId(url) {
+        return SocialThreadCapture.matchPath(url, /^\/(?:@[^/]+|users\/[^/]+\/statuses|web\/@[^/]+|web\/statuses)\/(\d+)\/?$/);
+    }
+
+    static matchPath(url, pattern) {
+        try {
+            return (new URL(url).pathname.match(pattern) || [])[1] || '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    static resolveUrl(href, baseUrl) {
+        if (!href) return '';
+        try {
+            return new URL(href, baseUrl).href;
+        } catch (e) {
+            return href;
+        }
+    }
+
+    static textOf(element) {
+        return (element?.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SocialThreadCapture };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.SocialThreadCapture = SocialThreadCapture;
+}
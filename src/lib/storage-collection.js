@@ -0,0 +1,56 @@
+// ReadLater for Obsidian - Storage Collection
+// chrome.storage の1つのキーに保存するコレクション（保存ジョブ・保存履歴・URL索引）の読み書き
+
+/**
+ * ストレージの1キーに配列・オブジェクトを保存するコレクション
+ * 読み込み→更新→書き込みを直列化し、同時に更新しても変更が失われないようにする
+ */
+class StorageCollection {
+    /**
+     * @param {Object} options
+     * @param {Object} options.storage - chrome.storage の領域（既定は chrome.storage.local）
+     * @param {string} options.storageKey - 保存先のキー
+     * @param {Function} options.createEmpty - 未保存のときの初期値を返す関数（既定は空の配列）
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || chrome.storage.local;
+        this.storageKey = options.storageKey;
+        this.createEmpty = options.createEmpty || (() => []);
+
+        // 読み込み→更新→書き込みを直列化するためのロック
+        this._lock = Promise.resolve();
+    }
+
+    /**
+     * 保存されている値の取得
+     * @returns {Promise<Array|Object>} コレクション
+     */
+    async load() {
+        const result = await this.storage.get([this.storageKey]);
+        return (result && result[this.storageKey]) || this.createEmpty();
+    }
+
+    /**
+     * コレクションの更新（mutator が受け取った値を直接変更し、変更後の値を書き込む）
+     * @param {Function} mutator - 更新処理（例外を投げた場合は書き込まない）
+     * @returns {Promise<void>}
+     */
+    async mutate(mutator) {
+        const run = this._lock.then(async () => {
+            const items = await this.load();
+            mutator(items);
+            await this.storage.set({ [this.storageKey]: items });
+        });
+        // 失敗しても後続の操作がブロックされないようにする
+        this._lock = run.catch(() => {});
+        return run;
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { StorageCollection };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.StorageCollection = StorageCollection;
+}
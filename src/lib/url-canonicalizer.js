@@ -0,0 +1,153 @@
+// ReadLater for Obsidian - URL Canonicalizer
+// 重複保存の判定に使うURLの正規化を担当
+
+// 記事の同一性に影響しないトラッキング用パラメータ
+const TRACKING_PARAM_PATTERNS = [
+    /^utm_/i,
+    /^(fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_ga|_gl|_hsenc|_hsmi|ref_src|ref_url|spm|cmpid|ncid)$/i
+];
+
+// AMPページを示すパラメータ
+const AMP_PARAM_PATTERNS = [
+    /^amp$/i,
+    /^amp_js_v$/i,
+    /^usqp$/i,
+    /^outputtype$/i
+];
+
+/**
+ * URL正規化クラス
+ * トラッキングパラメータ・フラグメント・AMPの差異を取り除き、同じ記事を同じキーにまとめる
+ */
+class UrlCanonicalizer {
+    /**
+     * URLの正規化
+     * @param {string} url - 対象URL
+     * @returns {string|null} 正規化されたURL（解析できない場合はnull）
+     */
+    static canonicalize(url) {
+        let parsed;
+        try {
+            parsed = new URL(String(url || '').trim());
+        } catch (e) {
+            return null;
+        }
+
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return parsed.href;
+        }
+
+        parsed = UrlCanonicalizer.unwrapAmpCache(parsed);
+
+        // http/https・www・AMPサブドメインの違いは同じ記事として扱う
+        parsed.protocol = 'https:';
+        parsed.hostname = parsed.hostname.replace(/^(www|amp)\./, '');
+        parsed.hash = '';
+
+        // トラッキング・AMPパラメータを除去し、順序の違いを吸収
+        const params = Array.from(parsed.searchParams.entries())
+            .filter(([key, value]) => !UrlCanonicalizer.isTrackingParam(key) && !UrlCanonicalizer.isAmpParam(key, value))
+            .sort(([a], [b]) => a.localeCompare(b));
+        parsed.search = new URLSearchParams(params).toString();
+
+        // AMP版のパスと末尾スラッシュを除去（ルートは "/" のまま）
+        parsed.pathname = UrlCanonicalizer.stripAmpPath(parsed.pathname).replace(/\/+$/, '') || '/';
+
+        return parsed.href;
+    }
+
+    /**
+     * ページURLと link[rel=canonical] から正規URLを決定
+     * canonicalがサイトのトップページを指すなど不自然な場合はページURLを優先する
+     * @param {string} pageUrl - ページのURL
+     * @param {string|null} canonicalUrl - link[rel=canonical] のURL
+     * @returns {string|null} 正規化されたURL
+     */
+    static resolve(pageUrl, canonicalUrl = null) {
+        const page = UrlCanonicalizer.canonicalize(pageUrl);
+        const canonical = canonicalUrl ? UrlCanonicalizer.canonicalize(canonicalUrl) : null;
+
+        if (!canonical || !/^https:/.test(canonical)) {
+            return page;
+        }
+        if (page) {
+            const pagePath = new URL(page).pathname;
+            const canonicalPath = new URL(canonical).pathname;
+            if (canonicalPath === '/' && pagePath !== '/') {
+                return page;
+            }
+        }
+        return canonical;
+    }
+
+    /**
+     * 重複判定に使うキーの一覧（ページURLとcanonicalの両方）
+     * @param {string} pageUrl - ページのURL
+     * @param {string|null} canonicalUrl - link[rel=canonical] のURL
+     * @returns {Array<string>} 正規化URLの配列（重複なし）
+     */
+    static getKeys(pageUrl, canonicalUrl = null) {
+        const keys = [
+            UrlCanonicalizer.resolve(pageUrl, canonicalUrl),
+            UrlCanonicalizer.canonicalize(pageUrl)
+        ].filter(Boolean);
+        return Array.from(new Set(keys));
+    }
+
+    /**
+     * Google AMPキャッシュのURLを元のURLに戻す
+     * 例: https://www.google.com/amp/s/example.com/post → https://example.com/post
+     *     https://example-com.cdn.ampproject.org/c/s/example.com/post → https://example.com/post
+     * @param {URL} parsed - 解析済みURL
+     * @returns {URL} 元のURL
+     */
+    static unwrapAmpCache(parsed) {
+        let match = null;
+        if (/(^|\.)google\.[a-z.]+$/.test(parsed.hostname)) {
+            match = parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+        } else if (/\.cdn\.ampproject\.org$/.test(parsed.hostname)) {
+            match = parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+        }
+        if (!match) {
+            return parsed;
+        }
+
+        try {
+            return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}`);
+        } catch (e) {
+            return parsed;
+        }
+    }
+
+    /**
+     * AMP版のパス（/amp, /amp/…, .amp.html）を通常版のパスに戻す
+     * @param {string} pathname - パス
+     * @returns {string} 通常版のパス
+     */
+    static stripAmpPath(pathname) {
+        return pathname
+            .replace(/^\/amp(\/|$)/, '/')
+            .replace(/\/amp\/?$/, '/')
+            .replace(/\.amp(\.html?)?$/, '$1');
+    }
+
+    static isTrackingParam(key) {
+        return TRACKING_PARAM_PATTERNS.some(pattern => pattern.test(key));
+    }
+
+    static isAmpParam(key, value) {
+        if (!AMP_PARAM_PATTERNS.some(pattern => pattern.test(key))) {
+            return false;
+        }
+        // outputType は outputType=amp の場合のみAMPの指定
+        return key.toLowerCase() !== 'outputtype' || value.toLowerCase() === 'amp';
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UrlCanonicalizer };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.UrlCanonicalizer = UrlCanonicalizer;
+}
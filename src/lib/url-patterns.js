@@ -0,0 +1,71 @@
+// ReadLater for Obsidian - URL Patterns
+// 振り分けルール・抽出ルールで共通のドメイン・URLの照合
+
+/**
+ * ルールのドメイン・URLの条件の照合
+ */
+class UrlPatterns {
+    /**
+     * ドメインのglob照合（カンマ区切りで複数指定可）
+     * "example.com" はサブドメインにも一致し、"*" は任意の文字列に一致する
+     * @param {string} patterns - ドメインのパターン
+     * @param {string} hostname - ホスト名
+     * @returns {boolean} 一致する場合true
+     */
+    static matchesDomain(patterns, hostname) {
+        if (!hostname) return false;
+        const host = hostname.toLowerCase().replace(/^www\./, '');
+
+        return UrlPatterns.parseList(patterns).some(pattern => {
+            const normalized = pattern.toLowerCase().replace(/^www\./, '');
+            if (!normalized.includes('*')) {
+                return host === normalized || host.endsWith(`.${normalized}`);
+            }
+            const source = normalized
+                .split('*')
+                .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                .join('.*');
+            return new RegExp(`^${source}$`).test(host);
+        });
+    }
+
+    /**
+     * URLの正規表現照合（不正な正規表現は一致しない扱い）
+     * @param {string} pattern - 正規表現
+     * @param {string} url - URL
+     * @returns {boolean} 一致する場合true
+     */
+    static matchesUrl(pattern, url) {
+        try {
+            return new RegExp(pattern, 'i').test(url || '');
+        } catch (e) {
+            return false;
+        }
+    }
+
+    static getHostname(url) {
+        try {
+            return new URL(url).hostname;
+        } catch (e) {
+            return '';
+        }
+    }
+
+    /**
+     * カンマ区切りの文字列または配列をリストに変換
+     * @param {string|Array} value - 値
+     * @returns {Array<string>} 空要素を除いたリスト
+     */
+    static parseList(value) {
+        const items = Array.isArray(value) ? value : String(value || '').split(/[,、]/);
+        return items.map(item => String(item).trim()).filter(Boolean);
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { UrlPatterns };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.UrlPatterns = UrlPatterns;
+}
@@ -0,0 +1,585 @@
+// ReadLater for Obsidian - Video Capture
+// 動画ページ（YouTube・JSON-LDの VideoObject）の文書情報・チャプター・字幕の文字起こしの取得
+
+const CAPTION_FETCH_TIMEOUT_MS = 15000;
+
+// チャプターがない場合に文字起こしを段落に区切る間隔（秒）
+const TRANSCRIPT_PARAGRAPH_SECONDS = 60;
+
+/**
+ * 動画ページの取り込みクラス
+ * 取得した動画の情報を、埋め込み・文書情報・概要・チャプター・文字起こしの順に並べた要素に組み立てる。
+ * 要約は組み立てた要素のテキスト（主に文字起こし）に対して行われる
+ *
+ * 動画の情報の形式:
+ * {
+ *   id, url, embed（Obsidianで埋め込み表示できるURL）, title, author, publishDate, durationSeconds,
+ *   viewCount, description, keywords, thumbnail,
+ *   chapters: [{ start, title, url }],
+ *   transcript: [{ start, text }], transcriptLanguage
+ * }
+ */
+class VideoCapture {
+    /**
+     * @param {Object} options
+     * @param {Function} options.fetch - 字幕・動画ページの取得に使う fetch（既定はグローバルの fetch）
+     */
+    constructor(options = {}) {
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null);
+    }
+
+    /**
+     * YouTubeの動画ページの取り込み
+     * 動画の情報はページに埋め込まれた ytInitialPlayerResponse から取得する。
+     * ページ内の遷移で埋め込みの情報が古い場合は、動画ページを取得し直す
+     * @param {Document} doc - ドキュメント
+     * @param {string} url - ページのURL
+     * @returns {Promise<Object|null>} 動画の情報（動画ページでない場合は null）
+     */
+    async captureYouTube(doc, url) {
+        const videoId = VideoCapture.getYouTubeVideoId(url);
+        if (!videoId) return null;
+
+        let player = VideoCapture.findPlayerResponse(VideoCapture.scriptTexts(doc), videoId);
+        if (!player && this.fetch) {
+            try {
+                const response = await this.fetchWithTimeout(`https://www.youtube.com/watch?v=${videoId}`);
+                player = VideoCapture.findPlayerResponse([await response.text()], videoId);
+            } catch (error) {
+                console.debug('VideoCapture: Failed to fetch the watch page', error);
+            }
+        }
+
+        const details = player?.videoDetails || {};
+        const microformat = player?.microformat?.playerMicroformatRenderer || {};
+        const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+        const description = details.shortDescription ?? VideoCapture.textOf(microformat.description);
+
+        const video = {
+            id: videoId,
+            url: watchUrl,
+            embed: watchUrl,
+            title: details.title || VideoCapture.textOf(microformat.title) ||
+                VideoCapture.metaContent(doc, 'meta[property="og:title"], meta[name="title"]'),
+            author: details.author || microformat.ownerChannelName ||
+                VideoCapture.metaContent(doc, 'link[itemprop="name"]', 'content'),
+            publishDate: microformat.publishDate || microformat.uploadDate ||
+                VideoCapture.metaContent(doc, 'meta[itemprop="datePublished"], meta[itemprop="uploadDate"]'),
+            durationSeconds: VideoCapture.toNumber(details.lengthSeconds ?? microformat.lengthSeconds),
+            viewCount: VideoCapture.toNumber(details.viewCount ?? microformat.viewCount),
+            description: description || VideoCapture.metaContent(doc, 'meta[property="og:description"], meta[name="description"]'),
+            keywords: Array.isArray(details.keywords) ? details.keywords.slice(0, 20) : [],
+            thumbnail: VideoCapture.metaContent(doc, 'meta[property="og:image"]'),
+            chapters: [],
+            transcript: [],
+            transcriptLanguage: ''
+        };
+        if (!video.title) return null;
+
+        video.chapters = VideoCapture.parseChapters(video.description, start => VideoCapture.timestampUrl(watchUrl, start));
+
+        // 字幕のトラック。取得できない場合は、ページで開いている文字起こしのパネルを使う
+        const track = VideoCapture.selectCaptionTrack(player?.captions?.playerCaptionsTracklistRenderer?.captionTracks);
+        if (track) {
+            video.transcript = await this.fetchCaptions(track.baseUrl);
+            video.transcriptLanguage = video.transcript.length > 0 ? track.languageCode || '' : '';
+        }
+        if (video.transcript.length === 0) {
+            video.transcript = VideoCapture.readTranscriptPanel(doc);
+        }
+
+        return video;
+    }
+
+    /**
+     * JSON-LDの VideoObject を主な内容とするページの取り込み
+     * @param {Document} doc - ドキュメント
+     * @param {string} url - ページのURL
+     * @returns {Object|null} 動画の情報（VideoObject がない場合は null）
+     */
+    captureVideoObject(doc, url) {
+        const object = VideoCapture.findVideoObject(doc);
+        if (!object) return null;
+
+        const title = VideoCapture.textOf(object.name);
+        if (!title) return null;
+
+        const first = value => (Array.isArray(value) ? value[0] : value);
+        const nameOf = value => VideoCapture.textOf(typeof first(value) === 'object' ? first(value)?.name : first(value));
+        const thumbnail = first(object.thumbnailUrl) || first(object.thumbnail)?.contentUrl || first(object.thumbnail)?.url || '';
+        const pageUrl = VideoCapture.textOf(object.url) || url;
+        const playUrl = VideoCapture.textOf(object.embedUrl) || VideoCapture.textOf(object.contentUrl) || pageUrl;
+        const youTubeId = VideoCapture.getYouTubeVideoId(playUrl);
+
+        const chapters = (Array.isArray(object.hasPart) ? object.hasPart : [object.hasPart])
+            .filter(part => part && /Clip$/.test([].concat(part['@type'] || '').join(' ')))
+            .map(part => {
+                const start = VideoCapture.toNumber(part.startOffset);
+                return {
+                    start,
+                    title: VideoCapture.textOf(part.name),
+                    url: VideoCapture.textOf(part.url) || VideoCapture.timestampUrl(pageUrl, start)
+                };
+            })
+            .filter(chapter => chapter.title && chapter.start !== undefined)
+            .sort((a, b) => a.start - b.start);
+
+        const description = VideoCapture.textOf(object.description, { keepLines: true });
+        const transcriptText = VideoCapture.textOf(object.transcript, { keepLines: true });
+
+        return {
+            id: youTubeId || '',
+            url: pageUrl,
+            // Obsidianが埋め込み表示できるのはYouTubeなど一部のサービスのみ
+            embed: youTubeId ? `https://www.youtube.com/watch?v=${youTubeId}` : '',
+            playUrl,
+            title,
+            author: nameOf(object.author) || nameOf(object.creator) || nameOf(object.publisher),
+            publishDate: VideoCapture.textOf(object.uploadDate) || VideoCapture.textOf(object.datePublished),
+            durationSeconds: VideoCapture.parseDuration(object.duration),
+            viewCount: VideoCapture.toNumber(first(object.interactionStatistic)?.userInteractionCount),
+            description,
+            keywords: VideoCapture.parseKeywords(object.keywords),
+            thumbnail: VideoCapture.textOf(thumbnail),
+            chapters: chapters.length > 0 ? chapters : VideoCapture.parseChapters(description, start => VideoCapture.timestampUrl(pageUrl, start)),
+            transcript: transcriptText ? transcriptText.split(/\n{2,}/).map(text => ({ start: undefined, text: text.trim() })).filter(line => line.text) : [],
+            transcriptLanguage: VideoCapture.textOf(object.inLanguage?.name || object.inLanguage)
+        };
+    }
+
+    /**
+     * 字幕の取得（YouTubeの timedtext。json3 形式を要求し、XML形式の応答も解釈する）
+     * @param {string} baseUrl - 字幕のトラックのURL
+     * @returns {Promise<Array<Object>>} [{ start, text }]（取得できない場合は空）
+     */
+    async fetchCaptions(baseUrl) {
+        if (!baseUrl || !this.fetch) return [];
+        try {
+            const url = new URL(baseUrl, 'https://www.youtube.com');
+            url.searchParams.set('fmt', 'json3');
+            const response = await this.fetchWithTimeout(url.href);
+            if (!response.ok) {
+                throw new Error(`字幕の取得に失敗しました (HTTP ${response.status})`);
+            }
+            return VideoCapture.parseCaptions(await response.text());
+        } catch (error) {
+            console.debug('VideoCapture: Failed to fetch captions', error);
+            return [];
+        }
+    }
+
+    async fetchWithTimeout(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), CAPTION_FETCH_TIMEOUT_MS) : null;
+        try {
+            return await this.fetch(url, { credentials: 'include', signal: controller?.signal });
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * 動画の情報から本文の要素を組み立てる
+     * @param {Document} doc - 要素の作成に使うドキュメント
+     * @param {Object} video - 動画の情報
+     * @returns {Element} 本文の要素
+     */
+    static buildContent(doc, video) {
+        const container = doc.createElement('div');
+        const append = (tag, text) => {
+            const element = doc.createElement(tag);
+            if (text !== undefined) element.textContent = text;
+            container.appendChild(element);
+            return element;
+        };
+        const link = (href, text) => {
+            const a = doc.createElement('a');
+            a.setAttribute('href', href);
+            a.textContent = text;
+            return a;
+        };
+
+        // 埋め込み（![](https://www.youtube.com/watch?v=...) はObsidianでプレーヤーとして表示される）
+        if (video.embed) {
+            const img = doc.createElement('img');
+            img.setAttribute('src', video.embed);
+            img.setAttribute('alt', video.title);
+            append('p').appendChild(img);
+        } else if (video.thumbnail) {
+            const img = doc.createElement('img');
+            img.setAttribute('src', video.thumbnail);
+            img.setAttribute('alt', video.title);
+            append('p').appendChild(img);
+        }
+        if (!video.embed && video.playUrl) {
+            append('p').appendChild(link(video.playUrl, '▶ 動画を再生'));
+        }
+
+        const facts = [
+            ['チャンネル', video.author],
+            ['公開日', (video.publishDate || '').split('T')[0]],
+            ['再生時間', video.durationSeconds ? VideoCapture.formatTimestamp(video.durationSeconds) : ''],
+            ['再生回数', video.viewCount !== undefined ? video.viewCount.toLocaleString('en-US') : '']
+        ].filter(([, value]) => value);
+        if (facts.length > 0) {
+            const list = append('ul');
+            facts.forEach(([label, value]) => {
+                const item = doc.createElement('li');
+                item.textContent = `${label}: ${value}`;
+                list.appendChild(item);
+            });
+        }
+
+        if (video.description) {
+            append('h2', '概要');
+            video.description.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean).forEach(block => {
+                const paragraph = append('p');
+                block.split('\n').forEach((line, index) => {
+                    if (index > 0) paragraph.appendChild(doc.createElement('br'));
+                    paragraph.appendChild(doc.createTextNode(line.trim()));
+                });
+            });
+        }
+
+        if (video.chapters.length > 0) {
+            append('h2', 'チャプター');
+            const list = append('ul');
+            video.chapters.forEach(chapter => {
+                const item = doc.createElement('li');
+                item.appendChild(link(chapter.url, VideoCapture.formatTimestamp(chapter.start)));
+                item.appendChild(doc.createTextNode(` ${chapter.title}`));
+                list.appendChild(item);
+            });
+        }
+
+        if (video.transcript.length > 0) {
+            append('h2', '文字起こし');
+            for (const section of VideoCapture.groupTranscript(video.transcript, video.chapters)) {
+                if (section.chapter) {
+                    append('h3', section.chapter.title);
+                }
+                section.paragraphs.forEach(lines => {
+                    const paragraph = append('p');
+                    if (lines[0].start !== undefined && video.url) {
+                        paragraph.appendChild(link(VideoCapture.timestampUrl(video.url, lines[0].start), VideoCapture.formatTimestamp(lines[0].start)));
+                        paragraph.appendChild(doc.createTextNode(' '));
+                    }
+                    paragraph.appendChild(doc.createTextNode(VideoCapture.joinLines(lines.map(line => line.text))));
+                });
+            }
+        }
+
+        return container;
+    }
+
+    /**
+     * 文字起こしをチャプターごと（チャプターがなければ一定の間隔ごと）の段落に分ける
+     * @param {Array<Object>} transcript - [{ start, text }]
+     * @param {Array<Object>} chapters - [{ start, title }]
+     * @returns {Array<Object>} [{ chapter, paragraphs: [[{ start, text }]] }]
+     */
+    static groupTranscript(transcript, chapters = []) {
+        // 時刻のない文字起こし（JSON-LDの transcript）は段落ごと
+        if (transcript.some(line => line.start === undefined)) {
+            return [{ chapter: null, paragraphs: transcript.map(line => [line]) }];
+        }
+
+        const sections = [];
+        let chapterIndex = -1;
+        let paragraphStart = -Infinity;
+        for (const line of transcript) {
+            while (chapterIndex + 1 < chapters.length && line.start >= chapters[chapterIndex + 1].start) {
+                chapterIndex++;
+                sections.push({ chapter: chapters[chapterIndex], paragraphs: [] });
+                paragraphStart = -Infinity;
+            }
+            if (sections.length === 0) {
+                sections.push({ chapter: null, paragraphs: [] });
+            }
+
+            const section = sections[sections.length - 1];
+            if (section.paragraphs.length === 0 || (chapters.length === 0 && line.start - paragraphStart >= TRANSCRIPT_PARAGRAPH_SECONDS)) {
+                section.paragraphs.push([]);
+                paragraphStart = line.start;
+            }
+            section.paragraphs[section.paragraphs.length - 1].push(line);
+        }
+        return sections.filter(section => section.paragraphs.length > 0);
+    }
+
+    /**
+     * 字幕の行を連結（日本語など空白で区切らない言語は空白なしで連結する）
+     */
+    static joinLines(texts) {
+        return texts.reduce((joined, text) => {
+            if (!joined) return text;
+            const cjk = /[\u3000-\u9fff\uff00-\uffef]$/.test(joined) && /^[\u3000-\u9fff\uff00-\uffef]/.test(text);
+            return cjk ? joined + text : `${joined} ${text}`;
+        }, '');
+    }
+
+    /**
+     * 字幕の解釈（json3 形式または timedtext のXML形式）
+     * @param {string} body - 応答の本文
+     * @returns {Array<Object>} [{ start, text }]（start は秒）
+     */
+    static parseCaptions(body) {
+        const text = String(body || '').trim();
+        if (!text) return [];
+
+        const lines = [];
+        if (text.startsWith('{')) {
+            const data = JSON.parse(text);
+            for (const event of data.events || []) {
+                if (!Array.isArray(event.segs)) continue;
+                lines.push({
+                    start: Math.floor((event.tStartMs || 0) / 1000),
+                    text: event.segs.map(seg => seg.utf8 || '').join('')
+                });
+            }
+        } else if (typeof DOMParser !== 'undefined') {
+            const xml = new DOMParser().parseFromString(text, 'text/xml');
+            xml.querySelectorAll('text[start], p[t]').forEach(node => {
+                const start = node.hasAttribute('start') ? parseFloat(node.getAttribute('start')) : parseInt(node.getAttribute('t'), 10) / 1000;
+                lines.push({ start: Math.floor(start || 0), text: VideoCapture.decodeEntities(node.textContent) });
+            });
+        }
+
+        return lines
+            .map(line => ({ start: line.start, text: line.text.replace(/\s+/g, ' ').trim() }))
+            .filter(line => line.text);
+    }
+
+    /**
+     * 字幕のトラックの選択
+     * 動画の元の言語（自動生成の字幕の言語）の字幕を優先し、手動の字幕を自動生成より優先する
+     * @param {Array<Object>} tracks - captionTracks
+     * @returns {Object|null} トラック
+     */
+    static selectCaptionTrack(tracks) {
+        if (!Array.isArray(tracks) || tracks.length === 0) return null;
+        const usable = tracks.filter(track => track?.baseUrl);
+        const generated = usable.find(track => track.kind === 'asr');
+        const manual = usable.filter(track => track.kind !== 'asr');
+        const originalLanguage = generated?.languageCode;
+
+        return manual.find(track => originalLanguage && track.languageCode === originalLanguage) ||
+            manual[0] || generated || null;
+    }
+
+    /**
+     * 概要欄のタイムスタンプからチャプターを取得（YouTubeと同じく 0:00 から始まる2つ以上の行）
+     * @param {string} description - 概要
+     * @param {Function} urlOf - 開始秒からリンクのURLを作る関数
+     * @returns {Array<Object>} [{ start, title, url }]
+     */
+    static parseChapters(description, urlOf = () => '') {
+        const chapters = [];
+        for (const line of String(description || '').split('\n')) {
+            const match = line.match(/^\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—:|]\s*)?(.+?)\s*$/);
+            if (!match) continue;
+            const start = VideoCapture.parseTimestamp(match[1]);
+            if (chapters.length > 0 && start <= chapters[chapters.length - 1].start) continue;
+            chapters.push({ start, title: match[2], url: urlOf(start) });
+        }
+        return chapters.length >= 2 && chapters[0].start === 0 ? chapters : [];
+    }
+
+    /**
+     * ページで開いている文字起こしのパネル（「文字起こしを表示」）を読む
+     */
+    static readTranscriptPanel(doc) {
+        return Array.from(doc?.querySelectorAll?.('ytd-transcript-segment-renderer') || [])
+            .map(segment => ({
+                start: VideoCapture.parseTimestamp(VideoCapture.textOf(segment.querySelector('.segment-timestamp')?.textContent)),
+                text: VideoCapture.textOf(segment.querySelector('.segment-text, yt-formatted-string')?.textContent)
+            }))
+            .filter(line => line.text && line.start !== undefined);
+    }
+
+    /**
+     * ページの <script> から ytInitialPlayerResponse を取り出す（動画IDが一致するもののみ）
+     * @param {Array<string>} texts - スクリプトまたはHTMLのテキスト
+     * @param {string} videoId - 動画ID
+     * @returns {Object|null} プレーヤーの応答
+     */
+    static findPlayerResponse(texts, videoId) {
+        for (const text of texts) {
+            const index = text.indexOf('ytInitialPlayerResponse');
+            if (index === -1) continue;
+            const start = text.indexOf('{', index);
+            const json = start === -1 ? null : VideoCapture.readJsonObject(text, start);
+            if (!json) continue;
+            try {
+                const player = JSON.parse(json);
+                if (player?.videoDetails?.videoId === videoId) return player;
+            } catch (e) {
+                // 別の形式のスクリプト
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 文字列の指定位置から始まるJSONオブジェクトの範囲を切り出す（文字列内の括弧は数えない）
+     */
+    static readJsonObject(text, start) {
+        let depth = 0;
+        let inString = false;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) return text.slice(start, i + 1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * JSON-LDから主な内容の VideoObject を探す
+     * 記事（Article など）に添えられた動画は対象外（記事として抽出する）
+     * @param {Document} doc - ドキュメント
+     * @returns {Object|null} VideoObject
+     */
+    static findVideoObject(doc) {
+        const items = [];
+        const collect = value => {
+            if (Array.isArray(value)) {
+                value.forEach(collect);
+            } else if (value && typeof value === 'object') {
+                items.push(value);
+                if (value['@graph']) collect(value['@graph']);
+            }
+        };
+        (doc?.querySelectorAll?.('script[type="application/ld+json"]') || []).forEach(script => {
+            try {
+                collect(JSON.parse(script.textContent));
+            } catch (e) {
+                // 不正なJSON-LDは無視
+            }
+        });
+
+        const typesOf = item => [].concat(item['@type'] || []);
+        if (items.some(item => typesOf(item).some(type => /(Article|BlogPosting|Report)$/.test(type)))) {
+            return null;
+        }
+        return items.find(item => typesOf(item).includes('VideoObject')) || null;
+    }
+
+    /**
+     * URLからYouTubeの動画IDを取得（watch・youtu.be・shorts・embed・live）
+     */
+    static getYouTubeVideoId(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (e) {
+            return '';
+        }
+        const host = parsed.hostname.replace(/^(www|m|music)\./, '');
+        const parts = parsed.pathname.split('/').filter(Boolean);
+        let id = '';
+        if (host === 'youtu.be') {
+            id = parts[0] || '';
+        } else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+            id = parts[0] === 'watch' ? parsed.searchParams.get('v') || '' :
+                ['shorts', 'embed', 'live', 'v'].includes(parts[0]) ? parts[1] || '' : '';
+        }
+        return /^[\w-]{11}$/.test(id) ? id : '';
+    }
+
+    static timestampUrl(url, seconds) {
+        if (!url || seconds === undefined) return url || '';
+        try {
+            const parsed = new URL(url);
+            parsed.searchParams.set('t', `${seconds}s`);
+            return parsed.href;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * 秒を h:mm:ss / m:ss に整形
+     */
+    static formatTimestamp(seconds) {
+        const total = Math.max(0, Math.floor(seconds || 0));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = String(total % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    /**
+     * h:mm:ss / m:ss を秒に変換
+     */
+    static parseTimestamp(text) {
+        const parts = String(text || '').trim().split(':');
+        if (parts.length < 2 || parts.some(part => !/^\d+$/.test(part))) return undefined;
+        return parts.reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+    }
+
+    /**
+     * ISO 8601 の期間（PT1H2M3S）を秒に変換
+     */
+    static parseDuration(value) {
+        const match = String(value || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/);
+        if (!match || !match.slice(1).some(Boolean)) return undefined;
+        const [days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part || '0'));
+        return Math.round(((days * 24 + hours) * 60 + minutes) * 60 + seconds);
+    }
+
+    static parseKeywords(value) {
+        const keywords = Array.isArray(value) ? value : String(value || '').split(',');
+        return Array.from(new Set(keywords.map(keyword => VideoCapture.textOf(keyword)).filter(Boolean))).slice(0, 20);
+    }
+
+    static toNumber(value) {
+        const number = parseInt(value, 10);
+        return Number.isNaN(number) ? undefined : number;
+    }
+
+    /**
+     * 文字列（またはYouTubeの { simpleText } 形式）のテキスト
+     * @param {*} value - 値
+     * @param {Object} options - { keepLines }（改行を残す）
+     */
+    static textOf(value, options = {}) {
+        const text = typeof value === 'string' ? value : (value?.simpleText || '');
+        return options.keepLines ?
+            text.replace(/\r\n?/g, '\n').replace(/[ \t]+/g, ' ').trim() :
+            text.replace(/\s+/g, ' ').trim();
+    }
+
+    static metaContent(doc, selector, attribute = 'content') {
+        return VideoCapture.textOf(doc?.querySelector?.(selector)?.getAttribute(attribute) || '');
+    }
+
+    static scriptTexts(doc) {
+        return Array.from(doc?.querySelectorAll?.('script:not([src])') || []).map(script => script.textContent || '');
+    }
+
+    static decodeEntities(text) {
+        // timedtext のXMLは本文の実体参照が二重にエスケープされている
+        return String(text || '')
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+            .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, '\'')
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VideoCapture };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.VideoCapture = VideoCapture;
+}
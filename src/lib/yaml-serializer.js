@@ -0,0 +1,190 @@
+// ReadLater for Obsidian - YAML Serializer
+// フロントマター用のYAML出力（Obsidianのプロパティの型: テキスト・リスト・数値・チェックボックス・日付を保持）
+
+// 日付（YYYY-MM-DD）・日時（ISO 8601）の文字列はObsidianが日付型として認識できるよう引用しない
+const YAML_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// 引用せずに出力できるキー
+const YAML_PLAIN_KEY_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_-]*$/;
+
+/**
+ * YAMLシリアライザクラス
+ * - undefined / null / NaN の値はキーごと省略
+ * - 真偽値・数値はそのまま、文字列はダブルクォートで囲む（日付の文字列とDateは引用しない）
+ * - 複数行の文字列はブロックスカラー（|）、配列はブロック形式のリスト
+ * - 末尾の改行は含めない（frontmatter() が区切り線の前に改行を付ける）
+ */
+class YamlSerializer {
+    /**
+     * フロントマターの生成（区切り線を含む）
+     * @param {Object} data - プロパティ
+     * @returns {string} フロントマター
+     */
+    static frontmatter(data) {
+        const body = YamlSerializer.stringify(data);
+        return `---\n${body}${body ? '\n' : ''}---\n`;
+    }
+
+    /**
+     * オブジェクトをYAMLのマッピングに変換
+     * @param {Object} data - プロパティ
+     * @param {number} indent - インデント幅
+     * @returns {string} YAML（末尾の改行なし）
+     */
+    static stringify(data, indent = 0) {
+        const pad = ' '.repeat(indent);
+        const lines = [];
+
+        for (const [key, value] of Object.entries(data || {})) {
+            if (YamlSerializer.isOmitted(value)) continue;
+
+            const formattedKey = YamlSerializer.formatKey(key);
+            if (Array.isArray(value)) {
+                const items = value.filter(item => !YamlSerializer.isOmitted(item));
+                if (items.length === 0) {
+                    lines.push(`${pad}${formattedKey}: []`);
+                } else {
+                    lines.push(`${pad}${formattedKey}:`);
+                    items.forEach(item => lines.push(YamlSerializer.formatListItem(item, indent + 2)));
+                }
+            } else if (YamlSerializer.isPlainObject(value)) {
+                const nested = YamlSerializer.stringify(value, indent + 2);
+                lines.push(nested ? `${pad}${formattedKey}:\n${nested}` : `${pad}${formattedKey}: {}`);
+            } else {
+                lines.push(`${pad}${formattedKey}: ${YamlSerializer.formatScalar(value, indent)}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * 1行で出力できる値の表現（配列はフロー形式）
+     * テンプレートなど、インデントを制御できない場所で使用する
+     * @param {*} value - 値
+     * @returns {string} YAMLの値
+     */
+    static formatInline(value) {
+        if (Array.isArray(value)) {
+            return `[${value.filter(item => !YamlSerializer.isOmitted(item)).map(item => YamlSerializer.formatInline(item)).join(', ')}]`;
+        }
+        if (YamlSerializer.isPlainObject(value)) {
+            const entries = Object.entries(value)
+                .filter(([, item]) => !YamlSerializer.isOmitted(item))
+                .map(([key, item]) => `${YamlSerializer.formatKey(key)}: ${YamlSerializer.formatInline(item)}`);
+            return `{${entries.join(', ')}}`;
+        }
+        if (YamlSerializer.isOmitted(value)) {
+            return '""';
+        }
+        if (typeof value === 'string' && value.includes('\n')) {
+            return YamlSerializer.quote(value);
+        }
+        return YamlSerializer.formatScalar(value, 0);
+    }
+
+    /**
+     * スカラー値の出力
+     * @param {*} value - 値
+     * @param {number} indent - 親のインデント幅（ブロックスカラー用）
+     * @returns {string} YAMLの値
+     */
+    static formatScalar(value, indent = 0) {
+        if (typeof value === 'boolean') {
+            return value ? 'true' : 'false';
+        }
+        if (typeof value === 'number') {
+            return Number.isFinite(value) ? String(value) : YamlSerializer.quote(String(value));
+        }
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? '""' : value.toISOString();
+        }
+
+        const text = String(value);
+        if (YAML_DATE_PATTERN.test(text)) {
+            return text;
+        }
+        // 先頭が空白・改行の文字列や制御文字を含む文字列はブロックスカラーで表せないため引用する
+        // eslint-disable-next-line no-control-regex
+        if (text.includes('\n') && !/^\s/.test(text) && !/[\u0000-\u0008\u000B-\u001F\u007F\u0085\u2028\u2029]/.test(text)) {
+            return YamlSerializer.blockScalar(text, indent + 2);
+        }
+        return YamlSerializer.quote(text);
+    }
+
+    /**
+     * 複数行の文字列をブロックスカラー（|）で出力
+     * @param {string} text - 文字列
+     * @param {number} indent - 本文のインデント幅
+     * @returns {string} ブロックスカラー
+     */
+    static blockScalar(text, indent) {
+        // 末尾の改行の数に応じてチョンピング指示子を選ぶ
+        const trailing = text.match(/\n*$/)[0].length;
+        const chomping = trailing === 0 ? '-' : (trailing === 1 ? '' : '+');
+        const body = trailing > 0 ? text.slice(0, -trailing) : text;
+        const pad = ' '.repeat(indent);
+
+        const lines = body.split('\n').map(line => (line ? `${pad}${line}` : ''));
+        for (let i = 1; i < trailing; i++) {
+            lines.push('');
+        }
+        return `|${chomping}\n${lines.join('\n')}`;
+    }
+
+    /**
+     * ダブルクォートの文字列として出力
+     * @param {string} text - 文字列
+     * @returns {string} 引用した文字列
+     */
+    static quote(text) {
+        // eslint-disable-next-line no-control-regex
+        const escaped = String(text).replace(/[\\"\u0000-\u001F\u007F\u0085\u2028\u2029]/g, ch => {
+            switch (ch) {
+                case '\\': return '\\\\';
+                case '"': return '\\"';
+                case '\n': return '\\n';
+                case '\t': return '\\t';
+                case '\r': return '\\r';
+                case '\u0085': return '\\N';
+                case '\u2028': return '\\L';
+                case '\u2029': return '\\P';
+                default: return `\\x${ch.charCodeAt(0).toString(16).padStart(2, '0')}`;
+            }
+        });
+        return `"${escaped}"`;
+    }
+
+    static formatKey(key) {
+        return YAML_PLAIN_KEY_PATTERN.test(key) ? key : YamlSerializer.quote(key);
+    }
+
+    static formatListItem(item, indent) {
+        const pad = ' '.repeat(indent);
+        if (Array.isArray(item)) {
+            return `${pad}- ${YamlSerializer.formatInline(item)}`;
+        }
+        if (YamlSerializer.isPlainObject(item)) {
+            const nested = YamlSerializer.stringify(item, indent + 2);
+            // 1つ目のキーを "- " と同じ行に置く
+            return nested ? `${pad}- ${nested.slice(indent + 2)}` : `${pad}- {}`;
+        }
+        return `${pad}- ${YamlSerializer.formatScalar(item, indent)}`;
+    }
+
+    static isOmitted(value) {
+        return value === undefined || value === null || (typeof value === 'number' && Number.isNaN(value));
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+    }
+}
+
+// モジュールのエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { YamlSerializer };
+} else {
+    const g = (typeof self !== 'undefined') ? self : (typeof window !== 'undefined' ? window : globalThis);
+    g.YamlSerializer = YamlSerializer;
+}
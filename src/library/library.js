@@ -0,0 +1,263 @@
+// ReadLater for Obsidian - Library Page Script
+// 保存履歴の一覧表示と再試行・要約再実行・削除の操作を管理
+
+console.log('ReadLater for Obsidian: Library page loaded');
+
+const HISTORY_STORAGE_KEY = 'readlaterSaveHistory';
+
+// DOM要素の取得
+const elements = {
+    filter: document.getElementById('history-filter'),
+    statusFilter: document.getElementById('history-status-filter'),
+    summary: document.getElementById('history-summary'),
+    list: document.getElementById('history-list'),
+    empty: document.getElementById('history-empty'),
+    statusMessage: document.getElementById('status-message')
+};
+
+// 表示ラベル
+const labels = {
+    mode: {
+        individual: '📄 個別',
+        aggregated: '📋 集約'
+    },
+    status: {
+        saved: '✅ 保存済み',
+        skipped: '⏭️ 重複スキップ',
+        failed: '❌ 失敗',
+        processing: '🔄 処理中'
+    },
+    summaryStatus: {
+        generated: '🤖 AI要約',
+        local: '📝 ローカル要約',
+        failed: '⚠️ 要約失敗',
+        disabled: '要約オフ',
+        none: '要約なし'
+    }
+};
+
+let historyRecords = [];
+
+// ページ読み込み時の初期化
+document.addEventListener('DOMContentLoaded', async () => {
+    elements.filter.addEventListener('input', renderHistory);
+    elements.statusFilter.addEventListener('change', renderHistory);
+
+    // 保存処理や再試行による履歴の変更をリアルタイムに反映
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[HISTORY_STORAGE_KEY]) {
+            historyRecords = changes[HISTORY_STORAGE_KEY].newValue || [];
+            renderHistory();
+        }
+    });
+
+    await loadHistory();
+});
+
+/**
+ * 保存履歴の読み込み
+ */
+async function loadHistory() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getSaveHistory' });
+        if (!response?.success) {
+            throw new Error(response?.error || '保存履歴を取得できませんでした');
+        }
+        historyRecords = response.records || [];
+        renderHistory();
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Failed to load save history', error);
+        showStatusMessage(`保存履歴の読み込みに失敗しました: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * 絞り込み条件に一致するレコードを取得
+ * @returns {Array<Object>} 表示対象レコード
+ */
+function getFilteredRecords() {
+    const keyword = elements.filter.value.trim().toLowerCase();
+    const status = elements.statusFilter.value;
+
+    return historyRecords.filter(record => {
+        if (status !== 'all' && record.status !== status) return false;
+        if (!keyword) return true;
+        return (record.title || '').toLowerCase().includes(keyword) ||
+               (record.url || '').toLowerCase().includes(keyword);
+    });
+}
+
+/**
+ * 保存履歴一覧の描画
+ */
+function renderHistory() {
+    const records = getFilteredRecords();
+    const failedCount = historyRecords.filter(r => r.status === 'failed').length;
+
+    elements.summary.textContent = `全${historyRecords.length}件（失敗 ${failedCount}件）`;
+    elements.empty.style.display = historyRecords.length === 0 ? 'block' : 'none';
+    elements.list.replaceChildren(...records.map(createHistoryItem));
+}
+
+/**
+ * 履歴レコードの要素を生成
+ * @param {Object} record - 履歴レコード
+ * @returns {HTMLElement} リスト要素
+ */
+function createHistoryItem(record) {
+    const item = document.createElement('li');
+    item.className = `history-item ${record.status}`;
+
+    const title = document.createElement('div');
+    title.className = 'history-title';
+    title.textContent = record.title;
+    item.appendChild(title);
+
+    const url = document.createElement('a');
+    url.className = 'history-url';
+    url.href = record.url;
+    url.target = '_blank';
+    url.rel = 'noopener';
+    url.textContent = record.url;
+    item.appendChild(url);
+
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.append(
+        createBadge(labels.status[record.status] || record.status, record.status === 'failed'),
+        createBadge(labels.mode[record.mode] || record.mode),
+        createBadge(labels.summaryStatus[record.summaryStatus] || record.summaryStatus, record.summaryStatus === 'failed'),
+        createText(`🕒 ${new Date(record.savedAt).toLocaleString('ja-JP')}`)
+    );
+    item.appendChild(meta);
+
+    if (record.filePath) {
+        const filePath = document.createElement('div');
+        filePath.className = 'history-path';
+        filePath.textContent = record.filePath;
+        item.appendChild(filePath);
+    }
+
+    if (record.error) {
+        item.appendChild(createError(`保存エラー: ${record.error}`));
+    }
+    if (record.summaryError) {
+        item.appendChild(createError(`要約エラー: ${record.summaryError}`));
+    }
+
+    item.appendChild(createActions(record));
+    return item;
+}
+
+/**
+ * 操作ボタン群の生成
+ * @param {Object} record - 履歴レコード
+ * @returns {HTMLElement} 操作ボタン群
+ */
+function createActions(record) {
+    const actions = document.createElement('div');
+    actions.className = 'history-actions';
+
+    if (record.status === 'failed') {
+        actions.appendChild(createButton('🔁 再試行', () => runAction(
+            'retrySaveJob', record, '再試行を開始しました'
+        )));
+    }
+
+    if (record.status === 'saved' && record.mode === 'individual' && record.filePath) {
+        actions.appendChild(createButton('🤖 AI要約を再実行', () => runAction(
+            'resummarizeHistoryRecord', record, 'AI要約を更新しました'
+        )));
+    }
+
+    if (record.filePath) {
+        actions.appendChild(createButton('🔗 Obsidianで開く', () => openInObsidian(record.filePath)));
+    }
+
+    actions.appendChild(createButton('🗑️ 削除', () => {
+        if (!confirm('この保存履歴を削除しますか？（保存されたノートは削除されません）')) return;
+        return runAction('removeHistoryRecord', record, '保存履歴を削除しました');
+    }, 'danger'));
+
+    return actions;
+}
+
+/**
+ * Service Workerへ操作を依頼
+ * @param {string} action - メッセージアクション
+ * @param {Object} record - 対象レコード
+ * @param {string} successMessage - 成功時のメッセージ
+ */
+async function runAction(action, record, successMessage) {
+    try {
+        const response = await chrome.runtime.sendMessage({ action, data: { historyId: record.id } });
+        if (!response?.success) {
+            throw new Error(response?.error || '操作に失敗しました');
+        }
+        showStatusMessage(successMessage, 'success');
+    } catch (error) {
+        console.error(`ReadLater for Obsidian: ${action} failed`, error);
+        showStatusMessage(`操作に失敗しました: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * obsidian:// URIでノートを開く
+ * @param {string} filePath - ノートの完全パス
+ */
+function openInObsidian(filePath) {
+    chrome.tabs.create({ url: `obsidian://open?path=${encodeURIComponent(filePath)}` });
+}
+
+// 要素生成ヘルパー
+
+function createBadge(text, isError = false) {
+    const badge = document.createElement('span');
+    badge.className = isError ? 'history-badge error' : 'history-badge';
+    badge.textContent = text;
+    return badge;
+}
+
+function createText(text) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    return span;
+}
+
+function createError(text) {
+    const div = document.createElement('div');
+    div.className = 'history-error';
+    div.textContent = text;
+    return div;
+}
+
+function createButton(text, onClick, className = '') {
+    const button = document.createElement('button');
+    button.textContent = text;
+    if (className) button.className = className;
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            await onClick();
+        } finally {
+            button.disabled = false;
+        }
+    });
+    return button;
+}
+
+/**
+ * ステータスメッセージの表示
+ * @param {string} message - メッセージ内容
+ * @param {string} type - メッセージタイプ (success, error, info)
+ */
+function showStatusMessage(message, type = 'info') {
+    elements.statusMessage.textContent = message;
+    elements.statusMessage.className = `status-message ${type}`;
+    elements.statusMessage.style.display = 'block';
+
+    // 3秒後に自動で非表示
+    setTimeout(() => {
+        elements.statusMessage.style.display = 'none';
+    }, 3000);
+}
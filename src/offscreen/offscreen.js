@@ -0,0 +1,222 @@
+// ReadLater for Obsidian - Offscreen Document Script
+// タブを開かずにURLの記事を取得・抽出する（Service WorkerにはDOMParserがないため）
+
+console.log('ReadLater for Obsidian: Offscreen document loaded');
+
+const FETCH_TIMEOUT_MS = 20000;
+
+// テキストを抽出するPDFのサイズ上限
+const PDF_MAX_BYTES = 50 * 1024 * 1024;
+
+// Service Workerからの抽出依頼を受信（他のメッセージは無視）
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen') {
+        return;
+    }
+
+    if (request.action === 'extractUrl') {
+        extractArticleFromUrl(request.data?.url, request.data?.extractionRules, request.data?.discussionCommentLimit)
+            .then(data => sendResponse({ success: true, data }))
+            .catch(error => {
+                console.error('ReadLater for Obsidian: Offscreen extraction failed', error);
+                sendResponse({ success: false, error: error.message });
+            });
+
+        // 非同期レスポンスのため true を返す
+        return true;
+    }
+
+    if (request.action === 'extractPdf') {
+        extractPdfFromUrl(request.data?.url)
+            .then(data => sendResponse({ success: true, data }))
+            .catch(error => {
+                console.error('ReadLater for Obsidian: Offscreen PDF extraction failed', error);
+                sendResponse({ success: false, error: error.message });
+            });
+
+        return true;
+    }
+});
+
+/**
+ * URLのページを取得し、ArticleExtractorで記事を抽出
+ * @param {string} url - 対象URL
+ * @param {Array<Object>} extractionRules - ユーザー定義の抽出ルール
+ * @param {number} discussionCommentLimit - 掲示板の投稿で取り込むトップレベルのコメント数
+ * @returns {Promise<Object>} 抽出された記事データ
+ */
+async function extractArticleFromUrl(url, extractionRules = [], discussionCommentLimit = undefined) {
+    if (!url || !/^https?:/.test(url)) {
+        throw new Error(`対応していないURLです: ${url}`);
+    }
+
+    if (PdfTextExtractor.isPdfUrl(url)) {
+        return extractPdfFromUrl(url);
+    }
+
+    const html = await fetchHtml(url);
+    const finalUrl = html.url || url;
+    if (html.pdf) {
+        return extractPdfFromUrl(finalUrl);
+    }
+    const doc = new DOMParser().parseFromString(html.text, 'text/html');
+
+    // 相対リンク・画像を元ページ基準で解決できるように base を設定
+    if (!doc.querySelector('base[href]')) {
+        const base = doc.createElement('base');
+        base.href = finalUrl;
+        doc.head.prepend(base);
+    }
+
+    const extractor = new ArticleExtractor({ document: doc, url: finalUrl });
+    const article = await extractor.extractArticle({ extractionRules, discussionCommentLimit });
+
+    if (!article.content || !article.content.trim()) {
+        throw new Error('記事本文を抽出できませんでした');
+    }
+
+    return {
+        ...article,
+        title: article.title === 'Untitled Article' ? finalUrl : article.title,
+        strategy: article.strategy || 'offscreen'
+    };
+}
+
+/**
+ * ページのHTMLを取得
+ * @param {string} url - 対象URL
+ * @returns {Promise<Object>} HTML文字列とリダイレクト後のURL
+ */
+async function fetchHtml(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`ページの取得に失敗しました (HTTP ${response.status})`);
+        }
+
+        const contentType = response.headers.get('content-type') || '';
+        if (/pdf/i.test(contentType)) {
+            // PDFは extractPdfFromUrl で取得し直す
+            response.body?.cancel();
+            return { pdf: true, url: response.url };
+        }
+        if (contentType && !/html|xml/i.test(contentType)) {
+            throw new Error(`HTML以外のコンテンツは抽出できません: ${contentType}`);
+        }
+
+        return { text: await response.text(), url: response.url };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('ページの取得がタイムアウトしました');
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * PDFを取得し、テキストと文書情報（タイトル・著者など）を抽出
+ * @param {string} url - PDFのURL
+ * @returns {Promise<Object>} 記事データ（strategy: 'pdf'）
+ */
+async function extractPdfFromUrl(url) {
+    if (!url || !/^https?:/.test(url)) {
+        throw new Error(`PDFを取得できないURLです: ${url}`);
+    }
+
+    const { data, url: finalUrl } = await fetchPdf(url);
+    const result = await new PdfTextExtractor().extract(data);
+    const content = result.pages.join('\n\n').trim();
+    if (!content) {
+        throw new Error('PDFからテキストを抽出できませんでした（画像のみのPDFの可能性があります）');
+    }
+
+    const fileName = getPdfFileName(finalUrl);
+    const { metadata } = result;
+    const keywords = metadata.keywords ? metadata.keywords.split(/[,;、]/).map(keyword => keyword.trim()).filter(Boolean) : [];
+
+    return {
+        title: getPdfTitle(metadata.title, result.pages, fileName),
+        content,
+        contentMarkdown: PdfTextExtractor.toMarkdown(result.pages),
+        metadata: {
+            author: metadata.author || '',
+            publishDate: metadata.creationDate || '',
+            modifiedDate: metadata.modDate || '',
+            description: metadata.subject || '',
+            keywords,
+            pageCount: result.pageCount
+        },
+        url: finalUrl,
+        canonicalUrl: finalUrl,
+        domain: new URL(finalUrl).hostname,
+        extractedAt: new Date().toISOString(),
+        strategy: 'pdf',
+        pdf: { fileName, bytes: data.byteLength, pageCount: result.pageCount }
+    };
+}
+
+/**
+ * PDFファイルの取得（サイズ上限・タイムアウトあり）
+ * @param {string} url - PDFのURL
+ * @returns {Promise<Object>} { data: Uint8Array, url }
+ */
+async function fetchPdf(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS * 3);
+
+    try {
+        const response = await fetch(url, { credentials: 'include', signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`PDFの取得に失敗しました (HTTP ${response.status})`);
+        }
+
+        const length = parseInt(response.headers.get('content-length'), 10);
+        if (length > PDF_MAX_BYTES) {
+            throw new Error(`PDFのサイズが上限（${PDF_MAX_BYTES / 1024 / 1024}MB）を超えています`);
+        }
+
+        const data = new Uint8Array(await response.arrayBuffer());
+        if (data.byteLength > PDF_MAX_BYTES) {
+            throw new Error(`PDFのサイズが上限（${PDF_MAX_BYTES / 1024 / 1024}MB）を超えています`);
+        }
+        return { data, url: response.url || url };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('PDFの取得がタイムアウトしました');
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * PDFのタイトル（文書情報のタイトル → 1ページ目の最初の行 → ファイル名）
+ * アプリケーション名が付いたタイトル（"Microsoft Word - report.docx"）やファイル名だけのタイトルは使わない
+ */
+function getPdfTitle(title, pages, fileName) {
+    const cleaned = (title || '').replace(/^Microsoft (Word|PowerPoint|Excel) - /i, '').trim();
+    if (cleaned && !/\.(docx?|pptx?|xlsx?|pdf|tex|dvi)$/i.test(cleaned) && cleaned.toLowerCase() !== 'untitled') {
+        return cleaned;
+    }
+
+    const firstLine = (pages.find(page => page.trim()) || '').split('\n').map(line => line.trim()).find(line => line.length > 3);
+    if (firstLine && firstLine.length <= 150) {
+        return firstLine;
+    }
+    return fileName.replace(/\.pdf$/i, '');
+}
+
+function getPdfFileName(url) {
+    try {
+        const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+        return name || 'document.pdf';
+    } catch (e) {
+        return 'document.pdf';
+    }
+}
@@ -20,11 +20,38 @@ const elements = {
     // 入力フィールド
     obsidianPath: document.getElementById('obsidian-path'),
     summaryEnabled: document.getElementById('summary-enabled'),
+    discussionSummaryEnabled: document.getElementById('discussion-summary-enabled'),
     fileNaming: document.getElementById('file-naming'),
+    fileNameTemplate: document.getElementById('file-name-template'),
+    fileNameMaxLength: document.getElementById('file-name-max-length'),
+    fileNameTransliterate: document.getElementById('file-name-transliterate'),
+    fileNamePreview: document.getElementById('file-name-preview'),
+    noteTemplatePreset: document.getElementById('note-template-preset'),
+    noteTemplate: document.getElementById('note-template'),
+    noteTemplatePreview: document.getElementById('note-template-preview'),
+    frontmatterProperties: document.getElementById('frontmatter-properties'),
+    frontmatterExtraProperties: document.getElementById('frontmatter-extra-properties'),
     
     // 集約保存設定
     aggregatedSavingEnabled: document.getElementById('aggregated-saving-enabled'),
     aggregatedFileName: document.getElementById('aggregated-file-name'),
+    duplicatePolicy: document.getElementById('duplicate-policy'),
+    
+    // 画像の保存設定
+    downloadImages: document.getElementById('download-images'),
+    imageFolder: document.getElementById('image-folder'),
+    imageLinkStyle: document.getElementById('image-link-style'),
+    imageMaxSize: document.getElementById('image-max-size'),
+    savePdfAttachment: document.getElementById('save-pdf-attachment'),
+    discussionCommentLimit: document.getElementById('discussion-comment-limit'),
+    
+    // 振り分けルール
+    routingRulesList: document.getElementById('routing-rules-list'),
+    addRoutingRule: document.getElementById('add-routing-rule'),
+    
+    // 抽出ルール
+    extractionRulesList: document.getElementById('extraction-rules-list'),
+    addExtractionRule: document.getElementById('add-extraction-rule'),
     
     // Slack通知設定
     slackNotificationEnabled: document.getElementById('slack-notification-enabled'),
@@ -47,13 +74,72 @@ const elements = {
 const defaultSettings = {
     obsidianPath: 'ReadLater',
     summaryEnabled: true,
-    fileNaming: 'date-title',
+    fileNaming: 'date-time-title',
+    fileNameTemplate: DEFAULT_FILENAME_TEMPLATE,
+    fileNameMaxLength: DEFAULT_FILENAME_MAX_LENGTH,
+    fileNameTransliterate: false,
+    noteTemplatePreset: 'default',
+    noteTemplate: '',
+    frontmatterProperties: {},
+    frontmatterExtraProperties: {},
     aggregatedSavingEnabled: false,
     aggregatedFileName: 'ReadLater_Articles.md',
+    duplicatePolicy: 'skip',
+    downloadImages: false,
+    imageFolder: DEFAULT_IMAGE_FOLDER,
+    imageLinkStyle: 'markdown',
+    imageMaxSizeKB: DEFAULT_IMAGE_MAX_SIZE_KB,
+    savePdfAttachment: false,
+    discussionCommentLimit: 20,
+    discussionSummaryEnabled: false,
+    routingRules: [],
+    extractionRules: [],
     slackNotificationEnabled: false,
     slackWebhookUrl: ''
 };
 
+// 振り分けルールの入力項目
+const routingRuleFields = [
+    { section: '条件' },
+    { key: 'domain', label: 'ドメイン（カンマ区切り・* 使用可）', placeholder: '例: github.com, *.example.com' },
+    { key: 'urlPattern', label: 'URL（正規表現）', placeholder: '例: ^https://arxiv\\.org/abs/' },
+    { key: 'category', label: 'カテゴリ', placeholder: '例: Technology' },
+    { key: 'keywords', label: 'AIキーワード（いずれかに一致）', placeholder: '例: 機械学習, LLM' },
+    { key: 'language', label: '言語', placeholder: '例: en' },
+    { section: '振り分け先' },
+    { key: 'folder', label: '保存先サブフォルダ', placeholder: '例: Dev/Repos' },
+    { key: 'tags', label: '追加タグ', placeholder: '例: dev, github' },
+    {
+        key: 'saveMode',
+        label: '保存方式',
+        options: [['', '設定どおり'], ['individual', '個別保存'], ['aggregated', '集約保存']]
+    },
+    { key: 'aggregatedFileName', label: '集約ファイル名', placeholder: '例: Papers.md' },
+    { key: 'properties', label: '追加プロパティ（1行に1つ「名前: 値」）', placeholder: '例: status: unread', multiline: true }
+];
+
+// 抽出ルールの入力項目
+const extractionRuleFields = [
+    { section: '対象ページ' },
+    { key: 'domain', label: 'ドメイン（カンマ区切り・* 使用可）', placeholder: '例: blog.example.com' },
+    { key: 'urlPattern', label: 'URL（正規表現）', placeholder: '例: /posts/' },
+    { section: 'セレクタ' },
+    { key: 'contentSelector', label: '本文', placeholder: '例: main .post-body' },
+    { key: 'titleSelector', label: 'タイトル', placeholder: '例: h1.post-title' },
+    { key: 'authorSelector', label: '著者', placeholder: '例: .author-name' },
+    { key: 'dateSelector', label: '日付', placeholder: '例: time.published' },
+    { key: 'removeSelectors', label: '除外する要素（1行に1つ）', placeholder: '例: .share-buttons', multiline: true }
+];
+
+// 編集中の振り分けルール
+let routingRules = [];
+
+// 編集中の抽出ルール
+let extractionRules = [];
+
+// 編集中のフロントマターのプロパティ設定
+let frontmatterProperties = {};
+
 // ページ読み込み時の初期化
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('ReadLater for Obsidian: Initializing options page');
@@ -76,19 +162,48 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 async function loadSettings() {
     try {
-        const result = await chrome.storage.sync.get(['readlaterSettings']);
-        const settings = result.readlaterSettings || defaultSettings;
+        const settings = (await new SettingsStore().load()) || defaultSettings;
         
         console.log('ReadLater for Obsidian: Loading settings', settings);
         
         // フォームに設定値を反映
         elements.obsidianPath.value = settings.obsidianPath || defaultSettings.obsidianPath;
         elements.summaryEnabled.checked = settings.summaryEnabled !== false;
-        elements.fileNaming.value = settings.fileNaming || defaultSettings.fileNaming;
+        elements.discussionSummaryEnabled.checked = settings.discussionSummaryEnabled === true;
+        elements.fileNameTemplate.value = FilenameTemplate.resolveTemplate(settings);
+        elements.fileNameMaxLength.value = settings.fileNameMaxLength || defaultSettings.fileNameMaxLength;
+        elements.fileNameTransliterate.checked = settings.fileNameTransliterate === true;
+        syncFileNamingPreset();
+        elements.noteTemplatePreset.value = settings.noteTemplatePreset || defaultSettings.noteTemplatePreset;
+        elements.noteTemplate.value = NoteTemplate.resolveTemplate(settings);
+        
+        // フロントマターのプロパティ設定の反映
+        frontmatterProperties = FrontmatterMapping.normalizeMapping(settings.frontmatterProperties);
+        renderFrontmatterProperties();
+        elements.frontmatterExtraProperties.value = FrontmatterMapping.formatProperties(settings.frontmatterExtraProperties);
+        updateNoteTemplatePreview();
         
         // 集約保存設定の反映
         elements.aggregatedSavingEnabled.checked = settings.aggregatedSavingEnabled === true;
         elements.aggregatedFileName.value = settings.aggregatedFileName || defaultSettings.aggregatedFileName;
+        elements.duplicatePolicy.value = settings.duplicatePolicy || defaultSettings.duplicatePolicy;
+        
+        // 画像の保存設定の反映
+        elements.downloadImages.checked = settings.downloadImages === true;
+        elements.imageFolder.value = settings.imageFolder || defaultSettings.imageFolder;
+        elements.imageLinkStyle.value = settings.imageLinkStyle || defaultSettings.imageLinkStyle;
+        elements.imageMaxSize.value = settings.imageMaxSizeKB || defaultSettings.imageMaxSizeKB;
+        elements.savePdfAttachment.checked = settings.savePdfAttachment === true;
+        elements.discussionCommentLimit.value = settings.discussionCommentLimit || defaultSettings.discussionCommentLimit;
+        updateImageDownloadUI();
+        
+        // 振り分けルールの反映
+        routingRules = (settings.routingRules || []).map(rule => ({ ...rule }));
+        renderRoutingRules();
+        
+        // 抽出ルールの反映
+        extractionRules = (settings.extractionRules || []).map(rule => ({ ...rule }));
+        renderExtractionRules();
         
         // Slack通知設定の反映
         elements.slackNotificationEnabled.checked = settings.slackNotificationEnabled === true;
@@ -158,6 +273,44 @@ function setupEventListeners() {
     // リアルタイム検証
     elements.obsidianPath.addEventListener('input', validateCurrentSettings);
     
+    // ファイル名テンプレートの変更時イベント（プレビューを更新）
+    elements.fileNaming.addEventListener('change', applyFileNamingPreset);
+    elements.fileNameTemplate.addEventListener('input', syncFileNamingPreset);
+    elements.fileNameMaxLength.addEventListener('input', updateFileNamePreview);
+    elements.fileNameTransliterate.addEventListener('change', updateFileNamePreview);
+    
+    // ノートテンプレートの変更時イベント（編集するとカスタムに切り替え）
+    elements.noteTemplatePreset.addEventListener('change', () => {
+        const preset = NOTE_TEMPLATE_PRESETS[elements.noteTemplatePreset.value];
+        if (preset) {
+            elements.noteTemplate.value = preset;
+        }
+        updateNoteTemplatePreview();
+    });
+    elements.noteTemplate.addEventListener('input', () => {
+        elements.noteTemplatePreset.value = 'custom';
+        updateNoteTemplatePreview();
+    });
+    
+    // 固定値のプロパティの変更時イベント（プレビューを更新）
+    elements.frontmatterExtraProperties.addEventListener('input', updateNoteTemplatePreview);
+    
+    // 振り分けルールの追加
+    elements.addRoutingRule.addEventListener('click', () => {
+        routingRules.push({ name: `ルール${routingRules.length + 1}`, enabled: true });
+        renderRoutingRules();
+    });
+    
+    // 抽出ルールの追加
+    elements.addExtractionRule.addEventListener('click', () => {
+        extractionRules.push({ name: `抽出ルール${extractionRules.length + 1}`, enabled: true });
+        renderExtractionRules();
+    });
+    
+    // 画像の保存設定の変更時イベント
+    elements.downloadImages.addEventListener('change', updateImageDownloadUI);
+    elements.savePdfAttachment.addEventListener('change', updateImageDownloadUI);
+    
     // 集約保存設定の変更時イベント
     elements.aggregatedSavingEnabled.addEventListener('change', updateAggregatedSavingUI);
     elements.aggregatedFileName.addEventListener('input', validateCurrentSettings);
@@ -167,6 +320,385 @@ function setupEventListeners() {
     elements.slackWebhookUrl.addEventListener('input', validateCurrentSettings);
 }
 
+/**
+ * プリセットの選択をテンプレート入力欄に反映
+ */
+function applyFileNamingPreset() {
+    const template = FILENAME_TEMPLATE_PRESETS[elements.fileNaming.value];
+    if (template) {
+        elements.fileNameTemplate.value = template;
+    }
+    updateFileNamePreview();
+}
+
+/**
+ * テンプレート入力欄に対応するプリセットを選択（該当なしはカスタム）
+ */
+function syncFileNamingPreset() {
+    const template = elements.fileNameTemplate.value.trim();
+    const preset = Object.keys(FILENAME_TEMPLATE_PRESETS)
+        .find(key => FILENAME_TEMPLATE_PRESETS[key] === template);
+    elements.fileNaming.value = preset || 'custom';
+    updateFileNamePreview();
+}
+
+/**
+ * ファイル名のプレビューを更新（サンプル記事で展開）
+ */
+function updateFileNamePreview() {
+    const sample = {
+        title: 'ChatGPTの使い方: はじめてのプロンプト入門',
+        url: 'https://www.example.com/articles/chatgpt-guide',
+        author: 'Taro Yamada'
+    };
+    const filename = FilenameTemplate.generate(sample, {
+        fileNameTemplate: elements.fileNameTemplate.value,
+        fileNameMaxLength: parseInt(elements.fileNameMaxLength.value, 10),
+        fileNameTransliterate: elements.fileNameTransliterate.checked
+    });
+    elements.fileNamePreview.textContent = `プレビュー: ${filename}`;
+}
+
+/**
+ * ノートテンプレートのプレビューを更新（サンプル記事で展開）
+ */
+async function updateNoteTemplatePreview() {
+    const preview = elements.noteTemplatePreview;
+    const template = elements.noteTemplate.value;
+    const error = NoteTemplate.validate(template);
+    if (error) {
+        preview.className = 'note-template-preview error';
+        preview.textContent = `テンプレートの構文エラー: ${error}`;
+        return;
+    }
+    
+    const sample = {
+        title: 'ChatGPTの使い方: はじめてのプロンプト入門',
+        url: 'https://www.example.com/articles/chatgpt-guide',
+        domain: 'www.example.com',
+        content: 'プロンプトとは、AIに与える指示文のことです。\n\n具体的な例を挙げながら、よいプロンプトの書き方を紹介します。',
+        summary: '- プロンプトの基本的な考え方\n- 具体例を示すと精度が上がる',
+        keywords: ['ChatGPT', 'プロンプト', 'AI'],
+        strategy: 'semantic',
+        metadata: {
+            author: 'Taro Yamada',
+            images: ['https://www.example.com/images/cover.png']
+        }
+    };
+    
+    try {
+        const result = await new MarkdownGenerator().generateMarkdown(sample, {
+            noteTemplatePreset: 'custom',
+            noteTemplate: template,
+            frontmatterProperties,
+            frontmatterExtraProperties: elements.frontmatterExtraProperties.value
+        });
+        preview.className = 'note-template-preview';
+        preview.textContent = result.content;
+    } catch (e) {
+        preview.className = 'note-template-preview error';
+        preview.textContent = `プレビューを生成できませんでした: ${e.message}`;
+    }
+}
+
+/**
+ * フロントマターのプロパティ設定の一覧を描画
+ */
+function renderFrontmatterProperties() {
+    const table = elements.frontmatterProperties;
+    table.textContent = '';
+    
+    const head = table.createTHead().insertRow();
+    ['出力', 'プロパティ', '名前', '書式'].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    });
+    
+    const body = table.createTBody();
+    FRONTMATTER_PROPERTIES.forEach(({ key, label, type }) => {
+        const entry = frontmatterProperties[key] || {};
+        const row = body.insertRow();
+        row.classList.toggle('disabled', entry.enabled === false);
+        
+        // 既定値との差分だけを保持する
+        const update = changes => {
+            frontmatterProperties = FrontmatterMapping.normalizeMapping({
+                ...frontmatterProperties,
+                [key]: { ...(frontmatterProperties[key] || {}), ...changes }
+            });
+            row.classList.toggle('disabled', (frontmatterProperties[key] || {}).enabled === false);
+            updateNoteTemplatePreview();
+        };
+        
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = entry.enabled !== false;
+        enabled.title = `${label}を出力する`;
+        enabled.addEventListener('change', () => update({ enabled: enabled.checked }));
+        row.insertCell().appendChild(enabled);
+        
+        const keyCell = row.insertCell();
+        const code = document.createElement('code');
+        code.textContent = key;
+        keyCell.append(code, ` ${label}`);
+        
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'setting-input';
+        name.placeholder = key;
+        name.value = entry.name || '';
+        name.addEventListener('input', () => update({ name: name.value }));
+        row.insertCell().appendChild(name);
+        
+        const formatCell = row.insertCell();
+        if (type === 'date') {
+            const format = document.createElement('input');
+            format.type = 'text';
+            format.className = 'setting-input';
+            format.placeholder = '例: YYYY-MM-DDTHH:mm';
+            format.value = entry.format || '';
+            format.addEventListener('input', () => update({ format: format.value }));
+            formatCell.appendChild(format);
+        }
+    });
+}
+
+/**
+ * 振り分けルールの一覧を描画
+ */
+function renderRoutingRules() {
+    const list = elements.routingRulesList;
+    list.textContent = '';
+    
+    if (routingRules.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'routing-rules-empty';
+        empty.textContent = 'ルールはありません。すべての記事が既定の保存先に保存されます。';
+        list.appendChild(empty);
+        return;
+    }
+    
+    routingRules.forEach((rule, index) => {
+        list.appendChild(createRuleElement(rule, index, routingRules, routingRuleFields, renderRoutingRules));
+    });
+}
+
+/**
+ * 抽出ルールの一覧を描画
+ */
+function renderExtractionRules() {
+    const list = elements.extractionRulesList;
+    list.textContent = '';
+    
+    if (extractionRules.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'routing-rules-empty';
+        empty.textContent = 'ルールはありません。サイトアダプタと自動抽出で本文を取得します。';
+        list.appendChild(empty);
+        return;
+    }
+    
+    extractionRules.forEach((rule, index) => {
+        const card = createRuleElement(rule, index, extractionRules, extractionRuleFields, renderExtractionRules);
+        card.appendChild(createExtractionRuleTester(rule));
+        list.appendChild(card);
+    });
+}
+
+/**
+ * 抽出ルールを現在のタブで試すボタンと結果のプレビューを生成
+ * @param {Object} rule - ルール
+ * @returns {HTMLElement} ボタンとプレビューの要素
+ */
+function createExtractionRuleTester(rule) {
+    const container = document.createElement('div');
+    container.className = 'extraction-rule-test';
+    
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'rule-action-btn';
+    button.textContent = '🔍 現在のタブで試す';
+    
+    const preview = document.createElement('pre');
+    preview.className = 'note-template-preview';
+    preview.hidden = true;
+    
+    button.addEventListener('click', async () => {
+        preview.hidden = false;
+        preview.classList.remove('error');
+        
+        const errors = ExtractionRules.validateRule({ ...rule, domain: rule.domain || '*' });
+        if (errors.length > 0) {
+            preview.classList.add('error');
+            preview.textContent = errors[0];
+            return;
+        }
+        
+        button.disabled = true;
+        preview.textContent = '抽出中...';
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'testExtractionRule',
+                data: { rule: ExtractionRules.normalizeRule(rule) }
+            });
+            if (!response?.success) {
+                throw new Error(response?.error || '抽出に失敗しました');
+            }
+            preview.textContent = formatExtractionTestResult(response.result);
+        } catch (error) {
+            preview.classList.add('error');
+            preview.textContent = `抽出に失敗しました: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    });
+    
+    container.append(button, preview);
+    return container;
+}
+
+/**
+ * 抽出ルールの試行結果の表示用テキスト
+ * @param {Object} result - 試行結果
+ * @returns {string} 表示用テキスト
+ */
+function formatExtractionTestResult(result) {
+    const lines = [
+        `ページ: ${result.url}`,
+        result.matched ? '✅ このページはルールの対象です' : '⚠️ このページはルールのドメイン・URLに一致しません（結果は参考表示）',
+        `抽出方式: ${result.strategy === 'user-rule' ? '抽出ルール' : `${result.strategy}（本文のセレクタに一致しませんでした）`}`,
+        `タイトル: ${result.title || '（なし）'}`,
+        `著者: ${result.author || '（なし）'}`,
+        `日付: ${result.publishDate || '（なし）'}`,
+        `本文: ${result.contentLength}文字`,
+        '',
+        result.excerpt || '（本文なし）'
+    ];
+    return lines.join('\n');
+}
+
+/**
+ * ルール1件分の入力欄を生成（振り分けルール・抽出ルール共通）
+ * @param {Object} rule - ルール
+ * @param {number} index - 評価順
+ * @param {Array<Object>} rules - ルールの一覧（並べ替え・削除の対象）
+ * @param {Array<Object>} ruleFields - 入力項目
+ * @param {Function} render - 一覧の再描画
+ * @returns {HTMLElement} ルールの要素
+ */
+function createRuleElement(rule, index, rules, ruleFields, render) {
+    const card = document.createElement('div');
+    card.className = rule.enabled === false ? 'routing-rule disabled' : 'routing-rule';
+    
+    // 見出し行（名前・有効/無効・並べ替え・削除）
+    const header = document.createElement('div');
+    header.className = 'routing-rule-header';
+    
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'setting-input';
+    name.placeholder = 'ルール名';
+    name.value = rule.name || '';
+    name.addEventListener('input', () => { rule.name = name.value; });
+    
+    const enabledLabel = document.createElement('label');
+    enabledLabel.className = 'checkbox-label';
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = rule.enabled !== false;
+    enabled.addEventListener('change', () => {
+        rule.enabled = enabled.checked;
+        card.classList.toggle('disabled', !enabled.checked);
+    });
+    enabledLabel.append(enabled, '有効');
+    
+    const actions = [
+        ['↑', '上へ移動', index === 0, () => moveRule(rules, index, -1, render)],
+        ['↓', '下へ移動', index === rules.length - 1, () => moveRule(rules, index, 1, render)],
+        ['🗑️', '削除', false, () => {
+            rules.splice(index, 1);
+            render();
+        }]
+    ].map(([text, title, disabled, onClick]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'rule-action-btn';
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    });
+    
+    header.append(name, enabledLabel, ...actions);
+    
+    // 条件・振り分け先（抽出ルールでは対象ページ・セレクタ）の入力欄
+    const fields = document.createElement('div');
+    fields.className = 'routing-rule-fields';
+    ruleFields.forEach(field => {
+        if (field.section) {
+            const heading = document.createElement('h3');
+            heading.textContent = field.section;
+            fields.appendChild(heading);
+            return;
+        }
+        
+        const wrapper = document.createElement('label');
+        wrapper.textContent = field.label;
+        if (field.multiline) {
+            wrapper.className = 'wide';
+        }
+        
+        let input;
+        if (field.options) {
+            input = document.createElement('select');
+            input.className = 'setting-select';
+            field.options.forEach(([value, text]) => input.add(new Option(text, value)));
+        } else if (field.multiline) {
+            input = document.createElement('textarea');
+            input.className = 'setting-input setting-textarea';
+            input.rows = 2;
+            input.spellcheck = false;
+            input.placeholder = field.placeholder;
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'setting-input';
+            input.placeholder = field.placeholder;
+        }
+        const value = rule[field.key];
+        if (field.key === 'properties') {
+            input.value = FrontmatterMapping.formatProperties(value);
+        } else if (field.key === 'removeSelectors') {
+            input.value = Array.isArray(value) ? value.join('\n') : (value || '');
+        } else {
+            input.value = Array.isArray(value) ? value.join(', ') : (value || '');
+        }
+        input.addEventListener(field.options ? 'change' : 'input', () => { rule[field.key] = input.value; });
+        
+        wrapper.appendChild(input);
+        fields.appendChild(wrapper);
+    });
+    
+    card.append(header, fields);
+    return card;
+}
+
+/**
+ * ルールの並べ替え
+ * @param {Array<Object>} rules - ルールの一覧
+ * @param {number} index - 移動するルールの位置
+ * @param {number} offset - 移動量（-1: 上へ, 1: 下へ）
+ * @param {Function} render - 一覧の再描画
+ */
+function moveRule(rules, index, offset, render) {
+    const target = index + offset;
+    if (target < 0 || target >= rules.length) return;
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+    render();
+}
+
 /**
  * APIキーの表示/非表示切り替え
  */
@@ -315,9 +847,26 @@ async function saveSettings() {
         const settings = {
             obsidianPath: elements.obsidianPath.value.trim(),
             summaryEnabled: elements.summaryEnabled.checked,
+            discussionSummaryEnabled: elements.discussionSummaryEnabled.checked,
             fileNaming: elements.fileNaming.value,
+            fileNameTemplate: elements.fileNameTemplate.value.trim() || DEFAULT_FILENAME_TEMPLATE,
+            fileNameMaxLength: parseInt(elements.fileNameMaxLength.value, 10) || DEFAULT_FILENAME_MAX_LENGTH,
+            fileNameTransliterate: elements.fileNameTransliterate.checked,
+            noteTemplatePreset: elements.noteTemplatePreset.value,
+            noteTemplate: elements.noteTemplatePreset.value === 'custom' ? elements.noteTemplate.value : '',
+            frontmatterProperties: FrontmatterMapping.normalizeMapping(frontmatterProperties),
+            frontmatterExtraProperties: FrontmatterMapping.parseProperties(elements.frontmatterExtraProperties.value),
             aggregatedSavingEnabled: elements.aggregatedSavingEnabled.checked,
             aggregatedFileName: elements.aggregatedFileName.value.trim(),
+            duplicatePolicy: elements.duplicatePolicy.value,
+            downloadImages: elements.downloadImages.checked,
+            imageFolder: elements.imageFolder.value.trim() || DEFAULT_IMAGE_FOLDER,
+            imageLinkStyle: elements.imageLinkStyle.value,
+            imageMaxSizeKB: parseInt(elements.imageMaxSize.value, 10) || DEFAULT_IMAGE_MAX_SIZE_KB,
+            savePdfAttachment: elements.savePdfAttachment.checked,
+            discussionCommentLimit: parseInt(elements.discussionCommentLimit.value, 10) || defaultSettings.discussionCommentLimit,
+            routingRules: routingRules.map(rule => RoutingRules.normalizeRule(rule)),
+            extractionRules: extractionRules.map(rule => ExtractionRules.normalizeRule(rule)),
             slackNotificationEnabled: elements.slackNotificationEnabled.checked,
             slackWebhookUrl: elements.slackWebhookUrl.value.trim()
         };
@@ -327,6 +876,50 @@ async function saveSettings() {
             throw new Error('保存先フォルダが入力されていません');
         }
         
+        if (settings.fileNameMaxLength < 10 || settings.fileNameMaxLength > 200) {
+            throw new Error('ファイル名の最大文字数は10〜200の範囲で指定してください');
+        }
+        
+        if (settings.imageMaxSizeKB < 10 || settings.imageMaxSizeKB > 20480) {
+            throw new Error('画像の最大サイズは10〜20480KBの範囲で指定してください');
+        }
+        
+        if (settings.discussionCommentLimit < 1 || settings.discussionCommentLimit > 100) {
+            throw new Error('取り込むコメント数は1〜100の範囲で指定してください');
+        }
+        
+        if (/(^|[\\/])\.\.([\\/]|$)/.test(settings.imageFolder)) {
+            throw new Error('添付ファイルフォルダに .. は使用できません');
+        }
+        
+        if (settings.noteTemplatePreset === 'custom') {
+            const templateError = NoteTemplate.validate(settings.noteTemplate);
+            if (!settings.noteTemplate.trim() || templateError) {
+                throw new Error(`ノートテンプレートが不正です: ${templateError || 'テンプレートが空です'}`);
+            }
+        }
+        
+        // フロントマターのプロパティ設定の検証
+        const propertyErrors = [
+            ...FrontmatterMapping.validateMapping(settings.frontmatterProperties),
+            ...FrontmatterMapping.validateProperties(elements.frontmatterExtraProperties.value)
+        ];
+        if (propertyErrors.length > 0) {
+            throw new Error(`フロントマターのプロパティ: ${propertyErrors[0]}`);
+        }
+        
+        // 振り分けルールの検証（追加プロパティは入力中のテキストで検証する）
+        const ruleErrors = routingRules.flatMap(rule => RoutingRules.validateRule(rule));
+        if (ruleErrors.length > 0) {
+            throw new Error(ruleErrors[0]);
+        }
+        
+        // 抽出ルールの検証
+        const extractionRuleErrors = extractionRules.flatMap(rule => ExtractionRules.validateRule(rule));
+        if (extractionRuleErrors.length > 0) {
+            throw new Error(`抽出ルール: ${extractionRuleErrors[0]}`);
+        }
+        
         // 集約保存設定の検証
         if (settings.aggregatedSavingEnabled && !settings.aggregatedFileName) {
             throw new Error('集約ファイル名が入力されていません');
@@ -364,7 +957,7 @@ async function saveSettings() {
         // APIキーは不要（ネイティブメッセージング利用のため）
         
         // 設定の保存
-        await chrome.storage.sync.set({ readlaterSettings: settings });
+        await new SettingsStore().save(settings);
         
         console.log('ReadLater for Obsidian: Settings saved', settings);
         showStatusMessage('設定が正常に保存されました！', 'success');
@@ -393,7 +986,7 @@ async function resetSettings() {
         button.textContent = '🔄 リセット中...';
         
         // デフォルト設定の保存
-        await chrome.storage.sync.set({ readlaterSettings: defaultSettings });
+        await new SettingsStore().save(defaultSettings);
         
         // フォームの更新
         await loadSettings();
@@ -478,6 +1071,17 @@ function updateAggregatedSavingUI() {
     console.log('ReadLater for Obsidian: Aggregated saving UI updated', { enabled: isEnabled });
 }
 
+/**
+ * 画像の保存設定UIの状態更新（添付ファイルフォルダと参照形式はPDFの保存でも使用）
+ */
+function updateImageDownloadUI() {
+    const enabled = elements.downloadImages.checked;
+    const attachmentsEnabled = enabled || elements.savePdfAttachment.checked;
+    elements.imageFolder.disabled = !attachmentsEnabled;
+    elements.imageLinkStyle.disabled = !attachmentsEnabled;
+    elements.imageMaxSize.disabled = !enabled;
+}
+
 /**
  * Slack通知設定UIの状態更新
  */
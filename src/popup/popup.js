@@ -0,0 +1,361 @@
+// ReadLater for Obsidian - Popup Script
+// 現在のタブのワンクリック保存と、保存ごとの設定上書き・進捗表示を管理
+
+console.log('ReadLater for Obsidian: Popup loaded');
+
+const SETTINGS_STORAGE_KEY = 'readlaterSettings';
+const JOBS_STORAGE_KEY = 'readlaterSaveJobs';
+const MAX_VISIBLE_JOBS = 5;
+
+// DOM要素の取得
+const elements = {
+    tabTitle: document.getElementById('tab-title'),
+    tabUrl: document.getElementById('tab-url'),
+    summaryEnabled: document.getElementById('summary-enabled'),
+    targetFolder: document.getElementById('target-folder'),
+    extraTags: document.getElementById('extra-tags'),
+    saveButton: document.getElementById('save-current-tab'),
+    saveWindowButton: document.getElementById('save-window-tabs'),
+    message: document.getElementById('popup-message'),
+    jobList: document.getElementById('job-list'),
+    jobEmpty: document.getElementById('job-empty'),
+    batchSection: document.getElementById('batch-section'),
+    batchSummary: document.getElementById('batch-summary'),
+    batchList: document.getElementById('batch-list'),
+    openLibrary: document.getElementById('open-library'),
+    openSettings: document.getElementById('open-settings')
+};
+
+// ジョブ状態の表示ラベル
+const stateLabels = {
+    extracted: '記事抽出完了',
+    summarizing: 'AI処理中',
+    rendering: 'Markdown生成中',
+    writing: 'ファイル保存中',
+    notified: '✅ 保存完了',
+    failed: '❌ 失敗'
+};
+
+// 一括保存の項目状態の表示ラベル
+const batchStatusLabels = {
+    pending: '⏳',
+    extracting: '🔍',
+    saving: '💾',
+    saved: '✅',
+    skipped: '⏭️',
+    failed: '❌'
+};
+
+let currentTab = null;
+// 設定画面の保存方式（変更した場合のみ上書きとして送り、振り分けルールの保存方式を優先させる）
+let defaultSaveMode = 'individual';
+
+// ページ読み込み時の初期化
+document.addEventListener('DOMContentLoaded', async () => {
+    elements.saveButton.addEventListener('click', saveCurrentTab);
+    elements.saveWindowButton.addEventListener('click', saveWindowTabs);
+    elements.openLibrary.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('src/library/library.html') });
+        window.close();
+    });
+    elements.openSettings.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+        window.close();
+    });
+
+    // Service Workerからの進捗通知
+    chrome.runtime.onMessage.addListener((request) => {
+        if (request.action === 'saveProgress') {
+            handleSaveProgress(request.data);
+        } else if (request.action === 'batchSaveProgress') {
+            renderBatchProgress(request.data);
+        }
+    });
+
+    // ジョブの状態遷移（完了・失敗を含む）を反映
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[JOBS_STORAGE_KEY]) {
+            loadJobs();
+        }
+    });
+
+    await Promise.all([loadCurrentTab(), loadDefaults(), loadJobs()]);
+});
+
+/**
+ * 保存対象となる現在のタブを取得
+ */
+async function loadCurrentTab() {
+    try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        currentTab = tab || null;
+        elements.tabTitle.textContent = tab?.title || '(タイトルなし)';
+        elements.tabUrl.textContent = tab?.url || '';
+        elements.saveButton.disabled = !tab;
+        elements.saveWindowButton.disabled = !tab;
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Failed to get current tab', error);
+        elements.tabTitle.textContent = 'タブ情報を取得できませんでした';
+        elements.saveButton.disabled = true;
+        elements.saveWindowButton.disabled = true;
+    }
+}
+
+/**
+ * 保存設定の既定値を読み込み、上書きフォームに反映
+ */
+async function loadDefaults() {
+    try {
+        const result = await chrome.storage.sync.get([SETTINGS_STORAGE_KEY]);
+        const settings = result[SETTINGS_STORAGE_KEY] || {};
+        elements.summaryEnabled.checked = settings.summaryEnabled !== false;
+        defaultSaveMode = settings.aggregatedSavingEnabled ? 'aggregated' : 'individual';
+        setSaveMode(defaultSaveMode);
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Failed to load settings', error);
+        elements.summaryEnabled.checked = true;
+    }
+}
+
+/**
+ * 現在のタブの保存をService Workerに依頼
+ */
+async function saveCurrentTab() {
+    if (!currentTab) return;
+
+    elements.saveButton.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'saveArticle',
+            data: {
+                tabId: currentTab.id,
+                options: collectSaveOptions()
+            }
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || '保存を開始できませんでした');
+        }
+        showMessage('保存を開始しました', 'success');
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Failed to start save', error);
+        showMessage(`保存に失敗しました: ${error.message}`, 'error');
+    } finally {
+        elements.saveButton.disabled = false;
+    }
+}
+
+/**
+ * 現在のウィンドウのタブの一括保存をService Workerに依頼
+ * 既定の保存方式に関わらず、フォームで選んだ方式（個別/集約）で保存する
+ */
+async function saveWindowTabs() {
+    if (!currentTab) return;
+
+    elements.saveWindowButton.disabled = true;
+    try {
+        const response = await chrome.runtime.sendMessage({
+            action: 'saveWindowTabs',
+            data: {
+                windowId: currentTab.windowId,
+                // 一括保存は既定で集約するため、保存方式は既定と同じでも常に送る
+                options: { ...collectSaveOptions(), aggregatedSavingEnabled: getSaveMode() === 'aggregated' }
+            }
+        });
+        if (!response?.success) {
+            throw new Error(response?.error || '一括保存を開始できませんでした');
+        }
+        showMessage('一括保存を開始しました', 'success');
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Failed to start batch save', error);
+        showMessage(`一括保存に失敗しました: ${error.message}`, 'error');
+    } finally {
+        elements.saveWindowButton.disabled = false;
+    }
+}
+
+/**
+ * 一括保存の項目ごとの状態を描画
+ * @param {Object} batch - 一括保存の状態（label, total, completed, items）
+ */
+function renderBatchProgress(batch) {
+    if (!batch) return;
+
+    elements.batchSection.style.display = 'block';
+    elements.batchSummary.textContent = `一括保存（${batch.label}） ${batch.completed}/${batch.total}`;
+    elements.batchList.replaceChildren(...batch.items.map(batchItem => {
+        const item = document.createElement('li');
+        item.className = `batch-item ${batchItem.status}`;
+        item.title = batchItem.error || batchItem.url;
+
+        const icon = document.createElement('span');
+        icon.textContent = batchStatusLabels[batchItem.status] || batchItem.status;
+
+        const title = document.createElement('span');
+        title.className = 'batch-title';
+        title.textContent = batchItem.title || batchItem.url;
+
+        item.append(icon, title);
+        return item;
+    }));
+}
+
+/**
+ * フォームから今回の保存だけに適用する設定を収集
+ * @returns {Object} 保存オプション
+ */
+function collectSaveOptions() {
+    const options = {
+        summaryEnabled: elements.summaryEnabled.checked
+    };
+
+    if (getSaveMode() !== defaultSaveMode) {
+        options.aggregatedSavingEnabled = getSaveMode() === 'aggregated';
+    }
+
+    const folder = elements.targetFolder.value.trim();
+    if (folder) {
+        options.folder = folder;
+    }
+
+    const tags = parseTags(elements.extraTags.value);
+    if (tags.length > 0) {
+        options.tags = tags;
+    }
+
+    return options;
+}
+
+/**
+ * カンマ区切りのタグ入力を正規化
+ * @param {string} value - 入力値
+ * @returns {Array<string>} タグ配列
+ */
+function parseTags(value) {
+    return value
+        .split(/[,、]/)
+        .map(tag => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-'))
+        .filter(tag => tag.length > 0);
+}
+
+function getSaveMode() {
+    const checked = document.querySelector('input[name="save-mode"]:checked');
+    return checked ? checked.value : 'individual';
+}
+
+function setSaveMode(mode) {
+    const radio = document.querySelector(`input[name="save-mode"][value="${mode}"]`);
+    if (radio) radio.checked = true;
+}
+
+/**
+ * 進捗通知の反映
+ * ジョブ登録前（記事抽出中）はタブ単位、登録後はジョブ単位で通知される
+ * @param {Object} progress - 進捗情報
+ */
+function handleSaveProgress(progress) {
+    if (!progress) return;
+
+    if (!progress.jobId) {
+        if (currentTab && progress.tabId === currentTab.id) {
+            showMessage(`${progress.stage} (${progress.progress}%)`, 'info');
+        }
+        return;
+    }
+
+    const item = elements.jobList.querySelector(`[data-job-id="${progress.jobId}"]`);
+    if (item) {
+        updateJobItem(item, { state: null, progress });
+    } else {
+        loadJobs();
+    }
+}
+
+/**
+ * 保存ジョブ一覧の読み込み
+ */
+async function loadJobs() {
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getSaveJobs' });
+        if (!response?.success) {
+            throw new Error(response?.error || '保存ジョブを取得できませんでした');
+        }
+        renderJobs((response.jobs || []).slice(0, MAX_VISIBLE_JOBS));
+    } catch (error) {
+        console.error('ReadLater for Obsidian: Failed to load save jobs', error);
+    }
+}
+
+/**
+ * 保存ジョブ一覧の描画
+ * @param {Array<Object>} jobs - ジョブ概要の配列
+ */
+function renderJobs(jobs) {
+    elements.jobEmpty.style.display = jobs.length === 0 ? 'block' : 'none';
+    elements.jobList.replaceChildren(...jobs.map(createJobItem));
+}
+
+/**
+ * ジョブ要素を生成
+ * @param {Object} job - ジョブ概要
+ * @returns {HTMLElement} リスト要素
+ */
+function createJobItem(job) {
+    const item = document.createElement('li');
+    item.dataset.jobId = job.id;
+
+    const title = document.createElement('div');
+    title.className = 'job-title';
+    title.textContent = job.title || job.url;
+    title.title = job.url;
+
+    const stage = document.createElement('div');
+    stage.className = 'job-stage';
+
+    const bar = document.createElement('div');
+    bar.className = 'job-bar';
+    const fill = document.createElement('div');
+    fill.className = 'job-bar-fill';
+    bar.appendChild(fill);
+
+    item.append(title, stage, bar);
+    updateJobItem(item, job);
+    return item;
+}
+
+/**
+ * ジョブ要素の状態・進捗を更新
+ * @param {HTMLElement} item - リスト要素
+ * @param {Object} job - ジョブ概要（stateがnullの場合は進捗のみ更新）
+ */
+function updateJobItem(item, job) {
+    const stage = item.querySelector('.job-stage');
+    const fill = item.querySelector('.job-bar-fill');
+
+    if (job.state) {
+        item.className = `job-item ${job.state}`;
+    }
+
+    let percent = job.progress?.progress || 0;
+    let text = job.progress?.stage || stateLabels[job.state] || '';
+
+    if (job.state === 'notified') {
+        percent = 100;
+        text = stateLabels.notified;
+    } else if (job.state === 'failed') {
+        text = `${stateLabels.failed}: ${job.error || ''}`;
+    }
+
+    stage.textContent = text;
+    fill.style.width = `${percent}%`;
+}
+
+/**
+ * メッセージの表示
+ * @param {string} message - メッセージ内容
+ * @param {string} type - メッセージタイプ (success, error, info)
+ */
+function showMessage(message, type = 'info') {
+    elements.message.textContent = message;
+    elements.message.className = `popup-message ${type}`;
+    elements.message.style.display = 'block';
+}
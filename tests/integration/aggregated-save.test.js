@@ -34,8 +34,7 @@ describe('Aggregated Save Flow Integration', () => {
     tableManager = new ArticleTableManager();
     markdownGenerator = new AggregatedMarkdownGenerator({
       markdownGenerator: {
-        generateMarkdown: jest.fn(),
-        sanitizeFilename: jest.fn().mockReturnValue('safe-filename')
+        generateMarkdown: jest.fn()
       },
       tableManager
     });
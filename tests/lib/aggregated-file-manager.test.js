@@ -299,6 +299,45 @@ describe('AggregatedFileManager', () => {
 
       expect(result).toMatch(/\d{4}-\d{2}-\d{2}/); // Should contain a date
     });
+
+    test('should replace the existing row when replaceUrl matches', async () => {
+      const existingContent = `# ReadLater Articles
+
+| タイトル | URL | 要約 | 日時 |
+|---------|-----|------|------|
+| 古いタイトル | https://example.com/article?utm_source=x | 古い要約 | 2025-01-14 |
+| 別の記事 | https://other.com | 別の要約 | 2025-01-14 |
+`;
+
+      const parsedFile = await fileManager.parseExistingFile(existingContent);
+      const result = await fileManager.appendArticleToExisting(
+        existingContent,
+        { ...mockArticleData, replaceUrl: 'https://example.com/article?utm_source=x' },
+        mockSettings,
+        parsedFile
+      );
+
+      const parsed = await fileManager.parseExistingFile(result);
+      expect(parsed.articles).toHaveLength(2);
+      expect(result).not.toContain('古いタイトル');
+      expect(parsed.articles[0]).toMatchObject({ title: '記事タイトル', url: 'https://example.com/article' });
+      expect(parsed.articles[1].title).toBe('別の記事');
+    });
+
+    test('should append when replaceUrl is not in the table', async () => {
+      const existingContent = '# ReadLater Articles\n\n| タイトル | URL | 要約 | 日時 |\n|---------|-----|------|------|\n| 別の記事 | https://other.com | 別の要約 | 2025-01-14 |\n';
+      const parsedFile = await fileManager.parseExistingFile(existingContent);
+
+      const result = await fileManager.appendArticleToExisting(
+        existingContent,
+        { ...mockArticleData, replaceUrl: 'https://missing.com' },
+        mockSettings,
+        parsedFile
+      );
+
+      const parsed = await fileManager.parseExistingFile(result);
+      expect(parsed.articles).toHaveLength(2);
+    });
   });
 
   describe('isValidAggregatedContent', () => {
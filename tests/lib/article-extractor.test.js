@@ -0,0 +1,128 @@
+// Tests for ArticleExtractor - following paginated articles and stitching their pages
+const { ArticleExtractor } = require('../../src/lib/article-extractor.js');
+
+describe('ArticleExtractor pagination', () => {
+  const parse = html => new DOMParser().parseFromString(html, 'text/html');
+  const body = text => `<p>${`${text} `.repeat(30)}</p>`;
+  const page = (content, nav = '') => `
+    <html><head><title>Long read</title>${nav.head || ''}</head><body>
+      <article><h1>Long read</h1>${content}</article>
+      ${nav.body || ''}
+    </body></html>`;
+
+  // URLごとのHTMLを返す fetch のモック
+  const createFetch = pages => jest.fn(async url => {
+    if (!(url in pages)) {
+      return { ok: false, status: 404 };
+    }
+    return {
+      ok: true,
+      url,
+      headers: { get: () => 'text/html; charset=utf-8' },
+      text: async () => pages[url]
+    };
+  });
+
+  test('should follow rel="next" links and stitch the pages with repeated headings removed', async () => {
+    const fetchMock = createFetch({
+      'https://example.com/story/2': page(
+        `<h2>Part two</h2>${body('Second page.')}<p>Cite<sup><a href="#fn1">1</a></sup></p><ol class="footnotes"><li id="fn1">Note</li></ol>`,
+        { head: '<link rel="next" href="/story/3">' }
+      ),
+      'https://example.com/story/3': page(`<h2>Part three</h2>${body('Third page.')}`)
+    });
+    const doc = parse(page(`<h2>Part one</h2>${body('First page.')}`, { head: '<link rel="next" href="/story/2">' }));
+
+    const article = await new ArticleExtractor({ document: doc, url: 'https://example.com/story', fetch: fetchMock }).extractArticle();
+
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual(['https://example.com/story/2', 'https://example.com/story/3']);
+    expect(article.pageCount).toBe(3);
+    expect(article.strategy).toBe('semantic-html');
+    expect(article.contentMarkdown.match(/# Long read/g)).toHaveLength(1);
+    expect(article.contentMarkdown.indexOf('## Part one')).toBeLessThan(article.contentMarkdown.indexOf('## Part two'));
+    expect(article.contentMarkdown.indexOf('## Part two')).toBeLessThan(article.contentMarkdown.indexOf('## Part three'));
+    expect(article.contentMarkdown).toContain('Cite[^p2-1]');
+    expect(article.contentMarkdown).toContain('[^p2-1]: Note');
+    expect(article.content).toContain('Third page.');
+  });
+
+  test('should drop the article title repeated at the top of later pages', async () => {
+    const titled = content => `<html><head><title>Long read</title></head><body><article>${content}</article></body></html>`;
+    const fetchMock = createFetch({
+      'https://example.com/story/2': titled(`<h1>Long Read</h1><h2>Part two</h2>${body('Second page.')}`)
+    });
+    const doc = parse(titled(`<h2>Part one</h2>${body('First page.')}<a rel="next" href="/story/2">Next</a>`));
+
+    const article = await new ArticleExtractor({ document: doc, url: 'https://example.com/story', fetch: fetchMock }).extractArticle();
+
+    expect(article.title).toBe('Long read');
+    expect(article.pageCount).toBe(2);
+    expect(article.contentMarkdown).not.toMatch(/^# Long read/im);
+    expect(article.contentMarkdown.indexOf('## Part one')).toBeLessThan(article.contentMarkdown.indexOf('## Part two'));
+  });
+
+  test('should keep repeated subheadings and only drop the title repeated on later pages', () => {
+    const extractor = new ArticleExtractor({ document: parse(''), url: 'https://example.com/story' });
+
+    const stitched = extractor.stitchPages([
+      { content: 'a b', markdown: '# Long read\n\n## Example\n\na\n\n## Example\n\nb', strategy: 'semantic-html' },
+      { content: 'c', markdown: '# Long  Read\n\n## Example\n\nc\n\n```\n# Long read\n```' }
+    ], 'Long read');
+
+    expect(stitched.markdown).toBe('# Long read\n\n## Example\n\na\n\n## Example\n\nb\n\n## Example\n\nc\n\n```\n# Long read\n```');
+    expect(stitched.pageCount).toBe(2);
+  });
+
+  test('should detect ?page=N links in page navigation', async () => {
+    const nav = current => ({
+      body: `<div class="pagination"><span>${current}/2</span><a href="?id=7&page=1">1</a><a href="?id=7&page=2">2</a><a href="?page=${current + 1}&id=7">次へ</a></div>`
+    });
+    const fetchMock = createFetch({
+      'https://example.com/read?id=7&page=2': page(body('Page two text.'), nav(2))
+    });
+    const doc = parse(page(body('Page one text.'), nav(1)));
+
+    const article = await new ArticleExtractor({ document: doc, url: 'https://example.com/read?id=7', fetch: fetchMock }).extractArticle();
+
+    expect(fetchMock.mock.calls.map(([url]) => url)).toEqual(['https://example.com/read?id=7&page=2', 'https://example.com/read?page=3&id=7']);
+    expect(article.pageCount).toBe(2);
+    expect(article.contentMarkdown).toContain('Page two text.');
+  });
+
+  test('should not follow links to other articles', async () => {
+    const fetchMock = createFetch({});
+    const doc = parse(page(body('Only page.'), {
+      head: '<link rel="next" href="/posts/124">',
+      body: '<a rel="next" href="https://other.example/story/2">Next</a><a href="/posts/12-tips">2</a>'
+    }));
+
+    const article = await new ArticleExtractor({ document: doc, url: 'https://example.com/posts/123', fetch: fetchMock }).extractArticle();
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(article.pageCount).toBe(1);
+  });
+
+  test('should stop when a page fails or pagination is disabled', async () => {
+    const doc = parse(page(body('First.'), { head: '<link rel="next" href="/a/page/2">' }));
+    const failing = createFetch({});
+
+    const article = await new ArticleExtractor({ document: doc, url: 'https://example.com/a', fetch: failing }).extractArticle();
+    expect(failing).toHaveBeenCalledWith('https://example.com/a/page/2', expect.any(Object));
+    expect(article.pageCount).toBe(1);
+    expect(article.contentMarkdown).toContain('First.');
+
+    const unused = createFetch({});
+    await new ArticleExtractor({ document: doc, url: 'https://example.com/a', fetch: unused }).extractArticle({ followPagination: false });
+    expect(unused).not.toHaveBeenCalled();
+  });
+
+  test('should recognise page numbers in URLs', () => {
+    const start = ArticleExtractor.parsePageLocation('https://example.com/news/article.html?b=1&a=2');
+
+    expect(ArticleExtractor.isPageOf('https://example.com/news/article_2.html?a=2&b=1', start, 2)).toBe(true);
+    expect(ArticleExtractor.isPageOf('https://example.com/news/article.html?a=2&b=1&page=3', start, 3)).toBe(true);
+    expect(ArticleExtractor.isPageOf('https://example.com/news/article.html?a=2&b=1&page=3', start, 2)).toBe(false);
+    expect(ArticleExtractor.isPageOf('https://example.com/news/other_2.html?a=2&b=1', start, 2)).toBe(false);
+    expect(ArticleExtractor.parsePageLocation('https://example.com/blog/page/4/').page).toBe(4);
+  });
+});
@@ -0,0 +1,152 @@
+// Tests for DiscussionCapture - Hacker News and Reddit posts with their top comments as a nested outline
+const { DiscussionCapture } = require('../../src/lib/discussion-capture.js');
+const { ArticleExtractor } = require('../../src/lib/article-extractor.js');
+
+describe('DiscussionCapture', () => {
+  const parse = html => new DOMParser().parseFromString(html, 'text/html');
+
+  describe('Hacker News', () => {
+    const itemUrl = 'https://news.ycombinator.com/item?id=100';
+    const comment = (id, indent, user, text) => `
+      <tr class="athing comtr" id="${id}"><td><table><tr>
+        <td class="ind" indent="${indent}"><img src="s.gif" height="1" width="${indent * 40}"></td>
+        <td class="default">
+          <span class="comhead"><a class="hnuser" href="user?id=${user}">${user}</a>
+            <span class="age" title="2024-03-01T1${indent}:00:00 ${1709287200 + indent * 3600}"><a href="item?id=${id}">1 hour ago</a></span></span>
+          <div class="comment">${text === null ? '<div class="commtext"></div>' : `<div class="commtext c00">${text}<div class="reply"><p><a href="reply?id=${id}">reply</a></p></div></div>`}</div>
+        </td></tr></table></td></tr>`;
+    const page = (titleHref, toptext = '') => parse(`<table>
+      <tr><td><table class="fatitem">
+        <tr class="athing submission" id="100"><td class="title"><span class="titleline"><a href="${titleHref}">Show HN: A faster linker</a> <span class="sitebit">(example.com)</span></span></td></tr>
+        <tr><td class="subtext"><span class="subline"><span class="score">321 points</span> by <a class="hnuser" href="user?id=alice">alice</a>
+          <span class="age" title="2024-03-01T09:00:00 1709283600"><a href="item?id=100">3 hours ago</a></span> | <a href="item?id=100">1,024&nbsp;comments</a></span></td></tr>
+        ${toptext ? `<tr><td><div class="toptext">${toptext}</div></td></tr>` : ''}
+      </table></td></tr>
+      <tr><td><table class="comment-tree">
+        ${comment(1, 0, 'bob', 'Great <i>work</i>.<p>How does it compare to mold?</p>')}
+        ${comment(2, 1, 'alice', 'Roughly 2x faster.')}
+        ${comment(3, 2, 'carol', 'Source?')}
+        ${comment(4, 1, 'dave', null)}
+        ${comment(5, 0, 'erin', 'Second thread')}
+        ${comment(6, 0, 'frank', 'Third thread')}
+      </table></td></tr>
+    </table>`);
+
+    test('should capture the post and rebuild the comment tree from the indented rows', () => {
+      const discussion = new DiscussionCapture({ commentLimit: 2 }).captureHackerNews(page('https://example.com/linker'), itemUrl);
+
+      expect(discussion).toMatchObject({
+        platform: 'hackernews',
+        title: 'Show HN: A faster linker',
+        linkedUrl: 'https://example.com/linker',
+        author: 'alice',
+        score: 321,
+        date: '2024-03-01T09:00:00.000Z',
+        commentCount: 1024
+      });
+      expect(discussion.comments.map(c => c.author)).toEqual(['bob', 'erin']);
+      expect(discussion.comments[0].replies.map(c => c.author)).toEqual(['alice', 'dave']);
+      expect(discussion.comments[0].replies[0].replies[0].author).toBe('carol');
+      expect(discussion.comments[0].url).toBe('https://news.ycombinator.com/item?id=1');
+      expect(discussion.comments[0].body.textContent).toBe('Great work.How does it compare to mold?');
+      expect(discussion.comments[0].replies[1].body.textContent).toBe('');
+    });
+
+    test('should treat Ask HN posts as having no linked article', () => {
+      const discussion = new DiscussionCapture().captureHackerNews(page('item?id=100', '<p>What do you use?</p>'), itemUrl);
+
+      expect(discussion.linkedUrl).toBe('');
+      expect(discussion.body.textContent).toBe('What do you use?');
+      expect(new DiscussionCapture().captureHackerNews(page('item?id=100'), 'https://news.ycombinator.com/news')).toBeNull();
+    });
+
+    test('should save the comments as a nested Markdown outline through the site adapter', async () => {
+      const article = await new ArticleExtractor({ document: page('https://example.com/linker'), url: itemUrl })
+        .extractArticle({ discussionCommentLimit: 1 });
+
+      expect(article.site).toBe('hackernews');
+      expect(article.title).toBe('Show HN: A faster linker');
+      expect(article.metadata).toMatchObject({ author: 'alice', category: 'discussion', score: 321, commentCount: 1024 });
+      expect(article.contentMarkdown).toContain('🔗 リンク先: [https://example.com/linker](https://example.com/linker)');
+      expect(article.discussion).toMatchObject({ platform: 'hackernews', linkedUrl: 'https://example.com/linker', commentCount: 1024, shownCount: 4 });
+
+      const lines = article.discussion.markdown.split('\n');
+      expect(lines[0]).toBe('- **bob** · [2024-03-01](https://news.ycombinator.com/item?id=1)');
+      expect(lines).toContain('  - **alice** · [2024-03-01](https://news.ycombinator.com/item?id=2)');
+      expect(lines).toContain('    - **carol** · [2024-03-01](https://news.ycombinator.com/item?id=3)');
+      expect(article.discussion.markdown).not.toContain('erin');
+      expect(article.discussion.text).toBe([
+        '- bob: Great work.How does it compare to mold?',
+        '  - alice: Roughly 2x faster.',
+        '    - carol: Source?',
+        '  - dave: [deleted]'
+      ].join('\n'));
+    });
+  });
+
+  describe('Reddit', () => {
+    const listing = children => ({ kind: 'Listing', data: { children } });
+    const t1 = (id, author, score, body, replies = []) => ({
+      kind: 't1',
+      data: {
+        id, author, score, created_utc: 1717200000, permalink: `/r/rust/comments/abc/t/${id}/`,
+        body_html: `<div class="md"><p>${body}</p></div>`, replies: replies.length ? listing(replies) : ''
+      }
+    });
+    const response = post => [
+      listing([{ kind: 't3', data: { title: 'Why is my build slow?', author: 'op', score: 88, num_comments: 42, created_utc: 1717196400, subreddit_name_prefixed: 'r/rust', permalink: '/r/rust/comments/abc/why/', ...post } }]),
+      listing([
+        { kind: 't1', data: { id: 'mod', author: 'AutoModerator', stickied: true, body_html: '<p>Rules</p>' } },
+        t1('c1', 'ann', 50, 'Use <code>sccache</code>', [t1('c2', 'op', 10, 'Thanks!'), { kind: 'more', data: { count: 5 } }]),
+        t1('c3', 'ben', 7, 'Check incremental builds')
+      ])
+    ];
+    const createFetch = data => jest.fn(async () => ({ ok: true, json: async () => data }));
+
+    test('should read the post and top comments from the JSON API', async () => {
+      const fetchMock = createFetch(response({ is_self: false, url: 'https://blog.example.com/builds' }));
+
+      const discussion = await new DiscussionCapture({ fetch: fetchMock })
+        .captureReddit(parse(''), 'https://old.reddit.com/r/rust/comments/abc/why/');
+
+      expect(fetchMock.mock.calls[0][0]).toBe('https://old.reddit.com/comments/abc.json?sort=top&limit=500&raw_json=1');
+      expect(discussion).toMatchObject({
+        platform: 'reddit',
+        community: 'r/rust',
+        url: 'https://www.reddit.com/r/rust/comments/abc/why/',
+        linkedUrl: 'https://blog.example.com/builds',
+        score: 88,
+        commentCount: 42
+      });
+      expect(discussion.comments.map(c => c.author)).toEqual(['ann', 'ben']);
+      expect(discussion.comments[0].replies.map(c => c.author)).toEqual(['op']);
+      expect(DiscussionCapture.toText(discussion.comments)).toBe([
+        '- ann (50 points): Use sccache',
+        '  - op (10 points): Thanks!',
+        '- ben (7 points): Check incremental builds'
+      ].join('\n'));
+    });
+
+    test('should keep self posts and image posts on the discussion itself', async () => {
+      const selfPost = response({ is_self: true, url: 'https://www.reddit.com/r/rust/comments/abc/why/', selftext_html: '<div class="md"><p>My build takes 10 minutes.</p></div>' });
+      const article = await new ArticleExtractor({
+        document: parse('<shreddit-app></shreddit-app>'),
+        url: 'https://www.reddit.com/r/rust/comments/abc/why/',
+        fetch: createFetch(selfPost)
+      }).extractArticle();
+
+      expect(article.site).toBe('reddit');
+      expect(article.metadata).toMatchObject({ author: 'op', community: 'r/rust', category: 'discussion' });
+      expect(article.contentMarkdown).toBe('My build takes 10 minutes.');
+      expect(article.discussion.linkedUrl).toBe('');
+      expect(article.discussion.markdown).toContain('- **ann** · 50 points · [2024-06-01](https://www.reddit.com/r/rust/comments/abc/t/c1/)');
+      expect(article.discussion.markdown).toContain('  - **op** · 10 points');
+      expect(article.discussion.markdown).not.toContain('Rules');
+
+      const image = await new DiscussionCapture({ fetch: createFetch(response({ is_self: false, post_hint: 'image', url: 'https://i.redd.it/x.png' })) })
+        .captureReddit(parse(''), 'https://redd.it/abc');
+      expect(image.linkedUrl).toBe('');
+      expect(image.media).toEqual([{ url: 'https://i.redd.it/x.png', alt: 'Why is my build slow?' }]);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+// Tests for ExtractionRules - user-defined CSS selector rules applied before the built-in extraction strategies
+const { ExtractionRules } = require('../../src/lib/extraction-rules.js');
+const { ArticleExtractor } = require('../../src/lib/article-extractor.js');
+
+describe('ExtractionRules', () => {
+  const parse = html => new DOMParser().parseFromString(html, 'text/html');
+
+  describe('normalizeRule / validateRule', () => {
+    test('should split removal selectors on lines and top-level commas', () => {
+      const rule = ExtractionRules.normalizeRule({
+        domain: ' example.com ',
+        removeSelectors: '.share, .related\n:is(.ad, .promo)\n\n[data-x="a,b"]'
+      });
+
+      expect(rule.domain).toBe('example.com');
+      expect(rule.enabled).toBe(true);
+      expect(rule.removeSelectors).toEqual(['.share', '.related', ':is(.ad, .promo)', '[data-x="a,b"]']);
+    });
+
+    test('should report missing domains, missing selectors and invalid input', () => {
+      expect(ExtractionRules.validateRule({ name: 'ok', domain: 'example.com', contentSelector: 'main' })).toEqual([]);
+      expect(ExtractionRules.validateRule({ name: 'R' })).toEqual([
+        'R: ドメインを指定してください',
+        'R: セレクタを1つ以上指定してください'
+      ]);
+      expect(ExtractionRules.validateRule({ name: 'R', domain: 'a.com', urlPattern: '(', titleSelector: 'h1[' }))
+        .toEqual([expect.stringContaining('URLの正規表現が不正です'), 'R: タイトルのセレクタ「h1[」が不正です']);
+    });
+  });
+
+  describe('match', () => {
+    test('should return the first enabled rule matching the domain and URL pattern', () => {
+      const rules = new ExtractionRules([
+        { name: 'disabled', enabled: false, domain: 'example.com', contentSelector: 'main' },
+        { name: 'posts', domain: 'example.com', urlPattern: '/posts/', contentSelector: '.post' },
+        { name: 'any', domain: '*.example.com', contentSelector: 'article' },
+        { name: 'empty', domain: 'other.com' }
+      ]);
+
+      expect(rules.match('https://www.example.com/posts/1').name).toBe('posts');
+      expect(rules.match('https://blog.example.com/about').name).toBe('any');
+      expect(rules.match('https://example.com/about')).toBeNull();
+      expect(rules.match('https://other.com/')).toBeNull();
+    });
+  });
+
+  describe('apply', () => {
+    test('should pick content, title, author and date with the configured selectors', () => {
+      const doc = parse(`
+        <h1 class="headline">  Custom   title </h1>
+        <span class="byline">Jane</span>
+        <time class="published" datetime="2024-05-06">May 6</time>
+        <div class="body"><p>First</p><div class="share">Share</div></div>
+        <div class="body"><p>Second</p></div>`);
+      const rule = ExtractionRules.normalizeRule({
+        domain: 'example.com',
+        contentSelector: '.body',
+        removeSelectors: '.share',
+        titleSelector: '.headline',
+        authorSelector: '.byline',
+        dateSelector: '.published'
+      });
+
+      const result = ExtractionRules.apply(rule, ExtractionRules.prepareDocument(rule, doc));
+
+      expect(result.title).toBe('Custom title');
+      expect(result.author).toBe('Jane');
+      expect(result.date).toBe('2024-05-06');
+      expect(result.element.textContent).toBe('FirstSecond');
+      expect(doc.querySelector('.share')).not.toBeNull();
+    });
+  });
+
+  describe('ArticleExtractor integration', () => {
+    const html = `
+      <html><head><title>Site</title></head><body>
+        <article><p>${'Generic article text. '.repeat(20)}</p><div class="share">Share this</div></article>
+        <div id="story"><h2>Story</h2><p>Selected body.</p></div>
+        <p class="writer">Taro</p>
+      </body></html>`;
+
+    test('should prefer the content selector of a matching rule', async () => {
+      const extractor = new ArticleExtractor({
+        document: parse(html),
+        url: 'https://news.example.com/a',
+        extractionRules: [{ name: 'news', domain: 'example.com', contentSelector: '#story', authorSelector: '.writer' }]
+      });
+
+      const article = await extractor.extractArticle();
+
+      expect(article.strategy).toBe('user-rule');
+      expect(article.extractionRule).toBe('news');
+      expect(article.contentMarkdown).toBe('## Story\n\nSelected body.');
+      expect(article.metadata.author).toBe('Taro');
+    });
+
+    test('should remove excluded elements before the generic strategies when no content selector is set', async () => {
+      const extractor = new ArticleExtractor({ document: parse(html), url: 'https://news.example.com/a' });
+
+      const article = await extractor.extractArticle({
+        extractionRules: [{ domain: 'example.com', removeSelectors: '.share' }]
+      });
+
+      expect(article.strategy).toBe('semantic-html');
+      expect(article.contentMarkdown).not.toContain('Share this');
+    });
+
+    test('should ignore rules for other domains', async () => {
+      const extractor = new ArticleExtractor({
+        document: parse(html),
+        url: 'https://example.org/a',
+        extractionRules: [{ domain: 'example.com', contentSelector: '#story' }]
+      });
+
+      const article = await extractor.extractArticle();
+
+      expect(article.strategy).toBe('semantic-html');
+      expect(article.extractionRule).toBeNull();
+    });
+  });
+});
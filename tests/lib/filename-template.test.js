@@ -0,0 +1,101 @@
+// Tests for FilenameTemplate - placeholder based note file names
+const {
+  FilenameTemplate,
+  DEFAULT_FILENAME_TEMPLATE,
+  FILENAME_TEMPLATE_PRESETS
+} = require('../../src/lib/filename-template.js');
+
+describe('FilenameTemplate', () => {
+  const now = new Date(2025, 0, 15, 9, 5, 3);
+  const article = {
+    title: 'ChatGPTの使い方: 入門ガイド',
+    url: 'https://www.example.com/articles/guide?utm_source=x',
+    author: 'Taro Yamada'
+  };
+
+  describe('render', () => {
+    test('should expand all supported placeholders', () => {
+      const name = FilenameTemplate.render(
+        '{{date:YYYY-MM-DD}} {{time}} {{domain}} {{author}} {{slug}} {{id}} {{title}}',
+        { title: 'Hello World', url: 'https://www.example.com/a', author: 'Jane Doe' },
+        { now }
+      );
+
+      expect(name).toBe('2025-01-15 09-05-03 example.com Jane_Doe hello-world 20250115090503 Hello_World');
+    });
+
+    test('should support custom date and time formats', () => {
+      expect(FilenameTemplate.render('{{date:YYYYMMDD}}-{{time:HHmm}}', article, { now })).toBe('20250115-0905');
+      expect(FilenameTemplate.render('{{date:YY.MM}}', article, { now })).toBe('25.01');
+    });
+
+    test('should strip characters that are invalid in file names or Obsidian links', () => {
+      const name = FilenameTemplate.render('{{title}}', { title: 'a/b\\c:d*e?f"g<h>i|j#k^l[m]' }, { now });
+
+      expect(name).toBe('abcdefghijklm');
+    });
+
+    test('should collapse separators left by empty placeholders', () => {
+      const name = FilenameTemplate.render('{{author}}_{{unknown}}_{{title}}', { title: 'Post' }, { now });
+
+      expect(name).toBe('Post');
+    });
+
+    test('should truncate to the maximum length', () => {
+      const name = FilenameTemplate.render('{{title}}', { title: 'あ'.repeat(30) }, { now, maxLength: 10 });
+
+      expect(Array.from(name)).toHaveLength(10);
+    });
+
+    test('should fall back to the id when the result is empty', () => {
+      expect(FilenameTemplate.render('{{slug}}', { title: '漢字のみ' }, { now })).toBe('nomi');
+      expect(FilenameTemplate.render('{{slug}}', { title: '漢字' }, { now })).toBe('20250115090503');
+    });
+
+    test('should transliterate title and author when enabled', () => {
+      const name = FilenameTemplate.render('{{title}}', { title: 'Café コーヒー' }, { now, transliterate: true });
+
+      expect(name).toBe('Cafe_koohii');
+    });
+  });
+
+  describe('transliterate', () => {
+    test('should romanize kana including small tsu and long vowels', () => {
+      expect(FilenameTemplate.transliterate('きょうはいっぱい')).toBe('kyouhaippai');
+      expect(FilenameTemplate.transliterate('チョコレート')).toBe('chokoreeto');
+    });
+
+    test('should drop characters that cannot be converted', () => {
+      expect(FilenameTemplate.transliterate('日本 Résumé')).toBe('Resume');
+    });
+  });
+
+  describe('generate', () => {
+    test('should use the default template with .md extension', () => {
+      expect(FilenameTemplate.generate(article, {}, now)).toBe('2025-01-15_09-05-03_ChatGPTの使い方_入門ガイド.md');
+    });
+
+    test('should use the configured template, max length and transliteration', () => {
+      const filename = FilenameTemplate.generate(article, {
+        fileNameTemplate: '{{domain}}_{{title}}',
+        fileNameMaxLength: 20,
+        fileNameTransliterate: true
+      }, now);
+
+      expect(filename).toBe('example.com_ChatGPTn.md');
+    });
+  });
+
+  describe('resolveTemplate', () => {
+    test('should prefer the explicit template', () => {
+      expect(FilenameTemplate.resolveTemplate({ fileNameTemplate: '{{title}}', fileNaming: 'title-date' })).toBe('{{title}}');
+    });
+
+    test('should map legacy fileNaming values to presets', () => {
+      expect(FilenameTemplate.resolveTemplate({ fileNaming: 'title-only' })).toBe(FILENAME_TEMPLATE_PRESETS['title-only']);
+      // 従来の既定値は実際には日付_時刻_タイトルで保存されていたため、既定テンプレートを使う
+      expect(FilenameTemplate.resolveTemplate({ fileNaming: 'date-title' })).toBe(DEFAULT_FILENAME_TEMPLATE);
+      expect(FilenameTemplate.resolveTemplate({})).toBe(DEFAULT_FILENAME_TEMPLATE);
+    });
+  });
+});
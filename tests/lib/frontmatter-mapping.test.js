@@ -0,0 +1,148 @@
+// Tests for FrontmatterMapping - renaming, hiding and formatting properties plus static extra properties
+const { FrontmatterMapping } = require('../../src/lib/frontmatter-mapping.js');
+const { MarkdownGenerator } = require('../../src/lib/markdown-generator.js');
+
+describe('FrontmatterMapping', () => {
+  const frontmatter = {
+    title: 'Article',
+    url: 'https://example.com/a',
+    created: '2025-01-15T10:05:00.000Z',
+    tags: ['ReadLater'],
+    type: 'article',
+    source: 'web',
+    cssclass: 'readlater-article'
+  };
+
+  describe('apply', () => {
+    test('should rename properties and let renamed ones win over defaults with the same name', () => {
+      const result = FrontmatterMapping.apply(frontmatter, {
+        frontmatterProperties: { url: { name: 'source' } }
+      });
+
+      expect(result.source).toBe('https://example.com/a');
+      expect(result).not.toHaveProperty('url');
+    });
+
+    test('should hide disabled properties', () => {
+      const result = FrontmatterMapping.apply(frontmatter, {
+        frontmatterProperties: { cssclass: { enabled: false }, tags: { enabled: true } }
+      });
+
+      expect(result).not.toHaveProperty('cssclass');
+      expect(result.tags).toEqual(['ReadLater']);
+    });
+
+    test('should format date properties', () => {
+      const created = new Date(2025, 0, 15, 10, 5);
+      const result = FrontmatterMapping.apply({ ...frontmatter, created: created.toISOString(), date: '2025-01-15' }, {
+        frontmatterProperties: { created: { format: 'YYYY-MM-DDTHH:mm' }, date: { format: 'YYYY/MM/DD' } }
+      });
+
+      expect(result.created).toBe('2025-01-15T10:05');
+      expect(result.date).toBe('2025/01/15');
+    });
+
+    test('should add static properties and let routing rule properties override them', () => {
+      const result = FrontmatterMapping.apply(frontmatter, {
+        frontmatterExtraProperties: 'status: unread\ntype: literature-note\nrating: 3',
+        extraProperties: { status: 'to-read', project: ['research'] }
+      });
+
+      expect(result.type).toBe('literature-note');
+      expect(result.rating).toBe(3);
+      expect(result.status).toBe('to-read');
+      expect(result.project).toEqual(['research']);
+    });
+
+    test('should keep the generated properties when there are no settings', () => {
+      expect(FrontmatterMapping.apply(frontmatter, {})).toEqual(frontmatter);
+    });
+  });
+
+  describe('parseProperties', () => {
+    test('should parse typed values from text', () => {
+      expect(FrontmatterMapping.parseProperties([
+        'status: unread',
+        '# comment',
+        '',
+        'read: false',
+        'score: 1.5',
+        'topics: [ai, "a, b", 2]',
+        'label: "true"',
+        'url: https://example.com/a'
+      ].join('\n'))).toEqual({
+        status: 'unread',
+        read: false,
+        score: 1.5,
+        topics: ['ai', 'a, b', 2],
+        label: 'true',
+        url: 'https://example.com/a'
+      });
+    });
+
+    test('should format properties back to text that parses to the same values', () => {
+      const properties = { status: 'unread', read: false, label: 'true', topics: ['ai', 'a, b'], note: '"quoted"' };
+      const text = FrontmatterMapping.formatProperties(properties);
+
+      expect(text).toContain('status: unread\nread: false\nlabel: "true"');
+      expect(FrontmatterMapping.parseProperties(text)).toEqual(properties);
+    });
+  });
+
+  describe('validation', () => {
+    test('should report invalid property lines', () => {
+      const errors = FrontmatterMapping.validateProperties('status: unread\nno separator\n: empty\n- item: x');
+
+      expect(errors).toHaveLength(3);
+      expect(errors[0]).toContain('2行目');
+    });
+
+    test('should report duplicate renamed properties', () => {
+      expect(FrontmatterMapping.validateMapping({ url: { name: 'link' }, domain: { name: 'link' } })[0]).toContain('重複');
+      expect(FrontmatterMapping.validateMapping({ url: { name: 'source' } })).toEqual([]);
+    });
+
+    test('should keep only known properties that differ from the defaults', () => {
+      expect(FrontmatterMapping.normalizeMapping({
+        url: { name: ' source ', enabled: true },
+        title: { name: 'title' },
+        unknown: { name: 'x' },
+        tags: { format: 'YYYY' }
+      })).toEqual({ url: { name: 'source' } });
+    });
+  });
+
+  describe('MarkdownGenerator integration', () => {
+    test('should write mapped properties into the generated frontmatter', () => {
+      const yaml = new MarkdownGenerator().generateFrontmatter({
+        title: 'Article',
+        url: 'https://example.com/a',
+        domain: 'example.com'
+      }, {
+        frontmatterProperties: { url: { name: 'source' }, cssclass: { enabled: false } },
+        frontmatterExtraProperties: { status: 'unread', type: 'literature-note' }
+      });
+
+      expect(yaml).toContain('source: "https://example.com/a"\n');
+      expect(yaml).toContain('type: "literature-note"\n');
+      expect(yaml).toContain('status: "unread"\n');
+      expect(yaml).not.toContain('url:');
+      expect(yaml).not.toContain('cssclass');
+    });
+
+    test('should keep user-edited static properties and a renamed created date when merging', () => {
+      const settings = {
+        frontmatterProperties: { created: { name: 'dateCreated' } },
+        frontmatterExtraProperties: { status: 'unread' }
+      };
+      const existing = '---\ntitle: "A"\ndateCreated: 2025-01-01T00:00:00.000Z\nstatus: "done"\n---\n\n# A\n';
+      const generated = '---\ntitle: "A"\ndateCreated: 2025-02-01T00:00:00.000Z\nstatus: "unread"\n---\n\n# A\n';
+      const merged = new MarkdownGenerator().mergeWithExisting(existing, generated, new Date('2025-02-01T09:00:00.000Z'),
+        FrontmatterMapping.mergeOptions(settings));
+
+      expect(merged).toContain('dateCreated: 2025-01-01T00:00:00.000Z\nmodified: 2025-02-01T09:00:00.000Z\n');
+      expect(merged).toContain('status: "done"');
+      expect(merged).not.toContain('unread');
+    });
+  });
+});
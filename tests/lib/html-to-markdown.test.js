@@ -0,0 +1,214 @@
+// Tests for HTMLToMarkdownConverter - converting article body HTML into GFM
+const { HTMLToMarkdownConverter } = require('../../src/lib/html-to-markdown.js');
+const { ArticleExtractor } = require('../../src/lib/article-extractor.js');
+const { MarkdownGenerator } = require('../../src/lib/markdown-generator.js');
+
+describe('HTMLToMarkdownConverter', () => {
+  let converter;
+
+  beforeEach(() => {
+    converter = new HTMLToMarkdownConverter();
+  });
+
+  test('should keep the heading hierarchy and inline formatting', async () => {
+    const markdown = await converter.convert(
+      '<h1>Title</h1><p>Some <strong>bold</strong>, <em>italic</em>, <del>old</del>, x<sup>2</sup> and H<sub>2</sub>O.</p><h3>Deep</h3>'
+    );
+
+    expect(markdown).toBe('# Title\n\nSome **bold**, *italic*, ~~old~~, x<sup>2</sup> and H<sub>2</sub>O.\n\n### Deep');
+  });
+
+  test('should convert tables to GFM with alignment and escaped pipes', async () => {
+    const markdown = await converter.convert(`
+      <table>
+        <thead><tr><th>Name</th><th align="right">Value</th></tr></thead>
+        <tbody>
+          <tr><td>a | b</td><td>1<br>2</td></tr>
+          <tr><td colspan="2">wide</td></tr>
+          <tr><td>short</td></tr>
+        </tbody>
+      </table>`);
+
+    expect(markdown).toBe([
+      '| Name | Value |',
+      '| --- | ---: |',
+      '| a \\| b | 1<br>2 |',
+      '| wide |  |',
+      '| short |  |'
+    ].join('\n'));
+  });
+
+  test('should convert nested, ordered and task lists', async () => {
+    const markdown = await converter.convert(`
+      <ul>
+        <li>one
+          <ol start="3"><li>three</li><li>four <ul><li>deep</li></ul></li></ol>
+        </li>
+        <li><input type="checkbox" checked> done</li>
+      </ul>`);
+
+    expect(markdown).toBe('- one\n  3. three\n  4. four\n     - deep\n- [x] done');
+  });
+
+  test('should keep fenced code blocks with their language', async () => {
+    const markdown = await converter.convert(
+      '<p>Run:</p><pre><code class="hljs language-js">const a = 1;\n\n\nif (a) {\n    log(`x`);\n}\n</code></pre><p>Use <code>npm i</code>.</p>'
+    );
+
+    expect(markdown).toBe('Run:\n\n```js\nconst a = 1;\n\n\nif (a) {\n    log(`x`);\n}\n```\n\nUse `npm i`.');
+  });
+
+  test('should indent code blocks inside list items and quote them inside blockquotes', async () => {
+    const markdown = await converter.convert(
+      '<ol><li>Step<pre><code>a\nb</code></pre></li></ol><blockquote><p>Note</p><pre>x\ny</pre></blockquote>'
+    );
+
+    expect(markdown).toBe('1. Step\n   ```\n   a\n   b\n   ```\n\n> Note\n>\n> ```\n> x\n> y\n> ```');
+  });
+
+  test('should convert definition lists, figures and horizontal rules', async () => {
+    const markdown = await converter.convert(
+      '<dl><dt>API</dt><dd>Application interface</dd></dl><hr><figure><img src="a.png" alt="Chart"><figcaption>Figure 1</figcaption></figure>'
+    );
+
+    expect(markdown).toBe('**API**\n: Application interface\n\n---\n\n![Chart](a.png)\n*Figure 1*');
+  });
+
+  test('should resolve relative links and lazy images against the page URL', async () => {
+    const markdown = await converter.convert(
+      '<p><a href="/docs/a b">Docs</a> <a href="#top">Top</a> <img data-src="img/c.png" alt="C"></p>',
+      { baseUrl: 'https://example.com/blog/post' }
+    );
+
+    expect(markdown).toBe('[Docs](https://example.com/docs/a%20b) Top ![C](https://example.com/blog/img/c.png)');
+  });
+
+  test('should drop scripts, styles and hidden elements', async () => {
+    const markdown = await converter.convert(
+      '<p>Text</p><script>alert(1)</script><style>p{}</style><div hidden>hidden</div><p aria-hidden="true">icon</p>'
+    );
+
+    expect(markdown).toBe('Text');
+  });
+
+  describe('footnotes', () => {
+    test('should convert footnote references and collect definitions at the end', async () => {
+      const markdown = await converter.convert(`
+        <p>Claim<sup id="fnref:1"><a href="#fn:1" class="footnote-ref">1</a></sup> and another<sup><a href="#fn:2">2</a></sup>, again<sup><a href="#fn:1">1</a></sup>.</p>
+        <p>See <a href="#intro">the intro</a>.</p>
+        <div class="footnotes" role="doc-endnotes">
+          <hr>
+          <ol>
+            <li id="fn:1"><p>First note with <a href="/src">a source</a>.</p><p>Second paragraph.</p><a href="#fnref:1" class="footnote-backref">↩</a></li>
+            <li id="fn:2"><p>Second note. <a href="#fnref:2" class="footnote-backref">↩</a></p></li>
+            <li id="fn:3"><p>Unreferenced note.</p></li>
+          </ol>
+        </div>`, { baseUrl: 'https://example.com/post' });
+
+      expect(markdown).toBe([
+        'Claim[^1] and another[^2], again[^1].',
+        '',
+        'See the intro.',
+        '',
+        '[^1]: First note with [a source](https://example.com/src).',
+        '',
+        '    Second paragraph.',
+        '[^2]: Second note.',
+        '[^3]: Unreferenced note.'
+      ].join('\n'));
+    });
+
+    test('should convert Wikipedia-style references', async () => {
+      const markdown = await converter.convert(`
+        <p>Fact.<sup id="cite_ref-a_1-0" class="reference"><a href="#cite_note-a-1">[1]</a></sup><sup class="reference"><a href="#cite_note-2">[2]</a></sup></p>
+        <h2>References</h2>
+        <div class="reflist"><ol class="references">
+          <li id="cite_note-a-1"><span class="mw-cite-backlink"><b><a href="#cite_ref-a_1-0">^</a></b></span> <span class="reference-text">Book, p. 3.</span></li>
+          <li id="cite_note-2"><span class="mw-cite-backlink"><a href="#cite_ref-2">^</a></span> <span class="reference-text">Paper.</span></li>
+        </ol></div>`);
+
+      expect(markdown).toBe('Fact.[^1][^2]\n\n## References\n\n[^1]: Book, p. 3.\n[^2]: Paper.');
+    });
+
+    test('should leave superscripts and in-page links that are not footnotes unchanged', async () => {
+      const markdown = await converter.convert('<p>E = mc<sup>2</sup>, <a href="#missing"><sup>1</sup></a></p><ol><li id="step">Step</li></ol>');
+
+      expect(markdown).toBe('E = mc<sup>2</sup>, <sup>1</sup>\n\n1. Step');
+    });
+  });
+
+  describe('math', () => {
+    test('should convert MathJax TeX scripts and drop the rendered output', async () => {
+      const markdown = await converter.convert(`
+        <p>Energy <span class="MathJax_Preview">E=mc2</span><span class="MathJax" data-mathml="..."><span>E=mc2</span></span><script type="math/tex">E=mc^2</script> costs $5.</p>
+        <div class="MathJax_Display"><span>garbled</span></div><script type="math/tex; mode=display">\\int_0^1 x\\,dx\n= \\frac{1}{2}</script>`);
+
+      expect(markdown).toBe('Energy $E=mc^2$ costs \\$5.\n\n$$\n\\int_0^1 x\\,dx\n= \\frac{1}{2}\n$$');
+    });
+
+    test('should use the TeX annotation of KaTeX output', async () => {
+      const katex = (tex, mathDisplay) => `<span class="katex"><span class="katex-mathml"><math${mathDisplay}><semantics><mrow><mi>x</mi></mrow>` +
+        `<annotation encoding="application/x-tex">${tex}</annotation></semantics></math></span><span class="katex-html" aria-hidden="true">x2</span></span>`;
+      const markdown = await converter.convert(
+        `<p>Inline ${katex('x^2', '')} here.</p><span class="katex-display">${katex('\\sum_i a_i', ' display="block"')}</span>`
+      );
+
+      expect(markdown).toBe('Inline $x^2$ here.\n\n$$\n\\sum_i a_i\n$$');
+    });
+
+    test('should convert MathML without TeX annotations', async () => {
+      const markdown = await converter.convert(
+        '<p><math><msup><mi>α</mi><mn>2</mn></msup><mo>+</mo><mfrac><mn>1</mn><msqrt><mi>n</mi></msqrt></mfrac></math></p>' +
+        '<mjx-container class="MathJax" display="true"><mjx-math aria-hidden="true">garbled</mjx-math>' +
+        '<mjx-assistive-mml><math display="block"><msub><mi>x</mi><mi>i</mi></msub><mo>≤</mo><mover><mi>x</mi><mo>¯</mo></mover></math></mjx-assistive-mml></mjx-container>'
+      );
+
+      expect(markdown).toBe('${\\alpha}^{2} + \\frac{1}{\\sqrt{n}}$\n\n$$\n{x}_{i} \\le \\overline{x}\n$$');
+    });
+
+    test('should keep TeX scripts in the extracted article body', async () => {
+      const doc = new DOMParser().parseFromString(`
+        <html><body><article>
+          <p>${'Paper text. '.repeat(20)}</p>
+          <p>We minimise <script type="math/tex">L(\\theta)</script> with gradient descent.</p>
+          <script>track()</script>
+        </article></body></html>`, 'text/html');
+
+      const article = await new ArticleExtractor({ document: doc, url: 'https://example.com/paper' }).extractArticle();
+
+      expect(article.contentMarkdown).toContain('We minimise $L(\\theta)$ with gradient descent.');
+      expect(article.contentMarkdown).not.toContain('track');
+      expect(article.content).not.toContain('L(');
+    });
+  });
+
+  describe('ArticleExtractor integration', () => {
+    test('should hand the structured article body to the converter', async () => {
+      const doc = new DOMParser().parseFromString(`
+        <html><head><title>Post</title></head><body>
+          <nav>menu</nav>
+          <article>
+            <h2>Section</h2>
+            <p>${'Long paragraph text. '.repeat(15)}<a href="/more">more</a></p>
+            <table><tr><th>A</th><th>B</th></tr><tr><td>1</td><td>2</td></tr></table>
+            <div class="social-share">Share</div>
+          </article>
+        </body></html>`, 'text/html');
+
+      const article = await new ArticleExtractor({ document: doc, url: 'https://example.com/posts/1' }).extractArticle();
+
+      expect(article.strategy).toBe('semantic-html');
+      expect(article.contentMarkdown).toContain('## Section');
+      expect(article.contentMarkdown).toContain('[more](https://example.com/more)');
+      expect(article.contentMarkdown).toContain('| A | B |\n| --- | --- |\n| 1 | 2 |');
+      expect(article.contentMarkdown).not.toContain('Share');
+    });
+
+    test('should prefer the converted Markdown when generating notes', async () => {
+      const generator = new MarkdownGenerator();
+
+      await expect(generator.convertContentToMarkdown({ content: 'plain text', contentMarkdown: '## Body\n' }))
+        .resolves.toBe('## Body');
+    });
+  });
+});
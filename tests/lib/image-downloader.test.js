@@ -0,0 +1,143 @@
+// Tests for ImageDownloader - saving note images into the vault and rewriting references
+const { ImageDownloader } = require('../../src/lib/image-downloader.js');
+
+describe('ImageDownloader', () => {
+  const bytes = text => new Uint8Array(Buffer.from(text));
+
+  const createResponse = (body, contentType = 'image/png', status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: {
+      get: name => ({ 'content-type': contentType, 'content-length': String(body.length) })[name.toLowerCase()] || null
+    },
+    arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength)
+  });
+
+  let files;
+  let responses;
+  let downloader;
+
+  beforeEach(() => {
+    files = {};
+    responses = {
+      'https://example.com/a.png': createResponse(bytes('image-a')),
+      'https://cdn.example.com/copy-of-a.png': createResponse(bytes('image-a')),
+      'https://example.com/img/b': createResponse(bytes('image-b'), 'image/jpeg'),
+      'https://example.com/page.html': createResponse(bytes('<html>'), 'text/html'),
+      'https://example.com/missing.png': createResponse(bytes(''), 'image/png', 404),
+      'https://example.com/huge.png': createResponse(new Uint8Array(2048))
+    };
+
+    downloader = new ImageDownloader({
+      fetch: jest.fn(async url => responses[url]),
+      writeFile: jest.fn(async (filePath, data) => {
+        files[filePath] = Buffer.from(data, 'base64').toString();
+        return { filePath, bytes: files[filePath].length };
+      }),
+      digest: async data => Buffer.from(data).toString('hex').padEnd(32, '0'),
+      maxBytes: 1024
+    });
+  });
+
+  test('should save images and rewrite Markdown references relative to the note', async () => {
+    const markdown = '![A](https://example.com/a.png)\n\ntext\n\n![B](/img/b "title")';
+    const result = await downloader.localize(markdown, {
+      noteFolder: '/Users/me/Vault/ReadLater',
+      imageFolder: 'attachments',
+      baseUrl: 'https://example.com/post'
+    });
+
+    const nameA = `${Buffer.from('image-a').toString('hex').padEnd(32, '0').slice(0, 16)}.png`;
+    const nameB = `${Buffer.from('image-b').toString('hex').padEnd(32, '0').slice(0, 16)}.jpg`;
+    expect(files[`/Users/me/Vault/ReadLater/attachments/${nameA}`]).toBe('image-a');
+    expect(files[`/Users/me/Vault/ReadLater/attachments/${nameB}`]).toBe('image-b');
+    expect(result.markdown).toBe(`![A](attachments/${nameA})\n\ntext\n\n![B](attachments/${nameB})`);
+    expect(result.images).toHaveLength(2);
+    expect(result.errors).toEqual([]);
+  });
+
+  test('should dedupe images with the same content', async () => {
+    const markdown = '![](https://example.com/a.png) ![](https://cdn.example.com/copy-of-a.png) ![](https://example.com/a.png)';
+    const result = await downloader.localize(markdown, { noteFolder: '/vault', linkStyle: 'wikilink' });
+
+    expect(downloader.writeFile).toHaveBeenCalledTimes(1);
+    expect(downloader.fetch).toHaveBeenCalledTimes(2);
+    const [image] = result.images;
+    expect(result.markdown).toBe(`![[${image.fileName}]] ![[${image.fileName}]] ![[${image.fileName}]]`);
+  });
+
+  test('should keep remote links for failed, non-image and oversized responses', async () => {
+    const markdown = [
+      '![](https://example.com/page.html)',
+      '![](https://example.com/missing.png)',
+      '![](https://example.com/huge.png)',
+      '![](data:image/png;base64,AAAA)'
+    ].join('\n');
+    const result = await downloader.localize(markdown, { noteFolder: '/vault' });
+
+    expect(result.markdown).toBe(markdown);
+    expect(result.errors.map(error => error.url)).toEqual([
+      'https://example.com/page.html',
+      'https://example.com/missing.png',
+      'https://example.com/huge.png'
+    ]);
+    expect(downloader.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('should link to an absolute attachments folder with a relative path', async () => {
+    const result = await downloader.localize('![](https://example.com/a.png)', {
+      noteFolder: '/vault/ReadLater/Dev',
+      imageFolder: '/vault/Attachments/Web Clips'
+    });
+
+    expect(Object.keys(files)[0]).toMatch(/^\/vault\/Attachments\/Web Clips\/[0-9a-f]{16}\.png$/);
+    expect(result.markdown).toMatch(/^!\[\]\(<\.\.\/\.\.\/Attachments\/Web Clips\/[0-9a-f]{16}\.png>\)$/);
+  });
+
+  test('should limit the number of downloaded images', async () => {
+    downloader.maxCount = 1;
+    await downloader.localize('![](https://example.com/a.png) ![](https://example.com/img/b)', { noteFolder: '/vault' });
+
+    expect(downloader.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should save a single file such as the original PDF with a hashed name', async () => {
+    responses['https://example.com/papers/My Paper.pdf'] = createResponse(bytes('%PDF-1.7'), 'application/pdf');
+    const hash = Buffer.from('%PDF-1.7').toString('hex').slice(0, 8);
+
+    const file = await downloader.saveFile('https://example.com/papers/My Paper.pdf', {
+      noteFolder: '/vault/notes', imageFolder: '/vault/attachments', fileName: 'My Paper.pdf', accept: 'application/pdf'
+    });
+
+    expect(files[`/vault/attachments/My Paper-${hash}.pdf`]).toBe('%PDF-1.7');
+    expect(downloader.fetch).toHaveBeenLastCalledWith('https://example.com/papers/My Paper.pdf', expect.objectContaining({ credentials: 'omit' }));
+    expect(file.embed).toBe(`![](<../attachments/My Paper-${hash}.pdf>)`);
+    await expect(downloader.saveFile('https://example.com/page.html', { noteFolder: '/vault', accept: 'application/pdf' }))
+      .rejects.toThrow('対応していない形式です');
+  });
+
+  test('should send cookies for a file when asked to', async () => {
+    responses['https://example.com/private.pdf'] = createResponse(bytes('%PDF-1.7'), 'application/pdf');
+
+    await downloader.saveFile('https://example.com/private.pdf', { noteFolder: '/vault', accept: 'application/pdf', credentials: 'include' });
+
+    expect(downloader.fetch).toHaveBeenCalledWith('https://example.com/private.pdf', expect.objectContaining({ credentials: 'include' }));
+  });
+
+  describe('helpers', () => {
+    test('should pick extensions from the content type or URL', () => {
+      expect(ImageDownloader.getExtension('image/svg+xml', 'https://a.com/x')).toBe('svg');
+      expect(ImageDownloader.getExtension('', 'https://a.com/photo.JPEG?w=100')).toBe('jpg');
+      expect(ImageDownloader.getExtension('', 'https://a.com/photo')).toBe('img');
+    });
+
+    test('should compute relative paths', () => {
+      expect(ImageDownloader.relativePath('/vault/notes', '/vault/attachments/a.png')).toBe('../attachments/a.png');
+      expect(ImageDownloader.relativePath('/vault', '/vault/attachments/a.png')).toBe('attachments/a.png');
+    });
+
+    test('should encode binary data as base64', () => {
+      expect(ImageDownloader.toBase64(new Uint8Array([0, 255, 128]))).toBe('AP+A');
+    });
+  });
+});
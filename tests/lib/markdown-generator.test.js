@@ -0,0 +1,249 @@
+// Tests for MarkdownGenerator - note templates and merging a re-generated note into an existing one
+const { MarkdownGenerator } = require('../../src/lib/markdown-generator.js');
+
+describe('MarkdownGenerator', () => {
+  let generator;
+
+  beforeEach(() => {
+    generator = new MarkdownGenerator();
+  });
+
+  describe('generateMarkdown with note templates', () => {
+    const articleData = {
+      title: 'Article',
+      url: 'https://example.com/a',
+      domain: 'example.com',
+      content: 'Body text.',
+      summary: 'Summary text.',
+      keywords: ['AI'],
+      strategy: 'semantic',
+      metadata: { author: 'Jane', images: ['https://example.com/a.png'] }
+    };
+
+    test('should keep the standard layout by default', async () => {
+      const { content } = await generator.generateMarkdown(articleData, {});
+
+      expect(content).toMatch(/^---\ntitle: "Article"/);
+      expect(content).toContain('# Article\n\n**📍 元記事**: [Article](https://example.com/a)');
+      expect(content).toContain('## 📄 AI要約\n\nSummary text.');
+      expect(content).toContain('## 📄 記事内容\n\nBody text.');
+      expect(content).toContain('*📱 Generated by ReadLater for Obsidian*');
+    });
+
+    test('should render a built-in preset', async () => {
+      const { content } = await generator.generateMarkdown(articleData, { noteTemplatePreset: 'english', extraTags: ['dev'] });
+
+      expect(content).toContain('tags:\n  - "ReadLater"\n  - "article"\n  - "dev"\n  - "AI"\n---');
+      expect(content).toContain('- **Author**: Jane');
+      expect(content).toContain('## Summary\n\nSummary text.');
+      expect(content).toContain('![](https://example.com/a.png)');
+      expect(content).not.toContain('Generated by ReadLater');
+    });
+
+    test('should render a custom template', async () => {
+      const { content } = await generator.generateMarkdown(articleData, {
+        noteTemplatePreset: 'custom',
+        noteTemplate: '# {{title}}\n{{#each keywords}}#{{this}} {{/each}}\n\n{{content}}'
+      });
+
+      expect(content).toBe('# Article\n#AI \n\nBody text.');
+    });
+
+    test('should add the discussion after the article content', async () => {
+      const { content } = await generator.generateMarkdown({
+        ...articleData,
+        discussion: { platform: 'hackernews', url: 'https://news.ycombinator.com/item?id=1', commentCount: 120, shownCount: 20, markdown: '- **bob** · [2024-03-01](https://news.ycombinator.com/item?id=2)\n  Nice.' },
+        discussionSummary: '#### 主な意見\n- Faster builds'
+      }, {});
+
+      expect(content).toContain('Body text.\n\n## 💬 ディスカッション\n\n**🗨️ Hacker News**: [元の投稿](https://news.ycombinator.com/item?id=1) (120件中 上位20件のコメント)');
+      expect(content).toContain('### 議論の要約\n\n#### 主な意見\n- Faster builds\n\n### コメント\n\n- **bob**');
+      expect(content.indexOf('### コメント')).toBeLessThan(content.indexOf('Generated by ReadLater'));
+
+      const { content: plain } = await generator.generateMarkdown(articleData, {});
+      expect(plain).not.toContain('ディスカッション');
+    });
+  });
+
+  describe('mergeWithExisting', () => {
+    const now = new Date('2025-02-01T09:00:00.000Z');
+
+    const existingNote = `---
+title: "Old Title"
+url: "https://example.com/a"
+created: "2025-01-15T10:00:00.000Z"
+modified: "2025-01-15T10:00:00.000Z"
+tags:
+  - "readlater"
+  - "my-tag"
+rating: 5
+status: reading
+wordCount: 100
+---
+
+# Old Title
+
+**📍 元記事**: [Old Title](https://example.com/a)
+
+## 📄 記事概要
+
+Short excerpt...
+
+## 私のメモ
+
+Important thoughts.
+
+## 📄 記事内容
+
+Old paragraph.
+
+## 関連ノート
+
+- [[Other note]]
+
+---
+
+*📱 Generated by ReadLater for Obsidian*
+*🕒 2025/1/15 10:00:00*`;
+
+    const generatedNote = `---
+title: "New Title"
+url: "https://example.com/a"
+created: "2025-02-01T09:00:00.000Z"
+tags:
+  - "readlater"
+  - "ai"
+aiSummary: true
+---
+
+# New Title
+
+**📍 元記事**: [New Title](https://example.com/a)
+
+## 📄 AI要約
+
+Fresh summary.
+
+## 📄 記事内容
+
+New paragraph.
+
+---
+
+*📱 Generated by ReadLater for Obsidian*
+*🕒 2025/2/1 18:00:00*`;
+
+    test('should refresh generated content while keeping user sections in place', () => {
+      const merged = generator.mergeWithExisting(existingNote, generatedNote, now);
+      const body = merged.split('\n---\n').slice(1).join('\n---\n');
+
+      expect(body).toContain('# New Title');
+      expect(body).not.toContain('# Old Title');
+      expect(body).toContain('Fresh summary.');
+      expect(body).not.toContain('Short excerpt...');
+      expect(body).toContain('New paragraph.');
+      expect(body).not.toContain('Old paragraph.');
+
+      const summaryIndex = body.indexOf('## 📄 AI要約');
+      const memoIndex = body.indexOf('## 私のメモ');
+      const contentIndex = body.indexOf('## 📄 記事内容');
+      const relatedIndex = body.indexOf('## 関連ノート');
+      expect(summaryIndex).toBeLessThan(memoIndex);
+      expect(memoIndex).toBeLessThan(contentIndex);
+      expect(contentIndex).toBeLessThan(relatedIndex);
+
+      expect(merged).toContain('*🕒 2025/2/1 18:00:00*');
+      expect(merged).not.toContain('*🕒 2025/1/15 10:00:00*');
+      expect(merged.match(/Generated by ReadLater/g)).toHaveLength(1);
+    });
+
+    test('should keep text the user wrote between the article info and the first section', () => {
+      const existing = existingNote.replace(
+        '**📍 元記事**: [Old Title](https://example.com/a)\n',
+        '**📍 元記事**: [Old Title](https://example.com/a)\n**✍️ 著者**: Jane\n\nMY IMPORTANT NOTE under title\n'
+      );
+      const merged = generator.mergeWithExisting(existing, generatedNote, now);
+      const body = merged.split('\n---\n').slice(1).join('\n---\n');
+
+      expect(body).toContain('**📍 元記事**: [New Title](https://example.com/a)\n\nMY IMPORTANT NOTE under title\n\n## 📄 AI要約');
+      expect(body).not.toContain('[Old Title]');
+      expect(body).not.toContain('**✍️ 著者**');
+      expect(body.match(/^# /gm)).toHaveLength(1);
+    });
+
+    test('should keep created, refresh modified and preserve user frontmatter keys', () => {
+      const merged = generator.mergeWithExisting(existingNote, generatedNote, now);
+      const frontmatter = merged.match(/^---\n([\s\S]*?)\n---\n/)[1];
+
+      expect(frontmatter).toContain('title: "New Title"');
+      expect(frontmatter).toContain('created: "2025-01-15T10:00:00.000Z"');
+      expect(frontmatter).toContain('modified: 2025-02-01T09:00:00.000Z');
+      expect(frontmatter.match(/^modified:/gm)).toHaveLength(1);
+      expect(frontmatter).toContain('rating: 5');
+      expect(frontmatter).toContain('status: reading');
+      expect(frontmatter).toContain('aiSummary: true');
+      // 生成側が出力しなくなった管理キーは削除される
+      expect(frontmatter).not.toContain('wordCount');
+    });
+
+    test('should keep user keys that are Japanese, contain spaces or are quoted', () => {
+      const existing = existingNote.replace(
+        'url: "https://example.com/a"\n',
+        'url: "https://example.com/a"\nステータス: 読了\nmy note: keep this\n"rating: 2024": 4\n\'it\'\'s\': yes\n'
+      );
+      const merged = generator.mergeWithExisting(existing, generatedNote, now);
+      const frontmatter = merged.match(/^---\n([\s\S]*?)\n---\n/)[1];
+
+      expect(frontmatter).toContain('ステータス: 読了');
+      expect(frontmatter).toContain('my note: keep this');
+      expect(frontmatter).toContain('"rating: 2024": 4');
+      expect(frontmatter).toContain("'it''s': yes");
+      expect(frontmatter).toContain('rating: 5');
+    });
+
+    test('should keep a renamed created key written with or without quotes', () => {
+      const existing = '---\ntitle: "A"\n作成日: "2025-01-15T10:00:00.000Z"\n---\n\n# A\n';
+      const generated = '---\ntitle: "A"\n"作成日": "2025-02-01T09:00:00.000Z"\n---\n\n# A\n';
+      const merged = generator.mergeWithExisting(existing, generated, now, { createdKey: '作成日' });
+
+      expect(merged).toContain('作成日: "2025-01-15T10:00:00.000Z"\nmodified:');
+      expect(merged).not.toContain('2025-02-01T09:00:00.000Z"');
+      expect(merged.match(/作成日/g)).toHaveLength(1);
+    });
+
+    test('should merge tags from both notes without duplicates', () => {
+      const merged = generator.mergeWithExisting(existingNote, generatedNote, now);
+
+      expect(merged).toContain('tags:\n  - "readlater"\n  - "ai"\n  - "my-tag"\n');
+    });
+
+    test('should accept inline list syntax in the existing note', () => {
+      const existing = '---\ntitle: "A"\ntags: [readlater, "manual"]\n---\n\n# A\n';
+      const merged = generator.mergeWithExisting(existing, generatedNote, now);
+
+      expect(merged).toContain('  - "manual"');
+    });
+
+    test('should place user sections after content when the existing note has no content section', () => {
+      const existing = '---\ntitle: "A"\n---\n\n# A\n\n## メモ\n\nNote.\n';
+      const merged = generator.mergeWithExisting(existing, generatedNote, now);
+
+      expect(merged.indexOf('## 📄 記事内容')).toBeLessThan(merged.indexOf('## メモ'));
+    });
+
+    test('should replace sections produced by a custom template instead of duplicating them', () => {
+      const existing = '---\ntitle: "A"\n---\n\n# A\n\n## Summary\n\nOld.\n\n## Notes\n\nMine.\n\n## Content\n\nOld body.\n';
+      const generated = '---\ntitle: "A"\n---\n\n# A\n\n## Summary\n\nNew.\n\n## Content\n\nNew body.\n';
+      const merged = generator.mergeWithExisting(existing, generated, now);
+
+      expect(merged.match(/## Summary/g)).toHaveLength(1);
+      expect(merged).toContain('New.');
+      expect(merged).not.toContain('Old.');
+      expect(merged).toContain('## Notes\n\nMine.');
+    });
+
+    test('should return the generated note when the existing note is empty', () => {
+      expect(generator.mergeWithExisting('', generatedNote, now)).toBe(generatedNote);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// Tests for NoteEditor - section level edits of saved notes
+const { NoteEditor } = require('../../src/lib/note-editor.js');
+
+describe('NoteEditor', () => {
+  let editor;
+
+  const generatedNote = `---
+title: "Article"
+url: "https://example.com/a"
+---
+
+# Article
+
+**📍 元記事**: [Article](https://example.com/a)
+
+## 📄 記事概要
+
+Short excerpt...
+
+*⚠️ AI要約の生成に失敗しました: timeout*
+
+## 📄 記事内容
+
+First paragraph.
+
+Second paragraph.
+
+---
+
+*📱 Generated by ReadLater for Obsidian*
+*🕒 2025/1/15 10:00:00*`;
+
+  const basicNote = `---
+title: "Article"
+---
+
+# Article
+
+## 記事内容
+
+Body text.
+
+---
+*Generated by ReadLater for Obsidian*
+`;
+
+  beforeEach(() => {
+    editor = new NoteEditor();
+  });
+
+  describe('splitFrontmatter', () => {
+    test('should separate frontmatter from body', () => {
+      const { frontmatter, body } = editor.splitFrontmatter(basicNote);
+
+      expect(frontmatter).toBe('---\ntitle: "Article"\n---\n');
+      expect(body.startsWith('\n# Article')).toBe(true);
+    });
+
+    test('should handle notes without frontmatter', () => {
+      expect(editor.splitFrontmatter('# Title')).toEqual({ frontmatter: '', body: '# Title' });
+    });
+  });
+
+  describe('getArticleContent', () => {
+    test('should extract content of generated notes without footer', () => {
+      expect(editor.getArticleContent(generatedNote)).toBe('First paragraph.\n\nSecond paragraph.');
+    });
+
+    test('should extract content of basic notes', () => {
+      expect(editor.getArticleContent(basicNote)).toBe('Body text.');
+    });
+
+    test('should return empty string when content section is missing', () => {
+      expect(editor.getArticleContent('# Only title')).toBe('');
+    });
+  });
+
+  describe('replaceSummarySection', () => {
+    test('should replace existing summary section', () => {
+      const updated = editor.replaceSummarySection(generatedNote, '- 新しい要点');
+
+      expect(updated).toContain('## 📄 AI要約\n\n- 新しい要点\n\n## 📄 記事内容');
+      expect(updated).not.toContain('記事概要');
+      expect(updated).not.toContain('AI要約の生成に失敗しました');
+      expect(updated.startsWith('---\ntitle: "Article"')).toBe(true);
+    });
+
+    test('should insert summary before content when missing', () => {
+      const updated = editor.replaceSummarySection(basicNote, '- 要点');
+
+      expect(updated).toContain('# Article\n\n## 📄 AI要約\n\n- 要点\n\n## 記事内容');
+    });
+
+    test('should append summary when note has no known sections', () => {
+      const updated = editor.replaceSummarySection('# Title\n', '- 要点');
+
+      expect(updated).toBe('# Title\n\n## 📄 AI要約\n\n- 要点\n\n');
+    });
+  });
+});
@@ -0,0 +1,83 @@
+// Tests for NoteTemplate - Handlebars-like note templates
+const { NoteTemplate, NOTE_TEMPLATE_PRESETS } = require('../../src/lib/note-template.js');
+
+describe('NoteTemplate', () => {
+  const now = new Date(2025, 0, 15, 9, 5, 3);
+  const render = (template, context) => new NoteTemplate(template, { now }).render(context);
+
+  describe('render', () => {
+    test('should substitute variables and nested paths', () => {
+      expect(render('# {{title}} by {{metadata.author}}', { title: 'T', metadata: { author: 'A' } })).toBe('# T by A');
+      expect(render('[{{missing}}]', {})).toBe('[]');
+    });
+
+    test('should join arrays with commas', () => {
+      expect(render('{{keywords}}', { keywords: ['a', 'b'] })).toBe('a, b');
+      expect(render('{{join keywords " / "}}', { keywords: ['a', 'b'] })).toBe('a / b');
+    });
+
+    test('should not expand template syntax inside values', () => {
+      expect(render('{{content}}', { content: 'code {{title}}', title: 'T' })).toBe('code {{title}}');
+    });
+
+    test('should format the save date', () => {
+      expect(render('{{date:YYYY/MM/DD}} {{time:HH:mm}}', {})).toBe('2025/01/15 09:05');
+    });
+
+    test('should quote YAML values', () => {
+      expect(render('title: {{yaml title}}', { title: 'Say "hi"\nnow' })).toBe('title: "Say \\"hi\\"\\nnow"');
+      expect(render('tags: {{yaml tags}}', { tags: ['a', 'b'] })).toBe('tags: ["a", "b"]');
+      expect(render('count: {{yaml count}}', { count: 3 })).toBe('count: 3');
+    });
+
+    test('should render if / else / unless blocks', () => {
+      const template = '{{#if summary}}S: {{summary}}{{else}}no summary{{/if}}{{#unless author}} (anonymous){{/unless}}';
+
+      expect(render(template, { summary: 'x' })).toBe('S: x (anonymous)');
+      expect(render(template, { summary: '', author: 'A' })).toBe('no summary');
+      expect(render('{{#if list}}yes{{else}}no{{/if}}', { list: [] })).toBe('no');
+    });
+
+    test('should render each blocks with this, @index, @first, @last and else', () => {
+      const template = '{{#each images}}{{@index}}:{{this}}{{#unless @last}}, {{/unless}}{{else}}none{{/each}}';
+
+      expect(render(template, { images: ['a.png', 'b.png'] })).toBe('0:a.png, 1:b.png');
+      expect(render(template, { images: [] })).toBe('none');
+      expect(render('{{#each links}}[{{text}}]({{href}}) {{title}}{{/each}}', {
+        title: 'outer',
+        links: [{ href: 'u', text: 't' }]
+      })).toBe('[t](u) outer');
+    });
+
+    test('should drop lines that contain only block tags', () => {
+      const template = 'tags:\n{{#each tags}}\n  - {{yaml this}}\n{{/each}}\nend';
+
+      expect(render(template, { tags: ['a', 'b'] })).toBe('tags:\n  - "a"\n  - "b"\nend');
+    });
+  });
+
+  describe('validate', () => {
+    test('should report syntax errors', () => {
+      expect(NoteTemplate.validate('{{#if x}}')).toContain('閉じられていない');
+      expect(NoteTemplate.validate('{{/each}}')).toContain('終了タグ');
+      expect(NoteTemplate.validate('{{#if x}}{{/each}}')).toContain('終了タグ');
+      expect(NoteTemplate.validate('{{#with x}}{{/with}}')).toContain('不明なブロック');
+      expect(NoteTemplate.validate('{{else}}')).toContain('else');
+    });
+
+    test('should accept every built-in preset', () => {
+      Object.values(NOTE_TEMPLATE_PRESETS).forEach(template => {
+        expect(NoteTemplate.validate(template)).toBeNull();
+      });
+    });
+  });
+
+  describe('resolveTemplate', () => {
+    test('should use the custom template only when the custom preset is selected', () => {
+      expect(NoteTemplate.resolveTemplate({ noteTemplatePreset: 'custom', noteTemplate: '# {{title}}' })).toBe('# {{title}}');
+      expect(NoteTemplate.resolveTemplate({ noteTemplatePreset: 'minimal', noteTemplate: '# {{title}}' })).toBe(NOTE_TEMPLATE_PRESETS.minimal);
+      expect(NoteTemplate.resolveTemplate({ noteTemplatePreset: 'custom', noteTemplate: '  ' })).toBe(NOTE_TEMPLATE_PRESETS.default);
+      expect(NoteTemplate.resolveTemplate({})).toBe(NOTE_TEMPLATE_PRESETS.default);
+    });
+  });
+});
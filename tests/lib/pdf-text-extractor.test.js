@@ -0,0 +1,128 @@
+// Tests for PdfTextExtractor - extracting page text and document information from PDF files with pdf.js
+const { PdfTextExtractor } = require('../../src/lib/pdf-text-extractor.js');
+
+describe('PdfTextExtractor', () => {
+  const pdfBytes = () => new Uint8Array(Buffer.from('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n', 'latin1'));
+
+  // pdf.js の getDocument と同じ形のスタブ（pages はページごとの getTextContent() の items）
+  const createPdfjs = (pages, info = {}, loadError = null) => {
+    const doc = {
+      numPages: pages.length,
+      getPage: jest.fn(async pageNumber => ({
+        getTextContent: async () => {
+          if (pages[pageNumber - 1] instanceof Error) throw pages[pageNumber - 1];
+          return { items: pages[pageNumber - 1] };
+        },
+        cleanup: jest.fn()
+      })),
+      getMetadata: jest.fn(async () => ({ info }))
+    };
+    const loadingTask = {
+      promise: loadError ? Promise.reject(loadError) : Promise.resolve(doc),
+      destroy: jest.fn(async () => {})
+    };
+    return { doc, loadingTask, getDocument: jest.fn(() => loadingTask) };
+  };
+  const extractor = (pdfjsLib, options = {}) => new PdfTextExtractor({ pdfjsLib, cMapUrl: 'chrome-extension://id/src/vendor/pdfjs/cmaps/', ...options });
+
+  const samplePages = [
+    [
+      { str: 'Hello', hasEOL: false },
+      { str: ' ', hasEOL: false },
+      { str: '(PDF)', hasEOL: true },
+      { type: 'beginMarkedContent' },
+      { str: 'World  wide', hasEOL: true },
+      { type: 'endMarkedContent' },
+      { str: 'web', hasEOL: false }
+    ],
+    [
+      { str: '日本', hasEOL: true },
+      { str: '語', hasEOL: false }
+    ]
+  ];
+
+  test('should extract text page by page, one line per end of line mark', async () => {
+    const pdfjsLib = createPdfjs(samplePages);
+    const data = pdfBytes();
+
+    const result = await extractor(pdfjsLib).extract(data);
+
+    expect(result.pageCount).toBe(2);
+    expect(result.pages).toEqual(['Hello (PDF)\nWorld wide\nweb', '日本\n語']);
+    expect(result.text).toBe('Hello (PDF)\nWorld wide\nweb\n\n日本\n語');
+    expect(pdfjsLib.loadingTask.destroy).toHaveBeenCalled();
+  });
+
+  test('should pass a copy of the data and the bundled CMaps to pdf.js', async () => {
+    const pdfjsLib = createPdfjs(samplePages);
+    const data = pdfBytes();
+
+    await extractor(pdfjsLib).extract(data);
+
+    const params = pdfjsLib.getDocument.mock.calls[0][0];
+    expect(params.data).not.toBe(data);
+    expect(params.data).toEqual(data);
+    expect(params).toMatchObject({ cMapUrl: 'chrome-extension://id/src/vendor/pdfjs/cmaps/', cMapPacked: true });
+  });
+
+  test('should read the document information dictionary', async () => {
+    const { metadata } = await extractor(createPdfjs(samplePages, {
+      Title: '論文タイトル',
+      Author: ' Jane\nDoe ',
+      Subject: 'Testing',
+      CreationDate: "D:20240102030405+09'00'"
+    })).extract(pdfBytes());
+
+    expect(metadata).toMatchObject({
+      title: '論文タイトル',
+      author: 'Jane Doe',
+      subject: 'Testing',
+      creationDate: '2024-01-01T18:04:05.000Z',
+      modDate: ''
+    });
+  });
+
+  test('should stop at the page limit and keep going past pages that fail', async () => {
+    const pdfjsLib = createPdfjs([[{ str: 'One', hasEOL: false }], new Error('bad page'), [{ str: 'Three', hasEOL: false }]]);
+
+    const result = await extractor(pdfjsLib, { maxPages: 2 }).extract(pdfBytes());
+
+    expect(result.pageCount).toBe(3);
+    expect(result.pages).toEqual(['One', '']);
+    expect(pdfjsLib.doc.getPage).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject encrypted and non-PDF files', async () => {
+    const passwordError = Object.assign(new Error('No password given'), { name: 'PasswordException' });
+    const pdfjsLib = createPdfjs([]);
+
+    await expect(extractor(createPdfjs([], {}, passwordError)).extract(pdfBytes())).rejects.toThrow('暗号化');
+    await expect(extractor(createPdfjs([], {}, new Error('Invalid PDF structure.'))).extract(pdfBytes()))
+      .rejects.toThrow('PDFを読み込めませんでした（Invalid PDF structure.）');
+    await expect(extractor(pdfjsLib).extract(new Uint8Array(Buffer.from('<html></html>')))).rejects.toThrow('PDFファイルではありません');
+    expect(pdfjsLib.getDocument).not.toHaveBeenCalled();
+  });
+
+  test('should join wrapped lines into paragraphs', () => {
+    const markdown = PdfTextExtractor.toMarkdown([
+      'Deep learning has trans-\nformed many fields of\nscience.\n• First point\n• Second point',
+      '日本語の文章が\n折り返されている。\nNext page'
+    ]);
+
+    expect(markdown).toBe([
+      'Deep learning has transformed many fields of science.',
+      '• First point',
+      '• Second point',
+      '日本語の文章が折り返されている。',
+      'Next page'
+    ].join('\n\n'));
+  });
+
+  test('should detect PDF URLs and parse PDF dates', () => {
+    expect(PdfTextExtractor.isPdfUrl('https://arxiv.org/pdf/1234.5678v1.PDF?download=1')).toBe(true);
+    expect(PdfTextExtractor.isPdfUrl('https://example.com/pdf-viewer')).toBe(false);
+    expect(PdfTextExtractor.parseDate('D:20231231')).toBe('2023-12-31T00:00:00.000Z');
+    expect(PdfTextExtractor.parseDate('D:20230615120000Z')).toBe('2023-06-15T12:00:00.000Z');
+    expect(PdfTextExtractor.parseDate('garbage')).toBe('');
+  });
+});
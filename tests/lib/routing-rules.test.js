@@ -0,0 +1,76 @@
+// Tests for RoutingRules - per article folder / tag / save mode routing
+const { RoutingRules } = require('../../src/lib/routing-rules.js');
+
+describe('RoutingRules', () => {
+  const rules = [
+    { name: 'GitHub', domain: 'github.com', folder: 'Dev/Repos', tags: ['dev'] },
+    { name: 'Papers', domain: 'arxiv.org', saveMode: 'aggregated', aggregatedFileName: 'Papers.md' },
+    { name: 'English AI', keywords: ['LLM', 'machine learning'], language: 'en', folder: 'AI' },
+    { name: 'Tech', category: 'technology', tags: 'tech, #news' }
+  ];
+
+  test('should return the first matching rule in order', () => {
+    const router = new RoutingRules(rules);
+
+    expect(router.match({ url: 'https://github.com/foo/bar' }).name).toBe('GitHub');
+    expect(router.match({ url: 'https://arxiv.org/abs/1234' }).aggregatedFileName).toBe('Papers.md');
+    expect(router.match({ url: 'https://blog.example.com/post' })).toBeNull();
+  });
+
+  test('should match URL regular expressions and ignore invalid ones', () => {
+    const router = new RoutingRules([
+      { name: 'Broken', urlPattern: '(', folder: 'X' },
+      { name: 'Abs', urlPattern: '^https://arxiv\\.org/abs/', folder: 'Research/Papers' }
+    ]);
+
+    expect(router.match({ url: 'https://arxiv.org/abs/1234' }).name).toBe('Abs');
+    expect(router.match({ url: 'https://arxiv.org/pdf/1234' })).toBeNull();
+  });
+
+  test('should require every condition of a rule to match', () => {
+    const router = new RoutingRules(rules);
+
+    expect(router.match({ url: 'https://a.com', keywords: ['llm'], detectedLanguage: 'en' }).name).toBe('English AI');
+    expect(router.match({ url: 'https://a.com', keywords: ['llm'], detectedLanguage: 'ja' })).toBeNull();
+    expect(router.match({ url: 'https://a.com', keywords: ['LLM'], metadata: { language: 'en-US' } }).name).toBe('English AI');
+  });
+
+  test('should match metadata category case-insensitively', () => {
+    const rule = new RoutingRules(rules).match({ url: 'https://a.com', metadata: { category: 'Technology News' } });
+
+    expect(rule.name).toBe('Tech');
+    expect(rule.tags).toEqual(['tech', 'news']);
+  });
+
+  test('should skip disabled rules and rules without conditions', () => {
+    const router = new RoutingRules([
+      { name: 'Off', domain: 'github.com', folder: 'Off', enabled: false },
+      { name: 'Catch-all', folder: 'All' },
+      { name: 'On', domain: 'github.com', folder: 'On' }
+    ]);
+
+    expect(router.match({ url: 'https://github.com/x' }).name).toBe('On');
+  });
+
+  test('should parse additional frontmatter properties', () => {
+    const rule = RoutingRules.normalizeRule({ name: 'P', domain: 'arxiv.org', properties: 'type: paper\nreviewed: false' });
+
+    expect(rule.properties).toEqual({ type: 'paper', reviewed: false });
+    expect(RoutingRules.validateRule({ name: 'P', domain: 'arxiv.org', properties: 'type: paper' })).toEqual([]);
+    expect(RoutingRules.validateRule({ name: 'P', domain: 'arxiv.org', properties: 'invalid' })[0]).toContain('追加プロパティ');
+  });
+
+  describe('validateRule', () => {
+    test('should accept a valid rule', () => {
+      expect(RoutingRules.validateRule(rules[0])).toEqual([]);
+    });
+
+    test('should report missing conditions, actions and invalid values', () => {
+      expect(RoutingRules.validateRule({ name: 'A', folder: 'X' })[0]).toContain('条件');
+      expect(RoutingRules.validateRule({ name: 'B', domain: 'a.com' })[0]).toContain('保存先フォルダ');
+      expect(RoutingRules.validateRule({ name: 'C', urlPattern: '(', folder: 'X' })[0]).toContain('正規表現');
+      expect(RoutingRules.validateRule({ name: 'D', domain: 'a.com', folder: '../X' })[0]).toContain('..');
+      expect(RoutingRules.validateRule({ name: 'E', domain: 'a.com', aggregatedFileName: 'a/b.md' })[0]).toContain('集約ファイル名');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+// Tests for SaveHistory - save history records for the library page
+const { SaveHistory } = require('../../src/lib/save-history.js');
+
+describe('SaveHistory', () => {
+  let storageData;
+  let storage;
+  let history;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    storage = createMemoryStorage();
+    storageData = storage.data;
+
+    history = new SaveHistory({ storage });
+  });
+
+  describe('fromJob', () => {
+    test('should build record from completed individual job', () => {
+      const record = SaveHistory.fromJob({
+        id: 'job-1',
+        state: 'notified',
+        updatedAt: '2025-01-15T10:00:00.000Z',
+        articleData: { title: 'Article', url: 'https://example.com/a', summary: '要約' },
+        saveResult: { filename: '/Users/me/Vault/2025-01-15_Article.md' }
+      }, { summaryEnabled: true });
+
+      expect(record).toEqual({
+        jobId: 'job-1',
+        title: 'Article',
+        url: 'https://example.com/a',
+        savedAt: '2025-01-15T10:00:00.000Z',
+        mode: 'individual',
+        filePath: '/Users/me/Vault/2025-01-15_Article.md',
+        status: 'saved',
+        error: null,
+        summaryStatus: 'generated',
+        summaryError: null
+      });
+    });
+
+    test('should use aggregated file path for aggregated saves', () => {
+      const record = SaveHistory.fromJob({
+        id: 'job-2',
+        state: 'notified',
+        articleData: { title: 'Article', url: 'https://example.com/a' },
+        saveResult: { filePath: '/Users/me/Vault/ReadLater_Articles.md', aggregated: true }
+      }, { aggregatedSavingEnabled: true, summaryEnabled: false });
+
+      expect(record.mode).toBe('aggregated');
+      expect(record.filePath).toBe('/Users/me/Vault/ReadLater_Articles.md');
+      expect(record.summaryStatus).toBe('disabled');
+    });
+
+    test('should report individual mode when aggregated save fell back', () => {
+      const record = SaveHistory.fromJob({
+        id: 'job-3',
+        state: 'notified',
+        articleData: { title: 'Article', url: 'https://example.com/a' },
+        saveResult: { filename: 'fallback.md' }
+      }, { aggregatedSavingEnabled: true });
+
+      expect(record.mode).toBe('individual');
+    });
+
+    test('should mark duplicate skips as skipped', () => {
+      const record = SaveHistory.fromJob({
+        id: 'job-5',
+        state: 'notified',
+        articleData: { title: 'Article', url: 'https://example.com/a?utm_source=x' },
+        saveResult: { success: true, skipped: true, filePath: '/Users/me/Vault/Article.md' }
+      }, { summaryEnabled: true });
+
+      expect(record.status).toBe('skipped');
+      expect(record.filePath).toBe('/Users/me/Vault/Article.md');
+    });
+
+    test('should record failed jobs with error', () => {
+      const record = SaveHistory.fromJob({
+        id: 'job-4',
+        state: 'failed',
+        error: 'ファイル保存に失敗しました',
+        articleData: { title: 'Article', url: 'https://example.com/a', summaryError: 'timeout' }
+      }, { summaryEnabled: true });
+
+      expect(record.status).toBe('failed');
+      expect(record.error).toBe('ファイル保存に失敗しました');
+      expect(record.filePath).toBeNull();
+      expect(record.summaryStatus).toBe('failed');
+      expect(record.summaryError).toBe('timeout');
+    });
+  });
+
+  describe('getSummaryStatus', () => {
+    test('should detect local fallback summary', () => {
+      expect(SaveHistory.getSummaryStatus({ summary: '## ローカル要約', summaryError: 'timeout' }, { summaryEnabled: true })).toBe('local');
+    });
+
+    test('should report none when summary is missing', () => {
+      expect(SaveHistory.getSummaryStatus({}, { summaryEnabled: true })).toBe('none');
+    });
+  });
+
+  describe('upsert', () => {
+    test('should add new records at the top', async () => {
+      await history.upsert({ jobId: 'job-1', title: 'First', url: 'https://example.com/1' });
+      await history.upsert({ jobId: 'job-2', title: 'Second', url: 'https://example.com/2' });
+
+      const records = await history.list();
+      expect(records.map(r => r.title)).toEqual(['Second', 'First']);
+      expect(records[0].id).toMatch(/^history-/);
+    });
+
+    test('should replace record of the same job and keep its id', async () => {
+      const first = await history.upsert({ jobId: 'job-1', title: 'Article', status: 'failed' });
+      const retried = await history.upsert({ jobId: 'job-1', title: 'Article', status: 'saved' });
+
+      const records = await history.list();
+      expect(records).toHaveLength(1);
+      expect(retried.id).toBe(first.id);
+      expect(records[0].status).toBe('saved');
+    });
+
+    test('should limit number of records', async () => {
+      const smallHistory = new SaveHistory({ storage, maxRecords: 2 });
+      await smallHistory.upsert({ jobId: 'job-1', title: '1' });
+      await smallHistory.upsert({ jobId: 'job-2', title: '2' });
+      await smallHistory.upsert({ jobId: 'job-3', title: '3' });
+
+      const records = await smallHistory.list();
+      expect(records.map(r => r.title)).toEqual(['3', '2']);
+    });
+  });
+
+  describe('update and remove', () => {
+    test('should update record fields', async () => {
+      const record = await history.upsert({ jobId: 'job-1', title: 'Article', summaryStatus: 'failed' });
+      await history.update(record.id, { summaryStatus: 'generated' });
+
+      expect((await history.get(record.id)).summaryStatus).toBe('generated');
+    });
+
+    test('should throw when updating missing record', async () => {
+      await expect(history.update('history-missing', {})).rejects.toThrow('保存履歴が見つかりません');
+    });
+
+    test('should remove record', async () => {
+      const record = await history.upsert({ jobId: 'job-1', title: 'Article' });
+
+      expect(await history.remove(record.id)).toBe(true);
+      expect(await history.remove(record.id)).toBe(false);
+      expect(await history.list()).toEqual([]);
+    });
+  });
+});
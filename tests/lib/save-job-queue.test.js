@@ -0,0 +1,187 @@
+// Tests for SaveJobQueue - persistent save job queue
+const { SaveJobQueue, SAVE_JOB_STATES } = require('../../src/lib/save-job-queue.js');
+
+describe('SaveJobQueue', () => {
+  let storageData;
+  let storage;
+  let queue;
+  let mockArticleData;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    storage = createMemoryStorage();
+    storageData = storage.data;
+
+    queue = new SaveJobQueue({ storage });
+
+    mockArticleData = {
+      title: 'Test Article',
+      url: 'https://example.com/article',
+      content: 'Article content...'
+    };
+  });
+
+  describe('enqueue', () => {
+    test('should persist job in extracted state', async () => {
+      const job = await queue.enqueue(mockArticleData, { summaryEnabled: false });
+
+      expect(job.id).toMatch(/^job-/);
+      expect(job.state).toBe(SAVE_JOB_STATES.EXTRACTED);
+      expect(job.options).toEqual({ summaryEnabled: false });
+      expect(storageData.readlaterSaveJobs[job.id].articleData.url).toBe(mockArticleData.url);
+    });
+
+    test('should reject article data without url', async () => {
+      await expect(queue.enqueue({ title: 'No URL' })).rejects.toThrow('validation error');
+    });
+
+    test('should keep all jobs when enqueued concurrently', async () => {
+      await Promise.all([
+        queue.enqueue({ ...mockArticleData, url: 'https://example.com/1' }),
+        queue.enqueue({ ...mockArticleData, url: 'https://example.com/2' }),
+        queue.enqueue({ ...mockArticleData, url: 'https://example.com/3' })
+      ]);
+
+      const jobs = await queue.list();
+      expect(jobs).toHaveLength(3);
+    });
+  });
+
+  describe('transition', () => {
+    test('should move job to next state with patch', async () => {
+      const job = await queue.enqueue(mockArticleData);
+      const updated = await queue.transition(job.id, SAVE_JOB_STATES.WRITING, { markdown: '# Test' });
+
+      expect(updated.state).toBe(SAVE_JOB_STATES.WRITING);
+      expect(updated.markdown).toBe('# Test');
+      expect((await queue.get(job.id)).state).toBe(SAVE_JOB_STATES.WRITING);
+    });
+
+    test('should reject unknown states', async () => {
+      const job = await queue.enqueue(mockArticleData);
+      await expect(queue.transition(job.id, 'unknown')).rejects.toThrow('不明なジョブ状態');
+    });
+
+    test('should reject missing jobs', async () => {
+      await expect(queue.update('job-missing', {})).rejects.toThrow('保存ジョブが見つかりません');
+    });
+  });
+
+  describe('getPendingJobs', () => {
+    test('should return only non-terminal jobs', async () => {
+      const pending = await queue.enqueue(mockArticleData);
+      const done = await queue.enqueue({ ...mockArticleData, url: 'https://example.com/done' });
+      const failed = await queue.enqueue({ ...mockArticleData, url: 'https://example.com/failed' });
+
+      await queue.transition(pending.id, SAVE_JOB_STATES.SUMMARIZING);
+      await queue.complete(done.id);
+      await queue.fail(failed.id, new Error('boom'));
+
+      const result = await queue.getPendingJobs();
+      expect(result.map(job => job.id)).toEqual([pending.id]);
+    });
+  });
+
+  describe('markAttempt', () => {
+    test('should increment attempts', async () => {
+      const job = await queue.enqueue(mockArticleData);
+      const updated = await queue.markAttempt(job.id);
+
+      expect(updated.attempts).toBe(1);
+    });
+
+    test('should fail job after max attempts', async () => {
+      const limitedQueue = new SaveJobQueue({ storage, maxAttempts: 2 });
+      const job = await limitedQueue.enqueue(mockArticleData);
+      await limitedQueue.transition(job.id, SAVE_JOB_STATES.SUMMARIZING);
+
+      await limitedQueue.markAttempt(job.id);
+      await limitedQueue.markAttempt(job.id);
+      const result = await limitedQueue.markAttempt(job.id);
+
+      expect(result.state).toBe(SAVE_JOB_STATES.FAILED);
+      expect(result.failedState).toBe(SAVE_JOB_STATES.SUMMARIZING);
+      expect(result.error).toContain('最大試行回数');
+    });
+  });
+
+  describe('fail', () => {
+    test('should record error and the state that failed', async () => {
+      const job = await queue.enqueue(mockArticleData);
+      await queue.transition(job.id, SAVE_JOB_STATES.WRITING);
+
+      const failed = await queue.fail(job.id, new Error('disk full'));
+
+      expect(failed.state).toBe(SAVE_JOB_STATES.FAILED);
+      expect(failed.error).toBe('disk full');
+      expect(failed.failedState).toBe(SAVE_JOB_STATES.WRITING);
+    });
+
+    test('should drop the rendered markdown but keep the article for retrying', async () => {
+      const job = await queue.enqueue(mockArticleData);
+      await queue.transition(job.id, SAVE_JOB_STATES.WRITING, { markdown: '# Test' });
+
+      const failed = await queue.fail(job.id, new Error('disk full'));
+
+      expect(failed.markdown).toBeNull();
+      expect(failed.articleData.content).toBe('Article content...');
+    });
+  });
+
+  describe('complete', () => {
+    test('should mark job notified and drop heavy payloads', async () => {
+      const job = await queue.enqueue(mockArticleData);
+      await queue.transition(job.id, SAVE_JOB_STATES.WRITING, { markdown: '# Test' });
+
+      const completed = await queue.complete(job.id, { saveResult: { filename: 'test.md' } });
+
+      expect(completed.state).toBe(SAVE_JOB_STATES.NOTIFIED);
+      expect(completed.markdown).toBeNull();
+      expect(completed.articleData.content).toBe('');
+      expect(completed.articleData.title).toBe('Test Article');
+      expect(completed.saveResult).toEqual({ filename: 'test.md' });
+    });
+  });
+
+  describe('prune', () => {
+    test('should keep only the configured number of finished jobs', async () => {
+      const smallQueue = new SaveJobQueue({ storage, keepFinishedJobs: 1 });
+      const first = await smallQueue.enqueue(mockArticleData);
+      const second = await smallQueue.enqueue({ ...mockArticleData, url: 'https://example.com/2' });
+      const failed = await smallQueue.enqueue({ ...mockArticleData, url: 'https://example.com/3' });
+
+      await smallQueue.fail(failed.id, new Error('boom'));
+      await smallQueue.complete(first.id);
+      jest.advanceTimersByTime(1000);
+      await smallQueue.complete(second.id);
+
+      const ids = (await smallQueue.list()).map(job => job.id);
+      expect(ids).toContain(second.id);
+      expect(ids).toContain(failed.id);
+      expect(ids).not.toContain(first.id);
+    });
+
+    test('should keep only the configured number of failed jobs', async () => {
+      const smallQueue = new SaveJobQueue({ storage, keepFailedJobs: 1 });
+      const first = await smallQueue.enqueue(mockArticleData);
+      const second = await smallQueue.enqueue({ ...mockArticleData, url: 'https://example.com/2' });
+      const pending = await smallQueue.enqueue({ ...mockArticleData, url: 'https://example.com/3' });
+
+      await smallQueue.fail(first.id, new Error('boom'));
+      jest.advanceTimersByTime(1000);
+      await smallQueue.fail(second.id, new Error('boom'));
+
+      const ids = (await smallQueue.list()).map(job => job.id);
+      expect(ids).toEqual([second.id, pending.id]);
+    });
+  });
+
+  describe('isTerminal', () => {
+    test('should treat notified and failed as terminal', () => {
+      expect(SaveJobQueue.isTerminal(SAVE_JOB_STATES.NOTIFIED)).toBe(true);
+      expect(SaveJobQueue.isTerminal(SAVE_JOB_STATES.FAILED)).toBe(true);
+      expect(SaveJobQueue.isTerminal(SAVE_JOB_STATES.RENDERING)).toBe(false);
+    });
+  });
+});
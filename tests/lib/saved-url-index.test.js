@@ -0,0 +1,82 @@
+// Tests for SavedUrlIndex - local index of saved article URLs
+const { SavedUrlIndex } = require('../../src/lib/saved-url-index.js');
+const { UrlCanonicalizer } = require('../../src/lib/url-canonicalizer.js');
+
+describe('SavedUrlIndex', () => {
+  let storageData;
+  let storage;
+  let index;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    storage = createMemoryStorage();
+    storageData = storage.data;
+
+    index = new SavedUrlIndex({ storage, canonicalizer: UrlCanonicalizer });
+  });
+
+  test('should find a saved article by a variant URL', async () => {
+    await index.record(
+      { url: 'https://example.com/post?utm_source=newsletter', title: 'Post' },
+      { filename: '/Users/me/Vault/Post.md' }
+    );
+
+    const found = await index.find('http://www.example.com/post/#comments');
+    expect(found).toMatchObject({
+      canonicalUrl: 'https://example.com/post',
+      title: 'Post',
+      filePath: '/Users/me/Vault/Post.md',
+      mode: 'individual'
+    });
+  });
+
+  test('should match by rel=canonical as well as the page URL', async () => {
+    await index.record(
+      { url: 'https://example.com/p/123', canonicalUrl: 'https://example.com/articles/slug', title: 'Slug' },
+      { filePath: '/Users/me/Vault/ReadLater_Articles.md', aggregated: true }
+    );
+
+    expect(await index.find('https://example.com/articles/slug')).toMatchObject({ mode: 'aggregated' });
+    expect(await index.find('https://example.com/p/123')).toMatchObject({ title: 'Slug' });
+    expect(await index.find('https://example.com/other')).toBeNull();
+  });
+
+  test('should keep the first saved date when recording again', async () => {
+    const first = await index.record({ url: 'https://example.com/a', title: 'A' }, { filename: 'a.md' });
+    const second = await index.record({ url: 'https://example.com/a?utm_medium=x', title: 'A v2' }, {});
+
+    expect(second.savedAt).toBe(first.savedAt);
+    expect(second.title).toBe('A v2');
+    expect(second.filePath).toBe('a.md');
+  });
+
+  test('should remove an entry with all of its alias keys', async () => {
+    await index.record(
+      { url: 'https://example.com/p/123', canonicalUrl: 'https://example.com/articles/slug', title: 'Slug' },
+      {}
+    );
+
+    expect(await index.remove('https://example.com/articles/slug')).toBe(true);
+    expect(await index.find('https://example.com/p/123')).toBeNull();
+  });
+
+  test('should prune the oldest entries beyond maxEntries', async () => {
+    storageData.readlaterSavedUrls = {
+      'https://example.com/1': { canonicalUrl: 'https://example.com/1', updatedAt: '2025-01-01T00:00:00.000Z' },
+      'https://example.com/2': { canonicalUrl: 'https://example.com/2', updatedAt: '2025-01-02T00:00:00.000Z' }
+    };
+    index = new SavedUrlIndex({ storage, canonicalizer: UrlCanonicalizer, maxEntries: 2 });
+
+    await index.record({ url: 'https://example.com/3', title: '3' }, {});
+
+    expect(await index.find('https://example.com/1')).toBeNull();
+    expect(await index.find('https://example.com/2')).not.toBeNull();
+    expect(await index.find('https://example.com/3')).not.toBeNull();
+  });
+
+  test('should reject URLs that cannot be canonicalized', async () => {
+    await expect(index.record({ url: 'not a url', title: 'x' }, {}))
+      .rejects.toThrow('validation error');
+  });
+});
@@ -0,0 +1,60 @@
+// Tests for SettingsStore - user settings split between chrome.storage.sync and chrome.storage.local
+const { SettingsStore } = require('../../src/lib/settings-store.js');
+
+describe('SettingsStore', () => {
+  let sync;
+  let local;
+  let store;
+
+  beforeEach(() => {
+    sync = createMemoryStorage();
+    local = createMemoryStorage();
+    store = new SettingsStore({ sync, local });
+  });
+
+  test('should keep rule lists out of the synced settings item', async () => {
+    const routingRules = Array.from({ length: 50 }, (_, i) => ({ domain: `*.example${i}.com`, folder: `Sites/${i}` }));
+
+    await store.save({ obsidianPath: '/vault', summaryEnabled: true, routingRules });
+
+    expect(sync.data.readlaterSettings).toEqual({ obsidianPath: '/vault', summaryEnabled: true });
+    expect(local.data.readlaterLocalSettings).toEqual({ routingRules });
+    expect(await store.load()).toEqual({ obsidianPath: '/vault', summaryEnabled: true, routingRules });
+  });
+
+  test('should read settings saved to the synced item by earlier versions', async () => {
+    sync.data.readlaterSettings = { obsidianPath: '/vault', routingRules: [{ domain: 'old.example.com' }] };
+
+    expect(await store.load()).toEqual({ obsidianPath: '/vault', routingRules: [{ domain: 'old.example.com' }] });
+
+    await store.save(await store.load());
+    expect(sync.data.readlaterSettings).toEqual({ obsidianPath: '/vault' });
+    expect(await new SettingsStore({ sync, local }).load()).toMatchObject({ routingRules: [{ domain: 'old.example.com' }] });
+  });
+
+  test('should keep user-authored templates, extraction rules and property mappings local', async () => {
+    const settings = {
+      noteTemplatePreset: 'custom',
+      noteTemplate: '# {{title}}\n\n{{content}}\n'.repeat(400),
+      extractionRules: [{ domain: 'example.com', contentSelector: 'main article' }],
+      frontmatterProperties: { url: { name: 'source' } },
+      frontmatterExtraProperties: { status: 'unread' }
+    };
+
+    await store.save(settings);
+
+    expect(sync.data.readlaterSettings).toEqual({ noteTemplatePreset: 'custom' });
+    expect(await store.load()).toEqual(settings);
+  });
+
+  test('should return null before anything is saved', async () => {
+    expect(await store.load()).toBeNull();
+  });
+
+  test('should explain quota errors', async () => {
+    sync.set.mockRejectedValueOnce(new Error('QUOTA_BYTES_PER_ITEM quota exceeded'));
+
+    await expect(store.save({ obsidianPath: '/vault' }))
+      .rejects.toThrow('設定のサイズがブラウザの保存容量の上限を超えています（QUOTA_BYTES_PER_ITEM quota exceeded）');
+  });
+});
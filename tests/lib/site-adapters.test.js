@@ -0,0 +1,148 @@
+// Tests for SiteAdapterRegistry - hostname-keyed extraction adapters for well-known sites
+const { SiteAdapterRegistry } = require('../../src/lib/site-adapters.js');
+const { ArticleExtractor } = require('../../src/lib/article-extractor.js');
+
+describe('SiteAdapterRegistry', () => {
+  const parse = html => new DOMParser().parseFromString(html, 'text/html');
+  let registry;
+
+  beforeEach(() => {
+    registry = SiteAdapterRegistry.createDefault();
+  });
+
+  describe('find', () => {
+    test('should pick adapters by hostname', () => {
+      const doc = parse('<html></html>');
+
+      expect(registry.find('https://github.com/a/b', doc).id).toBe('github');
+      expect(registry.find('https://www.github.com/a/b', doc).id).toBe('github');
+      expect(registry.find('https://ja.wikipedia.org/wiki/A', doc).id).toBe('wikipedia');
+      expect(registry.find('https://math.stackexchange.com/questions/1', doc).id).toBe('stackoverflow');
+      expect(registry.find('https://gist.github.com/a', doc)).toBeNull();
+      expect(registry.find('https://example.com/', doc)).toBeNull();
+    });
+
+    test('should detect Medium publications on custom domains', () => {
+      const doc = parse('<html><head><meta property="al:android:app_name" content="Medium"></head></html>');
+
+      expect(registry.find('https://blog.example.com/post', doc).id).toBe('medium');
+    });
+
+    test('should let registered adapters override built-in ones', () => {
+      registry.register({ id: 'custom-github', hosts: ['github.com'], extract: () => null });
+
+      expect(registry.find('https://github.com/a/b', parse('')).id).toBe('custom-github');
+      expect(() => registry.register({ id: 'broken', hosts: [] })).toThrow('extract');
+    });
+  });
+
+  describe('built-in adapters', () => {
+    test('should extract GitHub issue threads with labels and state', async () => {
+      const doc = parse(`
+        <h1><bdi class="js-issue-title">Crash on start</bdi></h1>
+        <span class="State">Open</span>
+        <div class="js-issue-labels"><a class="IssueLabel">bug</a></div>
+        <div class="timeline-comment"><a class="author">alice</a><relative-time datetime="2025-01-02T03:04:05Z"></relative-time>
+          <div class="comment-body"><p>It crashes.</p><pre><code class="language-sh">npm start</code></pre></div></div>
+        <div class="timeline-comment"><a class="author">bob</a><relative-time datetime="2025-01-03T00:00:00Z"></relative-time>
+          <div class="comment-body"><p>Fixed in #2.</p><button>React</button></div></div>`);
+
+      const result = await registry.extract(doc, 'https://github.com/acme/app/issues/1');
+
+      expect(result.site).toBe('github');
+      expect(result.title).toBe('Crash on start · acme/app#1');
+      expect(result.metadata).toMatchObject({
+        author: 'alice', keywords: ['bug'], category: 'issue', repository: 'acme/app', number: 1, state: 'open', commentCount: 2
+      });
+      expect(Array.from(result.element.querySelectorAll('h3')).map(h => h.textContent)).toEqual(['alice - 2025-01-02', 'bob - 2025-01-03']);
+      expect(result.element.textContent).not.toContain('React');
+    });
+
+    test('should extract the Stack Overflow question and accepted answer', async () => {
+      const doc = parse(`
+        <div id="question-header"><h1><a>How to X?</a></h1></div>
+        <div id="question"><div class="js-vote-count" data-value="42">42</div>
+          <div class="s-prose"><p>How do I do X?</p></div>
+          <a class="post-tag">javascript</a><a class="post-tag">node.js</a>
+          <time itemprop="dateCreated" datetime="2020-05-01T10:00:00"></time>
+          <div class="post-signature owner"><div class="user-details"><a>asker</a></div></div></div>
+        <div class="answer"><div class="s-prose"><p>Other answer</p></div></div>
+        <div class="answer accepted-answer"><div class="js-vote-count" data-value="10"></div>
+          <div class="s-prose"><pre><code>doX()</code></pre></div>
+          <div class="post-signature"><div class="user-details"><a>helper</a></div></div></div>`);
+
+      const result = await registry.extract(doc, 'https://stackoverflow.com/questions/123/how-to-x');
+
+      expect(result.title).toBe('How to X?');
+      expect(result.metadata).toMatchObject({ author: 'asker', keywords: ['javascript', 'node.js'], score: 42, answered: true, answerScore: 10 });
+      expect(Array.from(result.element.querySelectorAll('h2')).map(h => h.textContent)).toEqual(['質問', '採用された回答（helper）']);
+      expect(result.element.textContent).not.toContain('Other answer');
+    });
+
+    test('should tag Qiita code blocks with their language', async () => {
+      const doc = parse(`
+        <h1>Qiita記事</h1><a href="/tags/python">Python</a>
+        <div class="it-MdContent"><p>本文</p><div class="code-frame" data-lang="python:main.py"><div class="code-lang">main.py</div>
+          <div class="highlight"><pre><code>print(1)</code></pre></div></div></div>`);
+
+      const result = await registry.extract(doc, 'https://qiita.com/user/items/abc');
+
+      expect(result.element.querySelector('code').className).toBe('language-python');
+      expect(result.element.textContent).not.toContain('main.py');
+      expect(result.metadata.keywords).toEqual(['Python']);
+    });
+
+    test('should drop Wikipedia navigation and edit links and collect categories', async () => {
+      const doc = parse(`
+        <h1 id="firstHeading">Obsidian</h1>
+        <div id="mw-content-text"><div class="mw-parser-output">
+          <div class="hatnote">Not to be confused with...</div>
+          <p>Obsidian is a volcanic glass.</p>
+          <h2>Uses<span class="mw-editsection">[edit]</span></h2><p>Tools.</p>
+          <div class="navbox">Rocks</div>
+        </div></div>
+        <div id="mw-normal-catlinks"><ul><li><a>Volcanic rocks</a></li></ul></div>`);
+
+      const result = await registry.extract(doc, 'https://en.wikipedia.org/wiki/Obsidian');
+
+      expect(result.title).toBe('Obsidian');
+      expect(result.element.textContent).not.toMatch(/confused|\[edit\]|Rocks/);
+      expect(result.metadata.keywords).toEqual(['Volcanic rocks']);
+    });
+
+    test('should return null for pages the adapter cannot handle', async () => {
+      await expect(registry.extract(parse('<p>Settings</p>'), 'https://github.com/settings')).resolves.toBeNull();
+      await expect(registry.extract(parse('<p>Tags</p>'), 'https://stackoverflow.com/tags')).resolves.toBeNull();
+    });
+  });
+
+  describe('ArticleExtractor integration', () => {
+    test('should prefer site adapters and merge their metadata', async () => {
+      const doc = parse(`
+        <html lang="en"><head><title>dev.to</title></head><body>
+          <div id="main-title"><h1>Fast builds</h1></div>
+          <a class="crayons-tag">#webdev</a>
+          <div class="crayons-article__header"><time datetime="2024-03-04T05:06:07Z">Mar 4</time></div>
+          <div id="article-body"><p>Use caching.</p><div class="highlight"><pre class="highlight javascript"><code>cache()</code></pre></div></div>
+        </body></html>`);
+
+      const article = await new ArticleExtractor({ document: doc, url: 'https://dev.to/me/fast-builds' }).extractArticle();
+
+      expect(article.site).toBe('devto');
+      expect(article.strategy).toBe('site:devto');
+      expect(article.title).toBe('Fast builds');
+      expect(article.metadata.keywords).toEqual(['webdev']);
+      expect(article.metadata.publishDate).toBe('2024-03-04T05:06:07.000Z');
+      expect(article.contentMarkdown).toBe('Use caching.\n\n```javascript\ncache()\n```');
+    });
+
+    test('should fall back to the generic strategies when no adapter applies', async () => {
+      const doc = parse(`<html><body><article><p>${'Generic text. '.repeat(20)}</p></article></body></html>`);
+
+      const article = await new ArticleExtractor({ document: doc, url: 'https://github.com/settings' }).extractArticle();
+
+      expect(article.site).toBeNull();
+      expect(article.strategy).toBe('semantic-html');
+    });
+  });
+});
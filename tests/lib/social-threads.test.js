@@ -0,0 +1,170 @@
+// Tests for SocialThreadCapture - unrolling X/Twitter, Mastodon and Bluesky threads into one article
+const { SocialThreadCapture } = require('../../src/lib/social-threads.js');
+const { ArticleExtractor } = require('../../src/lib/article-extractor.js');
+
+describe('SocialThreadCapture', () => {
+  const parse = html => new DOMParser().parseFromString(html, 'text/html');
+  const createFetch = responses => jest.fn(async url => {
+    if (!(url in responses)) return { ok: false, status: 404, json: async () => ({}) };
+    return { ok: true, json: async () => responses[url] };
+  });
+
+  describe('X/Twitter', () => {
+    const tweet = (handle, id, text, extra = '') => `
+      <article data-testid="tweet">
+        <div data-testid="User-Name"><a href="/${handle}"><span>${handle === 'jane' ? 'Jane Doe' : 'Other'}</span></a><a href="/${handle}">@${handle}</a>
+          <a href="/${handle}/status/${id}"><time datetime="2024-03-0${id % 10}T10:00:00.000Z">Mar</time></a></div>
+        <div data-testid="tweetText"><span>${text}</span></div>
+        ${extra}
+      </article>`;
+    const quote = `
+      <div role="link">
+        <div data-testid="User-Name"><span>Quoted Person</span><span>@quoted</span><time datetime="2024-01-01T00:00:00.000Z">Jan</time></div>
+        <div data-testid="tweetText"><span>Quoted text</span></div>
+        <div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/Q?format=jpg&amp;name=small" alt="quoted image"></div>
+      </div>`;
+    const page = parse(`<main>
+      ${tweet('jane', 1, 'Thread start 🧵 <img alt="🎉" src="https://abs-0.twimg.com/emoji/v2/svg/1f389.svg"> <a href="https://t.co/x">#builds</a>')}
+      ${tweet('jane', 2, 'Second post', `<div data-testid="tweetPhoto"><img src="https://pbs.twimg.com/media/A?format=jpg&amp;name=small" alt="chart"></div>${quote}`)}
+      ${tweet('jane', 3, 'Third post', '<div data-testid="videoPlayer"><video></video></div>')}
+      ${tweet('bob', 4, 'Nice thread!')}
+      ${tweet('jane', 5, 'Reply to bob')}
+    </main>`);
+
+    test('should unroll the consecutive posts by the author around the opened post', () => {
+      const thread = new SocialThreadCapture().captureX(page, 'https://x.com/jane/status/2');
+
+      expect(thread.author).toEqual({ name: 'Jane Doe', handle: '@jane', url: 'https://x.com/jane' });
+      expect(thread.posts.map(post => post.id)).toEqual(['1', '2', '3']);
+      expect(thread.focusIndex).toBe(1);
+      expect(thread.posts[0].body.textContent).toBe('Thread start 🧵 🎉 #builds');
+      expect(thread.posts[1].media).toEqual([{ type: 'image', url: 'https://pbs.twimg.com/media/A?format=jpg&name=large', alt: 'chart' }]);
+      expect(thread.posts[1].quote.author.handle).toBe('@quoted');
+      expect(thread.posts[1].quote.body.textContent).toBe('Quoted text');
+      expect(thread.posts[1].quote.media[0].alt).toBe('quoted image');
+      expect(thread.posts[2].media).toEqual([{ type: 'video', url: 'https://x.com/jane/status/3', alt: '' }]);
+    });
+
+    test('should produce an ordered Markdown article through the site adapter', async () => {
+      const article = await new ArticleExtractor({ document: page, url: 'https://twitter.com/jane/status/1' }).extractArticle();
+
+      expect(article.site).toBe('x');
+      expect(article.title).toBe('Jane Doe (@jane): Thread start 🧵 🎉 #builds');
+      expect(article.metadata).toMatchObject({ author: 'Jane Doe', handle: '@jane', category: 'thread', postCount: 3, keywords: ['builds'] });
+      const markdown = article.contentMarkdown;
+      expect(markdown.indexOf('### 1/3')).toBeLessThan(markdown.indexOf('Second post'));
+      expect(markdown.indexOf('Second post')).toBeLessThan(markdown.indexOf('### 3/3'));
+      expect(markdown).toContain('![chart](https://pbs.twimg.com/media/A?format=jpg&name=large)');
+      expect(markdown).toMatch(/> \*\*Quoted Person\*\* \[@quoted\]\(https:\/\/twitter\.com\/quoted\) · 2024/);
+      expect(markdown).toContain('[🎞 動画](https://twitter.com/jane/status/3)');
+      expect(markdown).not.toContain('Nice thread!');
+    });
+
+    test('should return null when the opened post is not on the page', () => {
+      expect(new SocialThreadCapture().captureX(page, 'https://x.com/jane/status/99')).toBeNull();
+      expect(new SocialThreadCapture().captureX(page, 'https://x.com/home')).toBeNull();
+    });
+  });
+
+  describe('Mastodon', () => {
+    const account = { id: '10', acct: 'ann', username: 'ann', display_name: 'Ann', url: 'https://social.example/@ann' };
+    const status = (id, inReplyTo, content, extra = {}) => ({
+      id, in_reply_to_id: inReplyTo, account, content, url: `https://social.example/@ann/${id}`,
+      created_at: `2024-02-0${id.slice(-1)}T08:00:00.000Z`, media_attachments: [], ...extra
+    });
+    const other = { id: '99', acct: 'zed@else.example', display_name: 'Zed', url: 'https://else.example/@zed' };
+
+    test('should follow self-replies through the public API of the instance', async () => {
+      const fetchMock = createFetch({
+        'https://social.example/api/v1/statuses/102': status('102', '101', '<p>Part two</p>', {
+          media_attachments: [{ type: 'image', url: 'https://files.example/a.png', description: 'diagram' }],
+          quote: { state: 'accepted', quoted_status: { ...status('50', null, '<p>Quoted toot</p>'), account: other } }
+        }),
+        'https://social.example/api/v1/statuses/102/context': {
+          ancestors: [
+            { ...status('100', null, '<p>Unrelated root</p>'), account: other },
+            status('101', '100', '<p>Part one <a href="https://example.com/long"><span class="invisible">https://</span><span class="ellipsis">example.com/lo</span><span class="invisible">ng</span></a></p>')
+          ],
+          descendants: [
+            status('103', '102', '<p>Part three</p><p>Second paragraph</p>'),
+            { ...status('104', '103', '<p>A reply</p>'), account: other },
+            status('105', '104', '<p>Answer to the reply</p>')
+          ]
+        }
+      });
+      const doc = parse('<div id="mastodon"></div>');
+
+      const article = await new ArticleExtractor({ document: doc, url: 'https://social.example/@ann/102', fetch: fetchMock }).extractArticle();
+
+      expect(article.site).toBe('mastodon');
+      expect(article.metadata).toMatchObject({ author: 'Ann', handle: '@ann@social.example', postCount: 3, platform: 'mastodon' });
+      const markdown = article.contentMarkdown;
+      expect(markdown.indexOf('### 1/3')).toBeLessThan(markdown.indexOf('Part one [example.com/lo…](https://example.com/long)'));
+      expect(markdown).toContain('Part two');
+      expect(markdown).toContain('![diagram](https://files.example/a.png)');
+      expect(markdown).toMatch(/> \*\*Zed\*\* \[@zed@else\.example\]\(https:\/\/else\.example\/@zed\)/);
+      expect(markdown).toContain('Part three\n\nSecond paragraph');
+      expect(markdown).not.toContain('Unrelated root');
+      expect(markdown).not.toContain('Answer to the reply');
+    });
+
+    test('should only detect Mastodon status pages', () => {
+      expect(SocialThreadCapture.getMastodonStatusId('https://social.example/@ann/109876543210')).toBe('109876543210');
+      expect(SocialThreadCapture.getMastodonStatusId('https://social.example/users/ann/statuses/12')).toBe('12');
+      expect(SocialThreadCapture.getMastodonStatusId('https://social.example/@ann')).toBe('');
+    });
+  });
+
+  describe('Bluesky', () => {
+    const author = { did: 'did:plc:abc', handle: 'kai.bsky.social', displayName: 'Kai' };
+    const post = (rkey, text, extra = {}) => ({
+      uri: `at://did:plc:abc/app.bsky.feed.post/${rkey}`,
+      author,
+      record: { text, createdAt: `2024-06-0${rkey.slice(-1)}T00:00:00.000Z`, ...extra.record },
+      ...extra.post
+    });
+
+    test('should unroll the author thread with facets, images and quoted posts', async () => {
+      const apiUrl = 'https://public.api.bsky.app/xrpc/app.bsky.feed.getPostThread?uri=' +
+        encodeURIComponent('at://kai.bsky.social/app.bsky.feed.post/p2') + '&depth=100&parentHeight=100';
+      const fetchMock = createFetch({
+        [apiUrl]: {
+          thread: {
+            post: post('p2', 'Café notes see example.com\nmore', {
+              record: { facets: [{ index: { byteStart: 16, byteEnd: 27 }, features: [{ $type: 'app.bsky.richtext.facet#link', uri: 'https://example.com/' }] }] },
+              post: { embed: { $type: 'app.bsky.embed.images#view', images: [{ fullsize: 'https://cdn.bsky.app/img/full.jpg', alt: 'latte' }] } }
+            }),
+            parent: { post: post('p1', 'First\n\nparagraph two'), parent: { post: { ...post('p0', 'Someone else'), author: { did: 'did:plc:other', handle: 'o.bsky.social' } } } },
+            replies: [
+              { post: { ...post('p4', 'Other reply'), author: { did: 'did:plc:other', handle: 'o.bsky.social' } } },
+              {
+                post: post('p3', 'Last one', {
+                  post: {
+                    embed: {
+                      $type: 'app.bsky.embed.record#view',
+                      record: { $type: 'app.bsky.embed.record#viewRecord', uri: 'at://did:plc:q/app.bsky.feed.post/q1', author: { did: 'did:plc:q', handle: 'q.bsky.social', displayName: 'Q' }, value: { text: 'Quoted skeet', createdAt: '2024-01-01T00:00:00Z' } }
+                    }
+                  }
+                }),
+                replies: []
+              }
+            ]
+          }
+        }
+      });
+
+      const article = await new ArticleExtractor({ document: parse('<div id="root"></div>'), url: 'https://bsky.app/profile/kai.bsky.social/post/p2', fetch: fetchMock }).extractArticle();
+
+      expect(article.site).toBe('bluesky');
+      expect(article.metadata).toMatchObject({ author: 'Kai', handle: '@kai.bsky.social', postCount: 3 });
+      const markdown = article.contentMarkdown;
+      expect(markdown.indexOf('First\n\nparagraph two')).toBeLessThan(markdown.indexOf('Café notes'));
+      expect(markdown).toContain('Café notes see [example.com](https://example.com/)');
+      expect(markdown).toContain('![latte](https://cdn.bsky.app/img/full.jpg)');
+      expect(markdown).toContain('> Quoted skeet');
+      expect(markdown).toContain('[@q.bsky.social](https://bsky.app/profile/q.bsky.social)');
+      expect(markdown).not.toContain('Someone else');
+      expect(markdown).not.toContain('Other reply');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+// Tests for UrlCanonicalizer - URL normalization for duplicate detection
+const { UrlCanonicalizer } = require('../../src/lib/url-canonicalizer.js');
+
+describe('UrlCanonicalizer', () => {
+  describe('canonicalize', () => {
+    test('should strip tracking parameters and fragments', () => {
+      expect(UrlCanonicalizer.canonicalize('https://example.com/post?utm_source=x&utm_medium=y&fbclid=z#comments'))
+        .toBe('https://example.com/post');
+    });
+
+    test('should keep meaningful query parameters in sorted order', () => {
+      expect(UrlCanonicalizer.canonicalize('https://example.com/search?q=obsidian&page=2&utm_campaign=a'))
+        .toBe('https://example.com/search?page=2&q=obsidian');
+    });
+
+    test('should normalize protocol, www prefix, host case and trailing slash', () => {
+      expect(UrlCanonicalizer.canonicalize('http://www.Example.com/Post/'))
+        .toBe('https://example.com/Post');
+      expect(UrlCanonicalizer.canonicalize('https://example.com/')).toBe('https://example.com/');
+    });
+
+    test('should collapse AMP variants to the regular article', () => {
+      const expected = 'https://example.com/news/story';
+      expect(UrlCanonicalizer.canonicalize('https://example.com/news/story/amp/')).toBe(expected);
+      expect(UrlCanonicalizer.canonicalize('https://example.com/amp/news/story')).toBe(expected);
+      expect(UrlCanonicalizer.canonicalize('https://amp.example.com/news/story')).toBe(expected);
+      expect(UrlCanonicalizer.canonicalize('https://example.com/news/story?amp=1')).toBe(expected);
+      expect(UrlCanonicalizer.canonicalize('https://example.com/news/story?outputType=amp')).toBe(expected);
+      expect(UrlCanonicalizer.canonicalize('https://example.com/news/story.amp.html'))
+        .toBe('https://example.com/news/story.html');
+    });
+
+    test('should keep non-AMP outputType values', () => {
+      expect(UrlCanonicalizer.canonicalize('https://example.com/feed?outputType=json'))
+        .toBe('https://example.com/feed?outputType=json');
+    });
+
+    test('should unwrap Google AMP cache URLs', () => {
+      expect(UrlCanonicalizer.canonicalize('https://www.google.com/amp/s/example.com/news/story/amp'))
+        .toBe('https://example.com/news/story');
+      expect(UrlCanonicalizer.canonicalize('https://example-com.cdn.ampproject.org/c/s/example.com/news/story'))
+        .toBe('https://example.com/news/story');
+    });
+
+    test('should return null for invalid URLs', () => {
+      expect(UrlCanonicalizer.canonicalize('not a url')).toBeNull();
+      expect(UrlCanonicalizer.canonicalize('')).toBeNull();
+    });
+  });
+
+  describe('resolve', () => {
+    test('should prefer rel=canonical URL', () => {
+      expect(UrlCanonicalizer.resolve('https://example.com/p/123?ref=top', 'https://example.com/articles/slug'))
+        .toBe('https://example.com/articles/slug');
+    });
+
+    test('should ignore canonical pointing to the site root', () => {
+      expect(UrlCanonicalizer.resolve('https://example.com/articles/slug', 'https://example.com/'))
+        .toBe('https://example.com/articles/slug');
+    });
+
+    test('should fall back to page URL without canonical', () => {
+      expect(UrlCanonicalizer.resolve('https://example.com/a?utm_source=x', null))
+        .toBe('https://example.com/a');
+    });
+  });
+
+  describe('getKeys', () => {
+    test('should return both canonical and page keys without duplicates', () => {
+      expect(UrlCanonicalizer.getKeys('https://example.com/p/123', 'https://example.com/articles/slug'))
+        .toEqual(['https://example.com/articles/slug', 'https://example.com/p/123']);
+      expect(UrlCanonicalizer.getKeys('https://example.com/a', 'https://example.com/a#top'))
+        .toEqual(['https://example.com/a']);
+    });
+  });
+});
@@ -0,0 +1,22 @@
+// Tests for UrlPatterns - domain and URL conditions shared by routing and extraction rules
+const { UrlPatterns } = require('../../src/lib/url-patterns.js');
+
+describe('UrlPatterns', () => {
+  test('should match bare domains against www and subdomains', () => {
+    expect(UrlPatterns.matchesDomain('github.com', 'www.github.com')).toBe(true);
+    expect(UrlPatterns.matchesDomain('arxiv.org', 'export.arxiv.org')).toBe(true);
+    expect(UrlPatterns.matchesDomain('github.com', 'notgithub.com')).toBe(false);
+  });
+
+  test('should support glob patterns and comma separated domains', () => {
+    expect(UrlPatterns.matchesDomain('*.example.com', 'blog.example.com')).toBe(true);
+    expect(UrlPatterns.matchesDomain('*.example.com', 'example.org')).toBe(false);
+    expect(UrlPatterns.matchesDomain('qiita.com, zenn.*', 'zenn.dev')).toBe(true);
+  });
+
+  test('should ignore invalid URL patterns and unparsable URLs', () => {
+    expect(UrlPatterns.matchesUrl('^https://arxiv\\.org/abs/', 'https://arxiv.org/abs/1234')).toBe(true);
+    expect(UrlPatterns.matchesUrl('(', 'https://arxiv.org/abs/1234')).toBe(false);
+    expect(UrlPatterns.getHostname('not a url')).toBe('');
+  });
+});
@@ -0,0 +1,169 @@
+// Tests for VideoCapture - video metadata, chapters and caption transcripts for YouTube and VideoObject pages
+const { VideoCapture } = require('../../src/lib/video-capture.js');
+const { ArticleExtractor } = require('../../src/lib/article-extractor.js');
+
+describe('VideoCapture', () => {
+  const parse = html => new DOMParser().parseFromString(html, 'text/html');
+  const videoId = 'dQw4w9WgXcQ';
+  const watchUrl = `https://www.youtube.com/watch?v=${videoId}`;
+
+  const playerResponse = (overrides = {}) => ({
+    videoDetails: {
+      videoId,
+      title: 'Scaling the build',
+      author: 'ConfTalks',
+      lengthSeconds: '3725',
+      viewCount: '12345',
+      keywords: ['build', 'ci'],
+      shortDescription: 'Talk from BuildConf.\n\n0:00 Intro\n1:30 Caching\n1:02:00 Q&A'
+    },
+    microformat: { playerMicroformatRenderer: { publishDate: '2024-04-01' } },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [
+          { baseUrl: 'https://www.youtube.com/api/timedtext?v=x&lang=en&kind=asr', languageCode: 'en', kind: 'asr' },
+          { baseUrl: 'https://www.youtube.com/api/timedtext?v=x&lang=de', languageCode: 'de' },
+          { baseUrl: 'https://www.youtube.com/api/timedtext?v=x&lang=en', languageCode: 'en' }
+        ]
+      }
+    },
+    ...overrides
+  });
+  const watchPage = player => `
+    <html><head><title>Scaling the build - YouTube</title></head><body>
+      <script>var ytInitialPlayerResponse = ${JSON.stringify(player)};var meta = {"a": "}"};</script>
+    </body></html>`;
+  const captions = {
+    events: [
+      { tStartMs: 0, segs: [{ utf8: 'Welcome' }, { utf8: ' everyone' }] },
+      { tStartMs: 1000 },
+      { tStartMs: 95000, segs: [{ utf8: 'Caches matter' }] },
+      { tStartMs: 3721000, segs: [{ utf8: 'Questions?' }] }
+    ]
+  };
+  const createFetch = responses => jest.fn(async url => {
+    const key = Object.keys(responses).find(prefix => url.startsWith(prefix));
+    if (!key) return { ok: false, status: 404, text: async () => '' };
+    return { ok: true, text: async () => responses[key] };
+  });
+
+  test('should capture YouTube metadata, chapters and the original-language transcript', async () => {
+    const fetchMock = createFetch({ 'https://www.youtube.com/api/timedtext?v=x&lang=en&fmt=json3': JSON.stringify(captions) });
+
+    const video = await new VideoCapture({ fetch: fetchMock }).captureYouTube(parse(watchPage(playerResponse())), `${watchUrl}&t=30`);
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(video).toMatchObject({
+      id: videoId,
+      title: 'Scaling the build',
+      author: 'ConfTalks',
+      publishDate: '2024-04-01',
+      durationSeconds: 3725,
+      transcriptLanguage: 'en'
+    });
+    expect(video.chapters.map(chapter => [chapter.start, chapter.title])).toEqual([[0, 'Intro'], [90, 'Caching'], [3720, 'Q&A']]);
+    expect(video.chapters[1].url).toBe(`${watchUrl}&t=90s`);
+    expect(video.transcript).toEqual([
+      { start: 0, text: 'Welcome everyone' },
+      { start: 95, text: 'Caches matter' },
+      { start: 3721, text: 'Questions?' }
+    ]);
+  });
+
+  test('should refetch the watch page when the embedded player response is for another video', async () => {
+    const stale = playerResponse({ videoDetails: { videoId: 'AAAAAAAAAAA', title: 'Old video' } });
+    const fetchMock = createFetch({
+      [watchUrl]: watchPage(playerResponse({ captions: undefined })),
+      'https://www.youtube.com/api/timedtext': ''
+    });
+    const doc = parse(`${watchPage(stale)}<ytd-transcript-segment-renderer><div class="segment-timestamp">1:05</div><yt-formatted-string class="segment-text">From the panel</yt-formatted-string></ytd-transcript-segment-renderer>`);
+
+    const video = await new VideoCapture({ fetch: fetchMock }).captureYouTube(doc, watchUrl);
+
+    expect(fetchMock.mock.calls[0][0]).toBe(watchUrl);
+    expect(video.title).toBe('Scaling the build');
+    expect(video.transcript).toEqual([{ start: 65, text: 'From the panel' }]);
+  });
+
+  test('should build a note body with an embed, chapter links and transcript grouped by chapter', () => {
+    const doc = parse('');
+    const element = VideoCapture.buildContent(doc, {
+      url: watchUrl,
+      embed: watchUrl,
+      title: 'Talk',
+      author: 'ConfTalks',
+      publishDate: '2024-04-01T00:00:00Z',
+      durationSeconds: 3725,
+      description: 'Line one\nLine two',
+      chapters: [{ start: 0, title: 'Intro', url: `${watchUrl}&t=0s` }, { start: 90, title: 'Caching', url: `${watchUrl}&t=90s` }],
+      transcript: [{ start: 0, text: 'Hello' }, { start: 5, text: 'world' }, { start: 95, text: 'Caches' }]
+    });
+
+    expect(element.querySelector('img').getAttribute('src')).toBe(watchUrl);
+    expect(Array.from(element.querySelectorAll('ul:first-of-type li')).map(li => li.textContent))
+      .toEqual(['チャンネル: ConfTalks', '公開日: 2024-04-01', '再生時間: 1:02:05']);
+    expect(Array.from(element.querySelectorAll('h2')).map(h => h.textContent)).toEqual(['概要', 'チャプター', '文字起こし']);
+    expect(Array.from(element.querySelectorAll('h3')).map(h => h.textContent)).toEqual(['Intro', 'Caching']);
+    expect(element.querySelector('h3 + p').textContent).toBe('0:00 Hello world');
+    expect(element.querySelector('h3 + p a').getAttribute('href')).toBe(`${watchUrl}&t=0s`);
+  });
+
+  test('should parse caption formats, durations and YouTube URLs', () => {
+    expect(VideoCapture.parseCaptions('<transcript><text start="1.5" dur="2">It&amp;#39;s here</text></transcript>'))
+      .toEqual([{ start: 1, text: 'It\'s here' }]);
+    expect(VideoCapture.joinLines(['日本語の', '字幕', 'and', 'text'])).toBe('日本語の字幕 and text');
+    expect(VideoCapture.parseDuration('PT1H2M3S')).toBe(3723);
+    expect(VideoCapture.parseDuration('P')).toBeUndefined();
+    expect(VideoCapture.getYouTubeVideoId(`https://youtu.be/${videoId}?si=x`)).toBe(videoId);
+    expect(VideoCapture.getYouTubeVideoId(`https://m.youtube.com/shorts/${videoId}`)).toBe(videoId);
+    expect(VideoCapture.getYouTubeVideoId('https://www.youtube.com/@channel')).toBe('');
+    expect(VideoCapture.parseChapters('1:00 Not at start\n2:00 Later')).toEqual([]);
+  });
+
+  describe('ArticleExtractor integration', () => {
+    test('should save YouTube pages through the site adapter and summarise the transcript', async () => {
+      const fetchMock = createFetch({ 'https://www.youtube.com/api/timedtext': JSON.stringify(captions) });
+
+      const article = await new ArticleExtractor({ document: parse(watchPage(playerResponse())), url: watchUrl, fetch: fetchMock }).extractArticle();
+
+      expect(article.site).toBe('youtube');
+      expect(article.title).toBe('Scaling the build');
+      expect(article.metadata).toMatchObject({ author: 'ConfTalks', category: 'video', duration: '1:02:05', hasTranscript: true });
+      expect(article.contentMarkdown.startsWith(`![Scaling the build](${watchUrl})`)).toBe(true);
+      expect(article.contentMarkdown).toContain(`- [1:30](${watchUrl}&t=90s) Caching`);
+      expect(article.content).toContain('Caches matter');
+    });
+
+    test('should capture VideoObject pages but leave articles with embedded videos alone', async () => {
+      const jsonLd = data => `<script type="application/ld+json">${JSON.stringify(data)}</script>`;
+      const video = {
+        '@context': 'https://schema.org',
+        '@type': 'VideoObject',
+        name: 'Keynote',
+        description: 'Opening keynote',
+        uploadDate: '2024-05-01T09:00:00Z',
+        duration: 'PT45M',
+        thumbnailUrl: ['https://cdn.example.com/k.jpg'],
+        contentUrl: 'https://cdn.example.com/k.mp4',
+        author: { '@type': 'Person', name: 'Ada' },
+        transcript: 'First paragraph.\n\nSecond paragraph.',
+        hasPart: [{ '@type': 'Clip', name: 'Welcome', startOffset: 0 }, { '@type': 'Clip', name: 'Roadmap', startOffset: 600 }]
+      };
+
+      const article = await new ArticleExtractor({
+        document: parse(`<html><head>${jsonLd(video)}</head><body><div id="player"></div></body></html>`),
+        url: 'https://talks.example.com/keynote'
+      }).extractArticle();
+
+      expect(article.site).toBe('video');
+      expect(article.metadata).toMatchObject({ author: 'Ada', duration: '45:00', chapterCount: 2 });
+      expect(article.contentMarkdown).toContain('[▶ 動画を再生](https://cdn.example.com/k.mp4)');
+      expect(article.contentMarkdown).toContain('- [10:00](https://talks.example.com/keynote?t=600s) Roadmap');
+      expect(article.contentMarkdown).toContain('First paragraph.\n\nSecond paragraph.');
+
+      const news = parse(`<html><head>${jsonLd({ '@graph': [{ '@type': 'NewsArticle', headline: 'News' }, video] })}</head><body><article><p>${'News text. '.repeat(30)}</p></article></body></html>`);
+      const newsArticle = await new ArticleExtractor({ document: news, url: 'https://news.example.com/a' }).extractArticle();
+      expect(newsArticle.site).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+// Tests for YamlSerializer - typed frontmatter emission, round-tripped through a YAML parser
+const YAML = require('yaml');
+const { YamlSerializer } = require('../../src/lib/yaml-serializer.js');
+const { MarkdownGenerator } = require('../../src/lib/markdown-generator.js');
+
+describe('YamlSerializer', () => {
+  const parseFrontmatter = text => {
+    const match = text.match(/^---\n([\s\S]*?)---\n$/);
+    expect(match).not.toBeNull();
+    return YAML.parse(match[1]);
+  };
+
+  describe('frontmatter', () => {
+    test('should emit booleans, numbers and dates without quotes', () => {
+      const yaml = YamlSerializer.frontmatter({
+        publish: false,
+        wordCount: 1234,
+        ratio: 0.5,
+        date: '2025-01-15',
+        created: '2025-01-15T10:00:00.000Z',
+        title: 'Hello'
+      });
+
+      expect(yaml).toBe([
+        '---',
+        'publish: false',
+        'wordCount: 1234',
+        'ratio: 0.5',
+        'date: 2025-01-15',
+        'created: 2025-01-15T10:00:00.000Z',
+        'title: "Hello"',
+        '---',
+        ''
+      ].join('\n'));
+    });
+
+    test('should omit undefined, null and NaN values', () => {
+      const yaml = YamlSerializer.frontmatter({ title: 'A', originalTitle: undefined, author: null, count: NaN });
+
+      expect(yaml).toBe('---\ntitle: "A"\n---\n');
+      expect(YamlSerializer.frontmatter({})).toBe('---\n---\n');
+    });
+
+    test('should emit lists in block style and empty lists inline', () => {
+      expect(YamlSerializer.frontmatter({ tags: ['a', 'b c'], aliases: [] }))
+        .toBe('---\ntags:\n  - "a"\n  - "b c"\naliases: []\n---\n');
+    });
+
+    test('should keep strings that look like other types as strings', () => {
+      const data = { a: 'true', b: '123', c: 'null', d: '- item', e: '#heading', f: 'key: value', g: '' };
+
+      expect(parseFrontmatter(YamlSerializer.frontmatter(data))).toEqual(data);
+    });
+  });
+
+  describe('round trip', () => {
+    const cases = {
+      'quotes and backslashes': { title: 'Say "hi" \\ C:\\path', url: 'https://example.com/?a=1&b="2"' },
+      'multi-line strings': { description: 'line 1\nline 2', trailing: 'a\nb\n', keep: 'a\n\nb\n\n\n', lead: '  indented\nx', blank: '\nstarts with newline' },
+      'control and unicode characters': { tab: 'a\tb', cr: 'a\r\nb', bell: 'a\u0007b', separators: 'a\u2028b\u2029c\u0085d', emoji: '日本語 🎉' },
+      'typed values': { publish: false, aiSummary: true, wordCount: 0, negative: -3, float: 1.25 },
+      'lists': { tags: ['ReadLater', 'say "hi"', 'multi\nline'], numbers: [1, 2], nested: [['a', 'b']] },
+      'nested objects': { meta: { author: 'Jane', stats: { words: 10, text: 'x\ny\n\n' }, empty: {} }, items: [{ name: 'a', value: 1 }] },
+      'unusual keys': { 'key with space': 1, 'colon:key': 'v', '日本語': 'x' }
+    };
+
+    Object.entries(cases).forEach(([name, data]) => {
+      test(`should round-trip ${name}`, () => {
+        expect(parseFrontmatter(YamlSerializer.frontmatter(data))).toEqual(data);
+      });
+    });
+
+    test('should round-trip inline values', () => {
+      const value = { list: ['a', 'multi\nline', 3, true], text: '"quoted"' };
+
+      expect(YAML.parse(`x: ${YamlSerializer.formatInline(value)}`)).toEqual({ x: value });
+    });
+
+    test('should emit Date objects as ISO strings', () => {
+      const yaml = YamlSerializer.frontmatter({ created: new Date('2025-01-15T10:00:00.000Z') });
+
+      expect(yaml).toBe('---\ncreated: 2025-01-15T10:00:00.000Z\n---\n');
+    });
+  });
+
+  describe('MarkdownGenerator.generateFrontmatter', () => {
+    test('should emit typed Obsidian properties', () => {
+      const generator = new MarkdownGenerator();
+      const yaml = generator.generateFrontmatter({
+        title: 'A "quoted"\ntitle',
+        url: 'https://example.com/a',
+        domain: 'example.com',
+        content: 'one two three',
+        summary: 'Summary',
+        summaryWordCount: 12,
+        keywords: ['AI'],
+        extractedAt: '2025-01-15T10:00:00.000Z',
+        metadata: { readingTime: '5', author: 'Jane' }
+      }, { extraTags: ['dev'] });
+      const data = parseFrontmatter(yaml);
+
+      expect(data.title).toBe('A "quoted"\ntitle');
+      expect(data).not.toHaveProperty('originalTitle');
+      expect(data.publish).toBe(false);
+      expect(data.aiSummary).toBe(true);
+      expect(data.wordCount).toBe(3);
+      expect(data.charCount).toBe(13);
+      expect(data.readingTime).toBe(5);
+      expect(data.summaryWordCount).toBe(12);
+      expect(data.tags).toEqual(['ReadLater', 'article', 'dev', 'AI']);
+      expect(yaml).toMatch(/^date: \d{4}-\d{2}-\d{2}$/m);
+      expect(yaml).toContain('extractedAt: 2025-01-15T10:00:00.000Z\n');
+    });
+  });
+});
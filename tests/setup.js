@@ -37,6 +37,24 @@ global.chrome = {
   }
 };
 
+// In-memory chrome.storage area (values are copied like the real storage)
+global.createMemoryStorage = (data = {}) => ({
+  data,
+  get: jest.fn(async (keys) => {
+    const result = {};
+    [].concat(keys).forEach(key => {
+      if (key in data) result[key] = JSON.parse(JSON.stringify(data[key]));
+    });
+    return result;
+  }),
+  set: jest.fn(async (items) => {
+    Object.assign(data, JSON.parse(JSON.stringify(items)));
+  }),
+  remove: jest.fn(async (keys) => {
+    [].concat(keys).forEach(key => delete data[key]);
+  })
+});
+
 // Mock console methods for cleaner test output
 global.console = {
   ...console,